@@ -17,6 +17,16 @@ const testDbUri =
 let patientCookies, doctorCookies, adminCookies;
 let patientId, doctorId, adminId;
 
+// `days` from now, moved on to Monday from a weekend so the default
+// Monday–Friday hours apply to the unscheduled test doctor
+const weekdayFromNow = (days) => {
+  const date = new Date(Date.now() + days * 86400000);
+  while ([0, 6].includes(date.getUTCDay())) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+};
+
 beforeAll(async () => {
   if (mongoose.connection.readyState === 0) {
     await mongoose.connect(testDbUri);
@@ -60,6 +70,9 @@ beforeAll(async () => {
 
   adminCookies = adminRes.headers["set-cookie"];
   adminId = adminRes.body.data.user.id;
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
 });
 
 afterAll(async () => {
@@ -75,7 +88,7 @@ beforeEach(async () => {
 describe("Appointment API Tests", () => {
   describe("POST /api/appointments", () => {
     const validAppointment = {
-      appointmentDate: new Date(Date.now() + 86400000).toISOString(), // Tomorrow
+      appointmentDate: weekdayFromNow(1),
       appointmentTime: "10:00",
       duration: 30,
       reason: "Regular checkup",
@@ -196,7 +209,7 @@ describe("Appointment API Tests", () => {
         .set("Cookie", patientCookies)
         .send({
           doctorId,
-          appointmentDate: new Date(Date.now() + 86400000).toISOString(),
+          appointmentDate: weekdayFromNow(1),
           appointmentTime: "10:00",
           reason: "Test appointment 1",
         });
@@ -206,7 +219,7 @@ describe("Appointment API Tests", () => {
         .set("Cookie", patientCookies)
         .send({
           doctorId,
-          appointmentDate: new Date(Date.now() + 172800000).toISOString(),
+          appointmentDate: weekdayFromNow(2),
           appointmentTime: "14:00",
           reason: "Test appointment 2",
         });
@@ -252,6 +265,74 @@ describe("Appointment API Tests", () => {
     });
   });
 
+  describe("GET /api/appointments/available-slots", () => {
+    // Next Monday, so the default Monday–Friday hours apply
+    const monday = (() => {
+      const date = new Date();
+      date.setUTCHours(0, 0, 0, 0);
+      date.setUTCDate(date.getUTCDate() + ((8 - date.getUTCDay()) % 7 || 7));
+      return date.toISOString().slice(0, 10);
+    })();
+
+    test("should exclude times taken by existing appointments", async () => {
+      await request(app)
+        .post("/api/appointments")
+        .set("Cookie", patientCookies)
+        .send({
+          doctorId,
+          appointmentDate: monday,
+          appointmentTime: "10:00",
+          duration: 45,
+          reason: "Booked slot",
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get(
+          `/api/appointments/available-slots?doctorId=${doctorId}&startDate=${monday}`,
+        )
+        .set("Cookie", patientCookies)
+        .expect(200);
+
+      const [day] = response.body.data.days;
+      expect(day.date).toBe(monday);
+      expect(day.slots).toContain("09:30");
+      expect(day.slots).not.toContain("10:00");
+      expect(day.slots).not.toContain("10:30");
+      expect(day.slots).toContain("11:00");
+    });
+
+    test("should treat the excluded appointment's time as free", async () => {
+      const created = await request(app)
+        .post("/api/appointments")
+        .set("Cookie", patientCookies)
+        .send({
+          doctorId,
+          appointmentDate: monday,
+          appointmentTime: "10:00",
+          reason: "Reschedule me",
+        });
+
+      const response = await request(app)
+        .get(
+          `/api/appointments/available-slots?doctorId=${doctorId}&startDate=${monday}&excludeAppointmentId=${created.body.data.appointment._id}`,
+        )
+        .set("Cookie", patientCookies)
+        .expect(200);
+
+      expect(response.body.data.days[0].slots).toContain("10:00");
+    });
+
+    test("should fail without doctor or start date", async () => {
+      const response = await request(app)
+        .get("/api/appointments/available-slots")
+        .set("Cookie", patientCookies)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   describe("GET /api/appointments/:id", () => {
     let appointmentId;
 
@@ -261,7 +342,7 @@ describe("Appointment API Tests", () => {
         .set("Cookie", patientCookies)
         .send({
           doctorId,
-          appointmentDate: new Date(Date.now() + 86400000).toISOString(),
+          appointmentDate: weekdayFromNow(1),
           appointmentTime: "10:00",
           reason: "Test appointment",
         });
@@ -308,7 +389,7 @@ describe("Appointment API Tests", () => {
         .set("Cookie", patientCookies)
         .send({
           doctorId,
-          appointmentDate: new Date(Date.now() + 86400000).toISOString(),
+          appointmentDate: weekdayFromNow(1),
           appointmentTime: "10:00",
           reason: "Test appointment",
         });
@@ -332,6 +413,14 @@ describe("Appointment API Tests", () => {
     });
 
     test("should update appointment as admin", async () => {
+      for (const status of ["confirmed", "in-progress"]) {
+        await request(app)
+          .put(`/api/appointments/${appointmentId}`)
+          .set("Cookie", adminCookies)
+          .send({ status })
+          .expect(200);
+      }
+
       const response = await request(app)
         .put(`/api/appointments/${appointmentId}`)
         .set("Cookie", adminCookies)
@@ -344,6 +433,61 @@ describe("Appointment API Tests", () => {
       expect(response.body.data.appointment.status).toBe("completed");
     });
 
+    test("should reject rescheduling onto an overlapping appointment", async () => {
+      const other = await request(app)
+        .post("/api/appointments")
+        .set("Cookie", patientCookies)
+        .send({
+          doctorId,
+          appointmentDate: weekdayFromNow(1),
+          appointmentTime: "11:00",
+          reason: "Other appointment",
+        });
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointmentId}`)
+        .set("Cookie", doctorCookies)
+        .send({ appointmentTime: "10:45" })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe("SLOT_CONFLICT");
+      expect(response.body.message).toContain("conflicts");
+      expect(response.body.conflict.appointmentId).toBe(
+        other.body.data.appointment._id,
+      );
+    });
+
+    test("should reject extending duration into the next appointment", async () => {
+      await request(app)
+        .post("/api/appointments")
+        .set("Cookie", patientCookies)
+        .send({
+          doctorId,
+          appointmentDate: weekdayFromNow(1),
+          appointmentTime: "10:30",
+          reason: "Next appointment",
+        });
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointmentId}`)
+        .set("Cookie", doctorCookies)
+        .send({ duration: 60 })
+        .expect(409);
+
+      expect(response.body.code).toBe("SLOT_CONFLICT");
+    });
+
+    test("should allow changing duration when the slot is free", async () => {
+      const response = await request(app)
+        .put(`/api/appointments/${appointmentId}`)
+        .set("Cookie", doctorCookies)
+        .send({ duration: 45 })
+        .expect(200);
+
+      expect(response.body.data.appointment.duration).toBe(45);
+    });
+
     test("should fail to update appointment as patient", async () => {
       const response = await request(app)
         .put(`/api/appointments/${appointmentId}`)
@@ -366,7 +510,7 @@ describe("Appointment API Tests", () => {
         .set("Cookie", patientCookies)
         .send({
           doctorId,
-          appointmentDate: new Date(Date.now() + 86400000).toISOString(),
+          appointmentDate: weekdayFromNow(1),
           appointmentTime: "10:00",
           reason: "Test appointment",
         });
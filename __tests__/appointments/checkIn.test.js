@@ -0,0 +1,239 @@
+/**
+ * Check-in and waiting-room queue integration tests
+ *
+ * Covers POST /api/appointments/:id/check-in (who may check in and
+ * when), the wait time recorded when the visit starts, and the
+ * per-doctor queue served by GET /api/waiting-room/:doctorId.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+const MINUTE_MS = 60 * 1000;
+const originalTimezone = process.env.CLINIC_TIMEZONE;
+
+let patientCookies, doctorCookies, adminCookies, otherDoctorCookies;
+let patientId, doctorId;
+
+// Book straight into the database, `offsetMinutes` from now (UTC clinic)
+const bookToday = (offsetMinutes, status = "scheduled") => {
+  const at = new Date(Date.now() + offsetMinutes * MINUTE_MS).toISOString();
+  return Appointment.create({
+    patient: patientId,
+    doctor: doctorId,
+    appointmentDate: at.slice(0, 10),
+    appointmentTime: at.slice(11, 16),
+    duration: 30,
+    reason: "Checkup",
+    status,
+  });
+};
+
+const checkIn = (cookies, id) =>
+  request(app).post(`/api/appointments/${id}/check-in`).set("Cookie", cookies);
+
+const getQueue = (cookies = doctorCookies) =>
+  request(app).get(`/api/waiting-room/${doctorId}`).set("Cookie", cookies);
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+  process.env.CLINIC_TIMEZONE = "UTC";
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Arriving",
+    lastName: "Patient",
+    email: "checkin.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+  patientId = patientRes.body.data.user.id;
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Queue",
+    lastName: "Doctor",
+    email: "checkin.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-QUEUE",
+  });
+  doctorCookies = doctorRes.headers["set-cookie"];
+  doctorId = doctorRes.body.data.user.id;
+
+  const otherDoctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Other",
+    lastName: "Doctor",
+    email: "checkin.other@test.com",
+    password: "Test@1234",
+    phone: "9876543211",
+    role: "doctor",
+    specialization: "Cardiology",
+    licenseNumber: "MD-OTHER",
+  });
+  otherDoctorCookies = otherDoctorRes.headers["set-cookie"];
+
+  const adminRes = await request(app).post("/api/auth/register").send({
+    firstName: "Front",
+    lastName: "Desk",
+    email: "checkin.admin@test.com",
+    password: "Test@1234",
+    phone: "5555555555",
+    role: "admin",
+    adminSecret: process.env.ADMIN_SECRET_KEY,
+  });
+  adminCookies = adminRes.headers["set-cookie"];
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+});
+
+afterAll(async () => {
+  if (originalTimezone === undefined) delete process.env.CLINIC_TIMEZONE;
+  else process.env.CLINIC_TIMEZONE = originalTimezone;
+
+  await Appointment.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Appointment.deleteMany({});
+});
+
+describe("Check-in", () => {
+  test("should let the patient check themselves in on arrival", async () => {
+    const appointment = await bookToday(-5);
+
+    const response = await checkIn(patientCookies, appointment._id).expect(200);
+    expect(response.body.data.appointment.status).toBe("checked-in");
+    expect(response.body.data.appointment.checkedInAt).toBeDefined();
+
+    const stored = await Appointment.findById(appointment._id);
+    expect(stored.statusHistory.at(-1)).toMatchObject({
+      from: "scheduled",
+      to: "checked-in",
+      role: "patient",
+    });
+  });
+
+  test("should refuse self check-in too early and front desk on another day", async () => {
+    const booked = await request(app)
+      .post("/api/appointments")
+      .set("Cookie", patientCookies)
+      .send({
+        doctorId,
+        appointmentDate: "2030-07-01",
+        appointmentTime: "10:00",
+        reason: "Checkup",
+      })
+      .expect(201);
+    const id = booked.body.data.appointment._id;
+
+    const early = await checkIn(patientCookies, id).expect(422);
+    expect(early.body.code).toBe("CHECK_IN_NOT_OPEN");
+
+    const otherDay = await checkIn(adminCookies, id).expect(422);
+    expect(otherDay.body.code).toBe("CHECK_IN_NOT_TODAY");
+  });
+
+  test("should only let the appointment's own doctor check in", async () => {
+    const appointment = await bookToday(-5);
+
+    await checkIn(otherDoctorCookies, appointment._id).expect(403);
+    await checkIn(doctorCookies, appointment._id).expect(200);
+    const again = await checkIn(adminCookies, appointment._id).expect(422);
+    expect(again.body.code).toBe("INVALID_STATUS_TRANSITION");
+  });
+
+  test("should record the wait when the visit starts", async () => {
+    const appointment = await bookToday(-5);
+    await checkIn(adminCookies, appointment._id).expect(200);
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      { checkedInAt: new Date(Date.now() - 12 * MINUTE_MS) },
+    );
+
+    const response = await request(app)
+      .patch(`/api/appointments/${appointment._id}/status`)
+      .set("Cookie", doctorCookies)
+      .send({ status: "in-progress" })
+      .expect(200);
+    expect(response.body.data.appointment.waitMinutes).toBe(12);
+    expect(response.body.data.appointment.startedAt).toBeDefined();
+  });
+
+  test("should not mark a checked-in patient as no-show", async () => {
+    const appointment = await bookToday(-5);
+    await checkIn(patientCookies, appointment._id).expect(200);
+
+    const response = await request(app)
+      .patch(`/api/appointments/${appointment._id}/status`)
+      .set("Cookie", doctorCookies)
+      .send({ status: "no-show" })
+      .expect(422);
+    expect(response.body.code).toBe("INVALID_STATUS_TRANSITION");
+  });
+});
+
+describe("Waiting room queue", () => {
+  test("should order the day's queue and move patients through it", async () => {
+    const first = await bookToday(-10);
+    const second = await bookToday(-5);
+    await bookToday(5);
+
+    await checkIn(adminCookies, second._id).expect(200);
+    await checkIn(adminCookies, first._id).expect(200);
+
+    let { queue } = (await getQueue().expect(200)).body.data;
+    expect(queue.waiting.map((entry) => entry._id)).toEqual([
+      first._id.toString(),
+      second._id.toString(),
+    ]);
+    expect(queue.waiting[0].position).toBe(1);
+    expect(queue.waiting[0].patient.lastName).toBe("Patient");
+    expect(queue.upcoming).toHaveLength(1);
+
+    await request(app)
+      .patch(`/api/appointments/${first._id}/status`)
+      .set("Cookie", doctorCookies)
+      .send({ status: "in-progress" })
+      .expect(200);
+
+    ({ queue } = (await getQueue(adminCookies).expect(200)).body.data);
+    expect(queue.inProgress.map((entry) => entry._id)).toEqual([
+      first._id.toString(),
+    ]);
+    expect(queue.waiting.map((entry) => entry.position)).toEqual([1]);
+
+    await request(app)
+      .patch(`/api/appointments/${first._id}/status`)
+      .set("Cookie", doctorCookies)
+      .send({ status: "completed" })
+      .expect(200);
+
+    ({ queue } = (await getQueue().expect(200)).body.data);
+    expect(queue.inProgress).toHaveLength(0);
+    expect(queue.completed).toBe(1);
+    expect(queue.averageWaitMinutes).toBe(0);
+  });
+
+  test("should keep queues private to their doctor", async () => {
+    await getQueue(otherDoctorCookies).expect(403);
+    await getQueue(patientCookies).expect(403);
+    await request(app)
+      .get(`/api/waiting-room/${doctorId}?date=tomorrow`)
+      .set("Cookie", adminCookies)
+      .expect(400);
+  });
+});
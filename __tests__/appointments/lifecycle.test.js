@@ -0,0 +1,213 @@
+/**
+ * Appointment lifecycle integration tests
+ *
+ * Covers the status state machine: allowed and rejected transitions,
+ * role rules, lifecycle timestamps and the stored status history.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const DoctorAvailability = require("../../src/models/doctorAvailability");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+let patientCookies, doctorCookies, adminCookies;
+let doctorId, appointmentId;
+
+const setStatus = (cookies, status, reason) =>
+  request(app)
+    .patch(`/api/appointments/${appointmentId}/status`)
+    .set("Cookie", cookies)
+    .send({ status, reason });
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Cycle",
+    lastName: "Patient",
+    email: "lifecycle.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Cycle",
+    lastName: "Doctor",
+    email: "lifecycle.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-CYCLE",
+  });
+  doctorCookies = doctorRes.headers["set-cookie"];
+  doctorId = doctorRes.body.data.user.id;
+
+  const adminRes = await request(app).post("/api/auth/register").send({
+    firstName: "Cycle",
+    lastName: "Admin",
+    email: "lifecycle.admin@test.com",
+    password: "Test@1234",
+    phone: "5555555555",
+    role: "admin",
+    adminSecret: process.env.ADMIN_SECRET_KEY,
+  });
+  adminCookies = adminRes.headers["set-cookie"];
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+
+  // Open all day every day, so bookings aren't held to the default hours
+  await DoctorAvailability.create({
+    doctor: doctorId,
+    weeklySchedule: [0, 1, 2, 3, 4, 5, 6].map((dayOfWeek) => ({
+      dayOfWeek,
+      startTime: "00:00",
+      endTime: "23:59",
+    })),
+  });
+});
+
+afterAll(async () => {
+  await Appointment.deleteMany({});
+  await DoctorAvailability.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Appointment.deleteMany({});
+  const response = await request(app)
+    .post("/api/appointments")
+    .set("Cookie", patientCookies)
+    .send({
+      doctorId,
+      appointmentDate: new Date(Date.now() + 86400000).toISOString(),
+      appointmentTime: "10:00",
+      reason: "Lifecycle test",
+    });
+  appointmentId = response.body.data.appointment._id;
+});
+
+describe("Appointment lifecycle", () => {
+  test("should walk the full lifecycle and record history", async () => {
+    await setStatus(patientCookies, "confirmed").expect(200);
+    await setStatus(doctorCookies, "in-progress").expect(200);
+    const response = await setStatus(doctorCookies, "completed", "Seen").expect(
+      200,
+    );
+
+    const appointment = response.body.data.appointment;
+    expect(appointment.status).toBe("completed");
+    expect(appointment.confirmedAt).toBeDefined();
+    expect(appointment.checkedInAt).toBeDefined();
+    expect(appointment.completedAt).toBeDefined();
+    expect(
+      appointment.statusHistory.map(({ from, to, role }) => ({
+        from,
+        to,
+        role,
+      })),
+    ).toEqual([
+      { from: "scheduled", to: "confirmed", role: "patient" },
+      { from: "confirmed", to: "in-progress", role: "doctor" },
+      { from: "in-progress", to: "completed", role: "doctor" },
+    ]);
+    expect(appointment.statusHistory[2].reason).toBe("Seen");
+  });
+
+  test("should reject skipping straight to completed", async () => {
+    const response = await setStatus(doctorCookies, "completed").expect(422);
+
+    expect(response.body.code).toBe("INVALID_STATUS_TRANSITION");
+    expect(response.body.allowedTransitions).toEqual(
+      expect.arrayContaining(["confirmed", "cancelled", "no-show"]),
+    );
+  });
+
+  test("should not let a patient start their own visit", async () => {
+    await setStatus(patientCookies, "confirmed").expect(200);
+
+    const response = await setStatus(patientCookies, "in-progress").expect(403);
+    expect(response.body.code).toBe("STATUS_TRANSITION_FORBIDDEN");
+  });
+
+  test("should treat cancelled and no-show as terminal", async () => {
+    await setStatus(doctorCookies, "no-show").expect(200);
+    await setStatus(doctorCookies, "confirmed").expect(422);
+
+    await Appointment.findByIdAndUpdate(appointmentId, {
+      status: "cancelled",
+    });
+    const response = await setStatus(adminCookies, "in-progress").expect(422);
+    expect(response.body.code).toBe("INVALID_STATUS_TRANSITION");
+  });
+
+  test("should not move a completed appointment back via PUT", async () => {
+    for (const status of ["confirmed", "in-progress", "completed"]) {
+      await setStatus(adminCookies, status).expect(200);
+    }
+
+    const response = await request(app)
+      .put(`/api/appointments/${appointmentId}`)
+      .set("Cookie", adminCookies)
+      .send({ status: "scheduled" })
+      .expect(422);
+    expect(response.body.code).toBe("INVALID_STATUS_TRANSITION");
+
+    const reschedule = await request(app)
+      .put(`/api/appointments/${appointmentId}`)
+      .set("Cookie", adminCookies)
+      .send({ appointmentTime: "15:00" })
+      .expect(422);
+    expect(reschedule.body.code).toBe("NOT_RESCHEDULABLE");
+
+    await request(app)
+      .delete(`/api/appointments/${appointmentId}`)
+      .set("Cookie", adminCookies)
+      .send({ cancelReason: "Too late" })
+      .expect(422);
+  });
+
+  test("should accept a PUT that re-sends unchanged fields", async () => {
+    const current = await Appointment.findById(appointmentId);
+
+    const response = await request(app)
+      .put(`/api/appointments/${appointmentId}`)
+      .set("Cookie", doctorCookies)
+      .send({
+        appointmentDate: current.appointmentDate.toISOString().slice(0, 10),
+        appointmentTime: current.appointmentTime,
+        duration: current.duration,
+        status: "scheduled",
+        notes: "No changes",
+      })
+      .expect(200);
+
+    expect(response.body.data.appointment.statusHistory).toHaveLength(0);
+  });
+
+  test("should record cancellations in the history", async () => {
+    const response = await request(app)
+      .delete(`/api/appointments/${appointmentId}`)
+      .set("Cookie", patientCookies)
+      .send({ cancelReason: "Feeling better" })
+      .expect(200);
+
+    const [entry] = response.body.data.appointment.statusHistory;
+    expect(entry).toMatchObject({
+      from: "scheduled",
+      to: "cancelled",
+      reason: "Feeling better",
+    });
+  });
+});
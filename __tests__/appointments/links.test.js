@@ -0,0 +1,186 @@
+/**
+ * Emailed confirm / cancel link integration tests
+ *
+ * Covers GET / POST /api/appointments/links/:token: links work without
+ * a session, only once, and stop working when the appointment moves.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const AppointmentLink = require("../../src/models/appointmentLink");
+const AuditLog = require("../../src/models/auditLog");
+const {
+  createAppointmentLinks,
+} = require("../../src/services/appointmentLinks");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+let patientCookies, patientId, doctorId, appointmentId;
+
+// Issue fresh links and return their tokens by action
+const issueLinks = async () => {
+  const appointment = await Appointment.findById(appointmentId);
+  const links = await createAppointmentLinks(appointment);
+  return Object.fromEntries(
+    links.map(({ action, url }) => [
+      action,
+      new URL(url).searchParams.get("token"),
+    ]),
+  );
+};
+
+const useLink = (token) =>
+  request(app).post(`/api/appointments/links/${token}`);
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Link",
+    lastName: "Patient",
+    email: "links.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+  patientId = patientRes.body.data.user.id;
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Link",
+    lastName: "Doctor",
+    email: "links.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-LINK",
+  });
+  doctorId = doctorRes.body.data.user.id;
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+});
+
+afterAll(async () => {
+  await Appointment.deleteMany({});
+  await AppointmentLink.deleteMany({});
+  await AuditLog.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Appointment.deleteMany({});
+  await AppointmentLink.deleteMany({});
+
+  const response = await request(app)
+    .post("/api/appointments")
+    .set("Cookie", patientCookies)
+    .send({
+      doctorId,
+      appointmentDate: "2030-07-01",
+      appointmentTime: "10:00",
+      reason: "Checkup",
+    });
+  appointmentId = response.body.data.appointment._id;
+});
+
+describe("Appointment email links", () => {
+  test("should offer confirm and cancel links for a scheduled appointment", async () => {
+    const tokens = await issueLinks();
+    expect(Object.keys(tokens).sort()).toEqual(["cancel", "confirm"]);
+
+    const response = await request(app)
+      .get(`/api/appointments/links/${tokens.confirm}`)
+      .expect(200);
+    expect(response.body.data.action).toBe("confirm");
+    expect(response.body.data.appointment.status).toBe("scheduled");
+    expect(response.body.data.appointment.doctor.lastName).toBe("Doctor");
+    expect(response.body.data.appointment.patient).toBeUndefined();
+  });
+
+  test("should confirm without logging in, once", async () => {
+    const { confirm } = await issueLinks();
+
+    const response = await useLink(confirm).expect(200);
+    expect(response.body.data.appointment.status).toBe("confirmed");
+
+    const appointment = await Appointment.findById(appointmentId);
+    expect(appointment.status).toBe("confirmed");
+    expect(appointment.statusHistory.at(-1)).toMatchObject({
+      from: "scheduled",
+      to: "confirmed",
+      role: "patient",
+    });
+    expect(appointment.statusHistory.at(-1).changedBy.toString()).toBe(
+      patientId,
+    );
+
+    const audit = await AuditLog.findOne({
+      resourceId: appointmentId,
+      action: "UPDATE_APPOINTMENT_STATUS",
+    });
+    expect(audit.user.toString()).toBe(patientId);
+    expect(audit.changes.via).toBe("email_link");
+
+    const reused = await useLink(confirm).expect(409);
+    expect(reused.body.code).toBe("LINK_USED");
+  });
+
+  test("should cancel from the cancel link", async () => {
+    const { cancel } = await issueLinks();
+
+    await useLink(cancel).expect(200);
+
+    const appointment = await Appointment.findById(appointmentId);
+    expect(appointment.status).toBe("cancelled");
+    expect(appointment.cancelledBy.toString()).toBe(patientId);
+  });
+
+  test("should refuse a confirm link once the appointment is cancelled", async () => {
+    const { confirm, cancel } = await issueLinks();
+    await useLink(cancel).expect(200);
+
+    const response = await useLink(confirm).expect(422);
+    expect(response.body.code).toBe("INVALID_STATUS_TRANSITION");
+
+    // A refused link is not spent
+    const link = await AppointmentLink.findOne({ action: "confirm" });
+    expect(link.usedAt).toBeUndefined();
+  });
+
+  test("should expire links when the appointment is rescheduled", async () => {
+    const { confirm } = await issueLinks();
+
+    await request(app)
+      .post(`/api/appointments/${appointmentId}/reschedule`)
+      .set("Cookie", patientCookies)
+      .send({ appointmentDate: "2030-07-02", appointmentTime: "10:00" })
+      .expect(200);
+
+    const response = await useLink(confirm).expect(410);
+    expect(response.body.code).toBe("LINK_EXPIRED");
+  });
+
+  test("should reject invalid and tampered tokens", async () => {
+    const { confirm } = await issueLinks();
+    const [header, payload, signature] = confirm.split(".");
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    const forged = Buffer.from(
+      JSON.stringify({ ...claims, action: "cancel" }),
+    ).toString("base64url");
+
+    await useLink("not-a-token").expect(400);
+    const response = await useLink(`${header}.${forged}.${signature}`).expect(
+      400,
+    );
+    expect(response.body.code).toBe("INVALID_LINK");
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * No-show marking and policy integration tests
+ *
+ * Covers the sweep that marks missed appointments after the grace
+ * period, the per-patient no-show counter, and the admin policy that
+ * blocks bookings or holds them for approval at the threshold.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const NoShowPolicy = require("../../src/models/noShowPolicy");
+const { markNoShows } = require("../../src/services/noShowService");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+const MINUTE_MS = 60 * 1000;
+
+let patientCookies, adminCookies;
+let patientId, doctorId;
+
+const book = () =>
+  request(app).post("/api/appointments").set("Cookie", patientCookies).send({
+    doctorId,
+    appointmentDate: "2030-07-01",
+    appointmentTime: "10:00",
+    reason: "Checkup",
+  });
+
+const setPolicy = (policy) =>
+  request(app)
+    .put("/api/no-show-policy")
+    .set("Cookie", adminCookies)
+    .send(policy);
+
+const noShowCount = async () => (await User.findById(patientId)).noShowCount;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Missed",
+    lastName: "Patient",
+    email: "noshow.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+  patientId = patientRes.body.data.user.id;
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Missed",
+    lastName: "Doctor",
+    email: "noshow.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-NOSHOW",
+  });
+  doctorId = doctorRes.body.data.user.id;
+
+  const adminRes = await request(app).post("/api/auth/register").send({
+    firstName: "Missed",
+    lastName: "Admin",
+    email: "noshow.admin@test.com",
+    password: "Test@1234",
+    phone: "5555555555",
+    role: "admin",
+    adminSecret: process.env.ADMIN_SECRET_KEY,
+  });
+  adminCookies = adminRes.headers["set-cookie"];
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+});
+
+afterAll(async () => {
+  await Appointment.deleteMany({});
+  await NoShowPolicy.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Appointment.deleteMany({});
+  await NoShowPolicy.deleteMany({});
+  await User.updateOne({ _id: patientId }, { noShowCount: 0 });
+});
+
+describe("No-show sweep", () => {
+  test("should mark an appointment no-show only after the grace period", async () => {
+    const response = await book().expect(201);
+    const appointment = await Appointment.findById(
+      response.body.data.appointment._id,
+    );
+    const { startAt } = appointment;
+
+    expect(
+      await markNoShows({ now: new Date(startAt.getTime() + 10 * MINUTE_MS) }),
+    ).toBe(0);
+
+    const later = new Date(startAt.getTime() + 16 * MINUTE_MS);
+    expect(await markNoShows({ now: later })).toBe(1);
+
+    const marked = await Appointment.findById(appointment._id);
+    expect(marked.status).toBe("no-show");
+    expect(marked.statusHistory.at(-1)).toMatchObject({
+      from: "scheduled",
+      to: "no-show",
+      role: "system",
+    });
+    expect(await noShowCount()).toBe(1);
+
+    // A second sweep does not count it again
+    expect(await markNoShows({ now: later })).toBe(0);
+    expect(await noShowCount()).toBe(1);
+  });
+
+  test("should leave appointments that were checked in", async () => {
+    const response = await book().expect(201);
+    const appointment = await Appointment.findById(
+      response.body.data.appointment._id,
+    );
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      { status: "in-progress" },
+    );
+
+    await markNoShows({
+      now: new Date(appointment.startAt.getTime() + 60 * MINUTE_MS),
+    });
+    expect((await Appointment.findById(appointment._id)).status).toBe(
+      "in-progress",
+    );
+    expect(await noShowCount()).toBe(0);
+  });
+});
+
+describe("No-show policy", () => {
+  test("should only let admins change the policy", async () => {
+    await request(app)
+      .put("/api/no-show-policy")
+      .set("Cookie", patientCookies)
+      .send({ action: "block" })
+      .expect(403);
+
+    const response = await setPolicy({ action: "block", threshold: 2 }).expect(
+      200,
+    );
+    expect(response.body.data.policy).toMatchObject({
+      action: "block",
+      threshold: 2,
+      graceMinutes: 15,
+    });
+
+    await setPolicy({ action: "suspend" }).expect(400);
+  });
+
+  test("should block bookings once the threshold is reached", async () => {
+    await setPolicy({ action: "block", threshold: 2 }).expect(200);
+    await User.updateOne({ _id: patientId }, { noShowCount: 2 });
+
+    const response = await book().expect(403);
+    expect(response.body.code).toBe("NO_SHOW_LIMIT_REACHED");
+    expect(response.body.threshold).toBe(2);
+
+    await request(app)
+      .post("/api/waitlist")
+      .set("Cookie", patientCookies)
+      .send({
+        doctorId,
+        startDate: "2030-07-01",
+        endDate: "2030-07-05",
+        reason: "Checkup",
+      })
+      .expect(403);
+  });
+
+  test("should hold bookings for admin approval", async () => {
+    await setPolicy({ action: "require_approval", threshold: 1 }).expect(200);
+    await User.updateOne({ _id: patientId }, { noShowCount: 1 });
+
+    const response = await book().expect(201);
+    const appointmentId = response.body.data.appointment._id;
+    expect(response.body.data.appointment.status).toBe("pending-approval");
+
+    // The held booking still takes the slot
+    await book().expect(409);
+
+    await request(app)
+      .patch(`/api/appointments/${appointmentId}/status`)
+      .set("Cookie", patientCookies)
+      .send({ status: "scheduled" })
+      .expect(403);
+
+    await request(app)
+      .patch(`/api/appointments/${appointmentId}/status`)
+      .set("Cookie", adminCookies)
+      .send({ status: "scheduled" })
+      .expect(200);
+
+    const appointment = await Appointment.findById(appointmentId);
+    expect(appointment.status).toBe("scheduled");
+    expect(appointment.approvedAt).toBeDefined();
+  });
+
+  test("should count staff-marked no-shows and let admins reset the count", async () => {
+    const response = await book().expect(201);
+
+    await request(app)
+      .patch(`/api/appointments/${response.body.data.appointment._id}/status`)
+      .set("Cookie", adminCookies)
+      .send({ status: "no-show" })
+      .expect(200);
+    expect(await noShowCount()).toBe(1);
+
+    await request(app)
+      .delete(`/api/no-show-policy/patients/${patientId}`)
+      .set("Cookie", adminCookies)
+      .expect(200);
+    expect(await noShowCount()).toBe(0);
+  });
+});
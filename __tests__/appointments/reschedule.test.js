@@ -0,0 +1,207 @@
+/**
+ * Patient self-service reschedule integration tests
+ *
+ * Covers POST /api/appointments/:id/reschedule under the clinic
+ * appointment policy (notice window, reschedule limit) and the late
+ * cancellation flag, including how breaches are recorded.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const AuditLog = require("../../src/models/auditLog");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+const POLICY_ENV = [
+  "RESCHEDULE_MIN_NOTICE_HOURS",
+  "RESCHEDULE_MAX_COUNT",
+  "LATE_CANCEL_FLAG",
+];
+const originalPolicy = Object.fromEntries(
+  POLICY_ENV.map((name) => [name, process.env[name]]),
+);
+
+let patientCookies, doctorCookies;
+let doctorId, appointmentId;
+
+const reschedule = (
+  appointmentDate,
+  appointmentTime,
+  cookies = patientCookies,
+) =>
+  request(app)
+    .post(`/api/appointments/${appointmentId}/reschedule`)
+    .set("Cookie", cookies)
+    .send({ appointmentDate, appointmentTime });
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Move",
+    lastName: "Patient",
+    email: "reschedule.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Move",
+    lastName: "Doctor",
+    email: "reschedule.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-MOVE",
+  });
+  doctorCookies = doctorRes.headers["set-cookie"];
+  doctorId = doctorRes.body.data.user.id;
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+});
+
+afterAll(async () => {
+  for (const [name, value] of Object.entries(originalPolicy)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+
+  await Appointment.deleteMany({});
+  await AuditLog.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  POLICY_ENV.forEach((name) => delete process.env[name]);
+  await Appointment.deleteMany({});
+  await AuditLog.deleteMany({});
+
+  const response = await request(app)
+    .post("/api/appointments")
+    .set("Cookie", patientCookies)
+    .send({
+      doctorId,
+      appointmentDate: "2030-07-01",
+      appointmentTime: "10:00",
+      reason: "Follow-up",
+    });
+  appointmentId = response.body.data.appointment._id;
+});
+
+describe("Patient reschedule", () => {
+  test("should move the appointment and keep where it was", async () => {
+    const response = await reschedule("2030-07-02", "11:30").expect(200);
+
+    const appointment = response.body.data.appointment;
+    expect(appointment.schedule).toMatchObject({
+      date: "2030-07-02",
+      startTime: "11:30",
+    });
+    expect(appointment.rescheduleCount).toBe(1);
+    expect(appointment.rescheduleHistory[0]).toMatchObject({
+      fromTime: "10:00",
+      fromStartAt: "2030-07-01T10:00:00.000Z",
+      toStartAt: "2030-07-02T11:30:00.000Z",
+      role: "patient",
+    });
+
+    const audit = await AuditLog.findOne({ action: "RESCHEDULE_APPOINTMENT" });
+    expect(audit).not.toBeNull();
+  });
+
+  test("should only be available to the patient who booked", async () => {
+    await reschedule("2030-07-02", "11:30", doctorCookies).expect(403);
+  });
+
+  test("should refuse a slot that is already taken", async () => {
+    await request(app)
+      .post("/api/appointments")
+      .set("Cookie", patientCookies)
+      .send({
+        doctorId,
+        appointmentDate: "2030-07-02",
+        appointmentTime: "11:30",
+        reason: "Other visit",
+      })
+      .expect(201);
+
+    const response = await reschedule("2030-07-02", "11:45").expect(409);
+    expect(response.body.code).toBe("SLOT_CONFLICT");
+  });
+
+  test("should enforce the reschedule limit and record the breach", async () => {
+    process.env.RESCHEDULE_MAX_COUNT = "1";
+    await reschedule("2030-07-02", "11:30").expect(200);
+
+    const response = await reschedule("2030-07-03", "09:00").expect(422);
+    expect(response.body.code).toBe("RESCHEDULE_LIMIT_REACHED");
+    expect(response.body.policy.maxReschedules).toBe(1);
+
+    const stored = await Appointment.findById(appointmentId);
+    expect(stored.appointmentTime).toBe("11:30");
+    expect(stored.policyViolations).toHaveLength(1);
+    expect(stored.policyViolations[0].type).toBe("MAX_RESCHEDULES");
+
+    const audit = await AuditLog.findOne({
+      action: "APPOINTMENT_POLICY_VIOLATION",
+    });
+    expect(audit.changes.type).toBe("MAX_RESCHEDULES");
+  });
+
+  test("should enforce the minimum notice period", async () => {
+    // Push the notice window past the appointment
+    process.env.RESCHEDULE_MIN_NOTICE_HOURS = String(24 * 365 * 20);
+
+    const response = await reschedule("2030-07-02", "11:30").expect(422);
+    expect(response.body.code).toBe("RESCHEDULE_NOTICE_TOO_SHORT");
+
+    const stored = await Appointment.findById(appointmentId);
+    expect(stored.rescheduleCount).toBe(0);
+    expect(stored.policyViolations[0].type).toBe("MIN_NOTICE");
+  });
+});
+
+describe("Late cancellation", () => {
+  const cancel = (cookies) =>
+    request(app)
+      .delete(`/api/appointments/${appointmentId}`)
+      .set("Cookie", cookies)
+      .send({ cancelReason: "Cannot make it" })
+      .expect(200);
+
+  test("should flag a patient cancelling inside the notice window", async () => {
+    process.env.RESCHEDULE_MIN_NOTICE_HOURS = String(24 * 365 * 20);
+
+    const response = await cancel(patientCookies);
+    expect(response.body.data.appointment.lateCancellation).toBe(true);
+    expect(response.body.data.appointment.policyViolations[0].type).toBe(
+      "LATE_CANCELLATION",
+    );
+  });
+
+  test("should not flag early, staff or unflagged cancellations", async () => {
+    const early = await cancel(patientCookies);
+    expect(early.body.data.appointment.lateCancellation).toBe(false);
+
+    process.env.RESCHEDULE_MIN_NOTICE_HOURS = String(24 * 365 * 20);
+    await Appointment.findByIdAndUpdate(appointmentId, { status: "scheduled" });
+    const byDoctor = await cancel(doctorCookies);
+    expect(byDoctor.body.data.appointment.lateCancellation).toBe(false);
+
+    process.env.LATE_CANCEL_FLAG = "false";
+    await Appointment.findByIdAndUpdate(appointmentId, { status: "scheduled" });
+    const unflagged = await cancel(patientCookies);
+    expect(unflagged.body.data.appointment.lateCancellation).toBe(false);
+  });
+});
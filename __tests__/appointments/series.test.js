@@ -0,0 +1,448 @@
+/**
+ * Recurring appointment series integration tests
+ *
+ * Covers booking a series with per-occurrence conflict checks,
+ * editing and cancelling the whole series, and cancelling a single
+ * occurrence through the regular appointment endpoint.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const DoctorAvailability = require("../../src/models/doctorAvailability");
+const AppointmentSeries = require("../../src/models/appointmentSeries");
+const WaitlistEntry = require("../../src/models/waitlistEntry");
+const WaitlistOffer = require("../../src/models/waitlistOffer");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+let patientCookies, doctorCookies, adminCookies, waitingCookies;
+let doctorId;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dateKey = (daysFromNow) =>
+  new Date(Date.now() + daysFromNow * DAY_MS).toISOString().slice(0, 10);
+
+const startDate = dateKey(1);
+const originalNotice = process.env.RESCHEDULE_MIN_NOTICE_HOURS;
+
+const weeklySeries = (overrides = {}) => ({
+  doctorId,
+  startDate,
+  appointmentTime: "10:00",
+  duration: 30,
+  reason: "Diabetes follow-up",
+  recurrence: { frequency: "weekly", count: 4 },
+  ...overrides,
+});
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Series",
+    lastName: "Patient",
+    email: "series.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Series",
+    lastName: "Doctor",
+    email: "series.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "Endocrinology",
+    licenseNumber: "MD-SERIES",
+  });
+  doctorCookies = doctorRes.headers["set-cookie"];
+  doctorId = doctorRes.body.data.user.id;
+
+  const adminRes = await request(app).post("/api/auth/register").send({
+    firstName: "Series",
+    lastName: "Admin",
+    email: "series.admin@test.com",
+    password: "Test@1234",
+    phone: "5555555555",
+    role: "admin",
+    adminSecret: process.env.ADMIN_SECRET_KEY,
+  });
+  adminCookies = adminRes.headers["set-cookie"];
+
+  const waitingRes = await request(app).post("/api/auth/register").send({
+    firstName: "Waiting",
+    lastName: "Patient",
+    email: "series.waiting@test.com",
+    password: "Test@1234",
+    phone: "1234567891",
+    role: "patient",
+  });
+  waitingCookies = waitingRes.headers["set-cookie"];
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+
+  // Open all day every day, so bookings aren't held to the default hours
+  await DoctorAvailability.create({
+    doctor: doctorId,
+    weeklySchedule: [0, 1, 2, 3, 4, 5, 6].map((dayOfWeek) => ({
+      dayOfWeek,
+      startTime: "00:00",
+      endTime: "23:59",
+    })),
+  });
+});
+
+afterAll(async () => {
+  await Appointment.deleteMany({});
+  await AppointmentSeries.deleteMany({});
+  await WaitlistEntry.deleteMany({});
+  await WaitlistOffer.deleteMany({});
+  await DoctorAvailability.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  if (originalNotice === undefined) {
+    delete process.env.RESCHEDULE_MIN_NOTICE_HOURS;
+  } else {
+    process.env.RESCHEDULE_MIN_NOTICE_HOURS = originalNotice;
+  }
+  await Appointment.deleteMany({});
+  await AppointmentSeries.deleteMany({});
+  await WaitlistEntry.deleteMany({});
+  await WaitlistOffer.deleteMany({});
+});
+
+describe("Appointment Series API Tests", () => {
+  describe("POST /api/appointments/series", () => {
+    test("should book one appointment per weekly occurrence", async () => {
+      const response = await request(app)
+        .post("/api/appointments/series")
+        .set("Cookie", patientCookies)
+        .send(weeklySeries())
+        .expect(201);
+
+      const { series, appointments } = response.body.data;
+      expect(series.recurrence.frequency).toBe("weekly");
+      expect(appointments).toHaveLength(4);
+      expect(appointments.map((a) => a.appointmentDate.slice(0, 10))).toEqual([
+        startDate,
+        dateKey(8),
+        dateKey(15),
+        dateKey(22),
+      ]);
+      appointments.forEach((a) => expect(a.series).toBe(series._id));
+    });
+
+    test("should stop at the recurrence end date", async () => {
+      const response = await request(app)
+        .post("/api/appointments/series")
+        .set("Cookie", patientCookies)
+        .send(
+          weeklySeries({
+            recurrence: {
+              frequency: "daily",
+              interval: 2,
+              endDate: dateKey(7),
+            },
+          }),
+        )
+        .expect(201);
+
+      expect(response.body.data.appointments).toHaveLength(4);
+    });
+
+    test("should require an end date or count", async () => {
+      const response = await request(app)
+        .post("/api/appointments/series")
+        .set("Cookie", patientCookies)
+        .send(weeklySeries({ recurrence: { frequency: "weekly" } }))
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test("should reject a count that isn't a positive whole number", async () => {
+      for (const count of [-3, 2.5]) {
+        const response = await request(app)
+          .post("/api/appointments/series")
+          .set("Cookie", patientCookies)
+          .send(weeklySeries({ recurrence: { frequency: "weekly", count } }))
+          .expect(400);
+
+        expect(response.body.message).toBe(
+          "Occurrence count must be a whole number of at least 1",
+        );
+      }
+    });
+
+    test("should reject an interval outside 1 to 12", async () => {
+      for (const interval of ["x", -1, 13]) {
+        const response = await request(app)
+          .post("/api/appointments/series")
+          .set("Cookie", patientCookies)
+          .send(
+            weeklySeries({
+              recurrence: { frequency: "weekly", interval, count: 4 },
+            }),
+          )
+          .expect(400);
+
+        expect(response.body.message).toBe(
+          "Recurrence interval must be a whole number from 1 to 12",
+        );
+      }
+    });
+
+    test("should reject invalid dates and an end date before the start", async () => {
+      const invalidStart = await request(app)
+        .post("/api/appointments/series")
+        .set("Cookie", patientCookies)
+        .send(weeklySeries({ startDate: "not-a-date" }))
+        .expect(400);
+      expect(invalidStart.body.message).toBe(
+        "Start and end dates must be valid dates",
+      );
+
+      const invalidEnd = await request(app)
+        .post("/api/appointments/series")
+        .set("Cookie", patientCookies)
+        .send(
+          weeklySeries({
+            recurrence: { frequency: "daily", endDate: "not-a-date" },
+          }),
+        )
+        .expect(400);
+      expect(invalidEnd.body.message).toBe(
+        "Start and end dates must be valid dates",
+      );
+
+      const inverted = await request(app)
+        .post("/api/appointments/series")
+        .set("Cookie", patientCookies)
+        .send(
+          weeklySeries({
+            recurrence: { frequency: "daily", endDate: dateKey(0) },
+          }),
+        )
+        .expect(400);
+      expect(inverted.body.message).toBe(
+        "Recurrence end date cannot be before the start date",
+      );
+      expect(await Appointment.countDocuments()).toBe(0);
+    });
+
+    test("should reject the whole series when one occurrence conflicts", async () => {
+      await request(app)
+        .post("/api/appointments")
+        .set("Cookie", patientCookies)
+        .send({
+          doctorId,
+          appointmentDate: dateKey(15),
+          appointmentTime: "10:15",
+          duration: 30,
+          reason: "Existing visit",
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .post("/api/appointments/series")
+        .set("Cookie", patientCookies)
+        .send(weeklySeries())
+        .expect(409);
+
+      expect(response.body.code).toBe("SERIES_CONFLICT");
+      expect(response.body.conflicts).toHaveLength(1);
+      expect(response.body.conflicts[0].date).toBe(dateKey(15));
+      expect(await AppointmentSeries.countDocuments()).toBe(0);
+    });
+
+    test("should skip conflicting dates when asked to", async () => {
+      await request(app)
+        .post("/api/appointments")
+        .set("Cookie", patientCookies)
+        .send({
+          doctorId,
+          appointmentDate: dateKey(15),
+          appointmentTime: "10:00",
+          duration: 30,
+          reason: "Existing visit",
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .post("/api/appointments/series")
+        .set("Cookie", patientCookies)
+        .send(weeklySeries({ skipConflicts: true }))
+        .expect(201);
+
+      expect(response.body.data.appointments).toHaveLength(3);
+      expect(response.body.data.skipped[0].date).toBe(dateKey(15));
+    });
+
+    test("should not allow doctors to create a series", async () => {
+      await request(app)
+        .post("/api/appointments/series")
+        .set("Cookie", doctorCookies)
+        .send(weeklySeries())
+        .expect(403);
+    });
+  });
+
+  describe("Editing and cancelling", () => {
+    let seriesId, appointments;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post("/api/appointments/series")
+        .set("Cookie", patientCookies)
+        .send(weeklySeries());
+      seriesId = response.body.data.series._id;
+      appointments = response.body.data.appointments;
+    });
+
+    test("should cancel a single occurrence without touching the rest", async () => {
+      await request(app)
+        .delete(`/api/appointments/${appointments[1]._id}`)
+        .set("Cookie", patientCookies)
+        .send({ cancelReason: "Travelling" })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/appointments/series/${seriesId}`)
+        .set("Cookie", patientCookies)
+        .expect(200);
+
+      const statuses = response.body.data.appointments.map((a) => a.status);
+      expect(statuses).toEqual([
+        "scheduled",
+        "cancelled",
+        "scheduled",
+        "scheduled",
+      ]);
+      expect(response.body.data.series.status).toBe("active");
+    });
+
+    test("should move every upcoming occurrence to a new time", async () => {
+      const response = await request(app)
+        .put(`/api/appointments/series/${seriesId}`)
+        .set("Cookie", doctorCookies)
+        .send({ appointmentTime: "14:00" })
+        .expect(200);
+
+      expect(response.body.data.series.appointmentTime).toBe("14:00");
+      const moved = await Appointment.find({ series: seriesId });
+      moved.forEach((a) => expect(a.appointmentTime).toBe("14:00"));
+    });
+
+    test("should refuse a series edit that collides with another booking", async () => {
+      await request(app)
+        .post("/api/appointments")
+        .set("Cookie", adminCookies)
+        .send({
+          doctorId,
+          patientId: appointments[0].patient,
+          appointmentDate: dateKey(8),
+          appointmentTime: "14:00",
+          duration: 30,
+          reason: "Existing visit",
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .put(`/api/appointments/series/${seriesId}`)
+        .set("Cookie", doctorCookies)
+        .send({ appointmentTime: "14:00" })
+        .expect(409);
+
+      expect(response.body.code).toBe("SERIES_CONFLICT");
+      const unchanged = await Appointment.find({ series: seriesId });
+      unchanged.forEach((a) => expect(a.appointmentTime).toBe("10:00"));
+    });
+
+    test("should cancel all upcoming occurrences of the series", async () => {
+      const response = await request(app)
+        .delete(`/api/appointments/series/${seriesId}`)
+        .set("Cookie", patientCookies)
+        .send({ cancelReason: "Treatment finished" })
+        .expect(200);
+
+      expect(response.body.data.series.status).toBe("cancelled");
+      const remaining = await Appointment.countDocuments({
+        series: seriesId,
+        status: { $ne: "cancelled" },
+      });
+      expect(remaining).toBe(0);
+    });
+
+    test("should flag a patient's occurrences inside the notice window", async () => {
+      // Ten days: the first two weekly occurrences are inside the window
+      process.env.RESCHEDULE_MIN_NOTICE_HOURS = String(24 * 10);
+      await request(app)
+        .delete(`/api/appointments/series/${seriesId}`)
+        .set("Cookie", patientCookies)
+        .send({ cancelReason: "Treatment finished" })
+        .expect(200);
+
+      const cancelled = await Appointment.find({ series: seriesId }).sort({
+        startAt: 1,
+      });
+      expect(cancelled.map((a) => a.lateCancellation)).toEqual([
+        true,
+        true,
+        false,
+        false,
+      ]);
+      expect(cancelled[0].policyViolations[0].type).toBe("LATE_CANCELLATION");
+    });
+
+    test("should not flag a series the doctor cancels", async () => {
+      process.env.RESCHEDULE_MIN_NOTICE_HOURS = String(24 * 10);
+      await request(app)
+        .delete(`/api/appointments/series/${seriesId}`)
+        .set("Cookie", doctorCookies)
+        .send({ cancelReason: "Leaving the clinic" })
+        .expect(200);
+
+      const flagged = await Appointment.countDocuments({
+        series: seriesId,
+        lateCancellation: true,
+      });
+      expect(flagged).toBe(0);
+    });
+
+    test("should offer cancelled occurrences to the waitlist", async () => {
+      await request(app)
+        .post("/api/waitlist")
+        .set("Cookie", waitingCookies)
+        .send({
+          doctorId,
+          startDate: dateKey(8),
+          endDate: dateKey(8),
+          reason: "Any opening",
+        })
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/appointments/series/${seriesId}`)
+        .set("Cookie", patientCookies)
+        .send({ cancelReason: "Treatment finished" })
+        .expect(200);
+
+      const offer = await WaitlistOffer.findOne({ status: "pending" });
+      expect(offer.sourceAppointment.toString()).toBe(appointments[1]._id);
+      expect(offer.appointmentTime).toBe("10:00");
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Clinic timezone integration tests
+ *
+ * Runs with CLINIC_TIMEZONE=America/New_York and checks that
+ * appointments get correct UTC instants, that `schedule` renders them
+ * in clinic time, that analytics use the clinic's calendar, and that
+ * the migration backfills legacy documents.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const DoctorAvailability = require("../../src/models/doctorAvailability");
+const {
+  migrateAppointmentTimes,
+} = require("../../src/scripts/migrateAppointmentTimes");
+const { utcToZonedParts } = require("../../src/utils/time");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+const CLINIC_TIMEZONE = "America/New_York";
+const originalTimezone = process.env.CLINIC_TIMEZONE;
+
+let patientCookies, doctorCookies;
+let patientId, doctorId;
+
+const book = (appointmentDate, appointmentTime, duration = 30) =>
+  request(app).post("/api/appointments").set("Cookie", patientCookies).send({
+    doctorId,
+    appointmentDate,
+    appointmentTime,
+    duration,
+    reason: "Checkup",
+  });
+
+beforeAll(async () => {
+  process.env.CLINIC_TIMEZONE = CLINIC_TIMEZONE;
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Zone",
+    lastName: "Patient",
+    email: "tz.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+  patientId = patientRes.body.data.user.id;
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Zone",
+    lastName: "Doctor",
+    email: "tz.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-TZ",
+  });
+  doctorCookies = doctorRes.headers["set-cookie"];
+  doctorId = doctorRes.body.data.user.id;
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+
+  // Open all day every day, so bookings aren't held to the default hours
+  await DoctorAvailability.create({
+    doctor: doctorId,
+    weeklySchedule: [0, 1, 2, 3, 4, 5, 6].map((dayOfWeek) => ({
+      dayOfWeek,
+      startTime: "00:00",
+      endTime: "23:59",
+    })),
+  });
+});
+
+afterAll(async () => {
+  if (originalTimezone === undefined) delete process.env.CLINIC_TIMEZONE;
+  else process.env.CLINIC_TIMEZONE = originalTimezone;
+
+  await Appointment.deleteMany({});
+  await DoctorAvailability.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Appointment.deleteMany({});
+});
+
+describe("Clinic timezone", () => {
+  test("should store clinic wall-clock times as UTC instants", async () => {
+    const summer = await book("2030-07-01", "10:00", 45).expect(201);
+    const winter = await book("2030-01-15", "10:00").expect(201);
+
+    const summerApt = summer.body.data.appointment;
+    expect(summerApt.startAt).toBe("2030-07-01T14:00:00.000Z"); // EDT
+    expect(summerApt.endAt).toBe("2030-07-01T14:45:00.000Z");
+    expect(winter.body.data.appointment.startAt).toBe(
+      "2030-01-15T15:00:00.000Z", // EST
+    );
+
+    expect(summerApt.schedule).toMatchObject({
+      timezone: CLINIC_TIMEZONE,
+      date: "2030-07-01",
+      startTime: "10:00",
+      endTime: "10:45",
+    });
+    expect(summerApt.schedule.displayTime).toMatch(/10:00 AM EDT/);
+  });
+
+  test("should normalise 12-hour times and reject malformed ones", async () => {
+    const response = await book("2030-07-01", "2:30 PM").expect(201);
+    expect(response.body.data.appointment.appointmentTime).toBe("14:30");
+    expect(response.body.data.appointment.startAt).toBe(
+      "2030-07-01T18:30:00.000Z",
+    );
+
+    const invalid = await book("2030-07-01", "25:99").expect(400);
+    expect(invalid.body.code).toBe("INVALID_TIME");
+  });
+
+  test("should detect overlaps across the UTC day boundary", async () => {
+    // 23:00 New York time is 03:00 UTC the next day
+    await book("2030-07-01", "23:00", 30).expect(201);
+
+    const response = await book("2030-07-01", "23:15", 15).expect(409);
+    expect(response.body.code).toBe("SLOT_CONFLICT");
+  });
+
+  test("should count today's appointments on the clinic calendar", async () => {
+    const { dateKey: today } = utcToZonedParts(new Date(), CLINIC_TIMEZONE);
+    await book(today, "23:00").expect(201);
+
+    const response = await request(app)
+      .get("/api/analytics/overview")
+      .set("Cookie", doctorCookies)
+      .expect(200);
+
+    expect(response.body.data.timezone).toBe(CLINIC_TIMEZONE);
+    expect(response.body.data.todayAppointments).toBe(1);
+  });
+
+  test("should reject analytics date filters that aren't dates", async () => {
+    const response = await request(app)
+      .get(`/api/analytics/doctors/${doctorId}`)
+      .query({ startDate: "not-a-date", endDate: "2030-07-31" })
+      .set("Cookie", doctorCookies)
+      .expect(400);
+
+    expect(response.body.message).toBe(
+      "Start and end dates must be valid dates",
+    );
+  });
+
+  test("should backfill instants on legacy appointments", async () => {
+    await Appointment.collection.insertOne({
+      patient: new mongoose.Types.ObjectId(patientId),
+      doctor: new mongoose.Types.ObjectId(doctorId),
+      appointmentDate: new Date("2030-07-01T09:17:00.000Z"),
+      appointmentTime: "2:30 PM",
+      duration: 30,
+      status: "scheduled",
+      reason: "Legacy booking",
+    });
+
+    const summary = await migrateAppointmentTimes();
+    expect(summary).toMatchObject({ scanned: 1, updated: 1 });
+
+    const legacy = await Appointment.findOne({ reason: "Legacy booking" });
+    expect(legacy.appointmentDate.toISOString()).toBe(
+      "2030-07-01T00:00:00.000Z",
+    );
+    expect(legacy.appointmentTime).toBe("14:30");
+    expect(legacy.startAt.toISOString()).toBe("2030-07-01T18:30:00.000Z");
+
+    // Already converted documents are left alone on re-run
+    const rerun = await migrateAppointmentTimes();
+    expect(rerun.scanned).toBe(0);
+  });
+});
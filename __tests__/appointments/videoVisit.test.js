@@ -0,0 +1,169 @@
+/**
+ * Video visit integration tests
+ *
+ * Covers the visit type on bookings and GET /api/appointments/:id/video,
+ * which applies the same access rules as joining the visit's socket
+ * room: only the patient and doctor of an active video appointment.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const {
+  parseVisitRoom,
+  checkVisitAccess,
+} = require("../../src/services/videoVisitService");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+let patientCookies, doctorCookies, otherDoctorCookies, adminCookies;
+let patientId, otherDoctorId, doctorId;
+
+const book = (visitType, appointmentTime = "10:00") =>
+  request(app).post("/api/appointments").set("Cookie", patientCookies).send({
+    doctorId,
+    appointmentDate: "2030-07-01",
+    appointmentTime,
+    reason: "Follow-up",
+    visitType,
+  });
+
+const getVideo = (cookies, id) =>
+  request(app).get(`/api/appointments/${id}/video`).set("Cookie", cookies);
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Remote",
+    lastName: "Patient",
+    email: "video.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+  patientId = patientRes.body.data.user.id;
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Remote",
+    lastName: "Doctor",
+    email: "video.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-VIDEO",
+  });
+  doctorCookies = doctorRes.headers["set-cookie"];
+  doctorId = doctorRes.body.data.user.id;
+
+  const otherDoctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Other",
+    lastName: "Doctor",
+    email: "video.other@test.com",
+    password: "Test@1234",
+    phone: "9876543211",
+    role: "doctor",
+    specialization: "Cardiology",
+    licenseNumber: "MD-VIDEO-2",
+  });
+  otherDoctorCookies = otherDoctorRes.headers["set-cookie"];
+  otherDoctorId = otherDoctorRes.body.data.user.id;
+
+  const adminRes = await request(app).post("/api/auth/register").send({
+    firstName: "Video",
+    lastName: "Admin",
+    email: "video.admin@test.com",
+    password: "Test@1234",
+    phone: "5555555555",
+    role: "admin",
+    adminSecret: process.env.ADMIN_SECRET_KEY,
+  });
+  adminCookies = adminRes.headers["set-cookie"];
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+});
+
+afterAll(async () => {
+  await Appointment.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Appointment.deleteMany({});
+});
+
+describe("Visit type", () => {
+  test("should default to in-person and accept video", async () => {
+    const inPerson = await book(undefined).expect(201);
+    expect(inPerson.body.data.appointment.visitType).toBe("in-person");
+
+    const video = await book("video", "11:00").expect(201);
+    expect(video.body.data.appointment.visitType).toBe("video");
+  });
+
+  test("should reject an unknown visit type", async () => {
+    await book("phone").expect(400);
+  });
+});
+
+describe("Video visit access", () => {
+  test("should give the patient and doctor the room and ICE servers", async () => {
+    const booked = await book("video").expect(201);
+    const id = booked.body.data.appointment._id;
+
+    const response = await getVideo(patientCookies, id).expect(200);
+    expect(response.body.data.room).toBe(`visit_${id}`);
+    expect(response.body.data.iceServers[0].urls).toMatch(/^stun:/);
+    expect(response.body.data.appointment.doctor.lastName).toBe("Doctor");
+
+    await getVideo(doctorCookies, id).expect(200);
+  });
+
+  test("should keep everyone else out", async () => {
+    const booked = await book("video").expect(201);
+    const id = booked.body.data.appointment._id;
+
+    const response = await getVideo(otherDoctorCookies, id).expect(403);
+    expect(response.body.code).toBe("VISIT_ACCESS_DENIED");
+    await getVideo(adminCookies, id).expect(403);
+
+    const { problem } = await checkVisitAccess(id, otherDoctorId);
+    expect(problem.code).toBe("VISIT_ACCESS_DENIED");
+    const { appointment } = await checkVisitAccess(id, patientId);
+    expect(appointment._id.toString()).toBe(id);
+  });
+
+  test("should refuse in-person and finished visits", async () => {
+    const inPerson = await book("in-person").expect(201);
+    const notVideo = await getVideo(
+      patientCookies,
+      inPerson.body.data.appointment._id,
+    ).expect(422);
+    expect(notVideo.body.code).toBe("NOT_VIDEO_VISIT");
+
+    const video = await book("video", "11:00").expect(201);
+    const id = video.body.data.appointment._id;
+    await request(app)
+      .delete(`/api/appointments/${id}`)
+      .set("Cookie", patientCookies)
+      .expect(200);
+
+    const cancelled = await getVideo(doctorCookies, id).expect(422);
+    expect(cancelled.body.code).toBe("VISIT_NOT_ACTIVE");
+  });
+
+  test("should only treat visit_ rooms as visit rooms", () => {
+    expect(parseVisitRoom("visit_abc")).toBe("abc");
+    expect(parseVisitRoom("user_abc")).toBeNull();
+    expect(parseVisitRoom({ room: "visit_abc" })).toBeNull();
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Account lockout integration tests
+ *
+ * Covers the growing delay after a few failed sign-ins, the temporary
+ * lock (which refuses even the right password), starting the count
+ * again after a success, a lock running out, and unlocking by an admin
+ * or a password reset, with the audit trail.  The lock threshold is
+ * lowered for the tests, and the delay between failures is skipped by
+ * clearing it in the database.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Session = require("../../src/models/session");
+const PasswordResetToken = require("../../src/models/passwordResetToken");
+const AuditLog = require("../../src/models/auditLog");
+const { requestPasswordReset } = require("../../src/services/passwordService");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+const email = "lockout.patient@test.com";
+const password = "Test@1234";
+const THRESHOLD = 6;
+
+let originalThreshold, userId, adminCookies;
+
+const login = (attempt = password) =>
+  request(app).post("/api/auth/login").send({ email, password: attempt });
+
+// Let the next attempt through without waiting out the delay
+const skipDelay = () =>
+  User.updateOne({ email }, { $unset: { nextLoginAttemptAt: 1 } });
+
+const failLogins = async (count) => {
+  for (let i = 0; i < count; i += 1) {
+    await skipDelay();
+    await login("Wrong@1234").expect(401);
+  }
+};
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+  originalThreshold = process.env.LOGIN_LOCKOUT_THRESHOLD;
+  process.env.LOGIN_LOCKOUT_THRESHOLD = String(THRESHOLD);
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Session.deleteMany({});
+  await PasswordResetToken.deleteMany({});
+  await AuditLog.deleteMany({});
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Guessed",
+    lastName: "Patient",
+    email,
+    password,
+    phone: "1234567890",
+    role: "patient",
+  });
+  userId = patientRes.body.data.user.id;
+
+  const adminRes = await request(app).post("/api/auth/register").send({
+    firstName: "Lockout",
+    lastName: "Admin",
+    email: "lockout.admin@test.com",
+    password,
+    phone: "1234567891",
+    role: "admin",
+    adminSecret: process.env.ADMIN_SECRET_KEY,
+  });
+  adminCookies = adminRes.headers["set-cookie"];
+});
+
+afterAll(async () => {
+  if (originalThreshold === undefined) {
+    delete process.env.LOGIN_LOCKOUT_THRESHOLD;
+  } else {
+    process.env.LOGIN_LOCKOUT_THRESHOLD = originalThreshold;
+  }
+
+  await PasswordResetToken.deleteMany({});
+  await Session.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("Failed sign-ins", () => {
+  test("should slow down guesses after a few failures", async () => {
+    await login("Wrong@1234").expect(401);
+    await login("Wrong@1234").expect(401);
+    expect((await User.findById(userId)).nextLoginAttemptAt).toBeFalsy();
+
+    // 1 s after the third failure, 2 s after the fourth, 4 s after the fifth
+    await failLogins(3);
+
+    // Even the right password has to wait
+    const response = await login().expect(429);
+    expect(response.body.code).toBe("LOGIN_THROTTLED");
+    const retryAfter = Number(response.headers["retry-after"]);
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(4);
+
+    const failures = await AuditLog.find({
+      user: userId,
+      action: "LOGIN_FAILED",
+    });
+    expect(failures).toHaveLength(5);
+    expect(failures.every((log) => log.changes.reason === "password")).toBe(
+      true,
+    );
+  });
+
+  test("should start counting again after a successful sign-in", async () => {
+    await failLogins(2);
+    await login().expect(200);
+
+    const user = await User.findById(userId);
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(user.nextLoginAttemptAt).toBeUndefined();
+  });
+});
+
+describe("Locked accounts", () => {
+  test("should lock after too many failures, even for the right password", async () => {
+    await failLogins(THRESHOLD);
+
+    await skipDelay();
+    const response = await login().expect(423);
+    expect(response.body.code).toBe("ACCOUNT_LOCKED");
+    expect(Number(response.headers["retry-after"])).toBeGreaterThan(0);
+
+    const user = await User.findById(userId);
+    expect(user.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+
+    const locked = await AuditLog.find({
+      user: userId,
+      action: "ACCOUNT_LOCKED",
+    });
+    expect(locked).toHaveLength(1);
+    expect(locked[0].changes.failedLoginAttempts).toBe(THRESHOLD);
+  });
+
+  test("should open again once the lock runs out", async () => {
+    await failLogins(THRESHOLD);
+    await User.updateOne(
+      { _id: userId },
+      { $set: { lockedUntil: new Date(Date.now() - 1000) } },
+    );
+    await skipDelay();
+
+    await login("Wrong@1234").expect(401);
+    expect((await User.findById(userId)).failedLoginAttempts).toBe(1);
+    await login().expect(200);
+  });
+
+  test("should be unlocked by an admin", async () => {
+    await failLogins(THRESHOLD);
+
+    const response = await request(app)
+      .post(`/api/auth/users/${userId}/unlock`)
+      .set("Cookie", adminCookies)
+      .expect(200);
+    expect(response.body.message).toBe("Account unlocked");
+
+    await login().expect(200);
+    expect(
+      await AuditLog.countDocuments({
+        action: "UNLOCK_ACCOUNT",
+        resourceId: userId,
+      }),
+    ).toBe(1);
+  });
+
+  test("should only be unlocked by admins", async () => {
+    await failLogins(THRESHOLD);
+    const otherRes = await request(app).post("/api/auth/register").send({
+      firstName: "Other",
+      lastName: "Patient",
+      email: "lockout.other@test.com",
+      password,
+      phone: "1234567892",
+      role: "patient",
+    });
+
+    await request(app)
+      .post(`/api/auth/users/${userId}/unlock`)
+      .set("Cookie", otherRes.headers["set-cookie"])
+      .expect(403);
+    await login().expect(423);
+  });
+
+  test("should be unlocked by resetting the password", async () => {
+    await failLogins(THRESHOLD);
+
+    const { url } = await requestPasswordReset(email);
+    const token = new URL(url).searchParams.get("token");
+    await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, newPassword: "Changed@5678" })
+      .expect(200);
+
+    await login("Changed@5678").expect(200);
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Email verification integration tests
+ *
+ * Covers that new accounts start unverified and cannot book, verifying
+ * with a signed link (and refusing tampered, expired and out-of-date
+ * ones), throttled resends, the admin override, and the migration that
+ * treats accounts from before verification as verified.  Links are
+ * taken from the service, since no email is sent in tests.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const Session = require("../../src/models/session");
+const AuditLog = require("../../src/models/auditLog");
+const {
+  issueVerification,
+  resendVerification,
+} = require("../../src/services/emailVerificationService");
+const {
+  migrateEmailVerification,
+} = require("../../src/scripts/migrateEmailVerification");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+let patientCookies, adminCookies, patientId, doctorId;
+
+// The token from a verification link
+const tokenOf = ({ url }) => new URL(url).searchParams.get("token");
+
+const verify = (token) =>
+  request(app).post("/api/auth/verify-email").send({ token });
+
+const book = () =>
+  request(app).post("/api/appointments").set("Cookie", patientCookies).send({
+    doctorId,
+    appointmentDate: "2030-06-03",
+    appointmentTime: "10:00",
+    reason: "Check-up",
+  });
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+});
+
+beforeEach(async () => {
+  await Appointment.deleteMany({});
+  await User.deleteMany({});
+  await Session.deleteMany({});
+  await AuditLog.deleteMany({});
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "New",
+    lastName: "Patient",
+    email: "verify.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+  patientId = patientRes.body.data.user.id;
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Verify",
+    lastName: "Doctor",
+    email: "verify.doctor@test.com",
+    password: "Test@1234",
+    phone: "1234567891",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-VERIFY",
+  });
+  doctorId = doctorRes.body.data.user.id;
+
+  const adminRes = await request(app).post("/api/auth/register").send({
+    firstName: "Verify",
+    lastName: "Admin",
+    email: "verify.admin@test.com",
+    password: "Test@1234",
+    phone: "1234567892",
+    role: "admin",
+    adminSecret: process.env.ADMIN_SECRET_KEY,
+  });
+  adminCookies = adminRes.headers["set-cookie"];
+});
+
+afterAll(async () => {
+  await Appointment.deleteMany({});
+  await Session.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("Registration", () => {
+  test("should start unverified and refuse bookings until verified", async () => {
+    const patient = await User.findById(patientId);
+    expect(patient.emailVerified).toBe(false);
+    expect(patient.verificationEmailSentAt).toBeDefined();
+
+    const refused = await book().expect(403);
+    expect(refused.body.code).toBe("EMAIL_NOT_VERIFIED");
+
+    await verify(tokenOf(await issueVerification(patient))).expect(200);
+    await book().expect(201);
+  });
+
+  test("should report the flag at login", async () => {
+    const response = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "verify.patient@test.com", password: "Test@1234" })
+      .expect(200);
+
+    expect(response.body.data.user.emailVerified).toBe(false);
+  });
+});
+
+describe("POST /api/auth/verify-email", () => {
+  test("should verify once and accept the link again", async () => {
+    const token = tokenOf(
+      await issueVerification(await User.findById(patientId)),
+    );
+
+    await verify(token).expect(200);
+    const patient = await User.findById(patientId);
+    expect(patient.emailVerified).toBe(true);
+    expect(patient.emailVerifiedAt).toBeDefined();
+
+    const again = await verify(token).expect(200);
+    expect(again.body.message).toMatch(/already verified/);
+    expect(
+      await AuditLog.countDocuments({
+        user: patientId,
+        action: "VERIFY_EMAIL",
+      }),
+    ).toBe(1);
+  });
+
+  test("should refuse tampered, expired and out-of-date links", async () => {
+    const patient = await User.findById(patientId);
+    const token = tokenOf(await issueVerification(patient));
+
+    const tampered = await verify(`${token}x`).expect(400);
+    expect(tampered.body.code).toBe("INVALID_VERIFICATION_TOKEN");
+    await verify("").expect(400);
+
+    const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const expired = await verify(
+      tokenOf(await issueVerification(patient, { now: lastWeek })),
+    ).expect(410);
+    expect(expired.body.code).toBe("VERIFICATION_LINK_EXPIRED");
+
+    // A link for an address the account no longer has
+    await User.updateOne({ _id: patientId }, { email: "moved@test.com" });
+    await verify(token).expect(400);
+
+    expect((await User.findById(patientId)).emailVerified).toBe(false);
+  });
+});
+
+describe("POST /api/auth/resend-verification", () => {
+  const resend = () =>
+    request(app)
+      .post("/api/auth/resend-verification")
+      .set("Cookie", patientCookies);
+
+  test("should throttle resends", async () => {
+    const throttled = await resend().expect(429);
+    expect(throttled.body.code).toBe("VERIFICATION_THROTTLED");
+    expect(Number(throttled.headers["retry-after"])).toBeGreaterThan(0);
+
+    await User.updateOne(
+      { _id: patientId },
+      { verificationEmailSentAt: new Date(Date.now() - 5 * 60 * 1000) },
+    );
+    await resend().expect(200);
+    await resend().expect(429);
+  });
+
+  test("should send a link that verifies the account", async () => {
+    const later = new Date(Date.now() + 5 * 60 * 1000);
+    const resent = await resendVerification(patientId, { now: later });
+
+    await verify(tokenOf(resent)).expect(200);
+    const already = await resend().expect(400);
+    expect(already.body.code).toBe("ALREADY_VERIFIED");
+  });
+
+  test("should require authentication", async () => {
+    await request(app).post("/api/auth/resend-verification").expect(401);
+  });
+});
+
+describe("Admin override", () => {
+  const override = (id, cookies = adminCookies) =>
+    request(app)
+      .post(`/api/auth/users/${id}/verify-email`)
+      .set("Cookie", cookies);
+
+  test("should let admins mark an account verified", async () => {
+    await override(patientId).expect(200);
+
+    expect((await User.findById(patientId)).emailVerified).toBe(true);
+    const log = await AuditLog.findOne({
+      action: "VERIFY_EMAIL",
+      resourceId: patientId,
+    });
+    expect(log.changes.override).toBe(true);
+    await book().expect(201);
+  });
+
+  test("should be admin only and 404 for unknown users", async () => {
+    await override(patientId, patientCookies).expect(403);
+    await override(new mongoose.Types.ObjectId()).expect(404);
+    await override("not-an-id").expect(404);
+  });
+});
+
+describe("Migration", () => {
+  test("should mark accounts from before verification as verified", async () => {
+    await User.collection.updateOne(
+      { _id: new mongoose.Types.ObjectId(patientId) },
+      { $unset: { emailVerified: "" } },
+    );
+
+    const { updated } = await migrateEmailVerification();
+
+    expect(updated).toBe(1);
+    const patient = await User.findById(patientId);
+    expect(patient.emailVerified).toBe(true);
+    expect(patient.emailVerifiedAt).toEqual(patient.createdAt);
+    expect((await User.findById(doctorId)).emailVerified).toBe(false);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Change-password and password-reset integration tests
+ *
+ * Covers changing the password with the current one (and signing out
+ * the user's other sessions), the forgot-password answer that doesn't
+ * reveal accounts, and resetting with a hashed, single-use, expiring
+ * link token.  Reset links are taken from the service, since no email
+ * is sent in tests.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Session = require("../../src/models/session");
+const PasswordResetToken = require("../../src/models/passwordResetToken");
+const AuditLog = require("../../src/models/auditLog");
+const { requestPasswordReset } = require("../../src/services/passwordService");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+const email = "password.patient@test.com";
+const originalPassword = "Test@1234";
+const newPassword = "Changed@5678";
+
+let userId;
+
+const login = (password) =>
+  request(app).post("/api/auth/login").send({ email, password });
+
+// The token from a reset link
+const tokenOf = ({ url }) => new URL(url).searchParams.get("token");
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Session.deleteMany({});
+  await PasswordResetToken.deleteMany({});
+
+  const response = await request(app).post("/api/auth/register").send({
+    firstName: "Forgetful",
+    lastName: "Patient",
+    email,
+    password: originalPassword,
+    phone: "1234567890",
+    role: "patient",
+  });
+  userId = response.body.data.user.id;
+});
+
+afterAll(async () => {
+  await PasswordResetToken.deleteMany({});
+  await Session.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("PUT /api/auth/password", () => {
+  test("should change the password and sign out the other sessions", async () => {
+    const phone = (await login(originalPassword).expect(200)).headers[
+      "set-cookie"
+    ];
+    const laptop = (await login(originalPassword).expect(200)).headers[
+      "set-cookie"
+    ];
+
+    await request(app)
+      .put("/api/auth/password")
+      .set("Cookie", laptop)
+      .send({ currentPassword: originalPassword, newPassword })
+      .expect(200);
+
+    await request(app).get("/api/auth/me").set("Cookie", laptop).expect(200);
+    const signedOut = await request(app)
+      .get("/api/auth/me")
+      .set("Cookie", phone)
+      .expect(401);
+    expect(signedOut.body.code).toBe("SESSION_REVOKED");
+
+    await login(originalPassword).expect(401);
+    await login(newPassword).expect(200);
+    expect(
+      await AuditLog.countDocuments({
+        user: userId,
+        action: "CHANGE_PASSWORD",
+      }),
+    ).toBe(1);
+  });
+
+  test("should refuse a wrong current password, a weak or an unchanged one", async () => {
+    const cookies = (await login(originalPassword)).headers["set-cookie"];
+    const change = (body) =>
+      request(app).put("/api/auth/password").set("Cookie", cookies).send(body);
+
+    const wrong = await change({
+      currentPassword: "Wrong@1234",
+      newPassword,
+    }).expect(400);
+    expect(wrong.body.code).toBe("INCORRECT_PASSWORD");
+
+    await change({
+      currentPassword: originalPassword,
+      newPassword: "weak",
+    }).expect(400);
+
+    const same = await change({
+      currentPassword: originalPassword,
+      newPassword: originalPassword,
+    }).expect(400);
+    expect(same.body.code).toBe("SAME_PASSWORD");
+
+    await login(originalPassword).expect(200);
+  });
+
+  test("should require authentication", async () => {
+    await request(app)
+      .put("/api/auth/password")
+      .send({ currentPassword: originalPassword, newPassword })
+      .expect(401);
+  });
+});
+
+describe("Password reset", () => {
+  test("should answer the same for known and unknown emails", async () => {
+    const known = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email })
+      .expect(200);
+    const unknown = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "nobody@test.com" })
+      .expect(200);
+
+    expect(unknown.body).toEqual(known.body);
+    expect(await PasswordResetToken.countDocuments()).toBe(1);
+    expect(
+      await AuditLog.countDocuments({
+        user: userId,
+        action: "REQUEST_PASSWORD_RESET",
+      }),
+    ).toBe(1);
+  });
+
+  test("should store only a hash of the token", async () => {
+    const reset = await requestPasswordReset(email);
+    const [stored] = await PasswordResetToken.find({ user: userId });
+
+    expect(stored.tokenHash).not.toBe(tokenOf(reset));
+    expect(stored.tokenHash).toHaveLength(64);
+  });
+
+  test("should reset the password once and sign out everywhere", async () => {
+    const cookies = (await login(originalPassword)).headers["set-cookie"];
+    const token = tokenOf(await requestPasswordReset(email));
+
+    await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, newPassword })
+      .expect(200);
+
+    await request(app).get("/api/auth/me").set("Cookie", cookies).expect(401);
+    await login(newPassword).expect(200);
+    expect(
+      await AuditLog.countDocuments({ user: userId, action: "RESET_PASSWORD" }),
+    ).toBe(1);
+
+    const reused = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, newPassword: "Another@9012" })
+      .expect(400);
+    expect(reused.body.code).toBe("INVALID_RESET_TOKEN");
+  });
+
+  test("should keep the link usable when the new password is rejected", async () => {
+    const token = tokenOf(await requestPasswordReset(email));
+
+    await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, newPassword: "weak" })
+      .expect(400);
+    await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, newPassword })
+      .expect(200);
+  });
+
+  test("should refuse expired and replaced links", async () => {
+    const first = tokenOf(await requestPasswordReset(email));
+    const second = tokenOf(await requestPasswordReset(email));
+
+    const replaced = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token: first, newPassword })
+      .expect(400);
+    expect(replaced.body.code).toBe("INVALID_RESET_TOKEN");
+
+    await PasswordResetToken.updateMany(
+      {},
+      { expiresAt: new Date(Date.now() - 1000) },
+    );
+    await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token: second, newPassword })
+      .expect(400);
+
+    await login(originalPassword).expect(200);
+  });
+});
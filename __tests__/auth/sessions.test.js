@@ -0,0 +1,304 @@
+/**
+ * Session and refresh-token integration tests
+ *
+ * Covers the two cookies set at login, refresh-token rotation, that a
+ * replayed refresh token signs its session out (but a concurrent
+ * refresh does not), listing and revoking sessions, logging out of
+ * every device, and that revoked sessions are refused by REST routes
+ * and the socket handshake and have their open sockets closed.
+ */
+
+const http = require("http");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { io: connectClient } = require("socket.io-client");
+const app = require("../../src/app");
+const initializeSocket = require("../../src/config/socket");
+const User = require("../../src/models/user");
+const Session = require("../../src/models/session");
+const AuditLog = require("../../src/models/auditLog");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+const credentials = {
+  email: "sessions.patient@test.com",
+  password: "Test@1234",
+};
+
+let server, io, url, appIo;
+const clients = [];
+
+// The value of a cookie from a response's Set-Cookie headers
+const cookieValue = (response, name) => {
+  const header = (response.headers["set-cookie"] || []).find((cookie) =>
+    cookie.startsWith(`${name}=`),
+  );
+  return header && header.split(";")[0].slice(name.length + 1);
+};
+
+// Sign in on a new "device"; resolves with its tokens and cookies
+const signIn = async () => {
+  const response = await request(app)
+    .post("/api/auth/login")
+    .send(credentials)
+    .expect(200);
+  return {
+    token: cookieValue(response, "token"),
+    refreshToken: cookieValue(response, "refreshToken"),
+    cookies: response.headers["set-cookie"],
+  };
+};
+
+const refresh = (refreshToken) =>
+  request(app)
+    .post("/api/auth/refresh")
+    .set("Cookie", [`refreshToken=${refreshToken}`]);
+
+const getMe = (token) =>
+  request(app)
+    .get("/api/auth/me")
+    .set("Cookie", [`token=${token}`]);
+
+const sessionIdOf = (refreshToken) => refreshToken.split(".")[0];
+
+// Resolves with "connected" or the handshake error message
+const connectWith = (token) =>
+  new Promise((resolve) => {
+    const client = connectClient(url, {
+      auth: { token },
+      transports: ["websocket"],
+      forceNew: true,
+    });
+    clients.push(client);
+    client.once("connected", () => resolve({ client }));
+    client.once("connect_error", (error) => resolve({ error: error.message }));
+  });
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  await request(app)
+    .post("/api/auth/register")
+    .send({
+      ...credentials,
+      firstName: "Many",
+      lastName: "Devices",
+      phone: "1234567890",
+      role: "patient",
+    })
+    .expect(201);
+
+  server = http.createServer();
+  io = initializeSocket(server);
+  await new Promise((resolve) => server.listen(0, resolve));
+  url = `http://localhost:${server.address().port}`;
+
+  // Route controller disconnects sockets on the test server
+  appIo = app.get("io");
+  app.set("io", io);
+});
+
+beforeEach(async () => {
+  await Session.deleteMany({});
+});
+
+afterEach(() => {
+  clients.splice(0).forEach((client) => client.close());
+});
+
+afterAll(async () => {
+  app.set("io", appIo);
+  io.close();
+  await Session.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("Login and refresh", () => {
+  test("should set an access token and a refresh token scoped to /api/auth", async () => {
+    const response = await request(app)
+      .post("/api/auth/login")
+      .send(credentials)
+      .expect(200);
+
+    const refreshCookie = response.headers["set-cookie"].find((cookie) =>
+      cookie.startsWith("refreshToken="),
+    );
+    expect(cookieValue(response, "token")).toBeTruthy();
+    expect(refreshCookie).toMatch(/Path=\/api\/auth/);
+    expect(refreshCookie).toMatch(/HttpOnly/);
+    expect(await Session.countDocuments()).toBe(1);
+  });
+
+  test("should rotate the refresh token and issue a working access token", async () => {
+    const { refreshToken } = await signIn();
+
+    const response = await refresh(refreshToken).expect(200);
+    const rotated = cookieValue(response, "refreshToken");
+    expect(rotated).toBeTruthy();
+    expect(rotated).not.toBe(refreshToken);
+    expect(sessionIdOf(rotated)).toBe(sessionIdOf(refreshToken));
+
+    await getMe(cookieValue(response, "token")).expect(200);
+    await refresh(rotated).expect(200);
+  });
+
+  test("should answer a concurrent refresh without signing the session out", async () => {
+    const { refreshToken } = await signIn();
+    const response = await refresh(refreshToken).expect(200);
+
+    const again = await refresh(refreshToken).expect(401);
+    expect(again.body.code).toBe("REFRESH_SUPERSEDED");
+
+    await refresh(cookieValue(response, "refreshToken")).expect(200);
+  });
+
+  test("should sign the session out when a replaced refresh token is replayed", async () => {
+    const { refreshToken } = await signIn();
+    const response = await refresh(refreshToken).expect(200);
+    const token = cookieValue(response, "token");
+
+    // Long past the grace period for concurrent refreshes
+    await Session.updateOne(
+      { _id: sessionIdOf(refreshToken) },
+      { rotatedAt: new Date(Date.now() - 5 * 60 * 1000) },
+    );
+
+    const replay = await refresh(refreshToken).expect(401);
+    expect(replay.body.code).toBe("REFRESH_TOKEN_REUSED");
+
+    const session = await Session.findById(sessionIdOf(refreshToken));
+    expect(session.revokedReason).toBe("reuse_detected");
+    expect(
+      await AuditLog.countDocuments({
+        action: "REFRESH_TOKEN_REUSE",
+        resourceId: session._id,
+      }),
+    ).toBe(1);
+
+    // Neither the thief's nor the owner's tokens work any more
+    const owner = await refresh(cookieValue(response, "refreshToken")).expect(
+      401,
+    );
+    expect(owner.body.code).toBe("SESSION_REVOKED");
+    const me = await getMe(token).expect(401);
+    expect(me.body.code).toBe("SESSION_REVOKED");
+  });
+
+  test("should refuse a missing or made-up refresh token", async () => {
+    const missing = await request(app).post("/api/auth/refresh").expect(401);
+    expect(missing.body.code).toBe("NO_REFRESH_TOKEN");
+
+    const madeUp = await refresh(
+      `${new mongoose.Types.ObjectId()}.not-a-secret`,
+    ).expect(401);
+    expect(madeUp.body.code).toBe("INVALID_REFRESH_TOKEN");
+  });
+});
+
+describe("Session management", () => {
+  test("should list the user's sessions and mark the current one", async () => {
+    await signIn();
+    const { cookies } = await signIn();
+
+    const response = await request(app)
+      .get("/api/auth/sessions")
+      .set("Cookie", cookies)
+      .expect(200);
+
+    const { sessions } = response.body.data;
+    expect(sessions).toHaveLength(2);
+    expect(sessions.filter((session) => session.current)).toHaveLength(1);
+    expect(sessions[0]).toHaveProperty("device");
+    expect(sessions[0]).toHaveProperty("lastSeenAt");
+    expect(sessions[0]).not.toHaveProperty("tokenHash");
+  });
+
+  test("should revoke another device and refuse its tokens", async () => {
+    const phone = await signIn();
+    const laptop = await signIn();
+
+    await request(app)
+      .delete(`/api/auth/sessions/${sessionIdOf(phone.refreshToken)}`)
+      .set("Cookie", laptop.cookies)
+      .expect(200);
+
+    const me = await getMe(phone.token).expect(401);
+    expect(me.body.code).toBe("SESSION_REVOKED");
+    await refresh(phone.refreshToken).expect(401);
+    await getMe(laptop.token).expect(200);
+
+    // Already gone, or never existed
+    await request(app)
+      .delete(`/api/auth/sessions/${sessionIdOf(phone.refreshToken)}`)
+      .set("Cookie", laptop.cookies)
+      .expect(404);
+    await request(app)
+      .delete("/api/auth/sessions/not-an-id")
+      .set("Cookie", laptop.cookies)
+      .expect(404);
+  });
+
+  test("should end only the current session on logout", async () => {
+    const phone = await signIn();
+    const laptop = await signIn();
+
+    await request(app)
+      .post("/api/auth/logout")
+      .set("Cookie", laptop.cookies)
+      .expect(200);
+
+    await getMe(laptop.token).expect(401);
+    await getMe(phone.token).expect(200);
+  });
+
+  test("should log out of every device", async () => {
+    const phone = await signIn();
+    const laptop = await signIn();
+
+    const response = await request(app)
+      .post("/api/auth/logout-all")
+      .set("Cookie", laptop.cookies)
+      .expect(200);
+    expect(response.body.data.count).toBe(2);
+
+    await getMe(phone.token).expect(401);
+    await getMe(laptop.token).expect(401);
+    await refresh(phone.refreshToken).expect(401);
+  });
+});
+
+describe("Sockets and revoked sessions", () => {
+  test("should refuse the handshake of a revoked session", async () => {
+    const { token, cookies } = await signIn();
+    expect((await connectWith(token)).client).toBeDefined();
+
+    await request(app)
+      .post("/api/auth/logout")
+      .set("Cookie", cookies)
+      .expect(200);
+
+    expect((await connectWith(token)).error).toBe(
+      "Authentication error: Session revoked",
+    );
+  });
+
+  test("should disconnect the open sockets of a revoked session", async () => {
+    const phone = await signIn();
+    const laptop = await signIn();
+    const { client } = await connectWith(phone.token);
+
+    const disconnected = new Promise((resolve) =>
+      client.once("disconnect", resolve),
+    );
+    await request(app)
+      .delete(`/api/auth/sessions/${sessionIdOf(phone.refreshToken)}`)
+      .set("Cookie", laptop.cookies)
+      .expect(200);
+
+    expect(await disconnected).toBe("io server disconnect");
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * Two-factor authentication integration tests
+ *
+ * Covers setting up an authenticator app (QR provisioning, confirming
+ * with a code, recovery codes), the second login step with a code or a
+ * recovery code and that each works once, turning it off, the admin
+ * policy that requires it per role (with setup during sign-in), and
+ * the audit trail.  Codes are computed from the secret the setup
+ * returns, for the next time step so they aren't refused as replays.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Session = require("../../src/models/session");
+const TwoFactorPolicy = require("../../src/models/twoFactorPolicy");
+const AuditLog = require("../../src/models/auditLog");
+const { generateCode, stepAt } = require("../../src/utils/totp");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+const password = "Test@1234";
+const doctorEmail = "twofactor.doctor@test.com";
+
+let doctorCookies, adminCookies, patientCookies, doctorId;
+
+// A code from the authenticator app, `offset` steps from now
+const codeFor = (secret, offset = 0) => generateCode(secret, stepAt() + offset);
+
+// The code with every digit changed
+const wrongCodeFor = (secret) =>
+  codeFor(secret).replace(/\d/g, (digit) => (Number(digit) + 1) % 10);
+
+const login = (email = doctorEmail) =>
+  request(app).post("/api/auth/login").send({ email, password });
+
+const hasSessionCookie = (response) =>
+  (response.headers["set-cookie"] || []).some((cookie) =>
+    cookie.startsWith("token="),
+  );
+
+// Set up and turn on two-factor sign-in for the signed-in doctor
+const enrol = async () => {
+  const setup = await request(app)
+    .post("/api/auth/2fa/setup")
+    .set("Cookie", doctorCookies)
+    .expect(200);
+  const { secret } = setup.body.data;
+  const enabled = await request(app)
+    .post("/api/auth/2fa/enable")
+    .set("Cookie", doctorCookies)
+    .send({ code: codeFor(secret) })
+    .expect(200);
+  return { secret, recoveryCodes: enabled.body.data.recoveryCodes };
+};
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Session.deleteMany({});
+  await TwoFactorPolicy.deleteMany({});
+  await AuditLog.deleteMany({});
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Careful",
+    lastName: "Doctor",
+    email: doctorEmail,
+    password,
+    phone: "1234567890",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-2FA",
+  });
+  doctorCookies = doctorRes.headers["set-cookie"];
+  doctorId = doctorRes.body.data.user.id;
+
+  const adminRes = await request(app).post("/api/auth/register").send({
+    firstName: "Careful",
+    lastName: "Admin",
+    email: "twofactor.admin@test.com",
+    password,
+    phone: "1234567891",
+    role: "admin",
+    adminSecret: process.env.ADMIN_SECRET_KEY,
+  });
+  adminCookies = adminRes.headers["set-cookie"];
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Careful",
+    lastName: "Patient",
+    email: "twofactor.patient@test.com",
+    password,
+    phone: "1234567892",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+});
+
+afterAll(async () => {
+  await TwoFactorPolicy.deleteMany({});
+  await Session.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("Setting up two-factor sign-in", () => {
+  test("should provision a QR code and turn on with a valid code", async () => {
+    const setup = await request(app)
+      .post("/api/auth/2fa/setup")
+      .set("Cookie", doctorCookies)
+      .expect(200);
+    const { secret, otpauthUrl, qrCode } = setup.body.data;
+    expect(otpauthUrl).toMatch(/^otpauth:\/\/totp\/ClinicHub/);
+    expect(qrCode).toMatch(/^data:image\/png;base64,/);
+
+    const wrong = await request(app)
+      .post("/api/auth/2fa/enable")
+      .set("Cookie", doctorCookies)
+      .send({ code: wrongCodeFor(secret) })
+      .expect(400);
+    expect(wrong.body.code).toBe("INVALID_TWO_FACTOR_CODE");
+
+    const enabled = await request(app)
+      .post("/api/auth/2fa/enable")
+      .set("Cookie", doctorCookies)
+      .send({ code: codeFor(secret) })
+      .expect(200);
+    expect(enabled.body.data.recoveryCodes).toHaveLength(10);
+
+    const status = await request(app)
+      .get("/api/auth/2fa")
+      .set("Cookie", doctorCookies)
+      .expect(200);
+    expect(status.body.data.twoFactor).toMatchObject({
+      enabled: true,
+      required: false,
+      recoveryCodesRemaining: 10,
+    });
+
+    // Stored encrypted, and never sent back
+    const stored = await User.findById(doctorId).select("+twoFactorSecret");
+    expect(stored.twoFactorSecret).not.toContain(secret);
+    expect(stored.toJSON()).not.toHaveProperty("twoFactorSecret");
+
+    for (const action of ["START_TWO_FACTOR_SETUP", "ENABLE_TWO_FACTOR"]) {
+      expect(await AuditLog.countDocuments({ user: doctorId, action })).toBe(1);
+    }
+  });
+
+  test("should be for staff only", async () => {
+    await request(app)
+      .post("/api/auth/2fa/setup")
+      .set("Cookie", patientCookies)
+      .expect(403);
+  });
+});
+
+describe("Signing in with two-factor authentication", () => {
+  test("should hold the session back until a code is given, once", async () => {
+    const { secret } = await enrol();
+
+    const first = await login().expect(200);
+    expect(first.body.data.twoFactorRequired).toBe(true);
+    expect(first.body.data.setupRequired).toBe(false);
+    expect(hasSessionCookie(first)).toBe(false);
+    const { challengeToken } = first.body.data;
+
+    const wrong = await request(app)
+      .post("/api/auth/login/2fa")
+      .send({ challengeToken, code: wrongCodeFor(secret) })
+      .expect(401);
+    expect(wrong.body.code).toBe("INVALID_TWO_FACTOR_CODE");
+    // Wrong codes count towards locking the account
+    expect(
+      await AuditLog.countDocuments({
+        user: doctorId,
+        action: "LOGIN_FAILED",
+        "changes.reason": "two_factor",
+      }),
+    ).toBe(1);
+
+    const code = codeFor(secret, 1);
+    const response = await request(app)
+      .post("/api/auth/login/2fa")
+      .send({ challengeToken, code })
+      .expect(200);
+    expect(hasSessionCookie(response)).toBe(true);
+    await request(app)
+      .get("/api/auth/me")
+      .set("Cookie", response.headers["set-cookie"])
+      .expect(200);
+
+    // The same code again, even with a fresh password step
+    const again = await login().expect(200);
+    await request(app)
+      .post("/api/auth/login/2fa")
+      .send({ challengeToken: again.body.data.challengeToken, code })
+      .expect(401);
+
+    const log = await AuditLog.findOne({ user: doctorId, action: "LOGIN" });
+    expect(log.changes.twoFactor).toBe("totp");
+  });
+
+  test("should accept each recovery code once", async () => {
+    const { recoveryCodes } = await enrol();
+    const finish = async (recoveryCode) => {
+      const { challengeToken } = (await login()).body.data;
+      return request(app)
+        .post("/api/auth/login/2fa")
+        .send({ challengeToken, recoveryCode });
+    };
+
+    const used = await finish(recoveryCodes[0].toUpperCase()).expect(200);
+    expect(used.body.data.recoveryCodesRemaining).toBe(9);
+    await finish(recoveryCodes[0]).expect(401);
+  });
+
+  test("should refuse made-up and mismatched challenges", async () => {
+    await enrol();
+    const { challengeToken } = (await login()).body.data;
+
+    const madeUp = await request(app)
+      .post("/api/auth/login/2fa")
+      .send({ challengeToken: "not-a-token", code: "123456" })
+      .expect(401);
+    expect(madeUp.body.code).toBe("INVALID_TWO_FACTOR_CHALLENGE");
+
+    // A login challenge can't be used to set up a new secret
+    await request(app)
+      .post("/api/auth/login/2fa/setup")
+      .send({ challengeToken })
+      .expect(401);
+  });
+});
+
+describe("Managing two-factor authentication", () => {
+  test("should turn off with the password and a code", async () => {
+    const { secret } = await enrol();
+    const disable = (body) =>
+      request(app)
+        .post("/api/auth/2fa/disable")
+        .set("Cookie", doctorCookies)
+        .send(body);
+
+    const wrongPassword = await disable({
+      password: "Wrong@1234",
+      code: codeFor(secret, 1),
+    }).expect(400);
+    expect(wrongPassword.body.code).toBe("INCORRECT_PASSWORD");
+
+    await disable({ password, code: codeFor(secret, 1) }).expect(200);
+
+    const response = await login().expect(200);
+    expect(hasSessionCookie(response)).toBe(true);
+    expect(
+      await AuditLog.countDocuments({
+        user: doctorId,
+        action: "DISABLE_TWO_FACTOR",
+      }),
+    ).toBe(1);
+  });
+
+  test("should replace the recovery codes", async () => {
+    const { secret, recoveryCodes } = await enrol();
+
+    const response = await request(app)
+      .post("/api/auth/2fa/recovery-codes")
+      .set("Cookie", doctorCookies)
+      .send({ code: codeFor(secret, 1) })
+      .expect(200);
+    expect(response.body.data.recoveryCodes).toHaveLength(10);
+
+    const { challengeToken } = (await login()).body.data;
+    await request(app)
+      .post("/api/auth/login/2fa")
+      .send({ challengeToken, recoveryCode: recoveryCodes[0] })
+      .expect(401);
+  });
+});
+
+describe("Two-factor policy", () => {
+  const updatePolicy = (requiredRoles, cookies = adminCookies) =>
+    request(app)
+      .put("/api/two-factor-policy")
+      .set("Cookie", cookies)
+      .send({ requiredRoles });
+
+  test("should make doctors set it up when they next sign in", async () => {
+    await updatePolicy(["doctor"]).expect(200);
+
+    // Signed out until they have it
+    const me = await request(app)
+      .get("/api/auth/me")
+      .set("Cookie", doctorCookies)
+      .expect(401);
+    expect(me.body.code).toBe("SESSION_REVOKED");
+
+    const first = await login().expect(200);
+    expect(first.body.data.setupRequired).toBe(true);
+    expect(hasSessionCookie(first)).toBe(false);
+    const { challengeToken } = first.body.data;
+
+    const setup = await request(app)
+      .post("/api/auth/login/2fa/setup")
+      .send({ challengeToken })
+      .expect(200);
+    const response = await request(app)
+      .post("/api/auth/login/2fa/enable")
+      .send({ challengeToken, code: codeFor(setup.body.data.secret) })
+      .expect(200);
+    expect(response.body.data.recoveryCodes).toHaveLength(10);
+    expect(hasSessionCookie(response)).toBe(true);
+
+    const cookies = response.headers["set-cookie"];
+    const refused = await request(app)
+      .post("/api/auth/2fa/disable")
+      .set("Cookie", cookies)
+      .send({ password, code: codeFor(setup.body.data.secret, 1) })
+      .expect(403);
+    expect(refused.body.code).toBe("TWO_FACTOR_REQUIRED");
+  });
+
+  test("should only require it for staff, and only from admins who have it", async () => {
+    await updatePolicy(["patient"]).expect(400);
+    await updatePolicy(["doctor"], doctorCookies).expect(403);
+
+    const unprotected = await updatePolicy(["admin"]).expect(400);
+    expect(unprotected.body.code).toBe("TWO_FACTOR_NOT_ENABLED");
+
+    await updatePolicy(["doctor"]).expect(200);
+    expect(
+      await AuditLog.countDocuments({ action: "UPDATE_TWO_FACTOR_POLICY" }),
+    ).toBe(1);
+  });
+});
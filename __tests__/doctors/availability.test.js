@@ -0,0 +1,246 @@
+/**
+ * Doctor availability integration tests
+ *
+ * Covers managing the weekly schedule and exceptions, and that
+ * appointment booking respects working hours, breaks and leave, or
+ * the default hours for a doctor without a schedule.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const DoctorAvailability = require("../../src/models/doctorAvailability");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+let patientCookies, doctorCookies, otherDoctorCookies;
+let doctorId;
+
+// Next Monday, Tuesday and Sunday as "YYYY-MM-DD", so tests don't depend on today
+const nextWeekday = (dayOfWeek) => {
+  const date = new Date();
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCDate(date.getUTCDate() + ((dayOfWeek - date.getUTCDay() + 7) % 7 || 7));
+  return date.toISOString().slice(0, 10);
+};
+const monday = nextWeekday(1);
+const tuesday = nextWeekday(2);
+const sunday = nextWeekday(0);
+
+const weeklySchedule = [
+  {
+    dayOfWeek: 1,
+    startTime: "09:00",
+    endTime: "17:00",
+    breaks: [{ startTime: "12:00", endTime: "13:00", label: "Lunch" }],
+  },
+];
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Patient",
+    lastName: "Test",
+    email: "patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Doctor",
+    lastName: "Test",
+    email: "doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD123",
+  });
+  doctorCookies = doctorRes.headers["set-cookie"];
+  doctorId = doctorRes.body.data.user.id;
+
+  const otherDoctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Other",
+    lastName: "Doctor",
+    email: "other.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543211",
+    role: "doctor",
+    specialization: "Cardiology",
+    licenseNumber: "MD456",
+  });
+  otherDoctorCookies = otherDoctorRes.headers["set-cookie"];
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+});
+
+afterAll(async () => {
+  await Appointment.deleteMany({});
+  await DoctorAvailability.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Appointment.deleteMany({});
+  await DoctorAvailability.deleteMany({});
+});
+
+const book = (date, time) =>
+  request(app)
+    .post("/api/appointments")
+    .set("Cookie", patientCookies)
+    .send({
+      doctorId,
+      appointmentDate: date,
+      appointmentTime: time,
+      duration: 30,
+      reason: "Checkup",
+    });
+
+describe("Doctor Availability API Tests", () => {
+  describe("PUT /api/doctors/:id/availability", () => {
+    test("should let a doctor set their own schedule", async () => {
+      const response = await request(app)
+        .put(`/api/doctors/${doctorId}/availability`)
+        .set("Cookie", doctorCookies)
+        .send({ weeklySchedule, slotDuration: 20 })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.availability.slotDuration).toBe(20);
+      expect(response.body.data.availability.weeklySchedule).toHaveLength(1);
+    });
+
+    test("should reject a break outside working hours", async () => {
+      const response = await request(app)
+        .put(`/api/doctors/${doctorId}/availability`)
+        .set("Cookie", doctorCookies)
+        .send({
+          weeklySchedule: [
+            {
+              dayOfWeek: 1,
+              startTime: "09:00",
+              endTime: "17:00",
+              breaks: [{ startTime: "18:00", endTime: "19:00" }],
+            },
+          ],
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test("should not let a doctor edit another doctor's schedule", async () => {
+      await request(app)
+        .put(`/api/doctors/${doctorId}/availability`)
+        .set("Cookie", otherDoctorCookies)
+        .send({ weeklySchedule })
+        .expect(403);
+    });
+
+    test("should not let a patient edit a schedule", async () => {
+      await request(app)
+        .put(`/api/doctors/${doctorId}/availability`)
+        .set("Cookie", patientCookies)
+        .send({ weeklySchedule })
+        .expect(403);
+    });
+  });
+
+  describe("Booking against availability", () => {
+    beforeEach(async () => {
+      await request(app)
+        .put(`/api/doctors/${doctorId}/availability`)
+        .set("Cookie", doctorCookies)
+        .send({ weeklySchedule });
+    });
+
+    test("should book within working hours", async () => {
+      await book(monday, "10:00").expect(201);
+    });
+
+    test("should reject a booking during a break", async () => {
+      const response = await book(monday, "11:45").expect(409);
+
+      expect(response.body.code).toBe("DOCTOR_UNAVAILABLE");
+    });
+
+    test("should reject a booking on a non-working day", async () => {
+      const response = await book(sunday, "10:00").expect(409);
+
+      expect(response.body.code).toBe("DOCTOR_UNAVAILABLE");
+    });
+
+    test("should reject a booking on a leave day", async () => {
+      await request(app)
+        .post(`/api/doctors/${doctorId}/availability/exceptions`)
+        .set("Cookie", doctorCookies)
+        .send({ date: monday, type: "leave", reason: "Conference" })
+        .expect(201);
+
+      const response = await book(monday, "10:00").expect(409);
+
+      expect(response.body.code).toBe("DOCTOR_UNAVAILABLE");
+    });
+
+    test("should reject rescheduling outside working hours", async () => {
+      const created = await book(monday, "10:00").expect(201);
+
+      const response = await request(app)
+        .put(`/api/appointments/${created.body.data.appointment._id}`)
+        .set("Cookie", doctorCookies)
+        .send({ appointmentTime: "03:00" })
+        .expect(409);
+
+      expect(response.body.code).toBe("DOCTOR_UNAVAILABLE");
+    });
+  });
+
+  describe("Booking without a configured schedule", () => {
+    test("should book within the default Monday–Friday hours", async () => {
+      await book(monday, "09:00").expect(201);
+    });
+
+    test("should reject a booking outside the default hours", async () => {
+      const night = await book(sunday, "03:00").expect(409);
+      expect(night.body.code).toBe("DOCTOR_UNAVAILABLE");
+
+      // Starts inside the hours but runs past 17:00
+      const late = await book(monday, "16:45").expect(409);
+      expect(late.body.code).toBe("DOCTOR_UNAVAILABLE");
+    });
+
+    test("should keep the default hours after adding only an exception", async () => {
+      await request(app)
+        .post(`/api/doctors/${doctorId}/availability/exceptions`)
+        .set("Cookie", doctorCookies)
+        .send({ date: monday, type: "leave", reason: "Conference" })
+        .expect(201);
+
+      await book(tuesday, "10:00").expect(201);
+      const onLeave = await book(monday, "10:00").expect(409);
+      expect(onLeave.body.code).toBe("DOCTOR_UNAVAILABLE");
+    });
+
+    test("should keep the default hours after changing only the slot length", async () => {
+      const response = await request(app)
+        .put(`/api/doctors/${doctorId}/availability`)
+        .set("Cookie", doctorCookies)
+        .send({ slotDuration: 20 })
+        .expect(200);
+      expect(response.body.data.availability.weeklySchedule).toHaveLength(5);
+
+      await book(tuesday, "10:00").expect(201);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Doctor directory integration tests
+ *
+ * Covers searching, filtering and paginating the doctor list and
+ * making sure only public profile fields are exposed.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+let patientCookies, adminCookies;
+let inactiveDoctorId;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Patient",
+    lastName: "Test",
+    email: "patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+
+  const adminRes = await request(app).post("/api/auth/register").send({
+    firstName: "Admin",
+    lastName: "Test",
+    email: "admin@test.com",
+    password: "Test@1234",
+    phone: "5555555555",
+    role: "admin",
+    adminSecret: process.env.ADMIN_SECRET_KEY,
+  });
+  adminCookies = adminRes.headers["set-cookie"];
+
+  const doctors = [
+    ["Gregory", "House", "Diagnostics", "MD001"],
+    ["Meredith", "Grey", "General Surgery", "MD002"],
+    ["Stephen", "Strange", "Neurosurgery", "MD003"],
+    ["Lisa", "Cuddy", "Endocrinology", "MD004"],
+  ];
+
+  for (const [i, [firstName, lastName, specialization, licenseNumber]] of
+    doctors.entries()) {
+    await request(app)
+      .post("/api/auth/register")
+      .send({
+        firstName,
+        lastName,
+        email: `${lastName.toLowerCase()}@test.com`,
+        password: "Test@1234",
+        phone: `900000000${i}`,
+        role: "doctor",
+        specialization,
+        licenseNumber,
+      });
+  }
+
+  const inactive = await User.findOneAndUpdate(
+    { email: "cuddy@test.com" },
+    { isActive: false },
+    { new: true },
+  );
+  inactiveDoctorId = inactive._id.toString();
+});
+
+afterAll(async () => {
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("Doctor Directory API Tests", () => {
+  describe("GET /api/doctors", () => {
+    test("should list active doctors with public fields only", async () => {
+      const response = await request(app)
+        .get("/api/doctors")
+        .set("Cookie", patientCookies)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.total).toBe(3);
+      response.body.data.doctors.forEach((doctor) => {
+        expect(doctor.isActive).toBe(true);
+        expect(doctor).toHaveProperty("specialization");
+        expect(doctor).not.toHaveProperty("email");
+        expect(doctor).not.toHaveProperty("phone");
+        expect(doctor).not.toHaveProperty("licenseNumber");
+      });
+    });
+
+    test("should search doctors by name", async () => {
+      const response = await request(app)
+        .get("/api/doctors?search=hou")
+        .set("Cookie", patientCookies)
+        .expect(200);
+
+      expect(response.body.data.doctors).toHaveLength(1);
+      expect(response.body.data.doctors[0].lastName).toBe("House");
+    });
+
+    test("should filter doctors by specialization", async () => {
+      const response = await request(app)
+        .get("/api/doctors?specialization=general%20surgery")
+        .set("Cookie", patientCookies)
+        .expect(200);
+
+      expect(response.body.data.doctors).toHaveLength(1);
+      expect(response.body.data.doctors[0].lastName).toBe("Grey");
+    });
+
+    test("should treat search input literally", async () => {
+      const response = await request(app)
+        .get("/api/doctors?search=.*")
+        .set("Cookie", patientCookies)
+        .expect(200);
+
+      expect(response.body.data.doctors).toHaveLength(0);
+    });
+
+    test("should paginate results", async () => {
+      const response = await request(app)
+        .get("/api/doctors?limit=2&page=2")
+        .set("Cookie", patientCookies)
+        .expect(200);
+
+      expect(response.body.page).toBe(2);
+      expect(response.body.pages).toBe(2);
+      expect(response.body.data.doctors).toHaveLength(1);
+    });
+
+    test("should let admin include inactive doctors", async () => {
+      const response = await request(app)
+        .get("/api/doctors?isActive=all")
+        .set("Cookie", adminCookies)
+        .expect(200);
+
+      expect(response.body.total).toBe(4);
+    });
+
+    test("should ignore isActive filter for patients", async () => {
+      const response = await request(app)
+        .get("/api/doctors?isActive=false")
+        .set("Cookie", patientCookies)
+        .expect(200);
+
+      expect(response.body.total).toBe(3);
+    });
+
+    test("should fail without authentication", async () => {
+      const response = await request(app).get("/api/doctors").expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("GET /api/doctors/:id", () => {
+    test("should hide inactive doctor from patients", async () => {
+      await request(app)
+        .get(`/api/doctors/${inactiveDoctorId}`)
+        .set("Cookie", patientCookies)
+        .expect(404);
+    });
+
+    test("should return inactive doctor to admins", async () => {
+      const response = await request(app)
+        .get(`/api/doctors/${inactiveDoctorId}`)
+        .set("Cookie", adminCookies)
+        .expect(200);
+
+      expect(response.body.data.doctor.isActive).toBe(false);
+    });
+  });
+});
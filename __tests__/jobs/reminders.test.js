@@ -0,0 +1,292 @@
+/**
+ * Appointment reminder job tests
+ *
+ * Drives the reminder runner with a fake clock and a recording
+ * transport: reminders are scheduled on booking, sent once when due
+ * (even with several runners), superseded by reschedules (and brought
+ * back when the appointment moves back to its old time), skipped for
+ * cancelled appointments, retried on failure and recovered from a
+ * runner that died holding the lock.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const Job = require("../../src/models/job");
+const {
+  REMINDER_JOB,
+  createReminderRunner,
+} = require("../../src/services/reminderService");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+const HOUR_MS = 60 * 60 * 1000;
+const originalOffsets = process.env.REMINDER_OFFSETS;
+
+let patientCookies, doctorId, appointment;
+let now, sent;
+
+const clock = { now: () => now };
+
+const recordingTransport = {
+  send: async (message) => {
+    sent.push(message);
+    return true;
+  },
+};
+
+const failingTransport = {
+  send: async () => {
+    throw new Error("SMTP unavailable");
+  },
+};
+
+const runner = (transport = recordingTransport) =>
+  createReminderRunner({ transport, clock });
+
+const remindersOf = async (id = appointment._id) =>
+  (await Appointment.findById(id)).reminders;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+  process.env.REMINDER_OFFSETS = "24h,2h";
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Remind",
+    lastName: "Patient",
+    email: "reminder.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Remind",
+    lastName: "Doctor",
+    email: "reminder.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-REMIND",
+  });
+  doctorId = doctorRes.body.data.user.id;
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+});
+
+afterAll(async () => {
+  if (originalOffsets === undefined) delete process.env.REMINDER_OFFSETS;
+  else process.env.REMINDER_OFFSETS = originalOffsets;
+
+  await Appointment.deleteMany({});
+  await Job.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Appointment.deleteMany({});
+  await Job.deleteMany({});
+  sent = [];
+
+  const response = await request(app)
+    .post("/api/appointments")
+    .set("Cookie", patientCookies)
+    .send({
+      doctorId,
+      appointmentDate: "2030-07-01",
+      appointmentTime: "10:00",
+      reason: "Checkup",
+    })
+    .expect(201);
+  appointment = await Appointment.findById(response.body.data.appointment._id);
+
+  // Just before the 24h reminder is due
+  now = new Date(appointment.startAt.getTime() - 25 * HOUR_MS);
+});
+
+describe("Appointment reminders", () => {
+  test("should schedule a reminder job per offset on booking", async () => {
+    const jobs = await Job.find({ type: REMINDER_JOB }).sort({ runAt: 1 });
+    expect(jobs.map((job) => job.payload.offsetMinutes)).toEqual([1440, 120]);
+    expect(jobs[0].runAt.getTime()).toBe(
+      appointment.startAt.getTime() - 24 * HOUR_MS,
+    );
+
+    const reminders = await remindersOf();
+    expect(reminders).toHaveLength(2);
+    expect(reminders.every((r) => r.status === "scheduled")).toBe(true);
+  });
+
+  test("should send each reminder once it is due", async () => {
+    await runner().runDue();
+    expect(sent).toHaveLength(0);
+
+    now = new Date(appointment.startAt.getTime() - 24 * HOUR_MS);
+    const summary = await runner().runDue();
+    expect(summary.completed).toBe(1);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe("reminder.patient@test.com");
+    expect(sent[0].offsetMinutes).toBe(1440);
+
+    const reminders = await remindersOf();
+    expect(reminders.find((r) => r.offsetMinutes === 1440)).toMatchObject({
+      status: "sent",
+      attempts: 1,
+    });
+    expect(reminders.find((r) => r.offsetMinutes === 120).status).toBe(
+      "scheduled",
+    );
+
+    // Nothing is sent twice on later polls
+    await runner().runDue();
+    expect(sent).toHaveLength(1);
+  });
+
+  test("should send a reminder once across several runners", async () => {
+    now = new Date(appointment.startAt.getTime() - HOUR_MS);
+
+    await Promise.all([
+      runner().runDue(),
+      runner().runDue(),
+      runner().runDue(),
+    ]);
+
+    expect(sent.map((message) => message.offsetMinutes).sort()).toEqual([
+      120, 1440,
+    ]);
+  });
+
+  test("should replace the reminders when the appointment moves", async () => {
+    await request(app)
+      .post(`/api/appointments/${appointment._id}/reschedule`)
+      .set("Cookie", patientCookies)
+      .send({ appointmentDate: "2030-07-02", appointmentTime: "10:00" })
+      .expect(200);
+
+    const moved = await Appointment.findById(appointment._id);
+    const reminders = moved.reminders;
+    expect(reminders).toHaveLength(4);
+    expect(
+      reminders
+        .filter((r) => r.startAt.getTime() === appointment.startAt.getTime())
+        .every((r) => r.status === "skipped"),
+    ).toBe(true);
+
+    const pending = await Job.find({ status: "pending" });
+    expect(pending).toHaveLength(2);
+    expect(
+      pending.every(
+        (job) => job.payload.startAt === moved.startAt.toISOString(),
+      ),
+    ).toBe(true);
+
+    // The old 24h reminder time passes without a send
+    now = new Date(appointment.startAt.getTime() - 23 * HOUR_MS);
+    await runner().runDue();
+    expect(sent).toHaveLength(0);
+  });
+
+  test("should send the reminders again after moving back to the old time", async () => {
+    const moveTo = (appointmentDate) =>
+      request(app)
+        .post(`/api/appointments/${appointment._id}/reschedule`)
+        .set("Cookie", patientCookies)
+        .send({ appointmentDate, appointmentTime: "10:00" })
+        .expect(200);
+
+    await moveTo("2030-07-02");
+    await moveTo("2030-07-01");
+
+    const reminders = (await remindersOf()).filter(
+      (r) => r.startAt.getTime() === appointment.startAt.getTime(),
+    );
+    expect(reminders).toHaveLength(2);
+    expect(reminders.every((r) => r.status === "scheduled")).toBe(true);
+
+    now = new Date(appointment.startAt.getTime() - HOUR_MS);
+    await runner().runDue();
+    expect(sent.map((message) => message.offsetMinutes).sort()).toEqual([
+      120, 1440,
+    ]);
+  });
+
+  test("should skip reminders for cancelled appointments", async () => {
+    await request(app)
+      .delete(`/api/appointments/${appointment._id}`)
+      .set("Cookie", patientCookies)
+      .send({ cancelReason: "Feeling better" })
+      .expect(200);
+
+    now = new Date(appointment.startAt.getTime() - 24 * HOUR_MS);
+    await runner().runDue();
+
+    expect(sent).toHaveLength(0);
+    const reminder = (await remindersOf()).find(
+      (r) => r.offsetMinutes === 1440,
+    );
+    expect(reminder.status).toBe("skipped");
+  });
+
+  test("should retry a failed send and give up after the last attempt", async () => {
+    now = new Date(appointment.startAt.getTime() - 24 * HOUR_MS);
+
+    const first = await runner(failingTransport).runDue();
+    expect(first.retried).toBe(1);
+
+    let job = await Job.findOne({ "payload.offsetMinutes": 1440 });
+    expect(job.status).toBe("pending");
+    expect(job.runAt.getTime()).toBeGreaterThan(now.getTime());
+    expect(job.lastError).toBe("SMTP unavailable");
+
+    for (let attempt = 2; attempt <= job.maxAttempts; attempt += 1) {
+      now = new Date(now.getTime() + HOUR_MS / 4);
+      await runner(failingTransport).runDue();
+    }
+
+    job = await Job.findById(job._id);
+    expect(job.status).toBe("failed");
+    expect(job.attempts).toBe(job.maxAttempts);
+
+    const reminder = (await remindersOf()).find(
+      (r) => r.offsetMinutes === 1440,
+    );
+    expect(reminder).toMatchObject({
+      status: "failed",
+      attempts: job.maxAttempts,
+      lastError: "SMTP unavailable",
+    });
+  });
+
+  test("should pick up a job whose runner died mid-run", async () => {
+    now = new Date(appointment.startAt.getTime() - 24 * HOUR_MS);
+    await Job.updateOne(
+      { "payload.offsetMinutes": 1440 },
+      {
+        status: "running",
+        attempts: 1,
+        lockedBy: "crashed-worker",
+        lockedUntil: new Date(now.getTime() + 60 * 1000),
+      },
+    );
+
+    await runner().runDue();
+    expect(sent).toHaveLength(0);
+
+    now = new Date(now.getTime() + 2 * 60 * 1000);
+    await runner().runDue();
+    expect(sent).toHaveLength(1);
+
+    const job = await Job.findOne({ "payload.offsetMinutes": 1440 });
+    expect(job.status).toBe("completed");
+    expect(job.lockedBy).toBeUndefined();
+  });
+});
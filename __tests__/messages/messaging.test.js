@@ -0,0 +1,242 @@
+/**
+ * Patient–doctor messaging integration tests
+ *
+ * Covers who may open a conversation, that only its two participants
+ * can read or write it, paged history, unread counts and read
+ * receipts, and the audit trail of message access.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const MessageThread = require("../../src/models/messageThread");
+const Message = require("../../src/models/message");
+const AuditLog = require("../../src/models/auditLog");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+let patientCookies, doctorCookies, otherDoctorCookies, adminCookies;
+let patientId, doctorId, otherDoctorId;
+
+const openThread = (cookies, participantId) =>
+  request(app)
+    .post("/api/messages/threads")
+    .set("Cookie", cookies)
+    .send({ participantId });
+
+const send = (cookies, threadId, body) =>
+  request(app)
+    .post(`/api/messages/threads/${threadId}/messages`)
+    .set("Cookie", cookies)
+    .send({ body });
+
+const getUnread = (cookies) =>
+  request(app).get("/api/messages/unread").set("Cookie", cookies);
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Chatty",
+    lastName: "Patient",
+    email: "messages.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+  patientId = patientRes.body.data.user.id;
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Replying",
+    lastName: "Doctor",
+    email: "messages.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-MSG",
+  });
+  doctorCookies = doctorRes.headers["set-cookie"];
+  doctorId = doctorRes.body.data.user.id;
+
+  const otherDoctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Other",
+    lastName: "Doctor",
+    email: "messages.other@test.com",
+    password: "Test@1234",
+    phone: "9876543211",
+    role: "doctor",
+    specialization: "Cardiology",
+    licenseNumber: "MD-MSG-2",
+  });
+  otherDoctorCookies = otherDoctorRes.headers["set-cookie"];
+  otherDoctorId = otherDoctorRes.body.data.user.id;
+
+  const adminRes = await request(app).post("/api/auth/register").send({
+    firstName: "Message",
+    lastName: "Admin",
+    email: "messages.admin@test.com",
+    password: "Test@1234",
+    phone: "5555555555",
+    role: "admin",
+    adminSecret: process.env.ADMIN_SECRET_KEY,
+  });
+  adminCookies = adminRes.headers["set-cookie"];
+
+  await request(app)
+    .post("/api/appointments")
+    .set("Cookie", patientCookies)
+    .send({
+      doctorId,
+      appointmentDate: "2030-07-01",
+      appointmentTime: "10:00",
+      reason: "Checkup",
+    })
+    .expect(201);
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+});
+
+afterAll(async () => {
+  await AuditLog.deleteMany({});
+  await Message.deleteMany({});
+  await MessageThread.deleteMany({});
+  await Appointment.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Message.deleteMany({});
+  await MessageThread.deleteMany({});
+});
+
+describe("Opening conversations", () => {
+  test("should only connect a patient with their doctors", async () => {
+    const refused = await openThread(patientCookies, otherDoctorId).expect(403);
+    expect(refused.body.code).toBe("NO_CARE_RELATIONSHIP");
+
+    const created = await openThread(patientCookies, doctorId).expect(201);
+    const again = await openThread(doctorCookies, patientId).expect(200);
+    expect(again.body.data.thread._id).toBe(created.body.data.thread._id);
+
+    const contacts = await request(app)
+      .get("/api/messages/contacts")
+      .set("Cookie", patientCookies)
+      .expect(200);
+    expect(contacts.body.data.contacts.map((c) => c._id)).toEqual([doctorId]);
+  });
+
+  test("should keep admins out of messaging", async () => {
+    await request(app)
+      .get("/api/messages/threads")
+      .set("Cookie", adminCookies)
+      .expect(403);
+  });
+});
+
+describe("Conversations", () => {
+  let threadId;
+
+  beforeEach(async () => {
+    const created = await openThread(patientCookies, doctorId).expect(201);
+    threadId = created.body.data.thread._id;
+  });
+
+  test("should deliver messages and track unread counts", async () => {
+    await send(patientCookies, threadId, "Is fasting needed?").expect(201);
+    await send(patientCookies, threadId, "For the blood test").expect(201);
+
+    let unread = await getUnread(doctorCookies).expect(200);
+    expect(unread.body.data.total).toBe(2);
+    expect(unread.body.data.threads[threadId]).toBe(2);
+    expect((await getUnread(patientCookies)).body.data.total).toBe(0);
+
+    const threads = await request(app)
+      .get("/api/messages/threads")
+      .set("Cookie", doctorCookies)
+      .expect(200);
+    expect(threads.body.data.threads[0].unreadCount).toBe(2);
+    expect(threads.body.data.threads[0].lastMessagePreview).toBe(
+      "For the blood test",
+    );
+
+    const read = await request(app)
+      .post(`/api/messages/threads/${threadId}/read`)
+      .set("Cookie", doctorCookies)
+      .expect(200);
+    expect(read.body.data.count).toBe(2);
+
+    unread = await getUnread(doctorCookies).expect(200);
+    expect(unread.body.data.total).toBe(0);
+    const stored = await Message.find({ thread: threadId });
+    expect(stored.every((message) => message.readAt)).toBe(true);
+  });
+
+  test("should page back through history", async () => {
+    for (const body of ["one", "two", "three", "four", "five"]) {
+      await send(doctorCookies, threadId, body).expect(201);
+    }
+
+    const latest = await request(app)
+      .get(`/api/messages/threads/${threadId}/messages?limit=2`)
+      .set("Cookie", patientCookies)
+      .expect(200);
+    expect(latest.body.data.messages.map((m) => m.body)).toEqual([
+      "four",
+      "five",
+    ]);
+    expect(latest.body.hasMore).toBe(true);
+
+    const older = await request(app)
+      .get(
+        `/api/messages/threads/${threadId}/messages?limit=3&before=${latest.body.data.messages[0]._id}`,
+      )
+      .set("Cookie", patientCookies)
+      .expect(200);
+    expect(older.body.data.messages.map((m) => m.body)).toEqual([
+      "one",
+      "two",
+      "three",
+    ]);
+    expect(older.body.hasMore).toBe(false);
+  });
+
+  test("should keep other users out and audit access", async () => {
+    const denied = await request(app)
+      .get(`/api/messages/threads/${threadId}/messages`)
+      .set("Cookie", otherDoctorCookies)
+      .expect(403);
+    expect(denied.body.code).toBe("THREAD_ACCESS_DENIED");
+    await send(otherDoctorCookies, threadId, "Hello").expect(403);
+
+    await send(patientCookies, threadId, "").expect(400);
+    await send(patientCookies, threadId, "x".repeat(2001)).expect(400);
+
+    await send(patientCookies, threadId, "Hello doctor").expect(201);
+    await request(app)
+      .get(`/api/messages/threads/${threadId}/messages`)
+      .set("Cookie", doctorCookies)
+      .expect(200);
+
+    const viewed = await AuditLog.findOne({
+      action: "VIEW_MESSAGE_THREAD",
+      resourceId: threadId,
+      user: doctorId,
+    });
+    expect(viewed).not.toBeNull();
+    const sent = await AuditLog.findOne({
+      action: "SEND_MESSAGE",
+      user: patientId,
+    });
+    expect(sent.changes.thread.toString()).toBe(threadId);
+    expect(JSON.stringify(sent.changes)).not.toContain("Hello doctor");
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Notification inbox integration tests
+ *
+ * Covers notifications stored when an appointment changes or a message
+ * arrives, that the user who made the change gets none, listing and
+ * marking them read, and the replay of unread notifications when a
+ * socket connects.
+ */
+
+const http = require("http");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { io: connectClient } = require("socket.io-client");
+const app = require("../../src/app");
+const initializeSocket = require("../../src/config/socket");
+const { startSession } = require("../../src/services/sessionService");
+const User = require("../../src/models/user");
+const Session = require("../../src/models/session");
+const Appointment = require("../../src/models/appointment");
+const MessageThread = require("../../src/models/messageThread");
+const Message = require("../../src/models/message");
+const Notification = require("../../src/models/notification");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+let patientCookies, doctorCookies;
+let patientId, doctorId;
+let server, io, url;
+
+const book = () =>
+  Appointment.create({
+    patient: patientId,
+    doctor: doctorId,
+    appointmentDate: "2030-07-01",
+    appointmentTime: "10:00",
+    duration: 30,
+    reason: "Checkup",
+  });
+
+const confirm = (cookies, id) =>
+  request(app)
+    .patch(`/api/appointments/${id}/status`)
+    .set("Cookie", cookies)
+    .send({ status: "confirmed" });
+
+const getNotifications = (cookies, query = {}) =>
+  request(app).get("/api/notifications").query(query).set("Cookie", cookies);
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Offline",
+    lastName: "Patient",
+    email: "notifications.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+  patientId = patientRes.body.data.user.id;
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Busy",
+    lastName: "Doctor",
+    email: "notifications.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-NOTIFY",
+  });
+  doctorCookies = doctorRes.headers["set-cookie"];
+  doctorId = doctorRes.body.data.user.id;
+
+  server = http.createServer();
+  io = initializeSocket(server);
+  await new Promise((resolve) => server.listen(0, resolve));
+  url = `http://localhost:${server.address().port}`;
+});
+
+beforeEach(async () => {
+  await Notification.deleteMany({});
+  await Appointment.deleteMany({});
+});
+
+afterAll(async () => {
+  io.close();
+  await Notification.deleteMany({});
+  await Message.deleteMany({});
+  await MessageThread.deleteMany({});
+  await Appointment.deleteMany({});
+  await Session.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("Notification inbox", () => {
+  test("should store a notification for the other side of a change", async () => {
+    const appointment = await book();
+    await confirm(doctorCookies, appointment._id).expect(200);
+
+    const response = await getNotifications(patientCookies).expect(200);
+    expect(response.body.data.unreadCount).toBe(1);
+    expect(response.body.data.notifications[0]).toMatchObject({
+      type: "appointment_update",
+      title: "Appointment updated",
+      link: "/appointments",
+      data: { appointment: appointment._id.toString() },
+    });
+    expect(response.body.data.notifications[0].message).toContain(
+      "Dr. Busy Doctor",
+    );
+
+    // The doctor made the change, so nothing lands in their inbox
+    const doctorInbox = await getNotifications(doctorCookies).expect(200);
+    expect(doctorInbox.body.data.unreadCount).toBe(0);
+  });
+
+  test("should notify the recipient of a message without its text", async () => {
+    await book();
+    const thread = await request(app)
+      .post("/api/messages/threads")
+      .set("Cookie", patientCookies)
+      .send({ participantId: doctorId });
+    await request(app)
+      .post(`/api/messages/threads/${thread.body.data.thread._id}/messages`)
+      .set("Cookie", patientCookies)
+      .send({ body: "My prescription question" })
+      .expect(201);
+
+    const response = await getNotifications(doctorCookies).expect(200);
+    const [notification] = response.body.data.notifications;
+    expect(notification).toMatchObject({
+      type: "new_message",
+      link: "/messages",
+    });
+    expect(JSON.stringify(notification)).not.toContain("prescription");
+
+    const patientInbox = await getNotifications(patientCookies).expect(200);
+    expect(patientInbox.body.data.notifications).toHaveLength(0);
+  });
+
+  test("should mark notifications read one at a time or all at once", async () => {
+    const first = await book();
+    await confirm(doctorCookies, first._id).expect(200);
+    await request(app)
+      .patch(`/api/appointments/${first._id}/status`)
+      .set("Cookie", doctorCookies)
+      .send({ status: "cancelled", reason: "Doctor unavailable" })
+      .expect(200);
+
+    const inbox = await getNotifications(patientCookies).expect(200);
+    expect(inbox.body.data.unreadCount).toBe(2);
+    const [latest] = inbox.body.data.notifications;
+    expect(latest.type).toBe("appointment_cancelled");
+
+    // Someone else's notification looks like it doesn't exist
+    await request(app)
+      .post(`/api/notifications/${latest._id}/read`)
+      .set("Cookie", doctorCookies)
+      .expect(404);
+
+    const read = await request(app)
+      .post(`/api/notifications/${latest._id}/read`)
+      .set("Cookie", patientCookies)
+      .expect(200);
+    expect(read.body.data.notification.readAt).toBeDefined();
+    expect(read.body.data.unreadCount).toBe(1);
+
+    const unread = await getNotifications(patientCookies, {
+      unread: "true",
+    }).expect(200);
+    expect(unread.body.data.notifications).toHaveLength(1);
+
+    const all = await request(app)
+      .post("/api/notifications/read-all")
+      .set("Cookie", patientCookies)
+      .expect(200);
+    expect(all.body.data.count).toBe(1);
+    expect((await getNotifications(patientCookies)).body.data.unreadCount).toBe(
+      0,
+    );
+  });
+
+  test("should replay unread notifications when a socket connects", async () => {
+    const appointment = await book();
+    await confirm(doctorCookies, appointment._id).expect(200);
+
+    const { accessToken } = await startSession({
+      _id: patientId,
+      role: "patient",
+    });
+    const client = connectClient(url, {
+      auth: { token: accessToken },
+      transports: ["websocket"],
+      forceNew: true,
+    });
+    try {
+      const replay = await new Promise((resolve) =>
+        client.once("notification_replay", resolve),
+      );
+      expect(replay.unreadCount).toBe(1);
+      expect(replay.notifications[0].type).toBe("appointment_update");
+    } finally {
+      client.close();
+    }
+  });
+
+  test("should require authentication", async () => {
+    await request(app).get("/api/notifications").expect(401);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Notification preference and dispatcher tests
+ *
+ * Covers the default preferences, validation of changes, that a user
+ * who switched the in-app channel off gets no inbox entry, that email
+ * during quiet hours is held as a job and sent once they end, and that
+ * patients can turn reminder emails off.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const Notification = require("../../src/models/notification");
+const NotificationPreference = require("../../src/models/notificationPreference");
+const Job = require("../../src/models/job");
+const {
+  DELIVERY_JOB,
+  createDeliveryRunner,
+} = require("../../src/services/notificationDispatcher");
+const {
+  REMINDER_JOB,
+  createReminderRunner,
+} = require("../../src/services/reminderService");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let patientCookies, doctorCookies;
+let patientId, doctorId;
+
+const book = () =>
+  Appointment.create({
+    patient: patientId,
+    doctor: doctorId,
+    appointmentDate: "2030-07-01",
+    appointmentTime: "10:00",
+    duration: 30,
+    reason: "Checkup",
+  });
+
+const updatePreferences = (cookies, body) =>
+  request(app)
+    .put("/api/notifications/preferences")
+    .set("Cookie", cookies)
+    .send(body);
+
+// "HH:mm" in UTC, `hours` from now
+const utcClock = (hours) =>
+  new Date(Date.now() + hours * HOUR_MS).toISOString().slice(11, 16);
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Quiet",
+    lastName: "Patient",
+    email: "preferences.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+  patientId = patientRes.body.data.user.id;
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Loud",
+    lastName: "Doctor",
+    email: "preferences.doctor@test.com",
+    password: "Test@1234",
+    phone: "9876543210",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-PREFS",
+  });
+  doctorCookies = doctorRes.headers["set-cookie"];
+  doctorId = doctorRes.body.data.user.id;
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+});
+
+beforeEach(async () => {
+  await NotificationPreference.deleteMany({});
+  await Notification.deleteMany({});
+  await Appointment.deleteMany({});
+  await Job.deleteMany({});
+});
+
+afterAll(async () => {
+  await NotificationPreference.deleteMany({});
+  await Notification.deleteMany({});
+  await Appointment.deleteMany({});
+  await Job.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("Notification preferences", () => {
+  test("should return the defaults to a user who never changed them", async () => {
+    const response = await request(app)
+      .get("/api/notifications/preferences")
+      .set("Cookie", patientCookies)
+      .expect(200);
+
+    const { preferences, types } = response.body.data;
+    expect(preferences.channels.appointment_updated).toEqual({
+      email: true,
+      inApp: true,
+      sms: false,
+    });
+    expect(preferences.quietHours.enabled).toBe(false);
+    expect(types.appointment_reminder.channels).toEqual(["email"]);
+  });
+
+  test("should change only the switches given", async () => {
+    const response = await updatePreferences(patientCookies, {
+      channels: { appointment_cancelled: { sms: true } },
+    }).expect(200);
+
+    expect(
+      response.body.data.preferences.channels.appointment_cancelled,
+    ).toEqual({ email: true, inApp: true, sms: true });
+    expect(
+      response.body.data.preferences.channels.appointment_updated.email,
+    ).toBe(true);
+  });
+
+  test("should reject unknown types, unsupported channels and bad times", async () => {
+    const unknown = await updatePreferences(patientCookies, {
+      channels: { newsletter: { email: true } },
+    }).expect(400);
+    expect(unknown.body.code).toBe("INVALID_PREFERENCES");
+
+    await updatePreferences(patientCookies, {
+      channels: { new_message: { email: true } },
+    }).expect(400);
+
+    await updatePreferences(patientCookies, {
+      quietHours: { enabled: true, start: "25:00" },
+    }).expect(400);
+
+    await updatePreferences(patientCookies, {
+      quietHours: { timezone: "Mars/Olympus_Mons" },
+    }).expect(400);
+  });
+});
+
+describe("Notification routing", () => {
+  test("should skip the inbox for users who switched in-app off", async () => {
+    await updatePreferences(patientCookies, {
+      channels: { appointment_updated: { inApp: false } },
+    }).expect(200);
+
+    const appointment = await book();
+    await request(app)
+      .patch(`/api/appointments/${appointment._id}/status`)
+      .set("Cookie", doctorCookies)
+      .send({ status: "confirmed" })
+      .expect(200);
+
+    expect(await Notification.countDocuments({ user: patientId })).toBe(0);
+  });
+
+  test("should hold email during quiet hours and send it when they end", async () => {
+    await updatePreferences(patientCookies, {
+      quietHours: {
+        enabled: true,
+        start: utcClock(-1),
+        end: utcClock(1),
+        timezone: "UTC",
+      },
+    }).expect(200);
+
+    const appointment = await book();
+    await request(app)
+      .patch(`/api/appointments/${appointment._id}/status`)
+      .set("Cookie", doctorCookies)
+      .send({ status: "confirmed" })
+      .expect(200);
+
+    // The inbox is not held
+    expect(await Notification.countDocuments({ user: patientId })).toBe(1);
+
+    const [job] = await Job.find({ type: DELIVERY_JOB });
+    expect(job.payload).toMatchObject({
+      userId: patientId,
+      type: "appointment_updated",
+      channel: "email",
+      subject: "Appointment Updated",
+    });
+    expect(job.runAt.getTime()).toBeGreaterThan(Date.now());
+
+    const runner = createDeliveryRunner({
+      clock: { now: () => new Date(job.runAt.getTime() + 1000) },
+    });
+    expect((await runner.runDue()).completed).toBe(1);
+  });
+
+  test("should skip reminders for patients who turned reminder emails off", async () => {
+    await updatePreferences(patientCookies, {
+      channels: { appointment_reminder: { email: false } },
+    }).expect(200);
+
+    const response = await request(app)
+      .post("/api/appointments")
+      .set("Cookie", patientCookies)
+      .send({
+        doctorId,
+        appointmentDate: "2030-07-01",
+        appointmentTime: "10:00",
+        reason: "Checkup",
+      })
+      .expect(201);
+    const appointment = await Appointment.findById(
+      response.body.data.appointment._id,
+    );
+    const [job] = await Job.find({ type: REMINDER_JOB }).sort({ runAt: 1 });
+
+    const sent = [];
+    const runner = createReminderRunner({
+      transport: { send: async (message) => sent.push(message) },
+      clock: { now: () => new Date(job.runAt.getTime() + 1000) },
+    });
+    await runner.runDue();
+
+    expect(sent).toHaveLength(0);
+    const { reminders } = await Appointment.findById(appointment._id);
+    expect(reminders[0]).toMatchObject({
+      status: "skipped",
+      lastError: "Patient turned off reminder emails",
+    });
+  });
+});
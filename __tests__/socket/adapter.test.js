@@ -0,0 +1,122 @@
+/**
+ * Socket.IO adapter tests
+ *
+ * Checks that connections wait for the adapter to be attached, that
+ * role broadcasts reach sockets through role rooms, and — when the test
+ * database is a replica set — that the mongo adapter carries a
+ * broadcast from one server instance to a socket on another.
+ */
+
+const http = require("http");
+const mongoose = require("mongoose");
+const { io: connectClient } = require("socket.io-client");
+const initializeSocket = require("../../src/config/socket");
+const {
+  attachSocketAdapter,
+  holdConnections,
+} = require("../../src/config/socketAdapter");
+const { startSession } = require("../../src/services/sessionService");
+const Session = require("../../src/models/session");
+const { SERVER_EVENTS } = require("../../src/utils/socketEvents");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+const patientId = new mongoose.Types.ObjectId().toString();
+const servers = [];
+const clients = [];
+
+// A Socket.IO server on a free port; `setup` runs before it listens
+const startServer = async (setup = () => {}) => {
+  const server = http.createServer();
+  const io = initializeSocket(server);
+  const result = await setup(io);
+  await new Promise((resolve) => server.listen(0, resolve));
+  servers.push(io);
+  return { io, url: `http://localhost:${server.address().port}`, result };
+};
+
+const connect = async (url) => {
+  const { accessToken } = await startSession({
+    _id: patientId,
+    role: "patient",
+  });
+  const client = connectClient(url, {
+    auth: { token: accessToken },
+    transports: ["websocket"],
+    forceNew: true,
+  });
+  clients.push(client);
+  return client;
+};
+
+const nextEvent = (client, event, ms = 2000) =>
+  Promise.race([
+    new Promise((resolve) => client.once(event, resolve)),
+    new Promise((resolve) => setTimeout(() => resolve(null), ms)),
+  ]);
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+});
+
+afterEach(() => {
+  clients.splice(0).forEach((client) => client.close());
+  servers.splice(0).forEach((io) => io.close());
+});
+
+afterAll(async () => {
+  await Session.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("Socket.IO adapter", () => {
+  test("should hold connections until the adapter is attached", async () => {
+    const { io, url, result: release } = await startServer(holdConnections);
+    const client = await connect(url);
+
+    expect(await nextEvent(client, SERVER_EVENTS.CONNECTED, 300)).toBeNull();
+
+    expect(await attachSocketAdapter(io, "memory")).toBe("memory");
+    const connected = nextEvent(client, SERVER_EVENTS.CONNECTED);
+    release();
+    expect(await connected).toMatchObject({ userId: patientId });
+
+    const received = nextEvent(client, SERVER_EVENTS.ROOM_LEFT);
+    io.emitToRole("patient", SERVER_EVENTS.ROOM_LEFT, { room: "role_patient" });
+    expect(await received).toEqual({ room: "role_patient" });
+  });
+
+  test("should refuse an unknown adapter", async () => {
+    const { io } = await startServer();
+    await expect(attachSocketAdapter(io, "carrier-pigeon")).rejects.toThrow(
+      'Unknown SOCKET_ADAPTER "carrier-pigeon"',
+    );
+  });
+
+  test("should share role broadcasts between instances over MongoDB", async () => {
+    const hello = await mongoose.connection.db.command({ hello: 1 });
+
+    // Change streams need a replica set; a standalone server is refused
+    if (!hello.setName) {
+      const { io } = await startServer();
+      await expect(attachSocketAdapter(io, "mongo")).rejects.toThrow(
+        "replica set",
+      );
+      return;
+    }
+
+    const first = await startServer((io) => attachSocketAdapter(io, "mongo"));
+    const second = await startServer((io) => attachSocketAdapter(io, "mongo"));
+    const client = await connect(second.url);
+    await nextEvent(client, SERVER_EVENTS.CONNECTED);
+
+    const received = nextEvent(client, SERVER_EVENTS.ROOM_LEFT, 5000);
+    first.io.emitToRole("patient", SERVER_EVENTS.ROOM_LEFT, {
+      room: "role_patient",
+    });
+    expect(await received).toEqual({ room: "role_patient" });
+  });
+});
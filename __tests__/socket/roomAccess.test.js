@@ -0,0 +1,195 @@
+/**
+ * Socket room authorization integration tests
+ *
+ * Connects real Socket.IO clients to the server and checks that
+ * `join_room` only lets users into rooms they are entitled to, so a
+ * patient cannot subscribe to another user's event stream.
+ */
+
+const http = require("http");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { io: connectClient } = require("socket.io-client");
+const app = require("../../src/app");
+const initializeSocket = require("../../src/config/socket");
+const logger = require("../../src/utils/logger");
+const { startSession } = require("../../src/services/sessionService");
+const User = require("../../src/models/user");
+const Session = require("../../src/models/session");
+const Appointment = require("../../src/models/appointment");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+let server, io, url;
+let patientId, otherPatientId, doctorId, adminId, appointmentId;
+const clients = [];
+
+const register = async (data) => {
+  const response = await request(app)
+    .post("/api/auth/register")
+    .send({ password: "Test@1234", phone: "1234567890", ...data });
+  return response.body.data.user.id;
+};
+
+// A connected client for the user, resolved once the server says hello
+const connectAs = async (userId, role) => {
+  const { accessToken } = await startSession({ _id: userId, role });
+  return new Promise((resolve, reject) => {
+    const client = connectClient(url, {
+      auth: { token: accessToken },
+      transports: ["websocket"],
+      forceNew: true,
+    });
+    clients.push(client);
+    client.once("connected", () => resolve(client));
+    client.once("connect_error", reject);
+  });
+};
+
+// Resolves with { joined } or { error } for a join_room request
+const joinRoom = (client, room) =>
+  new Promise((resolve) => {
+    const onJoined = (joined) => {
+      if (joined.room !== room) return;
+      client.off("error", onError);
+      client.off("room_joined", onJoined);
+      resolve({ joined });
+    };
+    const onError = (error) => {
+      if (error.room !== room) return;
+      client.off("error", onError);
+      client.off("room_joined", onJoined);
+      resolve({ error });
+    };
+    client.on("room_joined", onJoined);
+    client.on("error", onError);
+    client.emit("join_room", room);
+  });
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  patientId = await register({
+    firstName: "Nosy",
+    lastName: "Patient",
+    email: "rooms.patient@test.com",
+    role: "patient",
+  });
+  otherPatientId = await register({
+    firstName: "Private",
+    lastName: "Patient",
+    email: "rooms.other@test.com",
+    role: "patient",
+  });
+  doctorId = await register({
+    firstName: "Room",
+    lastName: "Doctor",
+    email: "rooms.doctor@test.com",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-ROOMS",
+  });
+  adminId = await register({
+    firstName: "Room",
+    lastName: "Admin",
+    email: "rooms.admin@test.com",
+    role: "admin",
+    adminSecret: process.env.ADMIN_SECRET_KEY,
+  });
+
+  const appointment = await Appointment.create({
+    patient: otherPatientId,
+    doctor: doctorId,
+    appointmentDate: "2030-07-01",
+    appointmentTime: "10:00",
+    duration: 30,
+    reason: "Checkup",
+  });
+  appointmentId = appointment._id.toString();
+
+  server = http.createServer();
+  io = initializeSocket(server);
+  await new Promise((resolve) => server.listen(0, resolve));
+  url = `http://localhost:${server.address().port}`;
+});
+
+afterEach(() => {
+  clients.splice(0).forEach((client) => client.close());
+});
+
+afterAll(async () => {
+  io.close();
+  await Appointment.deleteMany({});
+  await Session.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("Socket room authorization", () => {
+  test("should stop a patient subscribing to another user's stream", async () => {
+    const warn = jest.spyOn(logger, "warn");
+    const nosy = await connectAs(patientId, "patient");
+    const received = [];
+    nosy.on("appointment_update", (data) => received.push(data));
+
+    const { error } = await joinRoom(nosy, `user_${otherPatientId}`);
+    expect(error.code).toBe("ROOM_ACCESS_DENIED");
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining(`user_${otherPatientId}`),
+    );
+
+    io.to(`user_${otherPatientId}`).emit("appointment_update", {
+      secret: true,
+    });
+    await nextTick();
+    expect(received).toHaveLength(0);
+  });
+
+  test("should only let users into their own user and role rooms", async () => {
+    const patient = await connectAs(patientId, "patient");
+
+    expect((await joinRoom(patient, `user_${patientId}`)).joined).toBeDefined();
+    expect((await joinRoom(patient, "role_patient")).joined).toBeDefined();
+    expect((await joinRoom(patient, "role_admin")).error.code).toBe(
+      "ROOM_ACCESS_DENIED",
+    );
+    expect((await joinRoom(patient, "anything_else")).error.code).toBe(
+      "UNKNOWN_ROOM",
+    );
+  });
+
+  test("should limit appointment and queue rooms to the people involved", async () => {
+    const patient = await connectAs(patientId, "patient");
+    const doctor = await connectAs(doctorId, "doctor");
+    const admin = await connectAs(adminId, "admin");
+
+    const appointmentRoom = `appointment_${appointmentId}`;
+    expect((await joinRoom(patient, appointmentRoom)).error.code).toBe(
+      "ROOM_ACCESS_DENIED",
+    );
+    expect((await joinRoom(doctor, appointmentRoom)).joined).toBeDefined();
+    expect((await joinRoom(admin, appointmentRoom)).joined).toBeDefined();
+
+    const queueRoom = `queue_${doctorId}`;
+    expect((await joinRoom(patient, queueRoom)).error.code).toBe(
+      "ROOM_ACCESS_DENIED",
+    );
+    expect((await joinRoom(doctor, queueRoom)).joined).toBeDefined();
+    expect((await joinRoom(admin, queueRoom)).joined).toBeDefined();
+  });
+
+  test("should still deliver events to the user's own room", async () => {
+    const patient = await connectAs(otherPatientId, "patient");
+    const received = new Promise((resolve) =>
+      patient.once("appointment_update", resolve),
+    );
+
+    io.to(`user_${otherPatientId}`).emit("appointment_update", { ok: true });
+    expect(await received).toEqual({ ok: true });
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Socket event catalog tests
+ *
+ * Checks that the shared catalog (shared/socketEvents.json) names the
+ * events the way clients subscribe to them, that `emitEvent` refuses
+ * payloads that do not match their schema, and that a real appointment
+ * change reaches a connected client under the catalog's name, and a
+ * doctor's queue reaches its queue room, series cancellations included.
+ */
+
+const http = require("http");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { io: connectClient } = require("socket.io-client");
+const app = require("../../src/app");
+const initializeSocket = require("../../src/config/socket");
+const catalog = require("../../shared/socketEvents.json");
+const logger = require("../../src/utils/logger");
+const { startSession } = require("../../src/services/sessionService");
+const {
+  SERVER_EVENTS,
+  CLIENT_EVENTS,
+  emitEvent,
+  validateClientEvent,
+  validateServerEvent,
+} = require("../../src/utils/socketEvents");
+const User = require("../../src/models/user");
+const Session = require("../../src/models/session");
+const Appointment = require("../../src/models/appointment");
+const AppointmentSeries = require("../../src/models/appointmentSeries");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+let server, io, url, appIo;
+let patientCookies, patientId, doctorId;
+const clients = [];
+
+const connectAs = async (userId, role) => {
+  const { accessToken } = await startSession({ _id: userId, role });
+  return new Promise((resolve, reject) => {
+    const client = connectClient(url, {
+      auth: { token: accessToken },
+      transports: ["websocket"],
+      forceNew: true,
+    });
+    clients.push(client);
+    client.once("connected", () => resolve(client));
+    client.once("connect_error", reject);
+  });
+};
+
+const bookNow = () => {
+  const at = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+  return Appointment.create({
+    patient: patientId,
+    doctor: doctorId,
+    appointmentDate: at.slice(0, 10),
+    appointmentTime: at.slice(11, 16),
+    duration: 30,
+    reason: "Checkup",
+  });
+};
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  const patientRes = await request(app).post("/api/auth/register").send({
+    firstName: "Socket",
+    lastName: "Patient",
+    email: "events.patient@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "patient",
+  });
+  patientCookies = patientRes.headers["set-cookie"];
+  patientId = patientRes.body.data.user.id;
+
+  const doctorRes = await request(app).post("/api/auth/register").send({
+    firstName: "Socket",
+    lastName: "Doctor",
+    email: "events.doctor@test.com",
+    password: "Test@1234",
+    phone: "1234567890",
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-EVENTS",
+  });
+  doctorId = doctorRes.body.data.user.id;
+
+  server = http.createServer();
+  io = initializeSocket(server);
+  await new Promise((resolve) => server.listen(0, resolve));
+  url = `http://localhost:${server.address().port}`;
+
+  // Route controller emits to the test server
+  appIo = app.get("io");
+  app.set("io", io);
+});
+
+afterEach(() => {
+  clients.splice(0).forEach((client) => client.close());
+});
+
+afterAll(async () => {
+  app.set("io", appIo);
+  io.close();
+  await Appointment.deleteMany({});
+  await AppointmentSeries.deleteMany({});
+  await Session.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe("Socket event catalog", () => {
+  test("should name appointment events the way the server emits them", () => {
+    expect(SERVER_EVENTS.APPOINTMENT_CREATED).toBe("new_appointment");
+    expect(SERVER_EVENTS.APPOINTMENT_UPDATED).toBe("appointment_update");
+    expect(SERVER_EVENTS.APPOINTMENT_CANCELLED).toBe("appointment_cancelled");
+    expect(CLIENT_EVENTS.JOIN_ROOM).toBe("join_room");
+
+    for (const section of [catalog.server, catalog.client]) {
+      const names = Object.values(section).map(({ name }) => name);
+      expect(new Set(names).size).toBe(names.length);
+      Object.values(section).forEach((event) =>
+        expect(event.payload).toBeDefined(),
+      );
+    }
+  });
+
+  test("should validate appointment payloads in their wire form", () => {
+    const appointment = new Appointment({
+      patient: patientId,
+      doctor: doctorId,
+      appointmentDate: "2030-07-01",
+      appointmentTime: "10:00",
+      duration: 30,
+      reason: "Checkup",
+    });
+
+    expect(
+      validateServerEvent(SERVER_EVENTS.APPOINTMENT_UPDATED, appointment),
+    ).toEqual([]);
+    expect(
+      validateServerEvent(SERVER_EVENTS.APPOINTMENT_UPDATED, {
+        _id: "abc",
+        status: "lost",
+        patient: patientId,
+        doctor: doctorId,
+      }),
+    ).toEqual([expect.stringContaining("payload.status")]);
+    expect(validateClientEvent(CLIENT_EVENTS.JOIN_ROOM, { room: 1 })).toEqual([
+      "payload should be string",
+    ]);
+  });
+
+  test("should refuse to emit unknown events and bad payloads", () => {
+    const error = jest.spyOn(logger, "error");
+    const target = { emit: jest.fn() };
+
+    expect(emitEvent(target, "appointmentUpdated", { ok: true })).toBe(false);
+    expect(
+      emitEvent(target, SERVER_EVENTS.APPOINTMENT_UPDATED, { ok: true }),
+    ).toBe(false);
+    expect(target.emit).not.toHaveBeenCalled();
+    expect(error).toHaveBeenCalledWith(
+      expect.stringContaining("appointmentUpdated"),
+    );
+
+    expect(
+      emitEvent(target, SERVER_EVENTS.ROOM_LEFT, { room: "role_patient" }),
+    ).toBe(true);
+    expect(target.emit).toHaveBeenCalledWith("room_left", {
+      room: "role_patient",
+    });
+  });
+
+  test("should deliver appointment changes under the catalog name", async () => {
+    const appointment = await bookNow();
+    const patient = await connectAs(patientId, "patient");
+    const received = new Promise((resolve) =>
+      patient.once(SERVER_EVENTS.APPOINTMENT_UPDATED, resolve),
+    );
+
+    await request(app)
+      .post(`/api/appointments/${appointment._id}/check-in`)
+      .set("Cookie", patientCookies)
+      .expect(200);
+
+    const payload = await received;
+    expect(payload._id).toBe(appointment._id.toString());
+    expect(payload.status).toBe("checked-in");
+  });
+
+  test("should push queue changes to the doctor's queue room", async () => {
+    await Appointment.deleteMany({});
+    const appointment = await bookNow();
+    const doctor = await connectAs(doctorId, "doctor");
+    const joined = new Promise((resolve) =>
+      doctor.once(SERVER_EVENTS.ROOM_JOINED, resolve),
+    );
+    doctor.emit(CLIENT_EVENTS.JOIN_ROOM, `queue_${doctorId}`);
+    await joined;
+
+    const received = new Promise((resolve) =>
+      doctor.once(SERVER_EVENTS.QUEUE_UPDATED, resolve),
+    );
+    await request(app)
+      .post(`/api/appointments/${appointment._id}/check-in`)
+      .set("Cookie", patientCookies)
+      .expect(200);
+
+    const queue = await received;
+    expect(queue.doctorId).toBe(doctorId);
+    expect(queue.waiting.map((entry) => entry._id)).toContain(
+      appointment._id.toString(),
+    );
+  });
+
+  test("should push the queue when a series with a visit today is cancelled", async () => {
+    await Appointment.deleteMany({});
+    const at = new Date(Date.now() + 30 * 60 * 1000).toISOString();
+    const series = await AppointmentSeries.create({
+      patient: patientId,
+      doctor: doctorId,
+      startDate: at.slice(0, 10),
+      appointmentTime: at.slice(11, 16),
+      reason: "Checkup",
+      recurrence: { frequency: "weekly", count: 1 },
+      createdBy: patientId,
+    });
+    const occurrence = await Appointment.create({
+      patient: patientId,
+      doctor: doctorId,
+      series: series._id,
+      appointmentDate: at.slice(0, 10),
+      appointmentTime: at.slice(11, 16),
+      duration: 30,
+      reason: "Checkup",
+    });
+
+    const doctor = await connectAs(doctorId, "doctor");
+    const joined = new Promise((resolve) =>
+      doctor.once(SERVER_EVENTS.ROOM_JOINED, resolve),
+    );
+    doctor.emit(CLIENT_EVENTS.JOIN_ROOM, `queue_${doctorId}`);
+    await joined;
+
+    const received = new Promise((resolve) =>
+      doctor.once(SERVER_EVENTS.QUEUE_UPDATED, resolve),
+    );
+    await request(app)
+      .delete(`/api/appointments/series/${series._id}`)
+      .set("Cookie", patientCookies)
+      .expect(200);
+
+    const queue = await received;
+    expect(queue.upcoming.map((entry) => entry._id)).not.toContain(
+      occurrence._id.toString(),
+    );
+  });
+
+  test("should reject client events with malformed payloads", async () => {
+    const patient = await connectAs(patientId, "patient");
+    const error = new Promise((resolve) =>
+      patient.once(SERVER_EVENTS.ERROR, resolve),
+    );
+
+    patient.emit(CLIENT_EVENTS.JOIN_ROOM, { room: `user_${patientId}` });
+    expect(await error).toMatchObject({
+      code: "INVALID_PAYLOAD",
+      event: "join_room",
+    });
+  });
+});
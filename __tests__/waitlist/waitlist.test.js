@@ -0,0 +1,241 @@
+/**
+ * Waitlist integration tests
+ *
+ * Covers joining the waitlist, the time-limited hold offered when an
+ * appointment is cancelled, accepting / declining offers and the
+ * cascade to the next patient when an offer expires.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../src/app");
+const User = require("../../src/models/user");
+const Appointment = require("../../src/models/appointment");
+const WaitlistEntry = require("../../src/models/waitlistEntry");
+const WaitlistOffer = require("../../src/models/waitlistOffer");
+const { expireOffers } = require("../../src/services/waitlistService");
+
+const testDbUri =
+  process.env.TEST_MONGODB_URI || "mongodb://localhost:27017/clinichub_test";
+
+let bookerCookies, firstCookies, secondCookies, doctorCookies;
+let firstId, secondId, doctorId, appointmentId;
+
+const register = (email, extra = {}) =>
+  request(app)
+    .post("/api/auth/register")
+    .send({
+      firstName: "Wait",
+      lastName: "List",
+      email,
+      password: "Test@1234",
+      phone: "1234567890",
+      role: "patient",
+      ...extra,
+    });
+
+const join = (cookies) =>
+  request(app).post("/api/waitlist").set("Cookie", cookies).send({
+    doctorId,
+    startDate: "2030-06-30",
+    endDate: "2030-07-02",
+    reason: "Earlier visit please",
+  });
+
+const cancelBooking = () =>
+  request(app)
+    .delete(`/api/appointments/${appointmentId}`)
+    .set("Cookie", bookerCookies)
+    .send({ cancelReason: "Travelling" })
+    .expect(200);
+
+const pendingOffer = () => WaitlistOffer.findOne({ status: "pending" });
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(testDbUri);
+  }
+
+  bookerCookies = (await register("waitlist.booker@test.com")).headers[
+    "set-cookie"
+  ];
+  const first = await register("waitlist.first@test.com");
+  firstCookies = first.headers["set-cookie"];
+  firstId = first.body.data.user.id;
+  const second = await register("waitlist.second@test.com");
+  secondCookies = second.headers["set-cookie"];
+  secondId = second.body.data.user.id;
+
+  const doctorRes = await register("waitlist.doctor@test.com", {
+    role: "doctor",
+    specialization: "General Medicine",
+    licenseNumber: "MD-WAIT",
+  });
+  doctorId = doctorRes.body.data.user.id;
+  doctorCookies = doctorRes.headers["set-cookie"];
+
+  // Booking needs a verified email address
+  await User.updateMany({}, { emailVerified: true });
+});
+
+afterAll(async () => {
+  await Appointment.deleteMany({});
+  await WaitlistEntry.deleteMany({});
+  await WaitlistOffer.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Appointment.deleteMany({});
+  await WaitlistEntry.deleteMany({});
+  await WaitlistOffer.deleteMany({});
+
+  const response = await request(app)
+    .post("/api/appointments")
+    .set("Cookie", bookerCookies)
+    .send({
+      doctorId,
+      appointmentDate: "2030-07-01",
+      appointmentTime: "10:00",
+      reason: "Checkup",
+    });
+  appointmentId = response.body.data.appointment._id;
+
+  await join(firstCookies).expect(201);
+  await join(secondCookies).expect(201);
+});
+
+describe("Waitlist", () => {
+  test("should not add the same patient twice", async () => {
+    const response = await join(firstCookies).expect(409);
+    expect(response.body.code).toBe("ALREADY_WAITLISTED");
+  });
+
+  test("should hold a cancelled slot for the first patient in line", async () => {
+    await cancelBooking();
+
+    const offer = await pendingOffer();
+    expect(offer.patient.toString()).toBe(firstId);
+    expect(offer.appointmentTime).toBe("10:00");
+    expect(offer.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Held for everyone else, including the slot finder
+    const booking = await request(app)
+      .post("/api/appointments")
+      .set("Cookie", secondCookies)
+      .send({
+        doctorId,
+        appointmentDate: "2030-07-01",
+        appointmentTime: "10:00",
+        reason: "Checkup",
+      })
+      .expect(409);
+    expect(booking.body.code).toBe("SLOT_HELD");
+
+    const slots = await request(app)
+      .get("/api/appointments/available-slots")
+      .set("Cookie", secondCookies)
+      .query({ doctorId, startDate: "2030-07-01" })
+      .expect(200);
+    expect(slots.body.data.days[0].slots).not.toContain("10:00");
+
+    const list = await request(app)
+      .get("/api/waitlist")
+      .set("Cookie", firstCookies)
+      .expect(200);
+    expect(list.body.data.entries[0].status).toBe("offered");
+    expect(list.body.data.entries[0].currentOffer._id).toBe(
+      offer._id.toString(),
+    );
+  });
+
+  test("should hold the slot when the doctor cancels through an update", async () => {
+    await request(app)
+      .put(`/api/appointments/${appointmentId}`)
+      .set("Cookie", doctorCookies)
+      .send({ status: "cancelled" })
+      .expect(200);
+
+    const offer = await pendingOffer();
+    expect(offer.patient.toString()).toBe(firstId);
+    expect(offer.sourceAppointment.toString()).toBe(appointmentId);
+  });
+
+  test("should book the slot when the offer is accepted", async () => {
+    await cancelBooking();
+    const offer = await pendingOffer();
+
+    await request(app)
+      .post(`/api/waitlist/offers/${offer._id}/accept`)
+      .set("Cookie", secondCookies)
+      .expect(403);
+
+    const response = await request(app)
+      .post(`/api/waitlist/offers/${offer._id}/accept`)
+      .set("Cookie", firstCookies)
+      .expect(201);
+
+    const appointment = response.body.data.appointment;
+    expect(appointment.patient._id).toBe(firstId);
+    expect(appointment.appointmentTime).toBe("10:00");
+    expect(appointment.reason).toBe("Earlier visit please");
+
+    const entry = await WaitlistEntry.findOne({ patient: firstId });
+    expect(entry.status).toBe("booked");
+    expect(entry.appointment.toString()).toBe(appointment._id);
+  });
+
+  test("should pass a declined offer to the next patient", async () => {
+    await cancelBooking();
+    const offer = await pendingOffer();
+
+    await request(app)
+      .post(`/api/waitlist/offers/${offer._id}/decline`)
+      .set("Cookie", firstCookies)
+      .expect(200);
+
+    const next = await pendingOffer();
+    expect(next.patient.toString()).toBe(secondId);
+
+    // The first patient stays on the list for other slots
+    const entry = await WaitlistEntry.findOne({ patient: firstId });
+    expect(entry.status).toBe("waiting");
+  });
+
+  test("should cascade an expired offer to the next patient", async () => {
+    await cancelBooking();
+    const offer = await pendingOffer();
+
+    const expired = await expireOffers({
+      now: new Date(offer.expiresAt.getTime() + 1000),
+    });
+    expect(expired).toBe(1);
+
+    const next = await pendingOffer();
+    expect(next.patient.toString()).toBe(secondId);
+
+    const response = await request(app)
+      .post(`/api/waitlist/offers/${offer._id}/accept`)
+      .set("Cookie", firstCookies)
+      .expect(409);
+    expect(response.body.code).toBe("OFFER_NOT_PENDING");
+
+    // Once everyone has had a turn the slot is simply free again
+    await expireOffers({ now: new Date(next.expiresAt.getTime() + 1000) });
+    expect(await pendingOffer()).toBeNull();
+  });
+
+  test("should release the hold when the patient leaves the waitlist", async () => {
+    await cancelBooking();
+    const entry = await WaitlistEntry.findOne({ patient: firstId });
+
+    await request(app)
+      .delete(`/api/waitlist/${entry._id}`)
+      .set("Cookie", firstCookies)
+      .expect(200);
+
+    const next = await pendingOffer();
+    expect(next.patient.toString()).toBe(secondId);
+  });
+});
@@ -12,6 +12,14 @@ import PatientDetails from "./pages/PatientDetails";
 import VisitReports from "./pages/VisitReports";
 import Analytics from "./pages/Analytics";
 import Profile from "./pages/Profile";
+import Waitlist from "./pages/Waitlist";
+import WaitingRoom from "./pages/WaitingRoom";
+import VideoVisit from "./pages/VideoVisit";
+import Messages from "./pages/Messages";
+import AppointmentLink from "./pages/AppointmentLink";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
 
 function PrivateRoute({ children, allowedRoles }) {
   const { user, isAuthenticated } = useAuthStore();
@@ -79,6 +87,10 @@ function App() {
     <Routes>
       <Route path="/login" element={<Login />} />
       <Route path="/register" element={<Register />} />
+      <Route path="/appointment-link" element={<AppointmentLink />} />
+      <Route path="/forgot-password" element={<ForgotPassword />} />
+      <Route path="/reset-password" element={<ResetPassword />} />
+      <Route path="/verify-email" element={<VerifyEmail />} />
 
       <Route
         path="/"
@@ -91,6 +103,31 @@ function App() {
         <Route index element={<Navigate to="/dashboard" replace />} />
         <Route path="dashboard" element={<Dashboard />} />
         <Route path="appointments" element={<Appointments />} />
+        <Route path="waitlist" element={<Waitlist />} />
+        <Route
+          path="visits/:appointmentId"
+          element={
+            <PrivateRoute allowedRoles={["doctor", "patient"]}>
+              <VideoVisit />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="messages"
+          element={
+            <PrivateRoute allowedRoles={["doctor", "patient"]}>
+              <Messages />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="waiting-room"
+          element={
+            <PrivateRoute allowedRoles={["doctor", "admin"]}>
+              <WaitingRoom />
+            </PrivateRoute>
+          }
+        />
         <Route
           path="patients"
           element={
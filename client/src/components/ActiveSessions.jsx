@@ -0,0 +1,126 @@
+/**
+ * ActiveSessions.jsx — The devices the user is signed in on
+ *
+ * Lists each active session with its device, IP address and when it
+ * was last used, marking the one in use.  Any other device can be
+ * signed out on its own; "Log out all devices" ends every session,
+ * this one included, and returns to the login page.
+ */
+
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { LogOut, Monitor, ShieldCheck, Smartphone } from "lucide-react";
+import { formatDistanceToNow } from "date-fns";
+import toast from "react-hot-toast";
+import { authAPI } from "../services/api";
+import { disconnectSocket } from "../services/socket";
+import { useAuthStore } from "../store/authStore";
+
+const isMobile = (device) => /iOS|Android/.test(device);
+
+export default function ActiveSessions() {
+  const navigate = useNavigate();
+  const clearAuth = useAuthStore((state) => state.clearAuth);
+  const [sessions, setSessions] = useState([]);
+  const [revokingId, setRevokingId] = useState(null);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data.data.sessions);
+    } catch (error) {
+      console.error("Error fetching sessions:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (id) => {
+    setRevokingId(id);
+    try {
+      await authAPI.revokeSession(id);
+      setSessions((current) => current.filter((session) => session.id !== id));
+      toast.success("Device signed out");
+    } catch (error) {
+      console.error("Error revoking session:", error);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm("Log out of every device, including this one?")) return;
+    try {
+      await authAPI.logoutAll();
+      disconnectSocket();
+      clearAuth();
+      toast.success("Logged out of all devices");
+      navigate("/login");
+    } catch (error) {
+      console.error("Error logging out of all devices:", error);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-card border border-slate-100">
+      <div className="p-6 border-b border-slate-100 flex items-center gap-3">
+        <ShieldCheck size={20} className="text-indigo-600" />
+        <div className="flex-1">
+          <h2 className="text-lg font-semibold text-slate-900">
+            Active Sessions
+          </h2>
+          <p className="text-sm text-slate-500">
+            Devices signed in to your account
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleLogoutAll}
+          className="inline-flex items-center gap-2 px-4 py-2 border border-red-200 text-red-600 rounded-xl text-sm font-medium hover:bg-red-50 transition-colors"
+        >
+          <LogOut size={16} />
+          Log out all devices
+        </button>
+      </div>
+
+      <ul className="divide-y divide-slate-100">
+        {sessions.map((session) => {
+          const DeviceIcon = isMobile(session.device) ? Smartphone : Monitor;
+          return (
+            <li key={session.id} className="p-6 flex items-center gap-4">
+              <DeviceIcon size={20} className="text-slate-400 shrink-0" />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-slate-800">
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full bg-emerald-50 text-emerald-700 text-xs font-medium">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-slate-500 truncate">
+                  {session.ipAddress || "Unknown IP"} · Last active{" "}
+                  {formatDistanceToNow(new Date(session.lastSeenAt), {
+                    addSuffix: true,
+                  })}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(session.id)}
+                  disabled={revokingId === session.id}
+                  className="px-4 py-2 border border-slate-200 rounded-xl text-sm font-medium text-slate-700 hover:bg-slate-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {revokingId === session.id ? "Signing out…" : "Sign out"}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -2,7 +2,8 @@
  * AppointmentModal.jsx — Create / edit appointment dialog
  *
  * Renders inside a backdrop overlay. When editing, pre-fills fields
- * from the existing appointment object.  On submit, calls the
+ * from the existing appointment object; patients editing their own
+ * appointment can only pick a new slot (the reschedule endpoint).  On submit, calls the
  * appointments API and notifies the parent via onSuccess().
  */
 
@@ -12,6 +13,10 @@ import { appointmentsAPI } from "../services/api";
 import { useAuthStore } from "../store/authStore";
 import toast from "react-hot-toast";
 import { format } from "date-fns";
+import DoctorPicker from "./DoctorPicker";
+import SlotPicker from "./SlotPicker";
+import { appointmentDateKey } from "../utils/appointmentTime";
+import { STATUS_LABELS, getNextStatuses } from "../utils/appointmentStatus";
 
 const inputCls =
   "w-full h-11 bg-slate-50 border border-slate-200 rounded-xl px-4 text-sm text-slate-800 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition";
@@ -19,25 +24,59 @@ const inputCls =
 export default function AppointmentModal({ appointment, onClose, onSuccess }) {
   const { user } = useAuthStore();
   const [isLoading, setIsLoading] = useState(false);
+  const [slotRefreshKey, setSlotRefreshKey] = useState(0);
+  const [selectedDoctor, setSelectedDoctor] = useState(
+    appointment?.doctor || null,
+  );
   const [formData, setFormData] = useState({
     doctorId: appointment?.doctor?._id || "",
     patientId: appointment?.patient?._id || "",
-    appointmentDate: appointment?.appointmentDate
-      ? format(new Date(appointment.appointmentDate), "yyyy-MM-dd")
-      : "",
+    appointmentDate: appointment ? appointmentDateKey(appointment) : "",
     appointmentTime: appointment?.appointmentTime || "",
     duration: appointment?.duration || 30,
     reason: appointment?.reason || "",
+    visitType: appointment?.visitType || "in-person",
     status: appointment?.status || "scheduled",
   });
+  // Patients may only move their appointment, under the clinic policy
+  const isReschedule = Boolean(appointment) && user?.role === "patient";
+  // Recurrence for new bookings; "none" books a single appointment
+  const [repeat, setRepeat] = useState({ frequency: "none", count: 4 });
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (!appointment && !formData.doctorId) {
+      toast.error("Please select a doctor");
+      return;
+    }
+    if (!formData.appointmentTime) {
+      toast.error("Please select an appointment time");
+      return;
+    }
     setIsLoading(true);
     try {
-      if (appointment) {
+      if (isReschedule) {
+        await appointmentsAPI.reschedule(appointment._id, {
+          appointmentDate: formData.appointmentDate,
+          appointmentTime: formData.appointmentTime,
+        });
+        toast.success("Appointment rescheduled");
+      } else if (appointment) {
         await appointmentsAPI.update(appointment._id, formData);
         toast.success("Appointment updated successfully");
+      } else if (repeat.frequency !== "none") {
+        const { appointmentDate, ...rest } = formData;
+        const response = await appointmentsAPI.createSeries({
+          ...rest,
+          startDate: appointmentDate,
+          recurrence: {
+            frequency: repeat.frequency,
+            count: Number(repeat.count),
+          },
+        });
+        toast.success(
+          `${response.data.data.appointments.length} appointments scheduled`,
+        );
       } else {
         await appointmentsAPI.create(formData);
         toast.success("Appointment created successfully");
@@ -45,22 +84,49 @@ export default function AppointmentModal({ appointment, onClose, onSuccess }) {
       onSuccess();
     } catch (error) {
       console.error("Error saving appointment:", error);
+      // Someone else took the slot — reload the list so it disappears
+      if (error.response?.status === 409) {
+        setFormData((prev) => ({ ...prev, appointmentTime: "" }));
+        setSlotRefreshKey((k) => k + 1);
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
   const handleChange = (e) => {
-    setFormData({ ...formData, [e.target.name]: e.target.value });
+    const next = { ...formData, [e.target.name]: e.target.value };
+    // Patients book from the slot list, so a new date invalidates the picked slot
+    if (user?.role === "patient" && e.target.name === "appointmentDate") {
+      next.appointmentTime = "";
+    }
+    setFormData(next);
+  };
+
+  const handleDoctorChange = (doctor) => {
+    setSelectedDoctor(doctor);
+    setFormData({
+      ...formData,
+      doctorId: doctor?._id || "",
+      appointmentTime: appointment ? formData.appointmentTime : "",
+    });
   };
 
+  // The doctor can only be chosen when booking; edits keep the original doctor
+  const canPickDoctor =
+    !appointment && (user?.role === "patient" || user?.role === "admin");
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/40 backdrop-blur-sm animate-fade-in">
       <div className="bg-white rounded-2xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto border border-slate-100 animate-slide-up">
         {/* Header */}
         <div className="flex items-center justify-between px-6 py-5 border-b border-slate-100">
           <h2 className="text-lg font-semibold text-slate-900">
-            {appointment ? "Edit Appointment" : "New Appointment"}
+            {isReschedule
+              ? "Reschedule Appointment"
+              : appointment
+                ? "Edit Appointment"
+                : "New Appointment"}
           </h2>
           <button
             onClick={onClose}
@@ -72,23 +138,12 @@ export default function AppointmentModal({ appointment, onClose, onSuccess }) {
 
         {/* Form */}
         <form onSubmit={handleSubmit} className="p-6 space-y-5">
-          {user?.role === "patient" && (
+          {canPickDoctor && (
             <div>
               <label className="block text-sm font-medium text-slate-700 mb-1.5">
-                Doctor ID
+                Doctor
               </label>
-              <input
-                type="text"
-                name="doctorId"
-                required
-                value={formData.doctorId}
-                onChange={handleChange}
-                className={inputCls}
-                placeholder="Enter doctor ID"
-              />
-              <p className="text-xs text-slate-400 mt-1">
-                Contact clinic to get doctor ID
-              </p>
+              <DoctorPicker value={selectedDoctor} onChange={handleDoctorChange} />
             </div>
           )}
 
@@ -124,19 +179,38 @@ export default function AppointmentModal({ appointment, onClose, onSuccess }) {
                 className={inputCls}
               />
             </div>
-            <div>
-              <label className="block text-sm font-medium text-slate-700 mb-1.5">
-                Appointment Time
-              </label>
-              <input
-                type="time"
-                name="appointmentTime"
-                required
-                value={formData.appointmentTime}
-                onChange={handleChange}
-                className={inputCls}
-              />
-            </div>
+            {user?.role !== "patient" && (
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1.5">
+                  Appointment Time
+                </label>
+                <input
+                  type="time"
+                  name="appointmentTime"
+                  required
+                  value={formData.appointmentTime}
+                  onChange={handleChange}
+                  className={inputCls}
+                />
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1.5">
+              Available Times
+            </label>
+            <SlotPicker
+              doctorId={formData.doctorId}
+              date={formData.appointmentDate}
+              duration={formData.duration}
+              excludeAppointmentId={appointment?._id}
+              refreshKey={slotRefreshKey}
+              value={formData.appointmentTime}
+              onChange={(time) =>
+                setFormData({ ...formData, appointmentTime: time })
+              }
+            />
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -150,12 +224,52 @@ export default function AppointmentModal({ appointment, onClose, onSuccess }) {
                 required
                 min="15"
                 step="15"
+                disabled={isReschedule}
                 value={formData.duration}
                 onChange={handleChange}
                 className={inputCls}
               />
             </div>
-            {appointment && (
+            {!appointment && (
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1.5">
+                    Repeat
+                  </label>
+                  <select
+                    value={repeat.frequency}
+                    onChange={(e) =>
+                      setRepeat({ ...repeat, frequency: e.target.value })
+                    }
+                    className={inputCls}
+                  >
+                    <option value="none">Does not repeat</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                  </select>
+                </div>
+                {repeat.frequency !== "none" && (
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1.5">
+                      Occurrences
+                    </label>
+                    <input
+                      type="number"
+                      min="2"
+                      max="52"
+                      required
+                      value={repeat.count}
+                      onChange={(e) =>
+                        setRepeat({ ...repeat, count: e.target.value })
+                      }
+                      className={inputCls}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+            {appointment && !isReschedule && (
               <div>
                 <label className="block text-sm font-medium text-slate-700 mb-1.5">
                   Status
@@ -166,15 +280,35 @@ export default function AppointmentModal({ appointment, onClose, onSuccess }) {
                   onChange={handleChange}
                   className={inputCls}
                 >
-                  <option value="scheduled">Scheduled</option>
-                  <option value="confirmed">Confirmed</option>
-                  <option value="completed">Completed</option>
-                  <option value="cancelled">Cancelled</option>
+                  {[
+                    appointment.status,
+                    ...getNextStatuses(appointment.status, user?.role),
+                  ].map((s) => (
+                    <option key={s} value={s}>
+                      {STATUS_LABELS[s]}
+                    </option>
+                  ))}
                 </select>
               </div>
             )}
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1.5">
+              Visit Type
+            </label>
+            <select
+              name="visitType"
+              disabled={isReschedule}
+              value={formData.visitType}
+              onChange={handleChange}
+              className={inputCls}
+            >
+              <option value="in-person">In person</option>
+              <option value="video">Video</option>
+            </select>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-slate-700 mb-1.5">
               Reason for Visit
@@ -183,6 +317,7 @@ export default function AppointmentModal({ appointment, onClose, onSuccess }) {
               name="reason"
               required
               rows="3"
+              disabled={isReschedule}
               value={formData.reason}
               onChange={handleChange}
               className="w-full bg-slate-50 border border-slate-200 rounded-xl px-4 py-3 text-sm text-slate-800 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition resize-none"
@@ -203,7 +338,13 @@ export default function AppointmentModal({ appointment, onClose, onSuccess }) {
               disabled={isLoading}
               className="px-5 py-2.5 bg-gradient-to-r from-indigo-600 to-indigo-500 text-white rounded-xl shadow-md shadow-indigo-600/20 hover:from-indigo-700 hover:to-indigo-600 transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {isLoading ? "Saving…" : appointment ? "Update" : "Create"}
+              {isLoading
+                ? "Saving…"
+                : isReschedule
+                  ? "Reschedule"
+                  : appointment
+                    ? "Update"
+                    : "Create"}
             </button>
           </div>
         </form>
@@ -0,0 +1,111 @@
+/**
+ * ChangePassword.jsx — Change the signed-in user's password
+ *
+ * Asks for the current password and the new one twice.  The server
+ * signs out the user's other devices; `onChanged` lets the page
+ * refresh its list of them.
+ */
+
+import { useState } from "react";
+import { KeyRound, Save } from "lucide-react";
+import toast from "react-hot-toast";
+import { authAPI } from "../services/api";
+
+const EMPTY_FORM = {
+  currentPassword: "",
+  newPassword: "",
+  confirmPassword: "",
+};
+
+const inputCls =
+  "w-full h-10 px-3 bg-slate-50 border border-slate-200 rounded-xl text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition";
+
+const FIELDS = [
+  { name: "currentPassword", label: "Current password" },
+  { name: "newPassword", label: "New password" },
+  { name: "confirmPassword", label: "Confirm new password" },
+];
+
+export default function ChangePassword({ onChanged }) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (formData.newPassword !== formData.confirmPassword) {
+      toast.error("New passwords do not match");
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const { currentPassword, newPassword } = formData;
+      const response = await authAPI.changePassword({
+        currentPassword,
+        newPassword,
+      });
+      toast.success(response.data.message);
+      setFormData(EMPTY_FORM);
+      onChanged?.();
+    } catch (error) {
+      console.error("Error changing password:", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-card border border-slate-100">
+      <div className="p-6 border-b border-slate-100 flex items-center gap-3">
+        <KeyRound size={20} className="text-indigo-600" />
+        <div>
+          <h2 className="text-lg font-semibold text-slate-900">Password</h2>
+          <p className="text-sm text-slate-500">
+            Changing it signs you out on your other devices
+          </p>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="p-6 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {FIELDS.map(({ name, label }) => (
+            <div key={name}>
+              <label
+                htmlFor={name}
+                className="block text-sm font-medium text-slate-700 mb-1.5"
+              >
+                {label}
+              </label>
+              <input
+                id={name}
+                name={name}
+                type="password"
+                required
+                value={formData[name]}
+                onChange={handleChange}
+                className={inputCls}
+              />
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-slate-400">
+          At least 8 characters, with upper- and lowercase letters, a number and
+          a symbol.
+        </p>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="inline-flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-indigo-600 to-indigo-500 text-white rounded-xl shadow-md shadow-indigo-600/20 hover:from-indigo-700 hover:to-indigo-600 transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Save size={16} />
+            {isSaving ? "Saving…" : "Change Password"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+/**
+ * DoctorPicker.jsx — Searchable doctor selector
+ *
+ * Queries the doctor directory as the user types (debounced) and
+ * lets them pick one doctor.  Calls onChange(doctor) with the
+ * selected doctor object, or null when the selection is cleared.
+ */
+
+import { useEffect, useState } from "react";
+import { Search, Stethoscope, X } from "lucide-react";
+import { doctorsAPI } from "../services/api";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+export default function DoctorPicker({ value, onChange }) {
+  const [search, setSearch] = useState("");
+  const [specialization, setSpecialization] = useState("");
+  const [specializations, setSpecializations] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    doctorsAPI
+      .getSpecializations()
+      .then((res) => setSpecializations(res.data?.data?.specializations ?? []))
+      .catch((error) => console.error("Error fetching specializations:", error));
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      try {
+        setIsLoading(true);
+        const params = { limit: 10 };
+        if (search.trim()) params.search = search.trim();
+        if (specialization) params.specialization = specialization;
+        const response = await doctorsAPI.getAll(params);
+        setDoctors(response.data?.data?.doctors ?? []);
+      } catch (error) {
+        console.error("Error fetching doctors:", error);
+      } finally {
+        setIsLoading(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [search, specialization]);
+
+  if (value) {
+    return (
+      <div className="flex items-center justify-between h-11 bg-indigo-50 border border-indigo-200 rounded-xl px-4">
+        <div className="flex items-center gap-2 text-sm">
+          <Stethoscope size={16} className="text-indigo-600" />
+          <span className="font-medium text-slate-800">
+            Dr. {value.firstName} {value.lastName}
+          </span>
+          {value.specialization && (
+            <span className="text-slate-500">· {value.specialization}</span>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={() => onChange(null)}
+          className="p-1 text-slate-400 hover:text-slate-600 rounded-lg transition-colors"
+          title="Choose a different doctor"
+        >
+          <X size={16} />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+        <div className="relative md:col-span-2">
+          <Search
+            className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400"
+            size={16}
+          />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="pl-9 w-full h-11 bg-slate-50 border border-slate-200 rounded-xl text-sm text-slate-800 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition"
+            placeholder="Search by name or specialization"
+          />
+        </div>
+        <select
+          value={specialization}
+          onChange={(e) => setSpecialization(e.target.value)}
+          className="w-full h-11 bg-slate-50 border border-slate-200 rounded-xl px-3 text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition"
+        >
+          <option value="">All specializations</option>
+          {specializations.map((s) => (
+            <option key={s} value={s}>
+              {s}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="max-h-48 overflow-y-auto border border-slate-100 rounded-xl divide-y divide-slate-100">
+        {isLoading ? (
+          <p className="px-4 py-3 text-sm text-slate-400">Searching…</p>
+        ) : doctors.length === 0 ? (
+          <p className="px-4 py-3 text-sm text-slate-400">No doctors found</p>
+        ) : (
+          doctors.map((doctor) => (
+            <button
+              key={doctor._id}
+              type="button"
+              onClick={() => onChange(doctor)}
+              className="w-full flex items-center justify-between px-4 py-2.5 text-left hover:bg-slate-50 transition-colors"
+            >
+              <span className="text-sm font-medium text-slate-800">
+                Dr. {doctor.firstName} {doctor.lastName}
+              </span>
+              <span className="text-xs text-slate-400">
+                {doctor.specialization}
+              </span>
+            </button>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+/**
+ * EmailVerificationBanner.jsx — Reminder to verify the email address
+ *
+ * Shown above every page until the signed-in user follows the link
+ * emailed at registration; booking is refused until they do.  The
+ * user can ask for a new link, which the server allows once a minute.
+ */
+
+import { useState } from "react";
+import { MailWarning } from "lucide-react";
+import toast from "react-hot-toast";
+import { authAPI } from "../services/api";
+import { useAuthStore } from "../store/authStore";
+
+export default function EmailVerificationBanner() {
+  const user = useAuthStore((state) => state.user);
+  const [isSending, setIsSending] = useState(false);
+
+  // Accounts from before verification have no flag in a stored session
+  if (user?.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      const response = await authAPI.resendVerification();
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error("Error resending verification email:", error);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 flex flex-col sm:flex-row sm:items-center gap-3 rounded-xl bg-amber-50 ring-1 ring-amber-600/10 px-4 py-3">
+      <MailWarning className="h-5 w-5 text-amber-600 shrink-0" />
+      <p className="flex-1 text-sm text-amber-800">
+        Please verify your email address. We sent a link to{" "}
+        <span className="font-medium">{user.email}</span>; you can book
+        appointments once it's confirmed.
+      </p>
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={isSending}
+        className="px-4 py-2 rounded-xl text-sm font-medium text-amber-800 bg-white ring-1 ring-amber-600/20 hover:bg-amber-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isSending ? "Sending…" : "Resend link"}
+      </button>
+    </div>
+  );
+}
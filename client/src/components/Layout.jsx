@@ -2,8 +2,14 @@
  * Layout.jsx — Authenticated shell with sidebar navigation
  *
  * Wraps all protected pages.  Contains the collapsible sidebar,
- * role-based nav links, and a top bar with user greeting &
- * logout button.  Renders child routes via <Outlet />.
+ * role-based nav links, and a top bar with notifications and the
+ * user greeting.  Renders child routes via <Outlet />.
+ *
+ * Patients and doctors see an unread-messages badge on "Messages",
+ * refreshed whenever a message arrives or a conversation is read.
+ * Everyone gets the notification bell (NotificationBell) in the top bar,
+ * and users who haven't verified their email address a reminder above
+ * the page (EmailVerificationBanner).
  */
 
 import { Outlet, NavLink, useNavigate } from "react-router-dom";
@@ -18,16 +24,42 @@ import {
   Menu,
   X,
   Activity,
+  Hourglass,
+  Armchair,
+  MessageSquare,
 } from "lucide-react";
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useAuthStore } from "../store/authStore";
-import { authAPI } from "../services/api";
+import { authAPI, messagesAPI } from "../services/api";
+import { useSocketEvent, SOCKET_EVENTS } from "../services/socket";
+import NotificationBell from "./NotificationBell";
+import EmailVerificationBanner from "./EmailVerificationBanner";
 import toast from "react-hot-toast";
 
 export default function Layout() {
   const { user, clearAuth } = useAuthStore();
   const navigate = useNavigate();
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+  const [unreadMessages, setUnreadMessages] = useState(0);
+  const hasInbox = user?.role === "patient" || user?.role === "doctor";
+
+  const fetchUnread = async () => {
+    if (!hasInbox) return;
+    try {
+      const response = await messagesAPI.getUnread();
+      setUnreadMessages(response.data?.data?.total ?? 0);
+    } catch (error) {
+      console.error("Error fetching unread messages:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchUnread();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.role]);
+
+  useSocketEvent(SOCKET_EVENTS.NEW_MESSAGE, fetchUnread);
+  useSocketEvent(SOCKET_EVENTS.MESSAGES_READ, fetchUnread);
 
   const handleLogout = async () => {
     try {
@@ -53,6 +85,25 @@ export default function Layout() {
       href: "/appointments",
       roles: ["admin", "doctor", "patient"],
     },
+    {
+      name: "Waitlist",
+      icon: Hourglass,
+      href: "/waitlist",
+      roles: ["admin", "doctor", "patient"],
+    },
+    {
+      name: "Messages",
+      icon: MessageSquare,
+      href: "/messages",
+      roles: ["doctor", "patient"],
+      badge: unreadMessages,
+    },
+    {
+      name: "Waiting Room",
+      icon: Armchair,
+      href: "/waiting-room",
+      roles: ["admin", "doctor"],
+    },
     {
       name: "Patients",
       icon: Users,
@@ -150,7 +201,12 @@ export default function Layout() {
                     }
                   />
                   <span>{item.name}</span>
-                  {isActive && (
+                  {item.badge > 0 && (
+                    <span className="ml-auto min-w-[20px] h-5 px-1.5 rounded-full bg-indigo-500 text-white text-[11px] font-semibold flex items-center justify-center">
+                      {item.badge}
+                    </span>
+                  )}
+                  {isActive && !item.badge && (
                     <span className="ml-auto h-1.5 w-1.5 rounded-full bg-indigo-400" />
                   )}
                 </>
@@ -216,6 +272,7 @@ export default function Layout() {
           </button>
 
           <div className="ml-auto flex items-center gap-3">
+            <NotificationBell />
             <span className="hidden sm:inline text-sm text-slate-500">
               Welcome,{" "}
               <span className="font-semibold text-slate-700">
@@ -239,6 +296,7 @@ export default function Layout() {
 
         {/* Page content */}
         <main className="flex-1 p-5 md:p-8 animate-fade-in">
+          <EmailVerificationBanner />
           <Outlet />
         </main>
       </div>
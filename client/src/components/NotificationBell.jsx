@@ -0,0 +1,190 @@
+/**
+ * NotificationBell.jsx — Bell with the user's notification inbox
+ *
+ * Shows the unread count and, when opened, the latest notifications.
+ * New ones arrive as `notification` socket events; on every (re)connect
+ * the server replays the unread ones (`notification_replay`), so items
+ * from while the user was offline show up too.  Reads made in another
+ * tab arrive as `notifications_read`.  Clicking an item marks it read
+ * and opens the page it links to.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { formatDistanceToNow } from "date-fns";
+import { Bell, CheckCheck } from "lucide-react";
+import { notificationsAPI } from "../services/api";
+import { useSocketEvent, SOCKET_EVENTS } from "../services/socket";
+
+const LIST_SIZE = 10;
+
+// Newest first, without duplicates
+const mergeNotifications = (incoming, current) => {
+  const seen = new Set();
+  return [...incoming, ...current]
+    .filter((item) => !seen.has(item._id) && seen.add(item._id))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, LIST_SIZE);
+};
+
+export default function NotificationBell() {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const fetchNotifications = async () => {
+      try {
+        const response = await notificationsAPI.getAll({ limit: LIST_SIZE });
+        const { notifications: items = [], unreadCount: unread = 0 } =
+          response.data?.data ?? {};
+        setNotifications((current) => mergeNotifications(items, current));
+        setUnreadCount(unread);
+      } catch (error) {
+        console.error("Error fetching notifications:", error);
+      }
+    };
+    fetchNotifications();
+  }, []);
+
+  // Close the dropdown on a click anywhere else
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (event) => {
+      if (!containerRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [isOpen]);
+
+  useSocketEvent(SOCKET_EVENTS.NOTIFICATION, (notification) => {
+    setNotifications((current) => mergeNotifications([notification], current));
+    setUnreadCount((count) => count + 1);
+  });
+
+  useSocketEvent(SOCKET_EVENTS.NOTIFICATION_REPLAY, (replay) => {
+    setNotifications((current) =>
+      mergeNotifications(replay.notifications, current),
+    );
+    setUnreadCount(replay.unreadCount);
+  });
+
+  useSocketEvent(SOCKET_EVENTS.NOTIFICATIONS_READ, (update) => {
+    const readAt = new Date().toISOString();
+    setNotifications((current) =>
+      current.map((item) =>
+        !update.notificationId || item._id === update.notificationId
+          ? { ...item, readAt: item.readAt ?? readAt }
+          : item,
+      ),
+    );
+    setUnreadCount(update.unreadCount);
+  });
+
+  const handleOpen = async (notification) => {
+    setIsOpen(false);
+    if (!notification.readAt) {
+      try {
+        const response = await notificationsAPI.markRead(notification._id);
+        const { notification: updated, unreadCount: unread } =
+          response.data.data;
+        setNotifications((current) =>
+          current.map((item) => (item._id === updated._id ? updated : item)),
+        );
+        setUnreadCount(unread);
+      } catch (error) {
+        console.error("Error marking notification read:", error);
+      }
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      const response = await notificationsAPI.markAllRead();
+      const { readAt } = response.data.data;
+      setNotifications((current) =>
+        current.map((item) => ({ ...item, readAt: item.readAt ?? readAt })),
+      );
+      setUnreadCount(0);
+    } catch (error) {
+      console.error("Error marking notifications read:", error);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className="relative p-2 rounded-lg text-slate-500 hover:bg-slate-100 hover:text-slate-700 transition-colors"
+        aria-label={`Notifications${unreadCount ? ` (${unreadCount} unread)` : ""}`}
+      >
+        <Bell size={20} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-rose-500 text-white text-[10px] font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden animate-fade-in">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-slate-100">
+            <h3 className="text-sm font-semibold text-slate-800">
+              Notifications
+            </h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:text-indigo-700"
+              >
+                <CheckCheck size={14} />
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-8 text-center text-sm text-slate-400">
+              You&apos;re all caught up
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-slate-100">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => handleOpen(notification)}
+                    className={`w-full text-left px-4 py-3 flex gap-3 hover:bg-slate-50 transition-colors ${
+                      notification.readAt ? "" : "bg-indigo-50/50"
+                    }`}
+                  >
+                    <span
+                      className={`mt-1.5 h-2 w-2 shrink-0 rounded-full ${
+                        notification.readAt ? "bg-transparent" : "bg-indigo-500"
+                      }`}
+                    />
+                    <span className="min-w-0">
+                      <span className="block text-sm font-medium text-slate-800">
+                        {notification.title}
+                      </span>
+                      <span className="block text-sm text-slate-500">
+                        {notification.message}
+                      </span>
+                      <span className="block mt-0.5 text-xs text-slate-400">
+                        {formatDistanceToNow(new Date(notification.createdAt), {
+                          addSuffix: true,
+                        })}
+                      </span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+/**
+ * NotificationSettings.jsx — Which notifications reach the user, and how
+ *
+ * A switch per notification type and channel (email, in-app, SMS); a
+ * type only shows the channels it can be sent on.  Switches save as
+ * soon as they change.  Quiet hours hold email and SMS until they end,
+ * and are saved in the browser's timezone.
+ */
+
+import { useEffect, useState } from "react";
+import { Bell, Moon, Save } from "lucide-react";
+import toast from "react-hot-toast";
+import { notificationsAPI } from "../services/api";
+
+const CHANNEL_LABELS = { email: "Email", inApp: "In-app", sms: "SMS" };
+
+const timeInputCls =
+  "h-10 px-3 bg-slate-50 border border-slate-200 rounded-xl text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 disabled:bg-slate-100 disabled:text-slate-400 transition";
+
+const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export default function NotificationSettings() {
+  const [preferences, setPreferences] = useState(null);
+  const [types, setTypes] = useState({});
+  const [quietHours, setQuietHours] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const response = await notificationsAPI.getPreferences();
+        const { preferences: prefs, types: available } = response.data.data;
+        setPreferences(prefs);
+        setTypes(available);
+        setQuietHours(prefs.quietHours);
+      } catch (error) {
+        console.error("Error fetching notification preferences:", error);
+      }
+    };
+    fetchPreferences();
+  }, []);
+
+  const handleToggle = async (type, channel, enabled) => {
+    const previous = preferences;
+    setPreferences({
+      ...preferences,
+      channels: {
+        ...preferences.channels,
+        [type]: { ...preferences.channels[type], [channel]: enabled },
+      },
+    });
+    try {
+      await notificationsAPI.updatePreferences({
+        channels: { [type]: { [channel]: enabled } },
+      });
+    } catch (error) {
+      console.error("Error updating notification preferences:", error);
+      setPreferences(previous);
+    }
+  };
+
+  const handleSaveQuietHours = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const { enabled, start, end } = quietHours;
+      const response = await notificationsAPI.updatePreferences({
+        quietHours: { enabled, start, end, timezone: browserTimezone },
+      });
+      const updated = response.data.data.preferences;
+      setPreferences(updated);
+      setQuietHours(updated.quietHours);
+      toast.success("Quiet hours saved");
+    } catch (error) {
+      console.error("Error saving quiet hours:", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!preferences) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-card border border-slate-100">
+      <div className="p-6 border-b border-slate-100 flex items-center gap-3">
+        <Bell size={20} className="text-indigo-600" />
+        <div>
+          <h2 className="text-lg font-semibold text-slate-900">
+            Notifications
+          </h2>
+          <p className="text-sm text-slate-500">
+            Choose how you hear about each kind of update
+          </p>
+        </div>
+      </div>
+
+      <div className="p-6 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="pb-3 font-medium">Notification</th>
+              {Object.entries(CHANNEL_LABELS).map(([channel, label]) => (
+                <th key={channel} className="pb-3 font-medium text-center">
+                  {label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {Object.entries(types).map(([type, { label, channels }]) => (
+              <tr key={type}>
+                <td className="py-3 text-slate-800">{label}</td>
+                {Object.keys(CHANNEL_LABELS).map((channel) => (
+                  <td key={channel} className="py-3 text-center">
+                    {channels.includes(channel) ? (
+                      <input
+                        type="checkbox"
+                        checked={!!preferences.channels[type]?.[channel]}
+                        onChange={(e) =>
+                          handleToggle(type, channel, e.target.checked)
+                        }
+                        aria-label={`${label} by ${CHANNEL_LABELS[channel]}`}
+                        className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+                      />
+                    ) : (
+                      <span className="text-slate-300">—</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-slate-400 mt-3">
+          Text messages go to the phone number on your profile.
+        </p>
+      </div>
+
+      <form
+        onSubmit={handleSaveQuietHours}
+        className="p-6 border-t border-slate-100 space-y-4"
+      >
+        <label className="flex items-center gap-3 text-sm font-medium text-slate-700">
+          <input
+            type="checkbox"
+            checked={quietHours.enabled}
+            onChange={(e) =>
+              setQuietHours({ ...quietHours, enabled: e.target.checked })
+            }
+            className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          <Moon size={16} className="text-slate-400" />
+          Quiet hours
+        </label>
+        <div className="flex flex-wrap items-center gap-3 text-sm text-slate-600">
+          <span>From</span>
+          <input
+            type="time"
+            value={quietHours.start}
+            disabled={!quietHours.enabled}
+            onChange={(e) =>
+              setQuietHours({ ...quietHours, start: e.target.value })
+            }
+            className={timeInputCls}
+          />
+          <span>until</span>
+          <input
+            type="time"
+            value={quietHours.end}
+            disabled={!quietHours.enabled}
+            onChange={(e) =>
+              setQuietHours({ ...quietHours, end: e.target.value })
+            }
+            className={timeInputCls}
+          />
+        </div>
+        <p className="text-xs text-slate-400">
+          Emails and texts are held until quiet hours end; in-app notifications
+          still arrive. Times are in {browserTimezone}.
+        </p>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="inline-flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-indigo-600 to-indigo-500 text-white rounded-xl shadow-md shadow-indigo-600/20 hover:from-indigo-700 hover:to-indigo-600 transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Save size={16} />
+            {isSaving ? "Saving…" : "Save Quiet Hours"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+/**
+ * RecoveryCodes.jsx — Show a fresh set of two-factor recovery codes
+ *
+ * The server only sends the codes once, when two-factor sign-in is
+ * turned on or the codes are replaced, so they are shown with a copy
+ * button and a reminder to keep them somewhere safe.
+ */
+
+import { Copy } from "lucide-react";
+import toast from "react-hot-toast";
+
+export default function RecoveryCodes({ codes }) {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"));
+      toast.success("Recovery codes copied");
+    } catch (error) {
+      console.error("Error copying recovery codes:", error);
+      toast.error("Could not copy the codes");
+    }
+  };
+
+  return (
+    <div className="rounded-xl bg-amber-50 ring-1 ring-amber-600/10 p-4 space-y-3">
+      <p className="text-sm text-amber-800">
+        Keep these recovery codes somewhere safe. Each one signs you in once if
+        you lose your authenticator app, and they won&apos;t be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-slate-800">
+        {codes.map((code) => (
+          <li
+            key={code}
+            className="px-3 py-1.5 bg-white rounded-lg border border-amber-100"
+          >
+            {code}
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        onClick={handleCopy}
+        className="inline-flex items-center gap-2 px-4 py-2 border border-amber-200 rounded-xl text-sm font-medium text-amber-800 hover:bg-amber-100 transition-colors"
+      >
+        <Copy size={16} />
+        Copy codes
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+/**
+ * SlotPicker.jsx — Grid of bookable start times for one day
+ *
+ * Fetches open slots for the given doctor / date / duration from the
+ * slot-finder endpoint and renders them as buttons.  Calls
+ * onChange(time) with the chosen "HH:mm" start time.  Bump
+ * `refreshKey` to force a re-fetch (e.g. after a 409 conflict).
+ */
+
+import { useEffect, useState } from "react";
+import { Clock } from "lucide-react";
+import { appointmentsAPI } from "../services/api";
+
+export default function SlotPicker({
+  doctorId,
+  date,
+  duration,
+  excludeAppointmentId,
+  refreshKey,
+  value,
+  onChange,
+}) {
+  const [slots, setSlots] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!doctorId || !date) {
+      setSlots([]);
+      return;
+    }
+
+    let ignore = false;
+    const fetchSlots = async () => {
+      try {
+        setIsLoading(true);
+        const params = { doctorId, startDate: date, endDate: date };
+        if (duration) params.duration = duration;
+        if (excludeAppointmentId) params.excludeAppointmentId = excludeAppointmentId;
+        const response = await appointmentsAPI.getAvailableSlots(params);
+        if (!ignore) setSlots(response.data?.data?.days?.[0]?.slots ?? []);
+      } catch (error) {
+        console.error("Error fetching available slots:", error);
+        if (!ignore) setSlots([]);
+      } finally {
+        if (!ignore) setIsLoading(false);
+      }
+    };
+
+    fetchSlots();
+    return () => {
+      ignore = true;
+    };
+  }, [doctorId, date, duration, excludeAppointmentId, refreshKey]);
+
+  if (!doctorId || !date) {
+    return (
+      <p className="text-sm text-slate-400">
+        Choose a doctor and date to see open times
+      </p>
+    );
+  }
+
+  if (isLoading) {
+    return <p className="text-sm text-slate-400">Loading open times…</p>;
+  }
+
+  if (slots.length === 0) {
+    return (
+      <p className="text-sm text-slate-400">
+        No open times on this day. Try another date.
+      </p>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-3 sm:grid-cols-5 gap-2">
+      {slots.map((time) => (
+        <button
+          key={time}
+          type="button"
+          onClick={() => onChange(time)}
+          className={`inline-flex items-center justify-center gap-1.5 h-10 rounded-xl text-sm font-medium transition-all ${
+            value === time
+              ? "bg-indigo-600 text-white shadow-md shadow-indigo-600/20"
+              : "bg-slate-50 border border-slate-200 text-slate-700 hover:bg-indigo-50 hover:border-indigo-200"
+          }`}
+        >
+          <Clock size={14} />
+          {time}
+        </button>
+      ))}
+    </div>
+  );
+}
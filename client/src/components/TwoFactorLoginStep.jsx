@@ -0,0 +1,195 @@
+/**
+ * TwoFactorLoginStep.jsx — The second sign-in step for staff accounts
+ *
+ * Shown by the login page when the password step answers with a
+ * challenge.  Users with an authenticator app enter its code, or one
+ * of their recovery codes.  Users whose role requires two-factor
+ * sign-in but who haven't set it up scan a QR code here and confirm it
+ * with a code; their new recovery codes are shown before they carry on.
+ * `onComplete` receives the signed-in user.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { AlertCircle, ArrowLeft, ShieldCheck } from "lucide-react";
+import { authAPI } from "../services/api";
+import RecoveryCodes from "./RecoveryCodes";
+
+const inputCls =
+  "w-full h-11 px-4 bg-slate-50 border border-slate-200 rounded-xl text-sm text-slate-900 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition-all duration-200";
+
+const buttonCls =
+  "w-full h-11 flex items-center justify-center gap-2 text-sm font-semibold text-white rounded-xl bg-gradient-to-r from-indigo-600 to-indigo-500 hover:from-indigo-700 hover:to-indigo-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-md shadow-indigo-600/20";
+
+export default function TwoFactorLoginStep({
+  challenge,
+  onComplete,
+  onCancel,
+}) {
+  const { challengeToken, setupRequired } = challenge;
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [enrolled, setEnrolled] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Ask for one secret, even when effects run twice in development
+    if (!setupRequired || requested.current) return;
+    requested.current = true;
+
+    const startSetup = async () => {
+      try {
+        const response = await authAPI.loginTwoFactorSetup(challengeToken);
+        setSetup(response.data.data);
+      } catch (error) {
+        setError(error.response?.data?.message || "Something went wrong");
+      }
+    };
+    startSetup();
+  }, [challengeToken, setupRequired]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setIsLoading(true);
+    try {
+      if (setupRequired) {
+        const response = await authAPI.loginTwoFactorEnable({
+          challengeToken,
+          code,
+        });
+        setEnrolled(response.data.data);
+      } else {
+        const response = await authAPI.loginTwoFactor(
+          useRecoveryCode
+            ? { challengeToken, recoveryCode: code }
+            : { challengeToken, code },
+        );
+        onComplete(response.data.data);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || "Something went wrong");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode("");
+    setError("");
+  };
+
+  if (enrolled) {
+    return (
+      <div className="space-y-5 bg-white p-7 rounded-2xl shadow-card border border-slate-100">
+        <RecoveryCodes codes={enrolled.recoveryCodes} />
+        <button
+          type="button"
+          onClick={() => onComplete(enrolled)}
+          className={buttonCls}
+        >
+          I&apos;ve saved them — continue
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      className="space-y-5 bg-white p-7 rounded-2xl shadow-card border border-slate-100"
+      onSubmit={handleSubmit}
+    >
+      <div className="flex items-start gap-3">
+        <ShieldCheck className="h-5 w-5 text-indigo-600 shrink-0 mt-0.5" />
+        <p className="text-sm text-slate-600">
+          {setupRequired
+            ? "Your account needs two-factor authentication. Scan the QR code with an authenticator app, then enter the code it shows."
+            : useRecoveryCode
+              ? "Enter one of the recovery codes you saved when you set up two-factor authentication."
+              : "Enter the 6-digit code from your authenticator app."}
+        </p>
+      </div>
+
+      {error && (
+        <div className="flex items-start gap-2.5 px-4 py-3 rounded-xl bg-rose-50 border border-rose-200 text-rose-700 animate-slide-up">
+          <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <span className="text-sm leading-snug">{error}</span>
+        </div>
+      )}
+
+      {setup && (
+        <div className="flex flex-col items-center gap-2">
+          <img
+            src={setup.qrCode}
+            alt="QR code for your authenticator app"
+            className="w-44 h-44"
+          />
+          <p className="text-xs text-slate-500">
+            Or enter this key:{" "}
+            <span className="font-mono text-slate-700 break-all">
+              {setup.secret}
+            </span>
+          </p>
+        </div>
+      )}
+
+      <div>
+        <label
+          htmlFor="twoFactorCode"
+          className="block text-sm font-medium text-slate-700 mb-1.5"
+        >
+          {useRecoveryCode ? "Recovery code" : "Authentication code"}
+        </label>
+        <input
+          id="twoFactorCode"
+          type="text"
+          required
+          autoFocus
+          autoComplete="one-time-code"
+          inputMode={useRecoveryCode ? "text" : "numeric"}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          className={inputCls}
+          placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+        />
+      </div>
+
+      <button
+        type="submit"
+        disabled={isLoading || (setupRequired && !setup)}
+        className={buttonCls}
+      >
+        {isLoading
+          ? "Checking…"
+          : setupRequired
+            ? "Turn on and sign in"
+            : "Verify"}
+      </button>
+
+      <div className="flex items-center justify-between text-sm">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="inline-flex items-center gap-1.5 text-slate-500 hover:text-slate-700 transition-colors"
+        >
+          <ArrowLeft size={14} />
+          Back
+        </button>
+        {!setupRequired && (
+          <button
+            type="button"
+            onClick={toggleRecoveryCode}
+            className="font-medium text-indigo-600 hover:text-indigo-700 transition-colors"
+          >
+            {useRecoveryCode
+              ? "Use your authenticator app"
+              : "Use a recovery code"}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,107 @@
+/**
+ * TwoFactorPolicySettings.jsx — Which staff roles must use two-factor sign-in
+ *
+ * Admin-only.  Requiring it for a role signs out its members who
+ * haven't set it up; they set it up the next time they sign in.  An
+ * admin has to have it on themselves before requiring it for admins.
+ */
+
+import { useEffect, useState } from "react";
+import { Lock, Save } from "lucide-react";
+import toast from "react-hot-toast";
+import { twoFactorPolicyAPI } from "../services/api";
+
+const ROLES = [
+  { value: "doctor", label: "Doctors" },
+  { value: "admin", label: "Admins" },
+];
+
+export default function TwoFactorPolicySettings() {
+  const [requiredRoles, setRequiredRoles] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const response = await twoFactorPolicyAPI.get();
+        setRequiredRoles(response.data.data.policy.requiredRoles);
+      } catch (error) {
+        console.error("Error fetching two-factor policy:", error);
+      }
+    };
+    fetchPolicy();
+  }, []);
+
+  const toggleRole = (role) => {
+    setRequiredRoles((current) =>
+      current.includes(role)
+        ? current.filter((r) => r !== role)
+        : [...current, role],
+    );
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const response = await twoFactorPolicyAPI.update({ requiredRoles });
+      setRequiredRoles(response.data.data.policy.requiredRoles);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error("Error updating two-factor policy:", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!requiredRoles) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-card border border-slate-100">
+      <div className="p-6 border-b border-slate-100 flex items-center gap-3">
+        <Lock size={20} className="text-indigo-600" />
+        <div>
+          <h2 className="text-lg font-semibold text-slate-900">
+            Two-factor Policy
+          </h2>
+          <p className="text-sm text-slate-500">
+            Staff in these roles must sign in with an authenticator app
+          </p>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-4">
+        <div className="flex flex-wrap gap-6">
+          {ROLES.map(({ value, label }) => (
+            <label
+              key={value}
+              className="inline-flex items-center gap-2 text-sm text-slate-700"
+            >
+              <input
+                type="checkbox"
+                checked={requiredRoles.includes(value)}
+                onChange={() => toggleRole(value)}
+                className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        <p className="text-xs text-slate-400">
+          Members of a newly required role who haven&apos;t set it up are signed
+          out, and set it up when they next sign in.
+        </p>
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={isSaving}
+            className="inline-flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-indigo-600 to-indigo-500 text-white rounded-xl shadow-md shadow-indigo-600/20 hover:from-indigo-700 hover:to-indigo-600 transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Save size={16} />
+            {isSaving ? "Saving…" : "Save Policy"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+/**
+ * TwoFactorSettings.jsx — Two-factor authentication for staff accounts
+ *
+ * Doctors and admins set up an authenticator app here: scan the QR
+ * code, confirm with a code and save the recovery codes that come
+ * back.  Once it's on they can replace the recovery codes (with a
+ * code) or turn it off (with their password and a code), unless an
+ * admin requires it for their role.
+ */
+
+import { useEffect, useState } from "react";
+import { ShieldCheck } from "lucide-react";
+import toast from "react-hot-toast";
+import { authAPI } from "../services/api";
+import { useAuthStore } from "../store/authStore";
+import RecoveryCodes from "./RecoveryCodes";
+
+const inputCls =
+  "w-full h-10 px-3 bg-slate-50 border border-slate-200 rounded-xl text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition";
+
+const primaryButtonCls =
+  "inline-flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-indigo-600 to-indigo-500 text-white rounded-xl shadow-md shadow-indigo-600/20 hover:from-indigo-700 hover:to-indigo-600 transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed";
+
+const secondaryButtonCls =
+  "px-4 py-2 border border-slate-200 rounded-xl text-sm font-medium text-slate-700 hover:bg-slate-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+export default function TwoFactorSettings() {
+  const updateUser = useAuthStore((state) => state.updateUser);
+  const [status, setStatus] = useState(null);
+  // null, "setup", "regenerate" or "disable"
+  const [action, setAction] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await authAPI.getTwoFactor();
+      setStatus(response.data.data.twoFactor);
+    } catch (error) {
+      console.error("Error fetching two-factor status:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const reset = () => {
+    setAction(null);
+    setSetup(null);
+    setCode("");
+    setPassword("");
+  };
+
+  const handleStartSetup = async () => {
+    setRecoveryCodes(null);
+    try {
+      const response = await authAPI.setupTwoFactor();
+      setSetup(response.data.data);
+      setAction("setup");
+    } catch (error) {
+      console.error("Error starting two-factor setup:", error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      if (action === "setup") {
+        const response = await authAPI.enableTwoFactor(code);
+        setRecoveryCodes(response.data.data.recoveryCodes);
+        updateUser({ twoFactorEnabled: true });
+        toast.success(response.data.message);
+      } else if (action === "regenerate") {
+        const response = await authAPI.regenerateRecoveryCodes(code);
+        setRecoveryCodes(response.data.data.recoveryCodes);
+        toast.success(response.data.message);
+      } else {
+        const response = await authAPI.disableTwoFactor({ password, code });
+        setRecoveryCodes(null);
+        updateUser({ twoFactorEnabled: false });
+        toast.success(response.data.message);
+      }
+      reset();
+      fetchStatus();
+    } catch (error) {
+      console.error("Error updating two-factor authentication:", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const startAction = (name) => {
+    reset();
+    setRecoveryCodes(null);
+    setAction(name);
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-card border border-slate-100">
+      <div className="p-6 border-b border-slate-100 flex items-center gap-3">
+        <ShieldCheck size={20} className="text-indigo-600" />
+        <div className="flex-1">
+          <h2 className="text-lg font-semibold text-slate-900">
+            Two-factor Authentication
+          </h2>
+          <p className="text-sm text-slate-500">
+            {status.enabled
+              ? `On — ${status.recoveryCodesRemaining} recovery codes left`
+              : "Ask for a code from an authenticator app when you sign in"}
+          </p>
+        </div>
+        {status.required && (
+          <span className="px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 text-xs font-medium">
+            Required for your role
+          </span>
+        )}
+      </div>
+
+      <div className="p-6 space-y-4">
+        {recoveryCodes && <RecoveryCodes codes={recoveryCodes} />}
+
+        {!action && (
+          <div className="flex flex-wrap gap-3">
+            {status.enabled ? (
+              <>
+                <button
+                  type="button"
+                  onClick={() => startAction("regenerate")}
+                  className={secondaryButtonCls}
+                >
+                  New recovery codes
+                </button>
+                {!status.required && (
+                  <button
+                    type="button"
+                    onClick={() => startAction("disable")}
+                    className="px-4 py-2 border border-red-200 text-red-600 rounded-xl text-sm font-medium hover:bg-red-50 transition-colors"
+                  >
+                    Turn off
+                  </button>
+                )}
+              </>
+            ) : (
+              <button
+                type="button"
+                onClick={handleStartSetup}
+                className={primaryButtonCls}
+              >
+                Set up authenticator app
+              </button>
+            )}
+          </div>
+        )}
+
+        {action && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {setup && (
+              <div className="flex flex-col sm:flex-row items-center gap-4">
+                <img
+                  src={setup.qrCode}
+                  alt="QR code for your authenticator app"
+                  className="w-40 h-40"
+                />
+                <p className="text-sm text-slate-600">
+                  Scan the QR code with your authenticator app, or enter this
+                  key:{" "}
+                  <span className="font-mono text-slate-800 break-all">
+                    {setup.secret}
+                  </span>
+                </p>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {action === "disable" && (
+                <div>
+                  <label
+                    htmlFor="twoFactorPassword"
+                    className="block text-sm font-medium text-slate-700 mb-1.5"
+                  >
+                    Password
+                  </label>
+                  <input
+                    id="twoFactorPassword"
+                    type="password"
+                    required
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className={inputCls}
+                  />
+                </div>
+              )}
+              <div>
+                <label
+                  htmlFor="twoFactorSettingsCode"
+                  className="block text-sm font-medium text-slate-700 mb-1.5"
+                >
+                  Code from your authenticator app
+                </label>
+                <input
+                  id="twoFactorSettingsCode"
+                  type="text"
+                  required
+                  autoComplete="one-time-code"
+                  inputMode="numeric"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className={inputCls}
+                  placeholder="123456"
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={reset}
+                className={secondaryButtonCls}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className={primaryButtonCls}
+              >
+                {isSaving
+                  ? "Saving…"
+                  : action === "setup"
+                    ? "Turn on"
+                    : action === "regenerate"
+                      ? "Create new codes"
+                      : "Turn off"}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
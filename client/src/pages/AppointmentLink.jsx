@@ -0,0 +1,140 @@
+/**
+ * AppointmentLink.jsx — Confirm or cancel from an emailed link
+ *
+ * Public page opened from the buttons in appointment emails.  The
+ * signed token in `?token=` is checked on load to show the
+ * appointment; nothing changes until the patient presses the button,
+ * so mail scanners that prefetch links can't confirm or cancel.
+ */
+
+import { useEffect, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { Activity, CalendarCheck, CalendarX, AlertCircle } from "lucide-react";
+import { appointmentsAPI } from "../services/api";
+import {
+  formatAppointmentDate,
+  formatAppointmentTime,
+} from "../utils/appointmentTime";
+
+const ACTION_COPY = {
+  confirm: {
+    title: "Confirm your appointment",
+    button: "Confirm appointment",
+    done: "Your appointment is confirmed. See you then!",
+    icon: CalendarCheck,
+    buttonCls:
+      "bg-gradient-to-r from-indigo-600 to-indigo-500 hover:from-indigo-700 hover:to-indigo-600 shadow-indigo-600/20",
+  },
+  cancel: {
+    title: "Cancel your appointment",
+    button: "Cancel appointment",
+    done: "Your appointment has been cancelled.",
+    icon: CalendarX,
+    buttonCls:
+      "bg-gradient-to-r from-rose-600 to-rose-500 hover:from-rose-700 hover:to-rose-600 shadow-rose-600/20",
+  },
+};
+
+export default function AppointmentLink() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [link, setLink] = useState(null);
+  const [error, setError] = useState(token ? "" : "This link is not valid");
+  const [isLoading, setIsLoading] = useState(Boolean(token));
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isDone, setIsDone] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+    appointmentsAPI
+      .getLink(token)
+      .then((response) => setLink(response.data.data))
+      .catch((err) =>
+        setError(err.response?.data?.message || "This link is not valid"),
+      )
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await appointmentsAPI.applyLink(token);
+      setLink(response.data.data);
+      setIsDone(true);
+    } catch (err) {
+      setError(err.response?.data?.message || "Something went wrong");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const copy = link ? ACTION_COPY[link.action] : null;
+  const appointment = link?.appointment;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 to-indigo-50 p-4">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-card border border-slate-100 p-8">
+        <div className="flex items-center gap-2 mb-6">
+          <div className="w-9 h-9 bg-gradient-to-br from-indigo-500 to-indigo-600 rounded-xl flex items-center justify-center">
+            <Activity className="h-5 w-5 text-white" />
+          </div>
+          <span className="text-lg font-bold text-slate-900">ClinicHub</span>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="h-10 w-10 rounded-full border-[3px] border-indigo-200 border-t-indigo-600 animate-spin" />
+          </div>
+        ) : error ? (
+          <div className="flex items-start gap-3 rounded-xl bg-rose-50 ring-1 ring-rose-600/10 px-4 py-3">
+            <AlertCircle className="h-5 w-5 text-rose-500 shrink-0 mt-0.5" />
+            <p className="text-sm text-rose-700">{error}</p>
+          </div>
+        ) : (
+          <>
+            <div className="flex items-center gap-3 mb-4">
+              <copy.icon className="h-6 w-6 text-indigo-600" />
+              <h1 className="text-xl font-bold text-slate-900">{copy.title}</h1>
+            </div>
+            <div className="rounded-xl bg-slate-50 px-4 py-3 text-sm text-slate-700 space-y-1">
+              <p>
+                <span className="font-medium">Doctor:</span> Dr.{" "}
+                {appointment.doctor.firstName} {appointment.doctor.lastName}
+              </p>
+              <p>
+                <span className="font-medium">When:</span>{" "}
+                {formatAppointmentDate(appointment)} at{" "}
+                {formatAppointmentTime(appointment)}
+              </p>
+              <p>
+                <span className="font-medium">Reason:</span>{" "}
+                {appointment.reason}
+              </p>
+            </div>
+
+            {isDone ? (
+              <p className="mt-6 text-sm font-medium text-emerald-700">
+                {copy.done}
+              </p>
+            ) : (
+              <button
+                onClick={handleSubmit}
+                disabled={isSubmitting}
+                className={`mt-6 w-full h-11 text-white rounded-xl shadow-md transition-all text-sm font-medium disabled:opacity-50 ${copy.buttonCls}`}
+              >
+                {isSubmitting ? "Please wait…" : copy.button}
+              </button>
+            )}
+          </>
+        )}
+
+        <p className="mt-6 text-center text-sm text-slate-500">
+          <Link to="/login" className="text-indigo-600 hover:underline">
+            Sign in
+          </Link>{" "}
+          to manage all your appointments
+        </p>
+      </div>
+    </div>
+  );
+}
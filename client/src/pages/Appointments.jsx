@@ -7,6 +7,7 @@
  */
 
 import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
 import {
   Plus,
   Calendar as CalendarIcon,
@@ -15,16 +16,29 @@ import {
   FileText,
   Trash2,
   Edit,
+  CheckCircle,
+  LogIn,
+  Video,
 } from "lucide-react";
 import { appointmentsAPI } from "../services/api";
 import { useAuthStore } from "../store/authStore";
-import { format } from "date-fns";
+import {
+  formatAppointmentDate,
+  formatAppointmentTime,
+} from "../utils/appointmentTime";
 import toast from "react-hot-toast";
 import AppointmentModal from "../components/AppointmentModal";
+import {
+  RESCHEDULABLE_STATUSES,
+  STATUS_LABELS,
+  getNextStatuses,
+  isTerminalStatus,
+} from "../utils/appointmentStatus";
 import { useSocketEvent, SOCKET_EVENTS } from "../services/socket";
 
 export default function Appointments() {
   const { user } = useAuthStore();
+  const navigate = useNavigate();
   const [appointments, setAppointments] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -77,12 +91,46 @@ export default function Appointments() {
     }
   };
 
+  const handleConfirmAppointment = async (id) => {
+    try {
+      await appointmentsAPI.updateStatus(id, { status: "confirmed" });
+      toast.success("Appointment confirmed");
+      fetchAppointments();
+    } catch (error) {
+      console.error("Error confirming appointment:", error);
+    }
+  };
+
+  const handleCheckIn = async (id) => {
+    try {
+      await appointmentsAPI.checkIn(id);
+      toast.success("Checked in");
+      fetchAppointments();
+    } catch (error) {
+      console.error("Error checking in:", error);
+    }
+  };
+
+  const handleApproveAppointment = async (id) => {
+    try {
+      await appointmentsAPI.updateStatus(id, { status: "scheduled" });
+      toast.success("Appointment approved");
+      fetchAppointments();
+    } catch (error) {
+      console.error("Error approving appointment:", error);
+    }
+  };
+
   const getStatusColor = (status) => {
     const colors = {
+      "pending-approval": "bg-orange-50 text-orange-700 ring-1 ring-orange-600/10",
       scheduled: "bg-sky-50 text-sky-700 ring-1 ring-sky-600/10",
       completed: "bg-emerald-50 text-emerald-700 ring-1 ring-emerald-600/10",
       cancelled: "bg-rose-50 text-rose-700 ring-1 ring-rose-600/10",
       confirmed: "bg-indigo-50 text-indigo-700 ring-1 ring-indigo-600/10",
+      "checked-in": "bg-violet-50 text-violet-700 ring-1 ring-violet-600/10",
+      "in-progress": "bg-amber-50 text-amber-700 ring-1 ring-amber-600/10",
+      "no-show": "bg-slate-100 text-slate-500 ring-1 ring-slate-600/10",
     };
     return colors[status] || "bg-slate-100 text-slate-700";
   };
@@ -113,13 +161,13 @@ export default function Appointments() {
       {/* Filters */}
       <div className="bg-white rounded-2xl shadow-card border border-slate-100 p-4">
         <div className="flex flex-wrap gap-2">
-          {["all", "scheduled", "confirmed", "completed", "cancelled"].map((s) => (
+          {["all", "pending-approval", "scheduled", "confirmed", "checked-in", "in-progress", "completed", "cancelled", "no-show"].map((s) => (
             <button
               key={s}
               onClick={() => setFilter(s)}
               className={`px-4 py-2 rounded-xl text-sm font-medium transition-all ${filterCls(s)}`}
             >
-              {s.charAt(0).toUpperCase() + s.slice(1)}
+              {STATUS_LABELS[s] || s.charAt(0).toUpperCase() + s.slice(1)}
             </button>
           ))}
         </div>
@@ -161,11 +209,11 @@ export default function Appointments() {
                     <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-2">
                       <div className="flex items-center gap-2 text-sm text-slate-500">
                         <CalendarIcon size={14} />
-                        <span>{format(new Date(apt.appointmentDate), "MMM dd, yyyy")}</span>
+                        <span>{formatAppointmentDate(apt)}</span>
                       </div>
                       <div className="flex items-center gap-2 text-sm text-slate-500">
                         <Clock size={14} />
-                        <span>{apt.appointmentTime} ({apt.duration} min)</span>
+                        <span>{formatAppointmentTime(apt)} ({apt.duration} min)</span>
                       </div>
                     </div>
 
@@ -174,29 +222,85 @@ export default function Appointments() {
                       <p className="text-sm text-slate-500">{apt.reason}</p>
                     </div>
 
-                    <div className="mt-3">
+                    <div className="mt-3 flex flex-wrap gap-2">
                       <span className={`inline-flex px-3 py-1 rounded-full text-[11px] font-semibold capitalize ${getStatusColor(apt.status)}`}>
-                        {apt.status}
+                        {STATUS_LABELS[apt.status] || apt.status}
                       </span>
+                      {apt.visitType === "video" && (
+                        <span className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-[11px] font-semibold bg-teal-50 text-teal-700 ring-1 ring-teal-600/10">
+                          <Video size={12} /> Video visit
+                        </span>
+                      )}
+                      {apt.lateCancellation && user?.role !== "patient" && (
+                        <span className="inline-flex px-3 py-1 rounded-full text-[11px] font-semibold bg-rose-50 text-rose-600 ring-1 ring-rose-600/10">
+                          Late cancel
+                        </span>
+                      )}
                     </div>
                   </div>
 
-                  {apt.status !== "cancelled" && apt.status !== "completed" && (
+                  {!isTerminalStatus(apt.status) && (
                     <div className="flex items-center gap-1 ml-4">
-                      <button
-                        onClick={() => handleEditAppointment(apt)}
-                        className="p-2 text-indigo-600 hover:bg-indigo-50 rounded-xl transition-colors"
-                        title="Edit appointment"
-                      >
-                        <Edit size={16} />
-                      </button>
-                      <button
-                        onClick={() => handleDeleteAppointment(apt._id)}
-                        className="p-2 text-rose-500 hover:bg-rose-50 rounded-xl transition-colors"
-                        title="Cancel appointment"
-                      >
-                        <Trash2 size={16} />
-                      </button>
+                      {apt.visitType === "video" && user?.role !== "admin" && (
+                        <button
+                          onClick={() => navigate(`/visits/${apt._id}`)}
+                          className="p-2 text-teal-600 hover:bg-teal-50 rounded-xl transition-colors"
+                          title="Join video visit"
+                        >
+                          <Video size={16} />
+                        </button>
+                      )}
+                      {apt.status === "pending-approval" &&
+                        getNextStatuses(apt.status, user?.role).includes("scheduled") && (
+                          <button
+                            onClick={() => handleApproveAppointment(apt._id)}
+                            className="p-2 text-emerald-600 hover:bg-emerald-50 rounded-xl transition-colors"
+                            title="Approve appointment"
+                          >
+                            <CheckCircle size={16} />
+                          </button>
+                        )}
+                      {user?.role === "patient" && apt.status === "scheduled" && (
+                        <button
+                          onClick={() => handleConfirmAppointment(apt._id)}
+                          className="p-2 text-emerald-600 hover:bg-emerald-50 rounded-xl transition-colors"
+                          title="Confirm attendance"
+                        >
+                          <CheckCircle size={16} />
+                        </button>
+                      )}
+                      {getNextStatuses(apt.status, user?.role).includes("checked-in") && (
+                        <button
+                          onClick={() => handleCheckIn(apt._id)}
+                          className="p-2 text-violet-600 hover:bg-violet-50 rounded-xl transition-colors"
+                          title={user?.role === "patient" ? "I'm here" : "Check in"}
+                        >
+                          <LogIn size={16} />
+                        </button>
+                      )}
+                      {(user?.role !== "patient" ||
+                        RESCHEDULABLE_STATUSES.includes(apt.status)) && (
+                        <button
+                          onClick={() => handleEditAppointment(apt)}
+                          className="p-2 text-indigo-600 hover:bg-indigo-50 rounded-xl transition-colors"
+                          title={
+                            user?.role === "patient"
+                              ? "Reschedule appointment"
+                              : "Edit appointment"
+                          }
+                        >
+                          <Edit size={16} />
+                        </button>
+                      )}
+                      {getNextStatuses(apt.status, user?.role).includes("cancelled") && (
+                        <button
+                          onClick={() => handleDeleteAppointment(apt._id)}
+                          className="p-2 text-rose-500 hover:bg-rose-50 rounded-xl transition-colors"
+                          title="Cancel appointment"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      )}
                     </div>
                   )}
                 </div>
@@ -16,7 +16,10 @@ import {
 } from "lucide-react";
 import { appointmentsAPI, analyticsAPI } from "../services/api";
 import { useAuthStore } from "../store/authStore";
-import { format } from "date-fns";
+import {
+  formatAppointmentDate,
+  formatAppointmentTime,
+} from "../utils/appointmentTime";
 import { useSocketEvent, SOCKET_EVENTS } from "../services/socket";
 
 export default function Dashboard() {
@@ -147,7 +150,7 @@ export default function Dashboard() {
                           : `${apt.patient?.firstName} ${apt.patient?.lastName}`}
                       </h3>
                       <p className="text-xs text-slate-500 mt-0.5">
-                        {format(new Date(apt.appointmentDate), "MMM dd, yyyy")} &middot; {apt.appointmentTime}
+                        {formatAppointmentDate(apt)} &middot; {formatAppointmentTime(apt)}
                       </p>
                       <p className="text-xs text-slate-400 mt-0.5">{apt.reason}</p>
                     </div>
@@ -0,0 +1,95 @@
+/**
+ * ForgotPassword.jsx — Ask for a password reset link
+ *
+ * Public page linked from the login form.  The server answers the
+ * same whether or not the email has an account, so this page always
+ * says a link is on its way.
+ */
+
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { Activity, KeyRound, Mail, MailCheck } from "lucide-react";
+import { authAPI } from "../services/api";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isSent, setIsSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await authAPI.forgotPassword(email);
+      setIsSent(true);
+    } catch (error) {
+      console.error("Error requesting password reset:", error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 to-indigo-50 p-4">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-card border border-slate-100 p-8">
+        <div className="flex items-center gap-2 mb-6">
+          <div className="w-9 h-9 bg-gradient-to-br from-indigo-500 to-indigo-600 rounded-xl flex items-center justify-center">
+            <Activity className="h-5 w-5 text-white" />
+          </div>
+          <span className="text-lg font-bold text-slate-900">ClinicHub</span>
+        </div>
+
+        {isSent ? (
+          <div className="flex items-start gap-3 rounded-xl bg-emerald-50 ring-1 ring-emerald-600/10 px-4 py-3">
+            <MailCheck className="h-5 w-5 text-emerald-600 shrink-0 mt-0.5" />
+            <p className="text-sm text-emerald-700">
+              If an account exists for {email}, we&apos;ve sent it a link to
+              reset the password. The link works once and expires soon.
+            </p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-5">
+            <div className="flex items-center gap-3">
+              <KeyRound className="h-6 w-6 text-indigo-600" />
+              <h1 className="text-xl font-bold text-slate-900">
+                Forgot your password?
+              </h1>
+            </div>
+            <p className="text-sm text-slate-500">
+              Enter your email and we&apos;ll send you a link to choose a new
+              one.
+            </p>
+            <div className="relative">
+              <Mail
+                className="absolute left-3.5 top-1/2 -translate-y-1/2 text-slate-400"
+                size={18}
+              />
+              <input
+                type="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="pl-11 w-full h-11 px-4 bg-slate-50 border border-slate-200 rounded-xl text-sm text-slate-900 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition-all duration-200"
+                placeholder="you@example.com"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full h-11 text-white rounded-xl shadow-md transition-all text-sm font-medium disabled:opacity-50 bg-gradient-to-r from-indigo-600 to-indigo-500 hover:from-indigo-700 hover:to-indigo-600 shadow-indigo-600/20"
+            >
+              {isSubmitting ? "Please wait…" : "Send reset link"}
+            </button>
+          </form>
+        )}
+
+        <p className="mt-6 text-center text-sm text-slate-500">
+          Remembered it?{" "}
+          <Link to="/login" className="text-indigo-600 hover:underline">
+            Sign in
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
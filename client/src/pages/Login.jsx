@@ -3,7 +3,8 @@
  *
  * On success the server sets an httpOnly cookie and we push
  * the user object into the Zustand auth store, then redirect
- * to the dashboard.
+ * to the dashboard.  Staff accounts with two-factor authentication
+ * get a challenge instead, and finish in TwoFactorLoginStep.
  */
 
 import { useState } from "react";
@@ -12,6 +13,7 @@ import { Mail, Lock, LogIn, AlertCircle, Activity } from "lucide-react";
 import toast from "react-hot-toast";
 import { authAPI } from "../services/api";
 import { useAuthStore } from "../store/authStore";
+import TwoFactorLoginStep from "../components/TwoFactorLoginStep";
 
 export default function Login() {
   const navigate = useNavigate();
@@ -22,6 +24,16 @@ export default function Login() {
   });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState("");
+  const [challenge, setChallenge] = useState(null);
+
+  const finishLogin = ({ user, recoveryCodesRemaining }) => {
+    setAuth(user);
+    toast.success(`Welcome back, ${user.firstName}!`);
+    if (recoveryCodesRemaining !== undefined) {
+      toast(`You have ${recoveryCodesRemaining} recovery codes left`);
+    }
+    navigate("/dashboard");
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -36,10 +48,12 @@ export default function Login() {
 
     try {
       const response = await authAPI.login(formData);
-      const { user } = response.data.data;
-      setAuth(user);
-      toast.success(`Welcome back, ${user.firstName}!`);
-      navigate("/dashboard");
+      const { data } = response.data;
+      if (data.twoFactorRequired) {
+        setChallenge(data);
+      } else {
+        finishLogin(data);
+      }
     } catch (error) {
       console.error("Login error:", error);
       const errorMessage =
@@ -116,135 +130,153 @@ export default function Login() {
 
           <div className="text-center lg:text-left">
             <h2 className="text-2xl font-bold text-slate-900 tracking-tight">
-              Welcome back
+              {challenge ? "Two-factor authentication" : "Welcome back"}
             </h2>
             <p className="mt-1.5 text-sm text-slate-500">
-              Sign in to continue to your dashboard
+              {challenge
+                ? "One more step to confirm it's you"
+                : "Sign in to continue to your dashboard"}
             </p>
           </div>
 
-          <form
-            className="space-y-5 bg-white p-7 rounded-2xl shadow-card border border-slate-100"
-            onSubmit={handleSubmit}
-          >
-            {error && (
-              <div
-                className="flex items-start gap-2.5 px-4 py-3 rounded-xl
+          {challenge ? (
+            <TwoFactorLoginStep
+              challenge={challenge}
+              onComplete={finishLogin}
+              onCancel={() => setChallenge(null)}
+            />
+          ) : (
+            <form
+              className="space-y-5 bg-white p-7 rounded-2xl shadow-card border border-slate-100"
+              onSubmit={handleSubmit}
+            >
+              {error && (
+                <div
+                  className="flex items-start gap-2.5 px-4 py-3 rounded-xl
                 bg-rose-50 border border-rose-200 text-rose-700 animate-slide-up"
-              >
-                <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
-                <span className="text-sm leading-snug">{error}</span>
-              </div>
-            )}
+                >
+                  <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  <span className="text-sm leading-snug">{error}</span>
+                </div>
+              )}
 
-            {/* Email */}
-            <div>
-              <label
-                htmlFor="email"
-                className="block text-sm font-medium text-slate-700 mb-1.5"
-              >
-                Email Address
-              </label>
-              <div className="relative">
-                <Mail
-                  className="absolute left-3.5 top-1/2 -translate-y-1/2 text-slate-400"
-                  size={18}
-                />
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  required
-                  value={formData.email}
-                  onChange={handleChange}
-                  className="pl-11 w-full h-11 px-4 bg-slate-50 border border-slate-200
+              {/* Email */}
+              <div>
+                <label
+                  htmlFor="email"
+                  className="block text-sm font-medium text-slate-700 mb-1.5"
+                >
+                  Email Address
+                </label>
+                <div className="relative">
+                  <Mail
+                    className="absolute left-3.5 top-1/2 -translate-y-1/2 text-slate-400"
+                    size={18}
+                  />
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    required
+                    value={formData.email}
+                    onChange={handleChange}
+                    className="pl-11 w-full h-11 px-4 bg-slate-50 border border-slate-200
                     rounded-xl text-sm text-slate-900 placeholder:text-slate-400
                     focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500
                     transition-all duration-200"
-                  placeholder="you@example.com"
-                />
+                    placeholder="you@example.com"
+                  />
+                </div>
               </div>
-            </div>
 
-            {/* Password */}
-            <div>
-              <label
-                htmlFor="password"
-                className="block text-sm font-medium text-slate-700 mb-1.5"
-              >
-                Password
-              </label>
-              <div className="relative">
-                <Lock
-                  className="absolute left-3.5 top-1/2 -translate-y-1/2 text-slate-400"
-                  size={18}
-                />
-                <input
-                  id="password"
-                  name="password"
-                  type="password"
-                  required
-                  value={formData.password}
-                  onChange={handleChange}
-                  className="pl-11 w-full h-11 px-4 bg-slate-50 border border-slate-200
+              {/* Password */}
+              <div>
+                <div className="flex items-center justify-between mb-1.5">
+                  <label
+                    htmlFor="password"
+                    className="block text-sm font-medium text-slate-700"
+                  >
+                    Password
+                  </label>
+                  <Link
+                    to="/forgot-password"
+                    className="text-xs font-medium text-indigo-600 hover:text-indigo-700 transition-colors"
+                  >
+                    Forgot password?
+                  </Link>
+                </div>
+                <div className="relative">
+                  <Lock
+                    className="absolute left-3.5 top-1/2 -translate-y-1/2 text-slate-400"
+                    size={18}
+                  />
+                  <input
+                    id="password"
+                    name="password"
+                    type="password"
+                    required
+                    value={formData.password}
+                    onChange={handleChange}
+                    className="pl-11 w-full h-11 px-4 bg-slate-50 border border-slate-200
                     rounded-xl text-sm text-slate-900 placeholder:text-slate-400
                     focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500
                     transition-all duration-200"
-                  placeholder="••••••••"
-                />
+                    placeholder="••••••••"
+                  />
+                </div>
               </div>
-            </div>
 
-            {/* Submit */}
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="relative w-full h-11 flex items-center justify-center gap-2
+              {/* Submit */}
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="relative w-full h-11 flex items-center justify-center gap-2
                 text-sm font-semibold text-white rounded-xl
                 bg-gradient-to-r from-indigo-600 to-indigo-500
                 hover:from-indigo-700 hover:to-indigo-600
                 focus:outline-none focus:ring-2 focus:ring-indigo-500/50 focus:ring-offset-2
                 disabled:opacity-50 disabled:cursor-not-allowed
                 transition-all duration-200 shadow-md shadow-indigo-600/20"
-            >
-              {isLoading ? (
-                <>
-                  <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
-                    <circle
-                      className="opacity-25"
-                      cx="12"
-                      cy="12"
-                      r="10"
-                      stroke="currentColor"
-                      strokeWidth="4"
-                      fill="none"
-                    />
-                    <path
-                      className="opacity-75"
-                      fill="currentColor"
-                      d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-                    />
-                  </svg>
-                  Signing in…
-                </>
-              ) : (
-                <>
-                  <LogIn size={16} />
-                  Sign in
-                </>
-              )}
-            </button>
-
-            <p className="text-center text-sm text-slate-500">
-              Don&apos;t have an account?{" "}
-              <Link
-                to="/register"
-                className="font-semibold text-indigo-600 hover:text-indigo-700 transition-colors"
               >
-                Create one
-              </Link>
-            </p>
-          </form>
+                {isLoading ? (
+                  <>
+                    <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
+                      <circle
+                        className="opacity-25"
+                        cx="12"
+                        cy="12"
+                        r="10"
+                        stroke="currentColor"
+                        strokeWidth="4"
+                        fill="none"
+                      />
+                      <path
+                        className="opacity-75"
+                        fill="currentColor"
+                        d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                      />
+                    </svg>
+                    Signing in…
+                  </>
+                ) : (
+                  <>
+                    <LogIn size={16} />
+                    Sign in
+                  </>
+                )}
+              </button>
+
+              <p className="text-center text-sm text-slate-500">
+                Don&apos;t have an account?{" "}
+                <Link
+                  to="/register"
+                  className="font-semibold text-indigo-600 hover:text-indigo-700 transition-colors"
+                >
+                  Create one
+                </Link>
+              </p>
+            </form>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,394 @@
+/**
+ * Messages.jsx — Secure conversations between patients and their doctors
+ *
+ * Lists the user's conversations with unread counts and opens one at a
+ * time, loading the latest page of history and older pages on demand.
+ * New messages, read receipts and typing indicators arrive over the
+ * shared socket (`new_message`, `messages_read`, `user_typing`), so an
+ * open conversation updates without polling.  Opening a conversation
+ * marks it read, which clears the badge in the sidebar.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { format, isToday } from "date-fns";
+import { MessageSquare, Send, CheckCheck, Plus } from "lucide-react";
+import { messagesAPI } from "../services/api";
+import { useAuthStore } from "../store/authStore";
+import { initSocket, useSocketEvent, SOCKET_EVENTS } from "../services/socket";
+
+const PAGE_SIZE = 30;
+const TYPING_IDLE_MS = 2000;
+const TYPING_SHOWN_MS = 4000;
+
+const personName = (person) =>
+  person?.role === "doctor"
+    ? `Dr. ${person.firstName} ${person.lastName}`
+    : `${person?.firstName} ${person?.lastName}`;
+
+const formatSentAt = (date) =>
+  isToday(new Date(date))
+    ? format(new Date(date), "h:mm a")
+    : format(new Date(date), "MMM d, h:mm a");
+
+export default function Messages() {
+  const { user } = useAuthStore();
+  const myId = user?._id ?? user?.id;
+  const [threads, setThreads] = useState([]);
+  const [contacts, setContacts] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [draft, setDraft] = useState("");
+  const [isSending, setIsSending] = useState(false);
+  const [isOtherTyping, setIsOtherTyping] = useState(false);
+  const bottomRef = useRef(null);
+  const typingTimerRef = useRef(null);
+  const typingShownTimerRef = useRef(null);
+
+  const activeThread = threads.find((thread) => thread._id === activeId);
+  const otherParty = (thread) =>
+    thread.patient?._id === myId ? thread.doctor : thread.patient;
+
+  const fetchThreads = async () => {
+    try {
+      const response = await messagesAPI.getThreads();
+      setThreads(response.data?.data?.threads ?? []);
+    } catch (error) {
+      console.error("Error fetching conversations:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchThreads();
+    messagesAPI
+      .getContacts()
+      .then((response) => setContacts(response.data?.data?.contacts ?? []))
+      .catch((error) => console.error("Error fetching contacts:", error));
+  }, []);
+
+  const markRead = async (threadId) => {
+    try {
+      await messagesAPI.markRead(threadId);
+      setThreads((current) =>
+        current.map((thread) =>
+          thread._id === threadId ? { ...thread, unreadCount: 0 } : thread,
+        ),
+      );
+    } catch (error) {
+      console.error("Error marking conversation read:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (!activeId) return;
+    let isActive = true;
+    setMessages([]);
+    setIsOtherTyping(false);
+    messagesAPI
+      .getMessages(activeId, { limit: PAGE_SIZE })
+      .then((response) => {
+        if (!isActive) return;
+        setMessages(response.data?.data?.messages ?? []);
+        setHasMore(Boolean(response.data?.hasMore));
+        bottomRef.current?.scrollIntoView();
+      })
+      .catch((error) => console.error("Error fetching messages:", error));
+    markRead(activeId);
+    return () => {
+      isActive = false;
+    };
+  }, [activeId]);
+
+  const loadEarlier = async () => {
+    try {
+      const response = await messagesAPI.getMessages(activeId, {
+        limit: PAGE_SIZE,
+        before: messages[0]?._id,
+      });
+      setMessages((current) => [
+        ...(response.data?.data?.messages ?? []),
+        ...current,
+      ]);
+      setHasMore(Boolean(response.data?.hasMore));
+    } catch (error) {
+      console.error("Error fetching earlier messages:", error);
+    }
+  };
+
+  useSocketEvent(SOCKET_EVENTS.NEW_MESSAGE, ({ threadId, message }) => {
+    if (threadId === activeId) {
+      setMessages((current) =>
+        current.some((m) => m._id === message._id)
+          ? current
+          : [...current, message],
+      );
+      setIsOtherTyping(false);
+      if (message.sender !== myId) markRead(threadId);
+      setTimeout(() =>
+        bottomRef.current?.scrollIntoView({ behavior: "smooth" }),
+      );
+    }
+    fetchThreads();
+  });
+
+  useSocketEvent(
+    SOCKET_EVENTS.MESSAGES_READ,
+    ({ threadId, readerId, readAt }) => {
+      if (threadId === activeId && readerId !== myId) {
+        setMessages((current) =>
+          current.map((m) =>
+            m.sender === myId && !m.readAt ? { ...m, readAt } : m,
+          ),
+        );
+      }
+    },
+  );
+
+  useSocketEvent(SOCKET_EVENTS.USER_TYPING, ({ threadId, isTyping }) => {
+    if (threadId !== activeId) return;
+    setIsOtherTyping(isTyping);
+    clearTimeout(typingShownTimerRef.current);
+    // Don't leave the indicator up if the "stopped" event is lost
+    if (isTyping) {
+      typingShownTimerRef.current = setTimeout(
+        () => setIsOtherTyping(false),
+        TYPING_SHOWN_MS,
+      );
+    }
+  });
+
+  const emitTyping = (isTyping) =>
+    initSocket().emit(SOCKET_EVENTS.TYPING, { threadId: activeId, isTyping });
+
+  const handleDraftChange = (e) => {
+    setDraft(e.target.value);
+    if (!typingTimerRef.current) emitTyping(true);
+    clearTimeout(typingTimerRef.current);
+    typingTimerRef.current = setTimeout(() => {
+      typingTimerRef.current = null;
+      emitTyping(false);
+    }, TYPING_IDLE_MS);
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    clearTimeout(typingTimerRef.current);
+    typingTimerRef.current = null;
+    emitTyping(false);
+    setIsSending(true);
+    try {
+      const response = await messagesAPI.send(activeId, draft.trim());
+      const message = response.data.data.message;
+      setMessages((current) =>
+        current.some((m) => m._id === message._id)
+          ? current
+          : [...current, message],
+      );
+      setDraft("");
+      setTimeout(() =>
+        bottomRef.current?.scrollIntoView({ behavior: "smooth" }),
+      );
+    } catch (error) {
+      console.error("Error sending message:", error);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const startConversation = async (participantId) => {
+    if (!participantId) return;
+    try {
+      const response = await messagesAPI.openThread(participantId);
+      await fetchThreads();
+      setActiveId(response.data.data.thread._id);
+    } catch (error) {
+      console.error("Error starting conversation:", error);
+    }
+  };
+
+  const lastOwnMessage = [...messages].reverse().find((m) => m.sender === myId);
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div>
+        <h1 className="text-2xl font-bold text-slate-900 tracking-tight">
+          Messages
+        </h1>
+        <p className="text-slate-500 mt-1">
+          {user?.role === "patient"
+            ? "Private conversations with your doctors"
+            : "Private conversations with your patients"}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Conversation list */}
+        <div className="bg-white rounded-2xl shadow-card border border-slate-100 flex flex-col">
+          <div className="p-4 border-b border-slate-100">
+            <label className="flex items-center gap-2 text-xs font-semibold text-slate-500 mb-1.5">
+              <Plus size={14} /> New conversation
+            </label>
+            <select
+              value=""
+              onChange={(e) => startConversation(e.target.value)}
+              className="w-full h-10 bg-slate-50 border border-slate-200 rounded-xl px-3 text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition"
+            >
+              <option value="">
+                {contacts.length
+                  ? "Choose who to message"
+                  : "Nobody to message yet"}
+              </option>
+              {contacts.map((contact) => (
+                <option key={contact._id} value={contact._id}>
+                  {personName(contact)}
+                  {contact.specialization ? ` · ${contact.specialization}` : ""}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {isLoading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="h-8 w-8 rounded-full border-[3px] border-indigo-200 border-t-indigo-600 animate-spin" />
+            </div>
+          ) : threads.length === 0 ? (
+            <p className="px-6 py-10 text-center text-sm text-slate-400">
+              No conversations yet
+            </p>
+          ) : (
+            <div className="divide-y divide-slate-100 overflow-y-auto">
+              {threads.map((thread) => (
+                <button
+                  key={thread._id}
+                  onClick={() => setActiveId(thread._id)}
+                  className={`w-full text-left px-4 py-3 flex items-start gap-3 transition-colors ${
+                    thread._id === activeId
+                      ? "bg-indigo-50/60"
+                      : "hover:bg-slate-50"
+                  }`}
+                >
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-semibold text-slate-900 truncate">
+                      {personName(otherParty(thread))}
+                    </p>
+                    <p className="text-xs text-slate-500 truncate">
+                      {thread.lastMessagePreview || "No messages yet"}
+                    </p>
+                  </div>
+                  {thread.unreadCount > 0 && (
+                    <span className="min-w-[20px] h-5 px-1.5 rounded-full bg-indigo-600 text-white text-[11px] font-semibold flex items-center justify-center">
+                      {thread.unreadCount}
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Active conversation */}
+        <div className="lg:col-span-2 bg-white rounded-2xl shadow-card border border-slate-100 flex flex-col h-[600px]">
+          {!activeThread ? (
+            <div className="flex-1 flex flex-col items-center justify-center text-center">
+              <MessageSquare className="h-10 w-10 text-slate-300" />
+              <p className="mt-3 text-sm text-slate-500">
+                Pick a conversation to read it
+              </p>
+            </div>
+          ) : (
+            <>
+              <div className="px-6 py-4 border-b border-slate-100">
+                <h2 className="text-[15px] font-semibold text-slate-900">
+                  {personName(otherParty(activeThread))}
+                </h2>
+                <p className="text-xs text-slate-400 h-4">
+                  {isOtherTyping ? "typing…" : ""}
+                </p>
+              </div>
+
+              <div className="flex-1 overflow-y-auto px-6 py-4 space-y-3">
+                {hasMore && (
+                  <div className="text-center">
+                    <button
+                      onClick={loadEarlier}
+                      className="text-xs font-medium text-indigo-600 hover:text-indigo-700"
+                    >
+                      Load earlier messages
+                    </button>
+                  </div>
+                )}
+                {messages.map((message) => {
+                  const isMine = message.sender === myId;
+                  return (
+                    <div
+                      key={message._id}
+                      className={`flex ${isMine ? "justify-end" : "justify-start"}`}
+                    >
+                      <div className="max-w-[75%]">
+                        <div
+                          className={`px-4 py-2.5 rounded-2xl text-sm whitespace-pre-wrap break-words ${
+                            isMine
+                              ? "bg-indigo-600 text-white rounded-br-md"
+                              : "bg-slate-100 text-slate-800 rounded-bl-md"
+                          }`}
+                        >
+                          {message.body}
+                        </div>
+                        <p
+                          className={`mt-1 text-[11px] text-slate-400 flex items-center gap-1 ${
+                            isMine ? "justify-end" : ""
+                          }`}
+                        >
+                          {formatSentAt(message.createdAt)}
+                          {message === lastOwnMessage && message.readAt && (
+                            <>
+                              {" · "}
+                              <CheckCheck
+                                size={12}
+                                className="text-indigo-500"
+                              />
+                              Read
+                            </>
+                          )}
+                        </p>
+                      </div>
+                    </div>
+                  );
+                })}
+                <div ref={bottomRef} />
+              </div>
+
+              <form
+                onSubmit={handleSend}
+                className="p-4 border-t border-slate-100 flex items-end gap-3"
+              >
+                <textarea
+                  value={draft}
+                  onChange={handleDraftChange}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter" && !e.shiftKey) handleSend(e);
+                  }}
+                  rows={2}
+                  maxLength={2000}
+                  placeholder="Write a message…"
+                  className="flex-1 resize-none bg-slate-50 border border-slate-200 rounded-xl px-4 py-2.5 text-sm text-slate-800 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition"
+                />
+                <button
+                  type="submit"
+                  disabled={isSending || !draft.trim()}
+                  className="h-11 px-4 rounded-xl bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-2 transition-colors"
+                >
+                  <Send size={16} /> Send
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -3,17 +3,32 @@
  *
  * Shows demographics, medications, allergies and chronic conditions
  * for a single patient.  Data comes from the PatientSummary API.
+ * Admins can mark a patient's email address verified from here, for
+ * patients who can't follow the emailed link, and unlock an account
+ * locked after too many failed sign-ins.
  */
 
 import { useEffect, useState } from "react";
 import { useParams } from "react-router-dom";
-import { User, Pill, AlertTriangle, FileText } from "lucide-react";
-import { patientsAPI } from "../services/api";
+import {
+  User,
+  Pill,
+  AlertTriangle,
+  FileText,
+  MailCheck,
+  LockOpen,
+} from "lucide-react";
+import toast from "react-hot-toast";
+import { authAPI, patientsAPI } from "../services/api";
+import { useAuthStore } from "../store/authStore";
 
 export default function PatientDetails() {
   const { patientId } = useParams();
+  const user = useAuthStore((state) => state.user);
   const [patientData, setPatientData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [isUnlocking, setIsUnlocking] = useState(false);
 
   useEffect(() => {
     const fetchPatientData = async () => {
@@ -30,6 +45,38 @@ export default function PatientDetails() {
     fetchPatientData();
   }, [patientId]);
 
+  const handleVerifyEmail = async () => {
+    setIsVerifying(true);
+    try {
+      await authAPI.verifyUserEmail(patientId);
+      setPatientData((current) => ({
+        ...current,
+        patient: { ...current.patient, emailVerified: true },
+      }));
+      toast.success("Email address marked as verified");
+    } catch (error) {
+      console.error("Error verifying email:", error);
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const handleUnlock = async () => {
+    setIsUnlocking(true);
+    try {
+      await authAPI.unlockUser(patientId);
+      setPatientData((current) => ({
+        ...current,
+        patient: { ...current.patient, lockedUntil: null },
+      }));
+      toast.success("Account unlocked");
+    } catch (error) {
+      console.error("Error unlocking account:", error);
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -66,6 +113,44 @@ export default function PatientDetails() {
             </h2>
             <p className="text-slate-400 text-sm">{patientData.patient?.email}</p>
           </div>
+          <div className="ml-auto flex items-center gap-3">
+            {patientData.patient?.emailVerified === false && (
+              <>
+                <span className="px-2.5 py-1 rounded-full bg-amber-50 text-amber-700 text-xs font-medium">
+                  Email not verified
+                </span>
+                {user?.role === "admin" && (
+                  <button
+                    type="button"
+                    onClick={handleVerifyEmail}
+                    disabled={isVerifying}
+                    className="inline-flex items-center gap-2 px-4 py-2 border border-slate-200 rounded-xl text-sm font-medium text-slate-700 hover:bg-slate-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <MailCheck size={16} />
+                    {isVerifying ? "Verifying…" : "Mark verified"}
+                  </button>
+                )}
+              </>
+            )}
+            {new Date(patientData.patient?.lockedUntil) > new Date() && (
+              <>
+                <span className="px-2.5 py-1 rounded-full bg-rose-50 text-rose-700 text-xs font-medium">
+                  Locked after failed sign-ins
+                </span>
+                {user?.role === "admin" && (
+                  <button
+                    type="button"
+                    onClick={handleUnlock}
+                    disabled={isUnlocking}
+                    className="inline-flex items-center gap-2 px-4 py-2 border border-slate-200 rounded-xl text-sm font-medium text-slate-700 hover:bg-slate-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <LockOpen size={16} />
+                    {isUnlocking ? "Unlocking…" : "Unlock"}
+                  </button>
+                )}
+              </>
+            )}
+          </div>
         </div>
       </div>
 
@@ -2,7 +2,9 @@
  * Profile.jsx — Account settings page
  *
  * Lets a user view and edit their name, phone, and (for doctors)
- * specialization.  Email is displayed but read-only.
+ * specialization.  Email is displayed but read-only.  Notification
+ * preferences, the password, two-factor authentication (staff) and the
+ * devices signed in to the account are managed below the profile form.
  */
 
 import { useState } from "react";
@@ -10,6 +12,11 @@ import { User, Mail, Phone, Briefcase, Save } from "lucide-react";
 import { useAuthStore } from "../store/authStore";
 import { authAPI } from "../services/api";
 import toast from "react-hot-toast";
+import NotificationSettings from "../components/NotificationSettings";
+import ChangePassword from "../components/ChangePassword";
+import ActiveSessions from "../components/ActiveSessions";
+import TwoFactorSettings from "../components/TwoFactorSettings";
+import TwoFactorPolicySettings from "../components/TwoFactorPolicySettings";
 
 /** Shared input class */
 const inputCls =
@@ -19,6 +26,8 @@ export default function Profile() {
   const { user, updateUser } = useAuthStore();
   const [isEditing, setIsEditing] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  // Bumped when a password change signs other devices out
+  const [sessionsVersion, setSessionsVersion] = useState(0);
   const [formData, setFormData] = useState({
     firstName: user?.firstName || "",
     lastName: user?.lastName || "",
@@ -218,6 +227,18 @@ export default function Profile() {
           </div>
         </form>
       </div>
+
+      <NotificationSettings />
+
+      <ChangePassword
+        onChanged={() => setSessionsVersion((version) => version + 1)}
+      />
+
+      {user?.role !== "patient" && <TwoFactorSettings />}
+
+      {user?.role === "admin" && <TwoFactorPolicySettings />}
+
+      <ActiveSessions key={sessionsVersion} />
     </div>
   );
 }
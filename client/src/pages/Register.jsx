@@ -4,6 +4,9 @@
  * Collects name, email, password, phone and role.  If the user
  * selects "doctor", extra fields for specialization and license
  * number appear.  Matches the Login page design language.
+ *
+ * Registering signs the user in straight away; the server emails a
+ * link to verify their address, which patients need before booking.
  */
 
 import { useState } from "react";
@@ -21,12 +24,14 @@ import {
 } from "lucide-react";
 import toast from "react-hot-toast";
 import { authAPI } from "../services/api";
+import { useAuthStore } from "../store/authStore";
 
 const inputCls =
   "pl-11 w-full h-11 px-4 bg-slate-50 border border-slate-200 rounded-xl text-sm text-slate-900 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition-all duration-200";
 
 export default function Register() {
   const navigate = useNavigate();
+  const setAuth = useAuthStore((state) => state.setAuth);
   const [formData, setFormData] = useState({
     firstName: "",
     lastName: "",
@@ -94,9 +99,12 @@ export default function Register() {
         delete dataToSend.licenseNumber;
       }
 
-      await authAPI.register(dataToSend);
-      toast.success("Registration successful! Please login.");
-      navigate("/login");
+      const response = await authAPI.register(dataToSend);
+      setAuth(response.data.data.user);
+      toast.success(
+        "Welcome to ClinicHub! Check your email to verify your address.",
+      );
+      navigate("/dashboard");
     } catch (error) {
       console.error("Registration error:", error);
       const errorMessage =
@@ -0,0 +1,131 @@
+/**
+ * ResetPassword.jsx — Choose a new password from an emailed link
+ *
+ * Public page opened from the password reset email.  The token in
+ * `?token=` is sent with the new password; the server checks it, so
+ * an invalid or expired link is only reported after submitting.  A
+ * successful reset signs the user out everywhere, so they sign in
+ * again with the new password.
+ */
+
+import { useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { Activity, AlertCircle, KeyRound, Lock } from "lucide-react";
+import toast from "react-hot-toast";
+import { authAPI } from "../services/api";
+import { useAuthStore } from "../store/authStore";
+
+const inputCls =
+  "pl-11 w-full h-11 px-4 bg-slate-50 border border-slate-200 rounded-xl text-sm text-slate-900 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition-all duration-200";
+
+export default function ResetPassword() {
+  const navigate = useNavigate();
+  const clearAuth = useAuthStore((state) => state.clearAuth);
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState(token ? "" : "This link is not valid");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+    setError("");
+    setIsSubmitting(true);
+    try {
+      await authAPI.resetPassword({ token, newPassword });
+      clearAuth();
+      toast.success("Password reset. Please sign in.");
+      navigate("/login");
+    } catch (err) {
+      setError(err.response?.data?.message || "Something went wrong");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 to-indigo-50 p-4">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-card border border-slate-100 p-8">
+        <div className="flex items-center gap-2 mb-6">
+          <div className="w-9 h-9 bg-gradient-to-br from-indigo-500 to-indigo-600 rounded-xl flex items-center justify-center">
+            <Activity className="h-5 w-5 text-white" />
+          </div>
+          <span className="text-lg font-bold text-slate-900">ClinicHub</span>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-5">
+          <div className="flex items-center gap-3">
+            <KeyRound className="h-6 w-6 text-indigo-600" />
+            <h1 className="text-xl font-bold text-slate-900">
+              Choose a new password
+            </h1>
+          </div>
+
+          {error && (
+            <div className="flex items-start gap-3 rounded-xl bg-rose-50 ring-1 ring-rose-600/10 px-4 py-3">
+              <AlertCircle className="h-5 w-5 text-rose-500 shrink-0 mt-0.5" />
+              <p className="text-sm text-rose-700">{error}</p>
+            </div>
+          )}
+
+          <div className="relative">
+            <Lock
+              className="absolute left-3.5 top-1/2 -translate-y-1/2 text-slate-400"
+              size={18}
+            />
+            <input
+              type="password"
+              required
+              disabled={!token}
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              className={inputCls}
+              placeholder="New password"
+            />
+          </div>
+          <div className="relative">
+            <Lock
+              className="absolute left-3.5 top-1/2 -translate-y-1/2 text-slate-400"
+              size={18}
+            />
+            <input
+              type="password"
+              required
+              disabled={!token}
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              className={inputCls}
+              placeholder="Confirm new password"
+            />
+          </div>
+          <p className="text-xs text-slate-400">
+            At least 8 characters, with upper- and lowercase letters, a number
+            and a symbol.
+          </p>
+          <button
+            type="submit"
+            disabled={isSubmitting || !token}
+            className="w-full h-11 text-white rounded-xl shadow-md transition-all text-sm font-medium disabled:opacity-50 bg-gradient-to-r from-indigo-600 to-indigo-500 hover:from-indigo-700 hover:to-indigo-600 shadow-indigo-600/20"
+          >
+            {isSubmitting ? "Please wait…" : "Reset password"}
+          </button>
+        </form>
+
+        <p className="mt-6 text-center text-sm text-slate-500">
+          Link expired?{" "}
+          <Link
+            to="/forgot-password"
+            className="text-indigo-600 hover:underline"
+          >
+            Request a new one
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+/**
+ * VerifyEmail.jsx — Confirm an email address from an emailed link
+ *
+ * Public page opened from the verification email.  The token in
+ * `?token=` is posted back as soon as the page loads; a signed-in user
+ * has their stored account marked verified so the reminder banner
+ * disappears.  Expired links point the user at "Resend link".
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { Activity, AlertCircle, CheckCircle2 } from "lucide-react";
+import { authAPI } from "../services/api";
+import { useAuthStore } from "../store/authStore";
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const { isAuthenticated, updateUser } = useAuthStore();
+  const [status, setStatus] = useState(token ? "verifying" : "error");
+  const [message, setMessage] = useState(
+    token ? "" : "This verification link is not valid",
+  );
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Post once, even when effects run twice in development
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await authAPI.verifyEmail(token);
+        if (isAuthenticated) updateUser({ emailVerified: true });
+        setMessage(response.data.message);
+        setStatus("verified");
+      } catch (error) {
+        setMessage(error.response?.data?.message || "Something went wrong");
+        setStatus("error");
+      }
+    };
+    verify();
+  }, [token, isAuthenticated, updateUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 to-indigo-50 p-4">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-card border border-slate-100 p-8">
+        <div className="flex items-center gap-2 mb-6">
+          <div className="w-9 h-9 bg-gradient-to-br from-indigo-500 to-indigo-600 rounded-xl flex items-center justify-center">
+            <Activity className="h-5 w-5 text-white" />
+          </div>
+          <span className="text-lg font-bold text-slate-900">ClinicHub</span>
+        </div>
+
+        {status === "verifying" && (
+          <div className="flex items-center gap-3">
+            <div className="h-5 w-5 rounded-full border-2 border-indigo-200 border-t-indigo-600 animate-spin" />
+            <p className="text-sm text-slate-500">
+              Verifying your email address&hellip;
+            </p>
+          </div>
+        )}
+
+        {status === "verified" && (
+          <div className="flex items-start gap-3 rounded-xl bg-emerald-50 ring-1 ring-emerald-600/10 px-4 py-3">
+            <CheckCircle2 className="h-5 w-5 text-emerald-600 shrink-0 mt-0.5" />
+            <p className="text-sm text-emerald-800">{message}</p>
+          </div>
+        )}
+
+        {status === "error" && (
+          <div className="flex items-start gap-3 rounded-xl bg-rose-50 ring-1 ring-rose-600/10 px-4 py-3">
+            <AlertCircle className="h-5 w-5 text-rose-500 shrink-0 mt-0.5" />
+            <p className="text-sm text-rose-700">
+              {message}
+              {isAuthenticated &&
+                " You can ask for a new link from the banner in your account."}
+            </p>
+          </div>
+        )}
+
+        {status !== "verifying" && (
+          <p className="mt-6 text-center text-sm text-slate-500">
+            <Link
+              to={isAuthenticated ? "/dashboard" : "/login"}
+              className="text-indigo-600 hover:underline"
+            >
+              {isAuthenticated ? "Go to your dashboard" : "Sign in"}
+            </Link>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,312 @@
+/**
+ * VideoVisit.jsx — Peer-to-peer video call for a video appointment
+ *
+ * Loads the visit's room and ICE servers, opens the camera, and joins
+ * the room over the shared socket.  Whoever joins second sends the
+ * WebRTC offer, so the two sides never offer at once; the server only
+ * relays offers, answers and ICE candidates between the patient and
+ * doctor, while audio and video flow directly between the browsers.
+ * To try it locally, sign in as the patient and the doctor in two
+ * browser sessions (e.g. a normal and a private window) and open the
+ * same visit in both.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import {
+  Mic,
+  MicOff,
+  Video,
+  VideoOff,
+  PhoneOff,
+  AlertCircle,
+} from "lucide-react";
+import { appointmentsAPI } from "../services/api";
+import { useAuthStore } from "../store/authStore";
+import { initSocket, SOCKET_EVENTS } from "../services/socket";
+import {
+  formatAppointmentDate,
+  formatAppointmentTime,
+} from "../utils/appointmentTime";
+
+const STATUS_COPY = {
+  starting: "Starting your camera…",
+  waiting: "Waiting for the other participant to join",
+  connecting: "Connecting…",
+  connected: "Connected",
+};
+
+const controlCls =
+  "w-12 h-12 rounded-full flex items-center justify-center transition-colors";
+
+export default function VideoVisit() {
+  const { appointmentId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuthStore();
+  const localVideoRef = useRef(null);
+  const remoteVideoRef = useRef(null);
+  const localStreamRef = useRef(null);
+  const [visit, setVisit] = useState(null);
+  const [callStatus, setCallStatus] = useState("starting");
+  const [error, setError] = useState("");
+  const [isMuted, setIsMuted] = useState(false);
+  const [isCameraOff, setIsCameraOff] = useState(false);
+
+  useEffect(() => {
+    const socket = initSocket();
+    let isActive = true;
+    let room = null;
+    let iceServers = [];
+    let peer = null;
+    // Candidates that arrive before the remote description is set
+    let pendingCandidates = [];
+
+    const closePeer = () => {
+      peer?.close();
+      peer = null;
+      pendingCandidates = [];
+      if (remoteVideoRef.current) remoteVideoRef.current.srcObject = null;
+    };
+
+    const createPeer = () => {
+      closePeer();
+      const connection = new RTCPeerConnection({ iceServers });
+      localStreamRef.current
+        .getTracks()
+        .forEach((track) => connection.addTrack(track, localStreamRef.current));
+      connection.onicecandidate = ({ candidate }) => {
+        if (candidate) {
+          socket.emit(SOCKET_EVENTS.WEBRTC_ICE_CANDIDATE, { room, candidate });
+        }
+      };
+      connection.ontrack = ({ streams }) => {
+        if (remoteVideoRef.current)
+          remoteVideoRef.current.srcObject = streams[0];
+      };
+      connection.onconnectionstatechange = () => {
+        if (connection.connectionState === "connected") {
+          setCallStatus("connected");
+        } else if (connection.connectionState === "failed") {
+          setCallStatus("waiting");
+        }
+      };
+      peer = connection;
+      return connection;
+    };
+
+    const flushCandidates = async () => {
+      for (const candidate of pendingCandidates) {
+        await peer.addIceCandidate(candidate);
+      }
+      pendingCandidates = [];
+    };
+
+    const handleJoined = async ({ room: joined, peers }) => {
+      if (joined !== room) return;
+      if (!peers) {
+        setCallStatus("waiting");
+        return;
+      }
+      // The other side is already here, so this side makes the offer
+      setCallStatus("connecting");
+      const connection = createPeer();
+      await connection.setLocalDescription(await connection.createOffer());
+      socket.emit(SOCKET_EVENTS.WEBRTC_OFFER, {
+        room,
+        description: connection.localDescription,
+      });
+    };
+
+    const handleOffer = async ({ room: from, description }) => {
+      if (from !== room) return;
+      setCallStatus("connecting");
+      const connection = createPeer();
+      await connection.setRemoteDescription(description);
+      await flushCandidates();
+      await connection.setLocalDescription(await connection.createAnswer());
+      socket.emit(SOCKET_EVENTS.WEBRTC_ANSWER, {
+        room,
+        description: connection.localDescription,
+      });
+    };
+
+    const handleAnswer = async ({ room: from, description }) => {
+      if (from !== room || !peer) return;
+      await peer.setRemoteDescription(description);
+      await flushCandidates();
+    };
+
+    const handleCandidate = async ({ room: from, candidate }) => {
+      if (from !== room || !peer) return;
+      if (peer.remoteDescription) await peer.addIceCandidate(candidate);
+      else pendingCandidates.push(candidate);
+    };
+
+    const handlePeerJoined = ({ room: joined }) => {
+      if (joined === room) setCallStatus("connecting");
+    };
+
+    const handlePeerLeft = ({ room: left }) => {
+      if (left !== room) return;
+      closePeer();
+      setCallStatus("waiting");
+    };
+
+    const handleError = ({ room: failed, message }) => {
+      if (failed === room) setError(message);
+    };
+
+    // Rooms are lost on reconnect, so join again
+    const handleConnect = () => {
+      if (room) socket.emit(SOCKET_EVENTS.JOIN_ROOM, room);
+    };
+
+    const handlers = {
+      connect: handleConnect,
+      [SOCKET_EVENTS.ROOM_JOINED]: handleJoined,
+      [SOCKET_EVENTS.WEBRTC_OFFER]: handleOffer,
+      [SOCKET_EVENTS.WEBRTC_ANSWER]: handleAnswer,
+      [SOCKET_EVENTS.WEBRTC_ICE_CANDIDATE]: handleCandidate,
+      [SOCKET_EVENTS.VISIT_PEER_JOINED]: handlePeerJoined,
+      [SOCKET_EVENTS.VISIT_PEER_LEFT]: handlePeerLeft,
+      [SOCKET_EVENTS.ERROR]: handleError,
+    };
+
+    const start = async () => {
+      try {
+        const response = await appointmentsAPI.getVideo(appointmentId);
+        const data = response.data.data;
+        if (!isActive) return;
+        setVisit(data.appointment);
+        iceServers = data.iceServers;
+
+        const stream = await navigator.mediaDevices.getUserMedia({
+          video: true,
+          audio: true,
+        });
+        if (!isActive) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        localStreamRef.current = stream;
+        if (localVideoRef.current) localVideoRef.current.srcObject = stream;
+
+        room = data.room;
+        Object.entries(handlers).forEach(([event, handler]) =>
+          socket.on(event, handler),
+        );
+        socket.emit(SOCKET_EVENTS.JOIN_ROOM, room);
+      } catch (err) {
+        if (!isActive) return;
+        setError(
+          err.response?.data?.message ||
+            (err.name === "NotAllowedError"
+              ? "Camera and microphone access was blocked"
+              : "Could not start the video visit"),
+        );
+      }
+    };
+
+    start();
+
+    return () => {
+      isActive = false;
+      Object.entries(handlers).forEach(([event, handler]) =>
+        socket.off(event, handler),
+      );
+      if (room) socket.emit(SOCKET_EVENTS.LEAVE_ROOM, room);
+      closePeer();
+      localStreamRef.current?.getTracks().forEach((track) => track.stop());
+      localStreamRef.current = null;
+    };
+  }, [appointmentId]);
+
+  const toggleMute = () => {
+    localStreamRef.current
+      ?.getAudioTracks()
+      .forEach((track) => (track.enabled = isMuted));
+    setIsMuted(!isMuted);
+  };
+
+  const toggleCamera = () => {
+    localStreamRef.current
+      ?.getVideoTracks()
+      .forEach((track) => (track.enabled = isCameraOff));
+    setIsCameraOff(!isCameraOff);
+  };
+
+  const otherParty =
+    visit &&
+    (user?.role === "patient"
+      ? `Dr. ${visit.doctor?.firstName} ${visit.doctor?.lastName}`
+      : `${visit.patient?.firstName} ${visit.patient?.lastName}`);
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div>
+        <h1 className="text-2xl font-bold text-slate-900 tracking-tight">
+          Video Visit{otherParty ? ` with ${otherParty}` : ""}
+        </h1>
+        <p className="text-slate-500 mt-1">
+          {visit
+            ? `${formatAppointmentDate(visit)} at ${formatAppointmentTime(visit)} · ${STATUS_COPY[callStatus]}`
+            : STATUS_COPY.starting}
+        </p>
+      </div>
+
+      {error ? (
+        <div className="flex items-start gap-3 rounded-xl bg-rose-50 ring-1 ring-rose-600/10 px-4 py-3">
+          <AlertCircle className="h-5 w-5 text-rose-500 shrink-0 mt-0.5" />
+          <p className="text-sm text-rose-700">{error}</p>
+        </div>
+      ) : (
+        <div className="relative bg-slate-900 rounded-2xl overflow-hidden aspect-video">
+          <video
+            ref={remoteVideoRef}
+            autoPlay
+            playsInline
+            className="w-full h-full object-cover"
+          />
+          {callStatus !== "connected" && (
+            <p className="absolute inset-0 flex items-center justify-center text-sm text-slate-300">
+              {STATUS_COPY[callStatus]}
+            </p>
+          )}
+          <video
+            ref={localVideoRef}
+            autoPlay
+            playsInline
+            muted
+            className="absolute bottom-4 right-4 w-40 sm:w-56 aspect-video object-cover rounded-xl ring-2 ring-white/20 bg-slate-800"
+          />
+        </div>
+      )}
+
+      <div className="flex items-center justify-center gap-4">
+        <button
+          onClick={toggleMute}
+          disabled={Boolean(error)}
+          className={`${controlCls} ${isMuted ? "bg-rose-100 text-rose-600" : "bg-slate-100 text-slate-700 hover:bg-slate-200"}`}
+          title={isMuted ? "Unmute" : "Mute"}
+        >
+          {isMuted ? <MicOff size={20} /> : <Mic size={20} />}
+        </button>
+        <button
+          onClick={toggleCamera}
+          disabled={Boolean(error)}
+          className={`${controlCls} ${isCameraOff ? "bg-rose-100 text-rose-600" : "bg-slate-100 text-slate-700 hover:bg-slate-200"}`}
+          title={isCameraOff ? "Turn camera on" : "Turn camera off"}
+        >
+          {isCameraOff ? <VideoOff size={20} /> : <Video size={20} />}
+        </button>
+        <button
+          onClick={() => navigate("/appointments")}
+          className={`${controlCls} bg-rose-600 text-white hover:bg-rose-700`}
+          title="Leave visit"
+        >
+          <PhoneOff size={20} />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,241 @@
+/**
+ * WaitingRoom.jsx — Live check-in queue for one doctor's day
+ *
+ * Doctors see their own queue; the front desk (admins) picks a doctor.
+ * Shows who is with the doctor, who is waiting and for how long, and
+ * who is still expected, with buttons to check patients in, start and
+ * complete visits.  The page joins the doctor's `queue_<doctorId>`
+ * room, where the server pushes the whole queue as a `queue_update`
+ * socket event after every change, so the list reorders without
+ * polling; wait times tick locally every minute.
+ */
+
+import { useEffect, useState } from "react";
+import { Armchair, LogIn, Play, CheckCircle, Stethoscope } from "lucide-react";
+import toast from "react-hot-toast";
+import { appointmentsAPI, waitingRoomAPI } from "../services/api";
+import { useAuthStore } from "../store/authStore";
+import { initSocket, useSocketEvent, SOCKET_EVENTS } from "../services/socket";
+import DoctorPicker from "../components/DoctorPicker";
+import { formatAppointmentTime } from "../utils/appointmentTime";
+import { STATUS_LABELS } from "../utils/appointmentStatus";
+
+const MINUTE_MS = 60 * 1000;
+
+const patientName = (entry) =>
+  `${entry.patient?.firstName} ${entry.patient?.lastName}`;
+
+// Minutes since check-in, recomputed on every tick
+const minutesWaiting = (entry, now) =>
+  Math.max(0, Math.round((now - new Date(entry.checkedInAt)) / MINUTE_MS));
+
+const actionCls =
+  "inline-flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors";
+
+function Section({ title, count, children }) {
+  return (
+    <div className="bg-white rounded-2xl shadow-card border border-slate-100">
+      <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between">
+        <h2 className="text-[15px] font-semibold text-slate-900">{title}</h2>
+        <span className="text-xs font-semibold text-slate-400">{count}</span>
+      </div>
+      {count === 0 ? (
+        <p className="px-6 py-8 text-center text-sm text-slate-400">
+          Nobody here
+        </p>
+      ) : (
+        <div className="divide-y divide-slate-100">{children}</div>
+      )}
+    </div>
+  );
+}
+
+export default function WaitingRoom() {
+  const { user } = useAuthStore();
+  const isDoctor = user?.role === "doctor";
+  const [doctor, setDoctor] = useState(null);
+  const [queue, setQueue] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+
+  const doctorId = isDoctor ? user?._id ?? user?.id : doctor?._id;
+
+  const fetchQueue = async () => {
+    if (!doctorId) return;
+    try {
+      setIsLoading(true);
+      const response = await waitingRoomAPI.get(doctorId);
+      setQueue(response.data?.data?.queue ?? null);
+    } catch (error) {
+      console.error("Error fetching waiting room:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setQueue(null);
+    fetchQueue();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [doctorId]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), MINUTE_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Follow this doctor's queue room; rooms are lost on reconnect, so
+  // join again
+  useEffect(() => {
+    if (!doctorId) return;
+    const socket = initSocket();
+    const room = `queue_${doctorId}`;
+    const join = () => socket.emit(SOCKET_EVENTS.JOIN_ROOM, room);
+
+    join();
+    socket.on("connect", join);
+    return () => {
+      socket.off("connect", join);
+      socket.emit(SOCKET_EVENTS.LEAVE_ROOM, room);
+    };
+  }, [doctorId]);
+
+  useSocketEvent(SOCKET_EVENTS.QUEUE_UPDATED, (update) => {
+    if (update.doctorId === doctorId) setQueue(update);
+  });
+
+  const moveTo = async (entry, action) => {
+    try {
+      if (action === "checked-in") {
+        await appointmentsAPI.checkIn(entry._id);
+      } else {
+        await appointmentsAPI.updateStatus(entry._id, { status: action });
+      }
+      toast.success(`${patientName(entry)}: ${STATUS_LABELS[action]}`);
+      // The queue_update event refreshes the list; fetch in case the socket is down
+      fetchQueue();
+    } catch (error) {
+      console.error("Error updating appointment:", error);
+    }
+  };
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900 tracking-tight">
+            Waiting Room
+          </h1>
+          <p className="text-slate-500 mt-1">
+            {queue
+              ? `${queue.completed} seen · ${queue.noShows} no-show${queue.noShows === 1 ? "" : "s"}${
+                  queue.averageWaitMinutes !== null
+                    ? ` · average wait ${queue.averageWaitMinutes} min`
+                    : ""
+                }`
+              : "Today's check-ins, live"}
+          </p>
+        </div>
+      </div>
+
+      {!isDoctor && (
+        <div className="bg-white rounded-2xl shadow-card border border-slate-100 p-4">
+          <DoctorPicker value={doctor} onChange={setDoctor} />
+        </div>
+      )}
+
+      {!doctorId ? (
+        <div className="text-center py-14">
+          <Stethoscope className="mx-auto h-10 w-10 text-slate-300" />
+          <p className="mt-3 text-sm text-slate-500">
+            Pick a doctor to see their queue
+          </p>
+        </div>
+      ) : isLoading && !queue ? (
+        <div className="flex items-center justify-center h-48">
+          <div className="h-10 w-10 rounded-full border-[3px] border-indigo-200 border-t-indigo-600 animate-spin" />
+        </div>
+      ) : (
+        queue && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <Section title="With the doctor" count={queue.inProgress.length}>
+              {queue.inProgress.map((entry) => (
+                <div key={entry._id} className="p-5 flex items-center justify-between gap-3">
+                  <div>
+                    <p className="text-sm font-semibold text-slate-900">
+                      {patientName(entry)}
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      {formatAppointmentTime(entry)} · waited {entry.waitMinutes} min
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => moveTo(entry, "completed")}
+                    className={`${actionCls} bg-emerald-50 text-emerald-700 hover:bg-emerald-100`}
+                  >
+                    <CheckCircle size={14} /> Complete
+                  </button>
+                </div>
+              ))}
+            </Section>
+
+            <Section title="Waiting" count={queue.waiting.length}>
+              {queue.waiting.map((entry) => (
+                <div key={entry._id} className="p-5 flex items-center justify-between gap-3">
+                  <div className="flex items-center gap-3">
+                    <span className="w-8 h-8 rounded-xl bg-violet-50 text-violet-700 text-sm font-bold flex items-center justify-center">
+                      {entry.position}
+                    </span>
+                    <div>
+                      <p className="text-sm font-semibold text-slate-900">
+                        {patientName(entry)}
+                      </p>
+                      <p className="text-xs text-slate-500">
+                        {formatAppointmentTime(entry)} · waiting{" "}
+                        {minutesWaiting(entry, now)} min
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => moveTo(entry, "in-progress")}
+                    className={`${actionCls} bg-indigo-50 text-indigo-700 hover:bg-indigo-100`}
+                  >
+                    <Play size={14} /> Start
+                  </button>
+                </div>
+              ))}
+            </Section>
+
+            <Section title="Expected" count={queue.upcoming.length}>
+              {queue.upcoming.map((entry) => (
+                <div key={entry._id} className="p-5 flex items-center justify-between gap-3">
+                  <div>
+                    <p className="text-sm font-semibold text-slate-900">
+                      {patientName(entry)}
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      {formatAppointmentTime(entry)} ·{" "}
+                      {STATUS_LABELS[entry.status]}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => moveTo(entry, "checked-in")}
+                    className={`${actionCls} bg-violet-50 text-violet-700 hover:bg-violet-100`}
+                  >
+                    <LogIn size={14} /> Check in
+                  </button>
+                </div>
+              ))}
+            </Section>
+          </div>
+        )
+      )}
+
+      {queue && queue.waiting.length === 0 && queue.inProgress.length === 0 && (
+        <p className="flex items-center justify-center gap-2 text-sm text-slate-400">
+          <Armchair size={16} /> The waiting room is empty
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+/**
+ * Waitlist.jsx — Join a doctor's waitlist and answer slot offers
+ *
+ * Patients add themselves for a range of days and see any slot that
+ * is currently held for them, with accept / decline buttons and the
+ * time the hold runs out.  Doctors and admins see who is waiting.
+ * A `waitlist_offer` socket event refreshes the list as soon as a
+ * cancelled slot is offered.
+ */
+
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { Hourglass, Check, X, Trash2, Plus } from "lucide-react";
+import toast from "react-hot-toast";
+import { waitlistAPI } from "../services/api";
+import { useAuthStore } from "../store/authStore";
+import { useSocketEvent, SOCKET_EVENTS } from "../services/socket";
+import DoctorPicker from "../components/DoctorPicker";
+import {
+  formatAppointmentDate,
+  formatAppointmentTime,
+} from "../utils/appointmentTime";
+
+const inputCls =
+  "w-full h-11 bg-slate-50 border border-slate-200 rounded-xl px-4 text-sm text-slate-800 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500/40 focus:border-indigo-500 transition";
+
+const emptyForm = { startDate: "", endDate: "", reason: "" };
+
+// "Jul 01, 2030" for a stored calendar day
+const formatDay = (date) => formatAppointmentDate({ appointmentDate: date });
+
+export default function Waitlist() {
+  const { user } = useAuthStore();
+  const isPatient = user?.role === "patient";
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [doctor, setDoctor] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchEntries = async () => {
+    try {
+      setIsLoading(true);
+      const response = await waitlistAPI.getAll();
+      setEntries(response.data?.data?.entries ?? []);
+    } catch (error) {
+      console.error("Error fetching waitlist:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEntries();
+  }, []);
+
+  useSocketEvent(SOCKET_EVENTS.WAITLIST_OFFER, () => {
+    fetchEntries();
+    toast.success("A slot opened up for you!");
+  });
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    if (!doctor) {
+      toast.error("Please select a doctor");
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await waitlistAPI.join({ ...formData, doctorId: doctor._id });
+      toast.success("Added to the waitlist");
+      setDoctor(null);
+      setFormData(emptyForm);
+      fetchEntries();
+    } catch (error) {
+      console.error("Error joining waitlist:", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleLeave = async (id) => {
+    if (!window.confirm("Leave this waitlist?")) return;
+    try {
+      await waitlistAPI.leave(id);
+      toast.success("Removed from the waitlist");
+      fetchEntries();
+    } catch (error) {
+      console.error("Error leaving waitlist:", error);
+    }
+  };
+
+  const handleAnswer = async (offerId, accept) => {
+    try {
+      if (accept) {
+        await waitlistAPI.acceptOffer(offerId);
+        toast.success("Appointment booked");
+      } else {
+        await waitlistAPI.declineOffer(offerId);
+        toast.success("Offer declined");
+      }
+    } catch (error) {
+      console.error("Error answering offer:", error);
+    } finally {
+      fetchEntries();
+    }
+  };
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div>
+        <h1 className="text-2xl font-bold text-slate-900 tracking-tight">
+          Waitlist
+        </h1>
+        <p className="text-slate-500 mt-1">
+          {isPatient
+            ? "Get offered earlier slots when other patients cancel"
+            : "Patients waiting for an earlier slot"}
+        </p>
+      </div>
+
+      {isPatient && (
+        <form
+          onSubmit={handleJoin}
+          className="bg-white rounded-2xl shadow-card border border-slate-100 p-6 space-y-4"
+        >
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1.5">
+              Doctor
+            </label>
+            <DoctorPicker value={doctor} onChange={setDoctor} />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1.5">
+                From
+              </label>
+              <input
+                type="date"
+                required
+                value={formData.startDate}
+                min={format(new Date(), "yyyy-MM-dd")}
+                onChange={(e) =>
+                  setFormData({ ...formData, startDate: e.target.value })
+                }
+                className={inputCls}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1.5">
+                To
+              </label>
+              <input
+                type="date"
+                required
+                value={formData.endDate}
+                min={formData.startDate || format(new Date(), "yyyy-MM-dd")}
+                onChange={(e) =>
+                  setFormData({ ...formData, endDate: e.target.value })
+                }
+                className={inputCls}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1.5">
+              Reason for Visit
+            </label>
+            <input
+              type="text"
+              required
+              value={formData.reason}
+              onChange={(e) =>
+                setFormData({ ...formData, reason: e.target.value })
+              }
+              className={inputCls}
+              placeholder="Brief description of the reason for visit"
+            />
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="inline-flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-indigo-600 to-indigo-500 text-white rounded-xl shadow-md shadow-indigo-600/20 hover:from-indigo-700 hover:to-indigo-600 transition-all text-sm font-medium disabled:opacity-50"
+            >
+              <Plus size={16} />
+              {isSaving ? "Joining…" : "Join Waitlist"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white rounded-2xl shadow-card border border-slate-100">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-48">
+            <div className="h-10 w-10 rounded-full border-[3px] border-indigo-200 border-t-indigo-600 animate-spin" />
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-14">
+            <Hourglass className="mx-auto h-10 w-10 text-slate-300" />
+            <p className="mt-3 text-sm text-slate-500">
+              Nobody is on the waitlist
+            </p>
+          </div>
+        ) : (
+          <div className="divide-y divide-slate-100">
+            {entries.map((entry) => {
+              const offer = entry.currentOffer;
+              return (
+                <div key={entry._id} className="p-6">
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <h3 className="text-[15px] font-semibold text-slate-900">
+                        {isPatient
+                          ? `Dr. ${entry.doctor?.firstName} ${entry.doctor?.lastName}`
+                          : `${entry.patient?.firstName} ${entry.patient?.lastName}`}
+                      </h3>
+                      <p className="text-sm text-slate-500 mt-1">
+                        {formatDay(entry.startDate)} –{" "}
+                        {formatDay(entry.endDate)} · {entry.reason}
+                      </p>
+                    </div>
+                    {isPatient && (
+                      <button
+                        onClick={() => handleLeave(entry._id)}
+                        className="p-2 text-rose-500 hover:bg-rose-50 rounded-xl transition-colors"
+                        title="Leave waitlist"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </div>
+
+                  {offer?.status === "pending" && (
+                    <div className="mt-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 rounded-xl bg-emerald-50 ring-1 ring-emerald-600/10 px-4 py-3">
+                      <p className="text-sm text-emerald-800">
+                        Slot offered: {formatAppointmentDate(offer)} at{" "}
+                        {formatAppointmentTime(offer)} — held until{" "}
+                        {format(new Date(offer.expiresAt), "h:mm a")}
+                      </p>
+                      {isPatient && (
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleAnswer(offer._id, true)}
+                            className="inline-flex items-center gap-1 px-3 py-1.5 bg-emerald-600 text-white rounded-lg text-sm font-medium hover:bg-emerald-700"
+                          >
+                            <Check size={14} /> Accept
+                          </button>
+                          <button
+                            onClick={() => handleAnswer(offer._id, false)}
+                            className="inline-flex items-center gap-1 px-3 py-1.5 bg-white text-slate-700 border border-slate-200 rounded-lg text-sm font-medium hover:bg-slate-50"
+                          >
+                            <X size={14} /> Decline
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
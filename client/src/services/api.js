@@ -2,8 +2,11 @@
  * api.js — Centralised Axios instance & API helpers
  *
  * Every request is sent with `withCredentials: true` so the httpOnly
- * JWT cookie is included automatically.  The response interceptor
- * handles 401/403 by clearing the Zustand auth store and redirecting.
+ * JWT cookie is included automatically.  Access tokens are short-lived:
+ * when one is missing or expired the response interceptor refreshes
+ * the session once (`refreshSession`) and retries the request.  Other
+ * 401/403s — and a refresh that fails — clear the Zustand auth store
+ * and redirect.
  */
 
 import axios from "axios";
@@ -23,12 +26,61 @@ api.interceptors.request.use(
   (error) => Promise.reject(error),
 );
 
+// ── Session refresh ─────────────────────────────────────────────────
+// Codes meaning "no valid access token", which a refresh can fix
+const REFRESHABLE_CODES = ["NO_TOKEN", "INVALID_TOKEN"];
+
+// Codes meaning the session is over and the user must sign in again
+const SIGNED_OUT_CODES = [
+  "INVALID_TOKEN",
+  "USER_NOT_FOUND",
+  "NO_TOKEN",
+  "SESSION_REVOKED",
+  "NO_REFRESH_TOKEN",
+  "INVALID_REFRESH_TOKEN",
+  "REFRESH_TOKEN_REUSED",
+];
+
+let refreshing = null;
+
+/**
+ * Trade the refresh-token cookie for new cookies.  Concurrent callers
+ * share one request; REFRESH_SUPERSEDED means another tab refreshed at
+ * the same moment and the browser already holds its new cookies.
+ */
+export const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = api
+      .post("/auth/refresh", null, { skipAuthRefresh: true })
+      .catch((error) => {
+        if (error.response?.data?.code !== "REFRESH_SUPERSEDED") throw error;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
 // ── Response interceptor — global error handling ─────────────────────
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     const status = error.response?.status;
     const errorCode = error.response?.data?.code;
+    const config = error.config;
+
+    // Refresh an expired access token once, then retry the request
+    if (
+      status === 401 &&
+      REFRESHABLE_CODES.includes(errorCode) &&
+      config &&
+      !config.skipAuthRefresh &&
+      !config.isRetry
+    ) {
+      await refreshSession();
+      return api({ ...config, isRetry: true });
+    }
 
     // Handle authentication / authorisation errors
     if (status === 401 || status === 403) {
@@ -37,14 +89,16 @@ api.interceptors.response.use(
         window.location.pathname === "/register";
 
       if (!isAuthPage) {
-        if (
-          errorCode === "INVALID_TOKEN" ||
-          errorCode === "USER_NOT_FOUND" ||
-          errorCode === "NO_TOKEN"
-        ) {
+        if (errorCode === "REFRESH_SUPERSEDED") {
+          // Handled by refreshSession's caller
+        } else if (SIGNED_OUT_CODES.includes(errorCode)) {
           useAuthStore.getState().clearAuth();
           toast.error("Session expired. Please login again.");
           window.location.href = "/login";
+        } else if (errorCode === "EMAIL_NOT_VERIFIED") {
+          // Show the verification banner (the flag may be stale)
+          useAuthStore.getState().updateUser({ emailVerified: false });
+          toast.error(error.response?.data?.message || "Email not verified");
         } else if (errorCode === "ACCOUNT_DEACTIVATED") {
           useAuthStore.getState().clearAuth();
           toast.error(error.response?.data?.message || "Account deactivated");
@@ -70,17 +124,126 @@ export const authAPI = {
   register: (data) => api.post("/auth/register", data),
   login: (data) => api.post("/auth/login", data),
   logout: () => api.post("/auth/logout"),
+  logoutAll: () => api.post("/auth/logout-all"),
+  getSessions: () => api.get("/auth/sessions"),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
   getMe: () => api.get("/auth/me"),
   updateProfile: (data) => api.put("/auth/profile", data),
+  changePassword: (data) => api.put("/auth/password", data),
+  forgotPassword: (email) => api.post("/auth/forgot-password", { email }),
+  resetPassword: (data) =>
+    api.post("/auth/reset-password", data, { skipErrorToast: true }),
+  verifyEmail: (token) =>
+    api.post("/auth/verify-email", { token }, { skipErrorToast: true }),
+  resendVerification: () => api.post("/auth/resend-verification"),
+  verifyUserEmail: (id) => api.post(`/auth/users/${id}/verify-email`),
+  unlockUser: (id) => api.post(`/auth/users/${id}/unlock`),
+  // Second sign-in step, with the challenge token from login
+  loginTwoFactor: (data) =>
+    api.post("/auth/login/2fa", data, { skipErrorToast: true }),
+  loginTwoFactorSetup: (challengeToken) =>
+    api.post(
+      "/auth/login/2fa/setup",
+      { challengeToken },
+      { skipErrorToast: true },
+    ),
+  loginTwoFactorEnable: (data) =>
+    api.post("/auth/login/2fa/enable", data, { skipErrorToast: true }),
+  getTwoFactor: () => api.get("/auth/2fa"),
+  setupTwoFactor: () => api.post("/auth/2fa/setup"),
+  enableTwoFactor: (code) => api.post("/auth/2fa/enable", { code }),
+  disableTwoFactor: (data) => api.post("/auth/2fa/disable", data),
+  regenerateRecoveryCodes: (code) =>
+    api.post("/auth/2fa/recovery-codes", { code }),
 };
 
 // ── Appointments API ─────────────────────────────────────────────────
 export const appointmentsAPI = {
   create: (data) => api.post("/appointments", data),
   getAll: (params) => api.get("/appointments", { params }),
+  getAvailableSlots: (params) =>
+    api.get("/appointments/available-slots", { params }),
   getById: (id) => api.get(`/appointments/${id}`),
   update: (id, data) => api.put(`/appointments/${id}`, data),
+  updateStatus: (id, data) => api.patch(`/appointments/${id}/status`, data),
+  checkIn: (id) => api.post(`/appointments/${id}/check-in`),
+  getVideo: (id) =>
+    api.get(`/appointments/${id}/video`, { skipErrorToast: true }),
+  reschedule: (id, data) => api.post(`/appointments/${id}/reschedule`, data),
   cancel: (id, data) => api.delete(`/appointments/${id}`, { data }),
+  createSeries: (data) => api.post("/appointments/series", data),
+  getSeries: (id) => api.get(`/appointments/series/${id}`),
+  updateSeries: (id, data) => api.put(`/appointments/series/${id}`, data),
+  cancelSeries: (id, data) =>
+    api.delete(`/appointments/series/${id}`, { data }),
+  // Signed confirm / cancel links from emails (no login needed)
+  getLink: (token) =>
+    api.get(`/appointments/links/${encodeURIComponent(token)}`, {
+      skipErrorToast: true,
+    }),
+  applyLink: (token) =>
+    api.post(`/appointments/links/${encodeURIComponent(token)}`, null, {
+      skipErrorToast: true,
+    }),
+};
+
+// ── Waitlist API ─────────────────────────────────────────────────────
+export const waitlistAPI = {
+  join: (data) => api.post("/waitlist", data),
+  getAll: (params) => api.get("/waitlist", { params }),
+  leave: (id) => api.delete(`/waitlist/${id}`),
+  acceptOffer: (offerId) => api.post(`/waitlist/offers/${offerId}/accept`),
+  declineOffer: (offerId) => api.post(`/waitlist/offers/${offerId}/decline`),
+};
+
+// ── Waiting room API ─────────────────────────────────────────────────
+export const waitingRoomAPI = {
+  get: (doctorId, params) => api.get(`/waiting-room/${doctorId}`, { params }),
+};
+
+// ── Messages API ─────────────────────────────────────────────────────
+export const messagesAPI = {
+  getThreads: () => api.get("/messages/threads"),
+  openThread: (participantId) =>
+    api.post("/messages/threads", { participantId }),
+  getContacts: () => api.get("/messages/contacts"),
+  getUnread: () => api.get("/messages/unread", { skipErrorToast: true }),
+  getMessages: (threadId, params) =>
+    api.get(`/messages/threads/${threadId}/messages`, { params }),
+  send: (threadId, body) =>
+    api.post(`/messages/threads/${threadId}/messages`, { body }),
+  markRead: (threadId) => api.post(`/messages/threads/${threadId}/read`),
+};
+
+// ── Notifications API ────────────────────────────────────────────────
+export const notificationsAPI = {
+  getAll: (params) =>
+    api.get("/notifications", { params, skipErrorToast: true }),
+  markRead: (id) => api.post(`/notifications/${id}/read`),
+  markAllRead: () => api.post("/notifications/read-all"),
+  getPreferences: () => api.get("/notifications/preferences"),
+  updatePreferences: (data) => api.put("/notifications/preferences", data),
+};
+
+// ── No-show policy API (admin) ───────────────────────────────────────
+export const noShowPolicyAPI = {
+  get: () => api.get("/no-show-policy"),
+  update: (data) => api.put("/no-show-policy", data),
+  resetPatient: (patientId) =>
+    api.delete(`/no-show-policy/patients/${patientId}`),
+};
+
+// ── Two-factor policy API (admin) ────────────────────────────────────
+export const twoFactorPolicyAPI = {
+  get: () => api.get("/two-factor-policy"),
+  update: (data) => api.put("/two-factor-policy", data),
+};
+
+// ── Doctors API ──────────────────────────────────────────────────────
+export const doctorsAPI = {
+  getAll: (params) => api.get("/doctors", { params }),
+  getById: (id) => api.get(`/doctors/${id}`),
+  getSpecializations: () => api.get("/doctors/specializations"),
 };
 
 // ── Patients API ─────────────────────────────────────────────────────
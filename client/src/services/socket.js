@@ -6,6 +6,12 @@
  * every socket via an httpOnly cookie that is automatically sent
  * when `withCredentials` is true and the first transport is polling.
  *
+ * Event names come from the catalog in shared/socketEvents.json, which
+ * the server also emits through, so the two ends cannot drift apart.
+ *
+ * The access token in that cookie is short-lived, so a handshake the
+ * server refuses is retried once after refreshing the session.
+ *
  * NOTE: The "polling" transport MUST come first so that the browser
  * includes cookies during the HTTP handshake.  Once authenticated
  * the connection upgrades to WebSocket automatically.
@@ -13,6 +19,8 @@
 
 import { useEffect } from "react";
 import { io } from "socket.io-client";
+import socketEvents from "../../../shared/socketEvents.json";
+import { refreshSession } from "./api";
 
 let socket = null;
 
@@ -28,7 +36,11 @@ export const initSocket = () => {
       transports: ["polling", "websocket"],
     });
 
+    // Whether a refused handshake was already retried with a new token
+    let refreshedForHandshake = false;
+
     socket.on("connect", () => {
+      refreshedForHandshake = false;
       console.log("Socket connected:", socket.id);
     });
 
@@ -38,6 +50,20 @@ export const initSocket = () => {
 
     socket.on("connect_error", (error) => {
       console.error("Socket connection error:", error.message);
+
+      // Refused by the server (not a network error): the access token
+      // has probably expired
+      const current = socket;
+      if (current.active || refreshedForHandshake) return;
+      refreshedForHandshake = true;
+      refreshSession()
+        .then(() => {
+          // Unless it was torn down (logout) in the meantime
+          if (socket === current) current.connect();
+        })
+        .catch((refreshError) => {
+          console.error("Session refresh failed:", refreshError.message);
+        });
     });
   }
   return socket;
@@ -69,9 +95,16 @@ export const useSocketEvent = (eventName, callback) => {
   }, [eventName, callback]);
 };
 
-/** Canonical event names emitted by the server. */
-export const SOCKET_EVENTS = {
-  APPOINTMENT_CREATED: "appointmentCreated",
-  APPOINTMENT_UPDATED: "appointmentUpdated",
-  APPOINTMENT_CANCELLED: "appointmentCancelled",
-};
+/**
+ * Event names from the shared catalog (shared/socketEvents.json), keyed
+ * the same way on the server.  Server and client events share one map;
+ * the WebRTC relays use the same name in both directions.
+ */
+export const SOCKET_EVENTS = Object.freeze(
+  Object.fromEntries(
+    [
+      ...Object.entries(socketEvents.client),
+      ...Object.entries(socketEvents.server),
+    ].map(([key, { name }]) => [key, name]),
+  ),
+);
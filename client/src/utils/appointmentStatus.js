@@ -0,0 +1,58 @@
+/**
+ * appointmentStatus.js — Client copy of the appointment lifecycle
+ *
+ * Mirrors src/services/appointmentLifecycle.js so the UI only offers
+ * moves the server will accept.  The server remains the authority and
+ * answers 422 for anything else.
+ */
+
+const STAFF = ["admin", "doctor"];
+const EVERYONE = ["admin", "doctor", "patient"];
+
+export const STATUS_TRANSITIONS = {
+  "pending-approval": { scheduled: ["admin"], cancelled: EVERYONE },
+  scheduled: {
+    confirmed: EVERYONE,
+    "checked-in": EVERYONE,
+    cancelled: EVERYONE,
+    "no-show": STAFF,
+  },
+  confirmed: {
+    "checked-in": EVERYONE,
+    "in-progress": STAFF,
+    cancelled: EVERYONE,
+    "no-show": STAFF,
+  },
+  "checked-in": { "in-progress": STAFF, cancelled: STAFF },
+  "in-progress": { completed: STAFF },
+  completed: {},
+  cancelled: {},
+  "no-show": {},
+};
+
+export const STATUS_LABELS = {
+  "pending-approval": "Awaiting Approval",
+  scheduled: "Scheduled",
+  confirmed: "Confirmed",
+  "checked-in": "Checked In",
+  "in-progress": "In Progress",
+  completed: "Completed",
+  cancelled: "Cancelled",
+  "no-show": "No-show",
+};
+
+// Statuses a user with `role` can move an appointment to from `status`
+export const getNextStatuses = (status, role) =>
+  Object.entries(STATUS_TRANSITIONS[status] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([next]) => next);
+
+// Statuses an appointment can still be moved to another time from
+export const RESCHEDULABLE_STATUSES = [
+  "pending-approval",
+  "scheduled",
+  "confirmed",
+];
+
+export const isTerminalStatus = (status) =>
+  Object.keys(STATUS_TRANSITIONS[status] || {}).length === 0;
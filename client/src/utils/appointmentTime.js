@@ -0,0 +1,23 @@
+/**
+ * appointmentTime.js — Render appointment dates in the clinic timezone
+ *
+ * The API sends `schedule` (date, times and labels already converted to
+ * the clinic's zone).  Parsing the raw `appointmentDate` instant with
+ * `new Date()` would shift it to the browser's zone, showing the wrong
+ * day for users west of UTC, so these helpers always read the clinic's
+ * calendar day instead.
+ */
+
+import { format, parseISO } from "date-fns";
+
+// Clinic calendar day as "yyyy-MM-dd"
+export const appointmentDateKey = (apt) =>
+  apt.schedule?.date ?? String(apt.appointmentDate).slice(0, 10);
+
+// Clinic calendar day formatted with a date-fns pattern
+export const formatAppointmentDate = (apt, pattern = "MMM dd, yyyy") =>
+  format(parseISO(appointmentDateKey(apt)), pattern);
+
+// Start time in clinic time, e.g. "2:30 PM EDT"
+export const formatAppointmentTime = (apt) =>
+  apt.schedule?.displayTime ?? apt.appointmentTime;
@@ -1,11 +1,19 @@
-import { defineConfig } from "vite";
+import { fileURLToPath } from "node:url";
+import { defineConfig, searchForWorkspaceRoot } from "vite";
 import react from "@vitejs/plugin-react";
 
+const clientDir = fileURLToPath(new URL(".", import.meta.url));
+const sharedDir = fileURLToPath(new URL("../shared", import.meta.url));
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
   server: {
     port: 3000,
+    fs: {
+      // The socket event catalog lives in ../shared, next to the server
+      allow: [searchForWorkspaceRoot(clientDir), sharedDir],
+    },
     proxy: {
       "/api": {
         target: "http://localhost:6000",
@@ -21,6 +21,10 @@ const cookieParser = require("cookie-parser");
 // ── Config & utilities ───────────────────────────────────────────────
 const connectDB = require("./config/database");
 const initializeSocket = require("./config/socket");
+const {
+  attachSocketAdapter,
+  holdConnections,
+} = require("./config/socketAdapter");
 const setupSwagger = require("./config/swagger");
 const logger = require("./utils/logger");
 
@@ -34,6 +38,19 @@ const appointmentRoutes = require("./routes/appointmentRoutes");
 const patientRoutes = require("./routes/patientRoutes");
 const visitReportRoutes = require("./routes/visitReportRoutes");
 const analyticsRoutes = require("./routes/analyticsRoutes");
+const doctorRoutes = require("./routes/doctorRoutes");
+const waitlistRoutes = require("./routes/waitlistRoutes");
+const noShowPolicyRoutes = require("./routes/noShowPolicyRoutes");
+const twoFactorPolicyRoutes = require("./routes/twoFactorPolicyRoutes");
+const waitingRoomRoutes = require("./routes/waitingRoomRoutes");
+const messageRoutes = require("./routes/messageRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+
+// ── Background work ──────────────────────────────────────────────────
+const { startOfferSweeper } = require("./services/waitlistService");
+const { startReminderWorker } = require("./services/reminderService");
+const { startDeliveryWorker } = require("./services/notificationDispatcher");
+const { startNoShowSweeper } = require("./services/noShowService");
 
 // ── Express & HTTP server ────────────────────────────────────────────
 const app = express();
@@ -105,6 +122,13 @@ app.use("/api/appointments", appointmentRoutes);
 app.use("/api/patients", patientRoutes);
 app.use("/api/visit-reports", visitReportRoutes);
 app.use("/api/analytics", analyticsRoutes);
+app.use("/api/doctors", doctorRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+app.use("/api/no-show-policy", noShowPolicyRoutes);
+app.use("/api/two-factor-policy", twoFactorPolicyRoutes);
+app.use("/api/waiting-room", waitingRoomRoutes);
+app.use("/api/messages", messageRoutes);
+app.use("/api/notifications", notificationRoutes);
 
 // ── Swagger docs (served at /api-docs) ───────────────────────────────
 setupSwagger(app);
@@ -161,6 +185,8 @@ app.use(errorHandler);
 // ── Socket.IO (real-time appointment & notification events) ──────────
 const io = initializeSocket(server);
 app.set("io", io);
+// Sockets wait for the adapter, which needs the database (SOCKET_ADAPTER)
+const releaseSockets = holdConnections(io);
 
 // ── Start server ─────────────────────────────────────────────────────
 const PORT = process.env.PORT || 6000;
@@ -178,12 +204,29 @@ server.listen(PORT, () => {
 });
 
 connectDB()
-  .then(() => {
+  .then(async () => {
     logger.info("MongoDB connected — all systems operational");
+    // Share socket broadcasts with other instances
+    await attachSocketAdapter(io).catch((error) => {
+      logger.error(
+        "Socket.IO adapter failed, staying in-process:",
+        error.message,
+      );
+    });
+    releaseSockets();
+    // Expire unanswered waitlist offers and pass their slots on
+    startOfferSweeper(io);
+    // Send appointment reminders from the persistent job queue
+    startReminderWorker();
+    // Send email / SMS held during users' quiet hours
+    startDeliveryWorker();
+    // Mark appointments nobody checked in for as no-show
+    startNoShowSweeper(io);
   })
   .catch((error) => {
     logger.error("MongoDB connection failed:", error.message);
     logger.error("API routes will return 503 until the database is reachable.");
+    releaseSockets();
     // Do NOT exit — keep serving the frontend so the issue is visible
   });
 
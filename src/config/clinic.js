@@ -0,0 +1,125 @@
+/**
+ * clinic.js — Clinic-wide settings
+ *
+ * CLINIC_TIMEZONE is the IANA zone (e.g. "America/New_York") in which
+ * appointment dates and times are entered and displayed.  Instants are
+ * always stored in UTC; this zone is only used to convert between the
+ * clinic's wall clock and those instants.  Defaults to UTC.
+ *
+ * The appointment policy governs what patients may change themselves:
+ *   RESCHEDULE_MIN_NOTICE_HOURS  notice required to move or cancel (default 24)
+ *   RESCHEDULE_MAX_COUNT         times one appointment may be moved (default 2)
+ *   LATE_CANCEL_FLAG             "false" stops flagging late cancellations
+ *
+ * WAITLIST_OFFER_MINUTES is how long a freed slot is held for the next
+ * waitlisted patient before it moves on (default 30).
+ *
+ * REMINDER_OFFSETS lists when appointment reminders go out before the
+ * start, as minutes or with an m / h / d suffix (default "24h,2h").
+ *
+ * CHECK_IN_OPENS_MINUTES is how long before the start patients may
+ * check themselves in on arrival (default 60).
+ */
+
+const logger = require("../utils/logger");
+
+const DEFAULT_TIMEZONE = "UTC";
+
+// True when the runtime's Intl database knows the zone
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+let warnedTimezone;
+
+// Read on every call so tests and scripts can switch zones via env
+const getClinicTimezone = () => {
+  const timeZone = process.env.CLINIC_TIMEZONE || DEFAULT_TIMEZONE;
+  if (isValidTimezone(timeZone)) return timeZone;
+
+  if (warnedTimezone !== timeZone) {
+    logger.warn(
+      `Unknown CLINIC_TIMEZONE "${timeZone}", falling back to ${DEFAULT_TIMEZONE}`,
+    );
+    warnedTimezone = timeZone;
+  }
+  return DEFAULT_TIMEZONE;
+};
+
+const DEFAULT_APPOINTMENT_POLICY = {
+  minNoticeHours: 24,
+  maxReschedules: 2,
+  flagLateCancellations: true,
+};
+
+// Non-negative number from env, or the fallback when unset / malformed
+const readNumber = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  return value >= 0 ? value : fallback;
+};
+
+// Read on every call, like the timezone
+const getAppointmentPolicy = () => ({
+  minNoticeHours: readNumber(
+    "RESCHEDULE_MIN_NOTICE_HOURS",
+    DEFAULT_APPOINTMENT_POLICY.minNoticeHours,
+  ),
+  maxReschedules: readNumber(
+    "RESCHEDULE_MAX_COUNT",
+    DEFAULT_APPOINTMENT_POLICY.maxReschedules,
+  ),
+  flagLateCancellations: process.env.LATE_CANCEL_FLAG !== "false",
+});
+
+const DEFAULT_WAITLIST_OFFER_MINUTES = 30;
+
+const getWaitlistOfferMinutes = () =>
+  readNumber("WAITLIST_OFFER_MINUTES", DEFAULT_WAITLIST_OFFER_MINUTES) ||
+  DEFAULT_WAITLIST_OFFER_MINUTES;
+
+const DEFAULT_REMINDER_OFFSETS = "24h,2h";
+const OFFSET_UNITS = { m: 1, h: 60, d: 1440 };
+const OFFSET_PATTERN = /^(\d+)\s*([mhd]?)$/i;
+
+// Reminder offsets in minutes before the appointment, largest first
+const getReminderOffsets = () => {
+  const raw = process.env.REMINDER_OFFSETS ?? DEFAULT_REMINDER_OFFSETS;
+  const offsets = new Set();
+  for (const token of raw.split(",")) {
+    if (!token.trim()) continue;
+    const match = OFFSET_PATTERN.exec(token.trim());
+    if (!match || Number(match[1]) === 0) {
+      logger.warn(`Ignoring invalid REMINDER_OFFSETS entry "${token.trim()}"`);
+      continue;
+    }
+    offsets.add(
+      Number(match[1]) * OFFSET_UNITS[(match[2] || "m").toLowerCase()],
+    );
+  }
+  return [...offsets].sort((a, b) => b - a);
+};
+
+const DEFAULT_CHECK_IN_OPENS_MINUTES = 60;
+
+const getCheckInOpensMinutes = () =>
+  readNumber("CHECK_IN_OPENS_MINUTES", DEFAULT_CHECK_IN_OPENS_MINUTES);
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_APPOINTMENT_POLICY,
+  DEFAULT_WAITLIST_OFFER_MINUTES,
+  DEFAULT_CHECK_IN_OPENS_MINUTES,
+  isValidTimezone,
+  getClinicTimezone,
+  getAppointmentPolicy,
+  getWaitlistOfferMinutes,
+  getReminderOffsets,
+  getCheckInOpensMinutes,
+};
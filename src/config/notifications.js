@@ -0,0 +1,47 @@
+/**
+ * notifications.js — Notification types and delivery channels
+ *
+ * Every notification the app sends belongs to one of these types, and
+ * users switch each type on or off per channel (models/
+ * notificationPreference).  A type lists only the channels it can be
+ * delivered on: reminders are email only, and message notifications
+ * never go by email because they carry no text.
+ */
+
+const CHANNELS = ["email", "inApp", "sms"];
+
+// What a user gets before they change anything
+const CHANNEL_DEFAULTS = { email: true, inApp: true, sms: false };
+
+const NOTIFICATION_TYPES = {
+  appointment_booked: {
+    label: "New bookings",
+    channels: ["email", "inApp", "sms"],
+  },
+  appointment_updated: {
+    label: "Appointment changes",
+    channels: ["email", "inApp", "sms"],
+  },
+  appointment_cancelled: {
+    label: "Cancellations",
+    channels: ["email", "inApp", "sms"],
+  },
+  appointment_reminder: {
+    label: "Appointment reminders",
+    channels: ["email"],
+  },
+  waitlist_offer: {
+    label: "Waitlist offers",
+    channels: ["email", "inApp", "sms"],
+  },
+  new_message: {
+    label: "New messages",
+    channels: ["inApp", "sms"],
+  },
+};
+
+module.exports = {
+  CHANNELS,
+  CHANNEL_DEFAULTS,
+  NOTIFICATION_TYPES,
+};
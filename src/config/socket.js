@@ -2,14 +2,67 @@
  * socket.js — Socket.IO initialisation & event handling
  *
  * Authenticates every socket connection using a JWT token provided
- * via `socket.handshake.auth.token` or the Authorization header.
+ * via `socket.handshake.auth.token` or the Authorization header, and
+ * refuses it if the session the token names has been signed out
+ * (services/sessionService).
  * After auth, each user is placed in a private room (`user_<id>`)
- * so the server can push targeted real-time events.
+ * and a room for their role (`role_<role>`) so the server can push
+ * targeted real-time events.  Each socket also sits in its session's
+ * room (`session_<id>`), which it cannot leave, so signing a session
+ * out disconnects it.
+ *
+ * Clients can ask to join further rooms with `join_room`; every
+ * request is checked against the room-type rules in
+ * services/roomAccess, and refused joins are logged.
+ *
+ * Video visits use `visit_<appointmentId>` rooms, which only the
+ * appointment's patient and doctor may join (services/videoVisitService).
+ * Inside a visit room the server relays WebRTC signaling — offers,
+ * answers and ICE candidates — between the two peers and tells each
+ * when the other joins or leaves.
+ *
+ * Broadcasts go through the adapter chosen in config/socketAdapter, so
+ * with SOCKET_ADAPTER=mongo they reach sockets on every instance.
+ *
+ * Event names and payloads come from the shared catalog
+ * (shared/socketEvents.json, via utils/socketEvents): incoming events
+ * are validated before their handlers run and everything sent goes
+ * through `emitEvent`.
+ *
+ * On every (re)connect the user's unread notifications are replayed
+ * (services/notificationService), since events sent while they were
+ * offline are lost.
+ *
+ * Typing indicators for message threads are checked against the
+ * thread's participants (services/messagingService) and delivered to
+ * the other participant's user room; messages themselves are sent and
+ * pushed by the REST controller.
  */
 
 const socketIo = require("socket.io");
 const { verifyToken } = require("../utils/jwt");
 const logger = require("../utils/logger");
+const {
+  SERVER_EVENTS,
+  CLIENT_EVENTS,
+  emitEvent,
+  validateClientEvent,
+} = require("../utils/socketEvents");
+const { parseVisitRoom } = require("../services/videoVisitService");
+const { authorizeRoomJoin, getRoleRoom } = require("../services/roomAccess");
+const {
+  getThreadForUser,
+  getOtherParticipant,
+} = require("../services/messagingService");
+const { replayUnread } = require("../services/notificationService");
+const { getActiveSession } = require("../services/sessionService");
+
+// Signaling messages relayed unchanged to the other peer in a visit room
+const SIGNALING_EVENTS = [
+  CLIENT_EVENTS.WEBRTC_OFFER,
+  CLIENT_EVENTS.WEBRTC_ANSWER,
+  CLIENT_EVENTS.WEBRTC_ICE_CANDIDATE,
+];
 
 const initializeSocket = (server) => {
   // Allow the React dev-server origin for WebSocket connections too
@@ -29,7 +82,7 @@ const initializeSocket = (server) => {
   //   1. socket.handshake.auth.token  (explicit from client)
   //   2. Authorization: Bearer <token> header
   //   3. httpOnly "token" cookie (sent via withCredentials + polling)
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     try {
       // Parse cookies from the handshake headers ("token=abc; other=xyz")
       const cookieHeader = socket.handshake.headers.cookie || "";
@@ -50,8 +103,13 @@ const initializeSocket = (server) => {
       }
 
       const decoded = verifyToken(token);
+      const session = await getActiveSession(decoded.sid, decoded.id);
+      if (!session) {
+        return next(new Error("Authentication error: Session revoked"));
+      }
       socket.userId = decoded.id;
       socket.userRole = decoded.role;
+      socket.sessionId = session.id;
 
       logger.info(
         `Socket authenticated: User ${socket.userId} (${socket.userRole})`,
@@ -67,62 +125,197 @@ const initializeSocket = (server) => {
   io.on("connection", (socket) => {
     logger.info(`New socket connection: ${socket.id} - User: ${socket.userId}`);
 
-    // Join user-specific room
+    const sendError = (data) => emitEvent(socket, SERVER_EVENTS.ERROR, data);
+
+    // Register a handler for a catalog client event; payloads that
+    // don't match the catalog are answered with an error instead
+    const onClientEvent = (name, handler) => {
+      socket.on(name, (payload) => {
+        const errors = validateClientEvent(name, payload);
+        if (errors.length) {
+          logger.warn(
+            `Invalid ${name} from user ${socket.userId}: ${errors.join("; ")}`,
+          );
+          sendError({
+            message: errors.join("; "),
+            code: "INVALID_PAYLOAD",
+            event: name,
+          });
+          return;
+        }
+        handler(payload);
+      });
+    };
+
+    // Join user-specific, role and session rooms
+    const sessionRoom = `session_${socket.sessionId}`;
     socket.join(`user_${socket.userId}`);
+    socket.join(getRoleRoom(socket.userRole));
+    socket.join(sessionRoom);
 
     // Send connection confirmation
-    socket.emit("connected", {
+    emitEvent(socket, SERVER_EVENTS.CONNECTED, {
       message: "Connected to ClinicHub real-time server",
       userId: socket.userId,
       role: socket.userRole,
     });
 
-    // Handle custom events
-    socket.on("join_room", (room) => {
+    // Events sent while the user was offline are not resent, but their
+    // unread notifications are
+    replayUnread(socket).catch((error) => {
+      logger.error("Error replaying notifications:", error.message);
+    });
+
+    // Tell the other peer in a visit room that this user left
+    const announceVisitLeave = (room) => {
+      emitEvent(socket.to(room), SERVER_EVENTS.VISIT_PEER_LEFT, {
+        room,
+        userId: socket.userId,
+      });
+    };
+
+    // Join a further room, if the room-type rules allow it
+    onClientEvent(CLIENT_EVENTS.JOIN_ROOM, async (room) => {
+      let access;
+      try {
+        access = await authorizeRoomJoin(room, {
+          id: socket.userId,
+          role: socket.userRole,
+        });
+      } catch (error) {
+        logger.error("Error checking room access:", error.message);
+        sendError({ message: "Could not join the room", room });
+        return;
+      }
+
+      if (access.problem) {
+        logger.warn(
+          `Room join denied: user ${socket.userId} (${socket.userRole}) -> ${room}: ${access.problem.code}`,
+        );
+        sendError({
+          message: access.problem.message,
+          code: access.problem.code,
+          room,
+        });
+        return;
+      }
+
       socket.join(room);
-      logger.info(`User ${socket.userId} joined room: ${room}`);
-      socket.emit("room_joined", { room });
+      logger.info(`User ${socket.userId} joined ${access.type} room: ${room}`);
+
+      if (access.type !== "visit") {
+        emitEvent(socket, SERVER_EVENTS.ROOM_JOINED, { room });
+        return;
+      }
+      // Counted through the adapter, so peers on other instances count
+      const peers = (await io.in(room).fetchSockets()).length - 1;
+      emitEvent(socket, SERVER_EVENTS.ROOM_JOINED, { room, peers });
+      emitEvent(socket.to(room), SERVER_EVENTS.VISIT_PEER_JOINED, {
+        room,
+        userId: socket.userId,
+        role: socket.userRole,
+      });
     });
 
-    socket.on("leave_room", (room) => {
+    onClientEvent(CLIENT_EVENTS.LEAVE_ROOM, (room) => {
+      // Revoking the session must still reach this socket
+      if (room === sessionRoom) {
+        sendError({ message: "Cannot leave the session room", room });
+        return;
+      }
+      if (parseVisitRoom(room) && socket.rooms.has(room)) {
+        announceVisitLeave(room);
+      }
       socket.leave(room);
       logger.info(`User ${socket.userId} left room: ${room}`);
-      socket.emit("room_left", { room });
+      emitEvent(socket, SERVER_EVENTS.ROOM_LEFT, { room });
+    });
+
+    // WebRTC signaling, only between members of the same visit room
+    SIGNALING_EVENTS.forEach((event) => {
+      onClientEvent(event, (message) => {
+        const { room } = message;
+        if (!parseVisitRoom(room) || !socket.rooms.has(room)) {
+          sendError({ message: "Join the visit first", room });
+          return;
+        }
+        emitEvent(socket.to(room), event, {
+          ...message,
+          from: socket.userId,
+        });
+      });
     });
 
     // Handle appointment status requests
-    socket.on("request_appointment_status", async (appointmentId) => {
-      try {
-        const Appointment = require("../models/appointment");
-        const appointment = await Appointment.findById(appointmentId)
-          .populate("patient", "firstName lastName")
-          .populate("doctor", "firstName lastName");
-
-        if (appointment) {
-          // Check authorization
-          if (
-            socket.userId === appointment.patient._id.toString() ||
-            socket.userId === appointment.doctor._id.toString() ||
-            socket.userRole === "admin"
-          ) {
-            socket.emit("appointment_status", appointment);
+    onClientEvent(
+      CLIENT_EVENTS.REQUEST_APPOINTMENT_STATUS,
+      async (appointmentId) => {
+        try {
+          const Appointment = require("../models/appointment");
+          const appointment = await Appointment.findById(appointmentId)
+            .populate("patient", "firstName lastName")
+            .populate("doctor", "firstName lastName");
+
+          if (appointment) {
+            // Check authorization
+            if (
+              socket.userId === appointment.patient._id.toString() ||
+              socket.userId === appointment.doctor._id.toString() ||
+              socket.userRole === "admin"
+            ) {
+              emitEvent(socket, SERVER_EVENTS.APPOINTMENT_STATUS, appointment);
+            } else {
+              sendError({ message: "Access denied" });
+            }
           } else {
-            socket.emit("error", { message: "Access denied" });
+            sendError({ message: "Appointment not found" });
           }
-        } else {
-          socket.emit("error", { message: "Appointment not found" });
+        } catch (error) {
+          logger.error("Error fetching appointment status:", error.message);
+          sendError({ message: "Error fetching appointment status" });
+        }
+      },
+    );
+
+    // Typing indicators: message threads go to the other participant,
+    // anything else to a room the sender has joined
+    onClientEvent(CLIENT_EVENTS.TYPING, async (data) => {
+      if (!data.threadId) {
+        if (!socket.rooms.has(data.room)) return;
+        emitEvent(socket.to(data.room), SERVER_EVENTS.USER_TYPING, {
+          userId: socket.userId,
+          isTyping: data.isTyping,
+        });
+        return;
+      }
+
+      try {
+        const { thread, problem } = await getThreadForUser(
+          data.threadId,
+          socket.userId,
+        );
+        if (problem) {
+          sendError({ message: problem.message, threadId: data.threadId });
+          return;
         }
+        emitEvent(
+          io.to(`user_${getOtherParticipant(thread, socket.userId)}`),
+          SERVER_EVENTS.USER_TYPING,
+          {
+            threadId: thread._id,
+            userId: socket.userId,
+            isTyping: data.isTyping,
+          },
+        );
       } catch (error) {
-        logger.error("Error fetching appointment status:", error.message);
-        socket.emit("error", { message: "Error fetching appointment status" });
+        logger.error("Error relaying typing indicator:", error.message);
       }
     });
 
-    // Handle typing indicators (for potential chat feature)
-    socket.on("typing", (data) => {
-      socket.to(data.room).emit("user_typing", {
-        userId: socket.userId,
-        isTyping: data.isTyping,
+    // Rooms are still known while disconnecting, not after
+    socket.on("disconnecting", () => {
+      socket.rooms.forEach((room) => {
+        if (parseVisitRoom(room)) announceVisitLeave(room);
       });
     });
 
@@ -139,25 +332,21 @@ const initializeSocket = (server) => {
 
   // Helper function to emit to specific user
   io.emitToUser = (userId, event, data) => {
-    io.to(`user_${userId}`).emit(event, data);
+    emitEvent(io.to(`user_${userId}`), event, data);
     logger.debug(`Emitted ${event} to user ${userId}`);
   };
 
   // Helper function to emit to multiple users
   io.emitToUsers = (userIds, event, data) => {
     userIds.forEach((userId) => {
-      io.to(`user_${userId}`).emit(event, data);
+      emitEvent(io.to(`user_${userId}`), event, data);
     });
     logger.debug(`Emitted ${event} to ${userIds.length} users`);
   };
 
   // Helper function to broadcast to all users with specific role
   io.emitToRole = (role, event, data) => {
-    io.sockets.sockets.forEach((socket) => {
-      if (socket.userRole === role) {
-        socket.emit(event, data);
-      }
-    });
+    emitEvent(io.to(getRoleRoom(role)), event, data);
     logger.debug(`Broadcasted ${event} to all ${role}s`);
   };
 
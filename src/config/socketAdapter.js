@@ -0,0 +1,95 @@
+/**
+ * socketAdapter.js — Pluggable Socket.IO adapter
+ *
+ * The adapter decides how a broadcast such as `io.to("user_<id>")`
+ * reaches sockets.  Chosen with SOCKET_ADAPTER:
+ *
+ *   memory   Socket.IO's own in-process adapter (default; tests and
+ *            single-instance deployments)
+ *   mongo    instances share broadcasts through a MongoDB collection
+ *            watched with a change stream, so an event emitted on one
+ *            replica reaches sockets connected to any other.  Needs
+ *            MongoDB to run as a replica set or sharded cluster
+ *            (Atlas always does).
+ *
+ * The mongo adapter can only be built once the database is connected,
+ * and a socket stays on the adapter it connected under, so new
+ * connections are held (`holdConnections`) until the adapter is in
+ * place.
+ */
+
+const mongoose = require("mongoose");
+const {
+  createAdapter: createMongoAdapter,
+} = require("@socket.io/mongo-adapter");
+const logger = require("../utils/logger");
+
+const MONGO_COLLECTION = "socket.io-adapter-events";
+// Broadcasts only need to outlive the hop between instances
+const MONGO_EVENT_TTL_SECONDS = 3600;
+
+const ADAPTERS = {
+  memory: async () => null,
+
+  mongo: async () => {
+    const { db } = mongoose.connection;
+    if (!db) throw new Error("MongoDB is not connected");
+
+    const hello = await db.command({ hello: 1 });
+    if (!hello.setName && hello.msg !== "isdbgrid") {
+      throw new Error(
+        "SOCKET_ADAPTER=mongo needs MongoDB to run as a replica set",
+      );
+    }
+
+    const collection = db.collection(MONGO_COLLECTION);
+    await collection.createIndex(
+      { createdAt: 1 },
+      { expireAfterSeconds: MONGO_EVENT_TTL_SECONDS },
+    );
+    return createMongoAdapter(collection, { addCreatedAtField: true });
+  },
+};
+
+const getAdapterName = () =>
+  (process.env.SOCKET_ADAPTER || "memory").trim().toLowerCase();
+
+/**
+ * Hold new socket connections until the returned `release` is called.
+ */
+const holdConnections = (io) => {
+  let release;
+  const released = new Promise((resolve) => {
+    release = resolve;
+  });
+  io.use((socket, next) => {
+    released.then(() => next());
+  });
+  return release;
+};
+
+/**
+ * Attach the adapter named by SOCKET_ADAPTER (or `name`).  Call it
+ * before any socket connects.
+ *
+ * @returns {Promise<string>} the adapter now in use
+ */
+const attachSocketAdapter = async (io, name = getAdapterName()) => {
+  const build = ADAPTERS[name];
+  if (!build) {
+    throw new Error(
+      `Unknown SOCKET_ADAPTER "${name}" (use ${Object.keys(ADAPTERS).join(" or ")})`,
+    );
+  }
+
+  const adapter = await build();
+  if (adapter) io.adapter(adapter);
+  logger.info(`Socket.IO adapter: ${name}`);
+  return name;
+};
+
+module.exports = {
+  attachSocketAdapter,
+  holdConnections,
+  getAdapterName,
+};
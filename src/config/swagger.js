@@ -53,8 +53,9 @@ const options = {
             appointmentDate: { type: "string", format: "date" },
             appointmentTime: { type: "string" },
             duration: { type: "number" },
-            status: { type: "string", enum: ["scheduled", "confirmed", "in-progress", "completed", "cancelled", "no-show"] },
+            status: { type: "string", enum: ["pending-approval", "scheduled", "confirmed", "checked-in", "in-progress", "completed", "cancelled", "no-show"] },
             reason: { type: "string" },
+            visitType: { type: "string", enum: ["in-person", "video"] },
             notes: { type: "string" },
             createdAt: { type: "string", format: "date-time" }
           }
@@ -108,7 +109,14 @@ const options = {
       { name: "Appointments", description: "Appointment management" },
       { name: "Patients", description: "Patient medical summaries" },
       { name: "Visit Reports", description: "Post-visit medical reports" },
-      { name: "Analytics", description: "Analytics and reporting" }
+      { name: "Analytics", description: "Analytics and reporting" },
+      { name: "Doctors", description: "Doctor directory" },
+      { name: "Waitlist", description: "Waitlist and freed-slot offers" },
+      { name: "No-show Policy", description: "Missed-appointment rules" },
+      { name: "Two-factor Policy", description: "Which staff roles must use two-factor sign-in" },
+      { name: "Waiting Room", description: "Check-in queue per doctor" },
+      { name: "Messages", description: "Secure patient–doctor messaging" },
+      { name: "Notifications", description: "The user's notification inbox" }
     ]
   },
   apis: ["./src/routes/*.js"]
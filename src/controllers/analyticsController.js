@@ -3,25 +3,33 @@
  *
  * All endpoints here are admin-only (or doctor for their own stats).
  * They use MongoDB aggregation pipelines to produce real-time numbers.
+ * "Today", date-range filters and per-day / per-hour buckets are all
+ * computed in the clinic timezone, against UTC instants in the DB.
  */
 
 const Appointment = require("../models/appointment");
 const User = require("../models/user");
 const VisitReport = require("../models/visitReport");
 const logger = require("../utils/logger");
+const { getClinicTimezone } = require("../config/clinic");
+const { getZonedDayBounds, utcToZonedParts } = require("../utils/time");
 
 // ──────────────────────────────────────────────────────────────────────
 // Helper: build a date-range match stage from query params
+// startDate / endDate are clinic calendar days; both are inclusive.
 // ──────────────────────────────────────────────────────────────────────
-const buildDateMatch = (field, startDate, endDate) => {
+const buildDateMatch = (field, startDate, endDate, timeZone) => {
   if (!startDate && !endDate) return {};
-  const match = {};
-  match[field] = {};
-  if (startDate) match[field].$gte = new Date(startDate);
-  if (endDate) match[field].$lte = new Date(endDate);
-  return match;
+  const range = {};
+  if (startDate) range.$gte = getZonedDayBounds(startDate, timeZone).start;
+  if (endDate) range.$lt = getZonedDayBounds(endDate, timeZone).end;
+  return { [field]: range };
 };
 
+// A startDate / endDate query value that isn't a date
+const hasInvalidDate = (startDate, endDate) =>
+  [startDate, endDate].some((date) => date && isNaN(new Date(date)));
+
 /**
  * @desc    Dashboard overview — lightweight stats for the main dashboard
  * @route   GET /api/analytics/overview
@@ -29,11 +37,13 @@ const buildDateMatch = (field, startDate, endDate) => {
  */
 const getOverview = async (req, res, next) => {
   try {
-    // Today's date bounds (midnight → midnight)
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    const todayEnd = new Date();
-    todayEnd.setHours(23, 59, 59, 999);
+    // Today's bounds (midnight → midnight) on the clinic's calendar
+    const timeZone = getClinicTimezone();
+    const { dateKey: today } = utcToZonedParts(new Date(), timeZone);
+    const { start: todayStart, end: todayEnd } = getZonedDayBounds(
+      today,
+      timeZone,
+    );
 
     // Build a base match depending on role
     const baseMatch = {};
@@ -54,7 +64,7 @@ const getOverview = async (req, res, next) => {
       User.countDocuments({ role: "doctor" }),
       Appointment.countDocuments({
         ...baseMatch,
-        appointmentDate: { $gte: todayStart, $lte: todayEnd },
+        startAt: { $gte: todayStart, $lt: todayEnd },
       }),
       Appointment.countDocuments({ ...baseMatch, status: "completed" }),
       Appointment.countDocuments({ ...baseMatch, status: "cancelled" }),
@@ -88,6 +98,7 @@ const getOverview = async (req, res, next) => {
         totalAppointments,
         avgDuration,
         completionRate,
+        timezone: timeZone,
       },
     });
   } catch (error) {
@@ -103,15 +114,17 @@ const getOverview = async (req, res, next) => {
 const getAppointmentAnalytics = async (req, res, next) => {
   try {
     const { startDate, endDate, doctorId } = req.query;
+    const timeZone = getClinicTimezone();
 
-    let matchStage = {};
+    if (hasInvalidDate(startDate, endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: "Start and end dates must be valid dates",
+      });
+    }
 
     // Date range filter
-    if (startDate || endDate) {
-      matchStage.appointmentDate = {};
-      if (startDate) matchStage.appointmentDate.$gte = new Date(startDate);
-      if (endDate) matchStage.appointmentDate.$lte = new Date(endDate);
-    }
+    let matchStage = buildDateMatch("startAt", startDate, endDate, timeZone);
 
     // Doctor filter
     if (doctorId) {
@@ -173,7 +186,11 @@ const getAppointmentAnalytics = async (req, res, next) => {
       {
         $group: {
           _id: {
-            $dateToString: { format: "%Y-%m-%d", date: "$appointmentDate" },
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$startAt",
+              timezone: timeZone,
+            },
           },
           count: { $sum: 1 },
         },
@@ -181,12 +198,18 @@ const getAppointmentAnalytics = async (req, res, next) => {
       { $sort: { _id: 1 } },
     ]);
 
-    // Peak hours analysis
+    // Peak hours analysis (clinic wall-clock start times)
     const peakHours = await Appointment.aggregate([
       { $match: matchStage },
       {
         $group: {
-          _id: "$appointmentTime",
+          _id: {
+            $dateToString: {
+              format: "%H:%M",
+              date: "$startAt",
+              timezone: timeZone,
+            },
+          },
           count: { $sum: 1 },
         },
       },
@@ -228,6 +251,7 @@ const getAppointmentAnalytics = async (req, res, next) => {
         peakHours,
         commonReasons,
         totalStats: totalStats[0] || { totalAppointments: 0, avgDuration: 0 },
+        timezone: timeZone,
       },
     });
   } catch (error) {
@@ -243,15 +267,22 @@ const getAppointmentAnalytics = async (req, res, next) => {
 const getPatientAnalytics = async (req, res, next) => {
   try {
     const { startDate, endDate } = req.query;
+    const timeZone = getClinicTimezone();
 
-    let matchStage = {};
-
-    if (startDate || endDate) {
-      matchStage.createdAt = {};
-      if (startDate) matchStage.createdAt.$gte = new Date(startDate);
-      if (endDate) matchStage.createdAt.$lte = new Date(endDate);
+    if (hasInvalidDate(startDate, endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: "Start and end dates must be valid dates",
+      });
     }
 
+    const matchStage = buildDateMatch(
+      "createdAt",
+      startDate,
+      endDate,
+      timeZone,
+    );
+
     // Total patients by role
     const patientCount = await User.countDocuments({ role: "patient" });
     const doctorCount = await User.countDocuments({ role: "doctor" });
@@ -299,7 +330,11 @@ const getPatientAnalytics = async (req, res, next) => {
       {
         $group: {
           _id: {
-            $dateToString: { format: "%Y-%m", date: "$createdAt" },
+            $dateToString: {
+              format: "%Y-%m",
+              date: "$createdAt",
+              timezone: timeZone,
+            },
           },
           count: { $sum: 1 },
         },
@@ -317,6 +352,7 @@ const getPatientAnalytics = async (req, res, next) => {
         totalDoctors: doctorCount,
         patientVisitFrequency,
         newPatientsOverTime,
+        timezone: timeZone,
       },
     });
   } catch (error) {
@@ -342,14 +378,19 @@ const getDoctorPerformance = async (req, res, next) => {
       });
     }
 
-    let matchStage = { doctor: doctorId };
-
-    if (startDate || endDate) {
-      matchStage.appointmentDate = {};
-      if (startDate) matchStage.appointmentDate.$gte = new Date(startDate);
-      if (endDate) matchStage.appointmentDate.$lte = new Date(endDate);
+    if (hasInvalidDate(startDate, endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: "Start and end dates must be valid dates",
+      });
     }
 
+    const timeZone = getClinicTimezone();
+    const matchStage = {
+      doctor: doctorId,
+      ...buildDateMatch("startAt", startDate, endDate, timeZone),
+    };
+
     const performance = await Appointment.aggregate([
       { $match: matchStage },
       {
@@ -372,14 +413,7 @@ const getDoctorPerformance = async (req, res, next) => {
     // Total visit reports created
     const reportCount = await VisitReport.countDocuments({
       doctor: doctorId,
-      ...(startDate || endDate
-        ? {
-            visitDate: {
-              ...(startDate && { $gte: new Date(startDate) }),
-              ...(endDate && { $lte: new Date(endDate) }),
-            },
-          }
-        : {}),
+      ...buildDateMatch("visitDate", startDate, endDate, timeZone),
     });
 
     // Unique patients treated
@@ -391,6 +425,7 @@ const getDoctorPerformance = async (req, res, next) => {
         ...performance[0],
         totalReportsGenerated: reportCount,
         uniquePatientsTreated: uniquePatients.length,
+        timezone: timeZone,
         completionRate: performance[0]
           ? (
               (performance[0].completedAppointments /
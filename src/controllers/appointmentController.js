@@ -1,17 +1,110 @@
 /**
  * appointmentController.js — CRUD + cancel for appointments
  *
- * Provides duration-aware overlap detection so double-booking is
- * impossible.  After every mutation the controller emits Socket.IO
- * events to the affected users' private rooms and fires email
- * notifications via the email utility.
+ * Create and reschedule both go through schedulingService, which
+ * enforces working hours and duration-aware overlap detection so
+ * double-booking is impossible.  Status changes go through
+ * appointmentLifecycle; patient reschedules and late cancellations are
+ * governed by appointmentPolicy, and cancelled slots are offered to the
+ * waitlist.  Patients over the no-show limit (noShowService) are refused
+ * or have their bookings held for admin approval.  Bookings and moves
+ * (re)schedule their reminders through reminderService.  Patients can
+ * also confirm or cancel from the signed links in their emails
+ * (appointmentLinks) without logging in.  Video visits are joined
+ * through videoVisitService.  Check-in on arrival follows
+ * waitingRoomService, and changes to today's appointments push the
+ * doctor's live queue.  After every mutation the controller hands the
+ * affected users to notificationDispatcher, which pushes Socket.IO events
+ * and sends in-app, email and SMS notifications as each user prefers.
  */
 
 const Appointment = require("../models/appointment");
 const User = require("../models/user");
 const logger = require("../utils/logger");
+const { SERVER_EVENTS } = require("../utils/socketEvents");
 const { createAuditLog } = require("../utils/auditLogger");
-const { sendAppointmentEmail } = require("../utils/email");
+const { dispatchNotification } = require("../services/notificationDispatcher");
+const { normalizeTime, toDateKey } = require("../utils/time");
+const {
+  MAX_SLOT_SEARCH_DAYS,
+  checkSlot,
+  duplicateSlotProblem,
+  getAvailableSlots: findAvailableSlots,
+} = require("../services/schedulingService");
+const {
+  RESCHEDULABLE_STATUSES,
+  checkTransition,
+  applyTransition,
+} = require("../services/appointmentLifecycle");
+const {
+  checkReschedulePolicy,
+  recordViolation,
+  flagLateCancellation,
+} = require("../services/appointmentPolicy");
+const { offerFreedSlot } = require("../services/waitlistService");
+const { scheduleRemindersSafely } = require("../services/reminderService");
+const {
+  LINK_ACTIONS,
+  createAppointmentLinks,
+  resolveAppointmentLink,
+  claimAppointmentLink,
+} = require("../services/appointmentLinks");
+const {
+  checkNoShowPolicy,
+  recordNoShow,
+} = require("../services/noShowService");
+const {
+  getCheckInProblem,
+  publishQueueUpdate,
+} = require("../services/waitingRoomService");
+const {
+  getVisitRoom,
+  getIceServers,
+  checkVisitAccess,
+} = require("../services/videoVisitService");
+
+// Send a problem object from a service as a JSON error
+const sendProblem = (res, { status, ...problem }) =>
+  res.status(status).json({ success: false, ...problem });
+
+// Date / time / duration values in an update that differ from the
+// stored ones; forms re-send unchanged fields, which is not a move
+const getScheduleChanges = (
+  appointment,
+  { appointmentDate, appointmentTime, duration },
+) => {
+  const moves = {};
+  if (
+    appointmentDate &&
+    (isNaN(new Date(appointmentDate)) ||
+      toDateKey(appointmentDate) !== toDateKey(appointment.appointmentDate))
+  ) {
+    moves.appointmentDate = appointmentDate;
+  }
+  if (
+    appointmentTime &&
+    normalizeTime(appointmentTime) !== appointment.appointmentTime
+  ) {
+    moves.appointmentTime = appointmentTime;
+  }
+  if (duration !== undefined && Number(duration) !== appointment.duration) {
+    moves.duration = Number(duration);
+  }
+  return moves;
+};
+
+// Tell the patient and doctor about a change through the dispatcher,
+// which applies their notification preferences
+const notifyParticipants = (req, appointment, notice) =>
+  dispatchNotification(req.app.get("io"), {
+    payload: appointment,
+    recipients: [appointment.patient, appointment.doctor],
+    actorId: req.user?.id,
+    ...notice,
+  });
+
+// An email for only the patient or only the doctor
+const emailTo = (role, email) => (user) => (user.role === role ? email : null);
 
 /**
  * @desc    Create a new appointment
@@ -20,8 +113,14 @@ const { sendAppointmentEmail } = require("../utils/email");
  */
 const createAppointment = async (req, res, next) => {
   try {
-    const { doctorId, appointmentDate, appointmentTime, duration, reason } =
-      req.body;
+    const {
+      doctorId,
+      appointmentDate,
+      appointmentTime,
+      duration,
+      reason,
+      visitType,
+    } = req.body;
 
     // Validate required fields
     if (!doctorId || !appointmentDate || !appointmentTime || !reason) {
@@ -31,9 +130,9 @@ const createAppointment = async (req, res, next) => {
       });
     }
 
-    // Check if doctor exists and is a doctor
+    // Check if doctor exists, is a doctor and is accepting bookings
     const doctor = await User.findById(doctorId);
-    if (!doctor || doctor.role !== "doctor") {
+    if (!doctor || doctor.role !== "doctor" || !doctor.isActive) {
       return res.status(404).json({
         success: false,
         message: "Doctor not found",
@@ -53,50 +152,26 @@ const createAppointment = async (req, res, next) => {
       patientId = req.body.patientId;
     }
 
-    // Check for conflicting appointments with duration-based overlap detection
-    // Convert time string to minutes since midnight.
-    // Accepts 24-hour ("14:30") or 12-hour ("2:30 PM") formats.
-    const timeToMinutes = (timeStr) => {
-      const [time, period] = timeStr.split(" ");
-      let [hours, minutes] = time.split(":").map(Number);
-      if (period) {
-        // 12-hour format
-        if (period.toUpperCase() === "PM" && hours !== 12) hours += 12;
-        if (period.toUpperCase() === "AM" && hours === 12) hours = 0;
+    // Patients over the no-show limit are refused or need approval;
+    // bookings made by an admin count as approved
+    let status = "scheduled";
+    if (req.user.role === "patient") {
+      const decision = await checkNoShowPolicy(patientId);
+      if (decision.problem) {
+        return sendProblem(res, decision.problem);
       }
-      return hours * 60 + minutes;
-    };
-
-    const requestedStartTime = timeToMinutes(appointmentTime);
-    const requestedEndTime = requestedStartTime + (duration || 30);
+      status = decision.status;
+    }
 
-    // Find all appointments for this doctor on this date
-    const existingAppointments = await Appointment.find({
-      doctor: doctorId,
-      appointmentDate: new Date(appointmentDate),
-      status: { $nin: ["cancelled", "no-show"] },
+    // Working hours + duration-aware overlap detection
+    const slotProblem = await checkSlot({
+      doctorId,
+      date: appointmentDate,
+      time: appointmentTime,
+      duration: duration === undefined ? 30 : Number(duration),
     });
-
-    // Check for time overlaps
-    for (const existing of existingAppointments) {
-      const existingStartTime = timeToMinutes(existing.appointmentTime);
-      const existingEndTime = existingStartTime + existing.duration;
-
-      // Check if appointments overlap
-      const hasOverlap =
-        (requestedStartTime >= existingStartTime &&
-          requestedStartTime < existingEndTime) || // New starts during existing
-        (requestedEndTime > existingStartTime &&
-          requestedEndTime <= existingEndTime) || // New ends during existing
-        (requestedStartTime <= existingStartTime &&
-          requestedEndTime >= existingEndTime); // New completely covers existing
-
-      if (hasOverlap) {
-        return res.status(409).json({
-          success: false,
-          message: `This time slot conflicts with an existing appointment (${existing.appointmentTime} - ${existing.duration} minutes)`,
-        });
-      }
+    if (slotProblem) {
+      return sendProblem(res, slotProblem);
     }
 
     // Create appointment
@@ -105,9 +180,13 @@ const createAppointment = async (req, res, next) => {
       doctor: doctorId,
       appointmentDate,
       appointmentTime,
-      duration: duration || 30,
+      duration: duration === undefined ? 30 : Number(duration),
       reason,
+      visitType,
+      status,
     });
+    const pendingApproval = status === "pending-approval";
+    await scheduleRemindersSafely(appointment);
 
     // Populate patient and doctor details
     await appointment.populate([
@@ -125,49 +204,58 @@ const createAppointment = async (req, res, next) => {
       req,
     );
 
-    // Send email notifications
+    // Tell the doctor and patient, with the patient's confirm / cancel links
     const appointmentDetails = {
-      title: "New Appointment Scheduled",
-      message: "Your appointment has been successfully scheduled.",
+      title: pendingApproval
+        ? "Appointment Requested"
+        : "New Appointment Scheduled",
+      message: pendingApproval
+        ? "Your appointment request is awaiting approval by the clinic."
+        : "Your appointment has been successfully scheduled.",
       patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
       doctorName: `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`,
-      date: new Date(appointmentDate).toLocaleDateString(),
-      time: appointmentTime,
+      date: appointment.schedule.displayDate,
+      time: appointment.schedule.displayTime,
       reason: reason,
       status: appointment.status,
     };
 
-    await sendAppointmentEmail(
-      appointment.patient.email,
-      "Appointment Scheduled",
-      appointmentDetails,
-    );
-    await sendAppointmentEmail(
-      appointment.doctor.email,
-      "New Appointment",
-      appointmentDetails,
-    );
-
-    // Emit socket event (will be handled by socket manager)
-    if (req.app.get("io")) {
-      req.app
-        .get("io")
-        .to(`user_${doctorId}`)
-        .emit("new_appointment", appointment);
-      req.app
-        .get("io")
-        .to(`user_${patientId}`)
-        .emit("appointment_update", appointment);
-    }
+    await notifyParticipants(req, appointment, {
+      event: SERVER_EVENTS.APPOINTMENT_CREATED,
+      recipients: [appointment.doctor],
+      email: { subject: "New Appointment", details: appointmentDetails },
+    });
+    await notifyParticipants(req, appointment, {
+      event: SERVER_EVENTS.APPOINTMENT_UPDATED,
+      type: "appointment_booked",
+      recipients: [appointment.patient],
+      email: {
+        subject: pendingApproval
+          ? "Appointment Requested"
+          : "Appointment Scheduled",
+        details: {
+          ...appointmentDetails,
+          actions: await createAppointmentLinks(appointment),
+        },
+      },
+    });
+    const io = req.app.get("io");
+    await publishQueueUpdate(io, doctorId, [appointment.startAt]);
 
     logger.info(`Appointment created: ${appointment._id}`);
 
     res.status(201).json({
       success: true,
-      message: "Appointment created successfully",
+      message: pendingApproval
+        ? "Appointment requested; it needs admin approval"
+        : "Appointment created successfully",
       data: { appointment },
     });
   } catch (error) {
+    // Lost a race with a concurrent booking for the exact same slot
+    if (error.code === 11000) {
+      return sendProblem(res, duplicateSlotProblem());
+    }
     next(error);
   }
 };
@@ -211,7 +299,7 @@ const getAppointments = async (req, res, next) => {
     const appointments = await Appointment.find(query)
       .populate("patient", "firstName lastName email phone")
       .populate("doctor", "firstName lastName specialization")
-      .sort({ appointmentDate: 1, appointmentTime: 1 });
+      .sort({ startAt: 1 });
 
     res.status(200).json({
       success: true,
@@ -223,6 +311,76 @@ const getAppointments = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get bookable start times for a doctor over a date range
+ * @route   GET /api/appointments/available-slots
+ * @access  Private
+ */
+const getAvailableSlots = async (req, res, next) => {
+  try {
+    const { doctorId, startDate, endDate, duration, excludeAppointmentId } =
+      req.query;
+
+    if (!doctorId || !startDate) {
+      return res.status(400).json({
+        success: false,
+        message: "Doctor and start date are required",
+      });
+    }
+
+    const from = new Date(startDate);
+    const to = new Date(endDate || startDate);
+    if (isNaN(from) || isNaN(to) || to < from) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
+    }
+    if ((to - from) / (24 * 60 * 60 * 1000) >= MAX_SLOT_SEARCH_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot exceed ${MAX_SLOT_SEARCH_DAYS} days`,
+      });
+    }
+
+    const requestedDuration = duration ? parseInt(duration, 10) : undefined;
+    if (duration && !(requestedDuration > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Duration must be a positive number of minutes",
+      });
+    }
+
+    const doctor = await User.findById(doctorId);
+    if (!doctor || doctor.role !== "doctor" || !doctor.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found",
+      });
+    }
+
+    const { slotDuration, days } = await findAvailableSlots({
+      doctorId,
+      startDate: from,
+      endDate: to,
+      duration: requestedDuration,
+      excludeId: excludeAppointmentId,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        doctorId,
+        slotDuration,
+        duration: requestedDuration || slotDuration,
+        days,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get appointment by ID
  * @route   GET /api/appointments/:id
@@ -270,7 +428,14 @@ const getAppointmentById = async (req, res, next) => {
  */
 const updateAppointment = async (req, res, next) => {
   try {
-    const { appointmentDate, appointmentTime, status, notes } = req.body;
+    const {
+      appointmentDate,
+      appointmentTime,
+      duration,
+      status,
+      notes,
+      visitType,
+    } = req.body;
 
     const appointment = await Appointment.findById(req.params.id);
 
@@ -292,33 +457,78 @@ const updateAppointment = async (req, res, next) => {
       });
     }
 
+    // Re-sending the current status is a no-op, not a transition
+    const statusChanged = status && status !== appointment.status;
+    if (statusChanged) {
+      const transitionProblem =
+        checkTransition(appointment.status, status, req.user.role) ||
+        (status === "checked-in" &&
+          getCheckInProblem(appointment, req.user.role));
+      if (transitionProblem) {
+        return sendProblem(res, transitionProblem);
+      }
+    }
+
+    // Re-run the booking checks whenever the appointment moves or grows
+    const moves = getScheduleChanges(appointment, {
+      appointmentDate,
+      appointmentTime,
+      duration,
+    });
+    if (Object.keys(moves).length) {
+      if (!RESCHEDULABLE_STATUSES.includes(appointment.status)) {
+        return res.status(422).json({
+          success: false,
+          code: "NOT_RESCHEDULABLE",
+          message: `A ${appointment.status} appointment cannot be rescheduled`,
+        });
+      }
+
+      const slotProblem = await checkSlot({
+        doctorId: appointment.doctor,
+        date: moves.appointmentDate || appointment.appointmentDate,
+        time: moves.appointmentTime || appointment.appointmentTime,
+        duration: moves.duration ?? appointment.duration,
+        excludeId: appointment._id,
+      });
+      if (slotProblem) {
+        return sendProblem(res, slotProblem);
+      }
+    }
+
     // Track changes for audit
     const changes = {};
+    const previousStartAt = appointment.startAt;
 
-    if (appointmentDate) {
-      changes.appointmentDate = {
-        old: appointment.appointmentDate,
-        new: appointmentDate,
-      };
-      appointment.appointmentDate = appointmentDate;
+    for (const [field, value] of Object.entries(moves)) {
+      changes[field] = { old: appointment[field], new: value };
+      appointment[field] = value;
     }
-    if (appointmentTime) {
-      changes.appointmentTime = {
-        old: appointment.appointmentTime,
-        new: appointmentTime,
-      };
-      appointment.appointmentTime = appointmentTime;
-    }
-    if (status) {
+    if (statusChanged) {
       changes.status = { old: appointment.status, new: status };
-      appointment.status = status;
+      applyTransition(appointment, status, {
+        userId: req.user.id,
+        role: req.user.role,
+      });
+      if (status === "cancelled") appointment.cancelledBy = req.user.id;
     }
     if (notes) {
       changes.notes = { old: appointment.notes, new: notes };
       appointment.notes = notes;
     }
+    if (visitType && visitType !== appointment.visitType) {
+      changes.visitType = { old: appointment.visitType, new: visitType };
+      appointment.visitType = visitType;
+    }
 
     await appointment.save();
+    const approved = statusChanged && status === "scheduled";
+    if (Object.keys(moves).length || approved) {
+      await scheduleRemindersSafely(appointment);
+    }
+    if (statusChanged && status === "no-show") {
+      await recordNoShow(appointment.patient);
+    }
 
     // Populate for response
     await appointment.populate([
@@ -336,36 +546,34 @@ const updateAppointment = async (req, res, next) => {
       req,
     );
 
-    // Emit socket event
-    if (req.app.get("io")) {
-      req.app
-        .get("io")
-        .to(`user_${appointment.patient._id}`)
-        .emit("appointment_update", appointment);
-      req.app
-        .get("io")
-        .to(`user_${appointment.doctor._id}`)
-        .emit("appointment_update", appointment);
-    }
+    // Tell the patient and doctor; the patient is emailed if the status
+    // changed
+    await notifyParticipants(req, appointment, {
+      event: SERVER_EVENTS.APPOINTMENT_UPDATED,
+      email:
+        statusChanged &&
+        emailTo("patient", {
+          subject: "Appointment Updated",
+          details: {
+            title: "Appointment Status Updated",
+            message: `Your appointment status has been updated to: ${status}`,
+            patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
+            doctorName: `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`,
+            date: appointment.schedule.displayDate,
+            time: appointment.schedule.displayTime,
+            reason: appointment.reason,
+            status: appointment.status,
+            actions: await createAppointmentLinks(appointment),
+          },
+        }),
+    });
+    await publishQueueUpdate(req.app.get("io"), appointment.doctor, [
+      previousStartAt,
+      appointment.startAt,
+    ]);
 
-    // Send email notification if status changed
-    if (status) {
-      const appointmentDetails = {
-        title: "Appointment Status Updated",
-        message: `Your appointment status has been updated to: ${status}`,
-        patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
-        doctorName: `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`,
-        date: new Date(appointment.appointmentDate).toLocaleDateString(),
-        time: appointment.appointmentTime,
-        reason: appointment.reason,
-        status: appointment.status,
-      };
-
-      await sendAppointmentEmail(
-        appointment.patient.email,
-        "Appointment Updated",
-        appointmentDetails,
-      );
+    if (statusChanged && status === "cancelled") {
+      await offerFreedSlot(appointment, { io: req.app.get("io") });
     }
 
     logger.info(`Appointment updated: ${appointment._id}`);
@@ -375,6 +583,433 @@ const updateAppointment = async (req, res, next) => {
       message: "Appointment updated successfully",
       data: { appointment },
     });
+  } catch (error) {
+    // Lost a race with a concurrent booking for the exact same slot
+    if (error.code === 11000) {
+      return sendProblem(res, duplicateSlotProblem());
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Patient moves their own appointment to a new date / time
+ * @route   POST /api/appointments/:id/reschedule
+ * @access  Private (Patient)
+ */
+const rescheduleAppointment = async (req, res, next) => {
+  try {
+    const { appointmentDate, appointmentTime } = req.body;
+
+    if (!appointmentDate || !appointmentTime) {
+      return res.status(400).json({
+        success: false,
+        message: "New date and time are required",
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: "Appointment not found",
+      });
+    }
+
+    // Authorization check
+    if (appointment.patient.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (!RESCHEDULABLE_STATUSES.includes(appointment.status)) {
+      return res.status(422).json({
+        success: false,
+        code: "NOT_RESCHEDULABLE",
+        message: `A ${appointment.status} appointment cannot be rescheduled`,
+      });
+    }
+
+    const moves = getScheduleChanges(appointment, {
+      appointmentDate,
+      appointmentTime,
+    });
+    if (!Object.keys(moves).length) {
+      return res.status(400).json({
+        success: false,
+        message: "The new time is the same as the current one",
+      });
+    }
+
+    const slotProblem = await checkSlot({
+      doctorId: appointment.doctor,
+      date: appointmentDate,
+      time: appointmentTime,
+      duration: appointment.duration,
+      excludeId: appointment._id,
+    });
+    if (slotProblem) {
+      return sendProblem(res, slotProblem);
+    }
+
+    const { startAt: newStartAt } = Appointment.computeInstants(
+      appointmentDate,
+      appointmentTime,
+      appointment.duration,
+    );
+
+    // Refused changes are still kept on the appointment and audited
+    const policyProblem = checkReschedulePolicy(appointment, newStartAt);
+    if (policyProblem) {
+      const { violation: type, ...problem } = policyProblem;
+      const violation = recordViolation(appointment, type, {
+        userId: req.user.id,
+        role: req.user.role,
+        detail: problem.message,
+      });
+      await appointment.save();
+      await createAuditLog(
+        req.user.id,
+        "APPOINTMENT_POLICY_VIOLATION",
+        "Appointment",
+        appointment._id,
+        violation,
+        req,
+      );
+      logger.warn(
+        `Reschedule of appointment ${appointment._id} refused: ${type}`,
+      );
+      return sendProblem(res, problem);
+    }
+
+    const previous = {
+      appointmentDate: appointment.appointmentDate,
+      appointmentTime: appointment.appointmentTime,
+      startAt: appointment.startAt,
+      schedule: appointment.schedule,
+    };
+
+    appointment.rescheduleHistory.push({
+      fromDate: appointment.appointmentDate,
+      fromTime: appointment.appointmentTime,
+      fromStartAt: appointment.startAt,
+      toStartAt: newStartAt,
+      rescheduledBy: req.user.id,
+      role: req.user.role,
+    });
+    appointment.rescheduleCount += 1;
+    appointment.appointmentDate = appointmentDate;
+    appointment.appointmentTime = appointmentTime;
+
+    await appointment.save();
+    await scheduleRemindersSafely(appointment);
+
+    await appointment.populate([
+      { path: "patient", select: "firstName lastName email phone" },
+      { path: "doctor", select: "firstName lastName email specialization" },
+    ]);
+
+    await createAuditLog(
+      req.user.id,
+      "RESCHEDULE_APPOINTMENT",
+      "Appointment",
+      appointment._id,
+      {
+        appointmentDate: {
+          old: previous.appointmentDate,
+          new: appointment.appointmentDate,
+        },
+        appointmentTime: {
+          old: previous.appointmentTime,
+          new: appointment.appointmentTime,
+        },
+        rescheduleCount: appointment.rescheduleCount,
+      },
+      req,
+    );
+
+    await notifyParticipants(req, appointment, {
+      event: SERVER_EVENTS.APPOINTMENT_UPDATED,
+      email: emailTo("doctor", {
+        subject: "Appointment Rescheduled",
+        details: {
+          title: "Appointment Rescheduled",
+          message: `${appointment.patient.firstName} ${appointment.patient.lastName} moved their appointment from ${previous.schedule.displayDate} at ${previous.schedule.displayTime}.`,
+          patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
+          doctorName: `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`,
+          date: appointment.schedule.displayDate,
+          time: appointment.schedule.displayTime,
+          reason: appointment.reason,
+          status: appointment.status,
+        },
+      }),
+    });
+    await publishQueueUpdate(req.app.get("io"), appointment.doctor, [
+      previous.startAt,
+      appointment.startAt,
+    ]);
+
+    logger.info(
+      `Appointment ${appointment._id} rescheduled by patient (${appointment.rescheduleCount})`,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Appointment rescheduled successfully",
+      data: { appointment },
+    });
+  } catch (error) {
+    // Lost a race with a concurrent booking for the exact same slot
+    if (error.code === 11000) {
+      return sendProblem(res, duplicateSlotProblem());
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move an appointment to its next lifecycle status
+ * @route   PATCH /api/appointments/:id/status
+ * @access  Private (role rules in appointmentLifecycle)
+ */
+const updateAppointmentStatus = async (req, res, next) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: "Status is required",
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: "Appointment not found",
+      });
+    }
+
+    // Authorization check
+    if (
+      (req.user.role === "patient" &&
+        appointment.patient.toString() !== req.user.id) ||
+      (req.user.role === "doctor" &&
+        appointment.doctor.toString() !== req.user.id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const previousStatus = appointment.status;
+    const transitionProblem =
+      checkTransition(previousStatus, status, req.user.role) ||
+      (status === "checked-in" &&
+        getCheckInProblem(appointment, req.user.role)) ||
+      applyTransition(appointment, status, {
+        userId: req.user.id,
+        role: req.user.role,
+        reason,
+      });
+    if (transitionProblem) {
+      return sendProblem(res, transitionProblem);
+    }
+    let lateCancellation = null;
+    if (status === "cancelled") {
+      appointment.cancelReason = reason;
+      appointment.cancelledBy = req.user.id;
+      lateCancellation = flagLateCancellation(appointment, req.user);
+    }
+
+    await appointment.save();
+    if (status === "scheduled") {
+      // Approved: the booking now gets its reminders
+      await scheduleRemindersSafely(appointment);
+    } else if (status === "no-show") {
+      await recordNoShow(appointment.patient);
+    }
+
+    await appointment.populate([
+      { path: "patient", select: "firstName lastName email phone" },
+      { path: "doctor", select: "firstName lastName email specialization" },
+    ]);
+
+    await createAuditLog(
+      req.user.id,
+      "UPDATE_APPOINTMENT_STATUS",
+      "Appointment",
+      appointment._id,
+      { status: { old: previousStatus, new: status }, reason },
+      req,
+    );
+    if (lateCancellation) {
+      await createAuditLog(
+        req.user.id,
+        "APPOINTMENT_POLICY_VIOLATION",
+        "Appointment",
+        appointment._id,
+        lateCancellation,
+        req,
+      );
+    }
+
+    // Email whoever did not make the change
+    await notifyParticipants(req, appointment, {
+      event:
+        status === "cancelled"
+          ? SERVER_EVENTS.APPOINTMENT_CANCELLED
+          : SERVER_EVENTS.APPOINTMENT_UPDATED,
+      email: emailTo(req.user.role === "patient" ? "doctor" : "patient", {
+        subject: "Appointment Updated",
+        details: {
+          title: "Appointment Status Updated",
+          message: `Your appointment status has been updated to: ${status}${reason ? `. Reason: ${reason}` : ""}`,
+          patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
+          doctorName: `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`,
+          date: appointment.schedule.displayDate,
+          time: appointment.schedule.displayTime,
+          reason: appointment.reason,
+          status: appointment.status,
+        },
+      }),
+    });
+    await publishQueueUpdate(req.app.get("io"), appointment.doctor, [
+      appointment.startAt,
+    ]);
+
+    if (status === "cancelled") {
+      await offerFreedSlot(appointment, { io: req.app.get("io") });
+    }
+
+    logger.info(
+      `Appointment ${appointment._id} status: ${previousStatus} → ${status}`,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Appointment status updated successfully",
+      data: { appointment },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check a patient in on arrival
+ * @route   POST /api/appointments/:id/check-in
+ * @access  Private (front desk, the doctor, or the patient)
+ */
+const checkInAppointment = async (req, res, next) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: "Appointment not found",
+      });
+    }
+
+    // Authorization check
+    if (
+      (req.user.role === "patient" &&
+        appointment.patient.toString() !== req.user.id) ||
+      (req.user.role === "doctor" &&
+        appointment.doctor.toString() !== req.user.id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const previousStatus = appointment.status;
+    const problem =
+      checkTransition(previousStatus, "checked-in", req.user.role) ||
+      getCheckInProblem(appointment, req.user.role) ||
+      applyTransition(appointment, "checked-in", {
+        userId: req.user.id,
+        role: req.user.role,
+      });
+    if (problem) {
+      return sendProblem(res, problem);
+    }
+
+    await appointment.save();
+
+    await appointment.populate([
+      { path: "patient", select: "firstName lastName email phone" },
+      { path: "doctor", select: "firstName lastName email specialization" },
+    ]);
+
+    await createAuditLog(
+      req.user.id,
+      "CHECK_IN_APPOINTMENT",
+      "Appointment",
+      appointment._id,
+      {
+        status: { old: previousStatus, new: "checked-in" },
+        checkedInAt: appointment.checkedInAt,
+      },
+      req,
+    );
+
+    await notifyParticipants(req, appointment, {
+      event: SERVER_EVENTS.APPOINTMENT_UPDATED,
+    });
+    const io = req.app.get("io");
+    await publishQueueUpdate(io, appointment.doctor, [appointment.startAt]);
+
+    logger.info(
+      `Appointment ${appointment._id} checked in by ${req.user.role} ${req.user.id}`,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Checked in",
+      data: { appointment },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get what a participant needs to join a video visit
+ * @route   GET /api/appointments/:id/video
+ * @access  Private (the appointment's patient or doctor)
+ */
+const getVideoVisit = async (req, res, next) => {
+  try {
+    const { appointment, problem } = await checkVisitAccess(
+      req.params.id,
+      req.user.id,
+    );
+    if (problem) {
+      return sendProblem(res, problem);
+    }
+
+    await appointment.populate([
+      { path: "patient", select: "firstName lastName" },
+      { path: "doctor", select: "firstName lastName specialization" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        room: getVisitRoom(appointment._id),
+        iceServers: getIceServers(),
+        appointment,
+      },
+    });
   } catch (error) {
     next(error);
   }
@@ -420,10 +1055,17 @@ const cancelAppointment = async (req, res, next) => {
       });
     }
 
-    appointment.status = "cancelled";
+    const transitionProblem = applyTransition(appointment, "cancelled", {
+      userId: req.user.id,
+      role: req.user.role,
+      reason: cancelReason,
+    });
+    if (transitionProblem) {
+      return sendProblem(res, transitionProblem);
+    }
     appointment.cancelReason = cancelReason;
     appointment.cancelledBy = req.user.id;
-    appointment.cancelledAt = new Date();
+    const lateCancellation = flagLateCancellation(appointment, req.user);
 
     await appointment.save();
 
@@ -442,41 +1084,39 @@ const cancelAppointment = async (req, res, next) => {
       { cancelReason },
       req,
     );
-
-    // Emit socket event
-    if (req.app.get("io")) {
-      req.app
-        .get("io")
-        .to(`user_${appointment.patient._id}`)
-        .emit("appointment_cancelled", appointment);
-      req.app
-        .get("io")
-        .to(`user_${appointment.doctor._id}`)
-        .emit("appointment_cancelled", appointment);
+    if (lateCancellation) {
+      await createAuditLog(
+        req.user.id,
+        "APPOINTMENT_POLICY_VIOLATION",
+        "Appointment",
+        appointment._id,
+        lateCancellation,
+        req,
+      );
     }
 
-    // Send email notifications
-    const appointmentDetails = {
-      title: "Appointment Cancelled",
-      message: `Your appointment has been cancelled. ${cancelReason ? `Reason: ${cancelReason}` : ""}`,
-      patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
-      doctorName: `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`,
-      date: new Date(appointment.appointmentDate).toLocaleDateString(),
-      time: appointment.appointmentTime,
-      reason: appointment.reason,
-      status: "cancelled",
-    };
+    // Tell the patient and doctor; both are emailed
+    await notifyParticipants(req, appointment, {
+      event: SERVER_EVENTS.APPOINTMENT_CANCELLED,
+      email: {
+        subject: "Appointment Cancelled",
+        details: {
+          title: "Appointment Cancelled",
+          message: `Your appointment has been cancelled. ${cancelReason ? `Reason: ${cancelReason}` : ""}`,
+          patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
+          doctorName: `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`,
+          date: appointment.schedule.displayDate,
+          time: appointment.schedule.displayTime,
+          reason: appointment.reason,
+          status: "cancelled",
+        },
+      },
+    });
+    await publishQueueUpdate(req.app.get("io"), appointment.doctor, [
+      appointment.startAt,
+    ]);
 
-    await sendAppointmentEmail(
-      appointment.patient.email,
-      "Appointment Cancelled",
-      appointmentDetails,
-    );
-    await sendAppointmentEmail(
-      appointment.doctor.email,
-      "Appointment Cancelled",
-      appointmentDetails,
-    );
+    await offerFreedSlot(appointment, { io: req.app.get("io") });
 
     logger.info(`Appointment cancelled: ${appointment._id}`);
 
@@ -490,10 +1130,181 @@ const cancelAppointment = async (req, res, next) => {
   }
 };
 
+// The parts of an appointment an emailed link may reveal
+const linkedAppointmentSummary = (appointment) => ({
+  _id: appointment._id,
+  status: appointment.status,
+  appointmentDate: appointment.appointmentDate,
+  appointmentTime: appointment.appointmentTime,
+  duration: appointment.duration,
+  schedule: appointment.schedule,
+  reason: appointment.reason,
+  doctor: {
+    firstName: appointment.doctor.firstName,
+    lastName: appointment.doctor.lastName,
+    specialization: appointment.doctor.specialization,
+  },
+});
+
+/**
+ * @desc    Show the appointment behind an emailed confirm / cancel link
+ * @route   GET /api/appointments/links/:token
+ * @access  Public (signed link)
+ */
+const getAppointmentLink = async (req, res, next) => {
+  try {
+    const { problem, link, appointment } = await resolveAppointmentLink(
+      req.params.token,
+    );
+    if (problem) {
+      return sendProblem(res, problem);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        action: link.action,
+        appointment: linkedAppointmentSummary(appointment),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm or cancel an appointment from an emailed link
+ * @route   POST /api/appointments/links/:token
+ * @access  Public (signed, single-use link)
+ */
+const useAppointmentLink = async (req, res, next) => {
+  try {
+    const { problem, link, appointment } = await resolveAppointmentLink(
+      req.params.token,
+    );
+    if (problem) {
+      return sendProblem(res, problem);
+    }
+
+    // The link acts as the patient it was sent to
+    const patient = { id: appointment.patient._id.toString(), role: "patient" };
+    const status = LINK_ACTIONS[link.action];
+    const reason =
+      link.action === "cancel" ? "Cancelled from email link" : undefined;
+
+    const transitionProblem = checkTransition(
+      appointment.status,
+      status,
+      patient.role,
+    );
+    if (transitionProblem) {
+      return sendProblem(res, transitionProblem);
+    }
+
+    if (!(await claimAppointmentLink(link))) {
+      return res.status(409).json({
+        success: false,
+        code: "LINK_USED",
+        message: "This link has already been used",
+      });
+    }
+
+    const previousStatus = appointment.status;
+    applyTransition(appointment, status, {
+      userId: patient.id,
+      role: patient.role,
+      reason,
+    });
+    let lateCancellation = null;
+    if (status === "cancelled") {
+      appointment.cancelReason = reason;
+      appointment.cancelledBy = patient.id;
+      lateCancellation = flagLateCancellation(appointment, patient);
+    }
+
+    await appointment.save();
+
+    await createAuditLog(
+      patient.id,
+      status === "cancelled"
+        ? "CANCEL_APPOINTMENT"
+        : "UPDATE_APPOINTMENT_STATUS",
+      "Appointment",
+      appointment._id,
+      { status: { old: previousStatus, new: status }, via: "email_link" },
+      req,
+    );
+    if (lateCancellation) {
+      await createAuditLog(
+        patient.id,
+        "APPOINTMENT_POLICY_VIOLATION",
+        "Appointment",
+        appointment._id,
+        lateCancellation,
+        req,
+      );
+    }
+
+    // The patient used the link, so only the doctor gets notified
+    const title =
+      status === "cancelled"
+        ? "Appointment Cancelled"
+        : "Appointment Confirmed";
+    await notifyParticipants(req, appointment, {
+      event:
+        status === "cancelled"
+          ? SERVER_EVENTS.APPOINTMENT_CANCELLED
+          : SERVER_EVENTS.APPOINTMENT_UPDATED,
+      actorId: appointment.patient._id,
+      email: emailTo("doctor", {
+        subject: title,
+        details: {
+          title,
+          message: `The patient has ${status} this appointment.`,
+          patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
+          doctorName: `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`,
+          date: appointment.schedule.displayDate,
+          time: appointment.schedule.displayTime,
+          reason: appointment.reason,
+          status: appointment.status,
+        },
+      }),
+    });
+    const io = req.app.get("io");
+    await publishQueueUpdate(io, appointment.doctor, [appointment.startAt]);
+
+    if (status === "cancelled") {
+      await offerFreedSlot(appointment, { io });
+    }
+
+    logger.info(
+      `Appointment ${appointment._id} ${status} from email link ${link._id}`,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Appointment ${status}`,
+      data: {
+        action: link.action,
+        appointment: linkedAppointmentSummary(appointment),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createAppointment,
   getAppointments,
+  getAvailableSlots,
   getAppointmentById,
   updateAppointment,
+  rescheduleAppointment,
+  updateAppointmentStatus,
+  checkInAppointment,
+  getVideoVisit,
   cancelAppointment,
+  getAppointmentLink,
+  useAppointmentLink,
 };
@@ -0,0 +1,659 @@
+/**
+ * appointmentSeriesController.js — Recurring appointment series
+ *
+ * Expands a recurrence rule into individual Appointment documents,
+ * conflict-checking every occurrence through schedulingService.
+ * Whole-series edits and cancellations touch only upcoming, still
+ * active occurrences; single occurrences are edited or cancelled
+ * through the regular appointment endpoints.  Audit entries and
+ * notifications are written once per series, not per occurrence;
+ * reminders are scheduled, and freed slots offered to the waitlist,
+ * for each occurrence.
+ */
+
+const Appointment = require("../models/appointment");
+const AppointmentSeries = require("../models/appointmentSeries");
+const User = require("../models/user");
+const logger = require("../utils/logger");
+const { SERVER_EVENTS } = require("../utils/socketEvents");
+const { createAuditLog } = require("../utils/auditLogger");
+const { dispatchNotification } = require("../services/notificationDispatcher");
+const {
+  checkSlot,
+  duplicateSlotProblem,
+  expandRecurrence,
+  getDayBounds,
+} = require("../services/schedulingService");
+const {
+  RESCHEDULABLE_STATUSES,
+  applyTransition,
+} = require("../services/appointmentLifecycle");
+const { scheduleRemindersSafely } = require("../services/reminderService");
+const { checkNoShowPolicy } = require("../services/noShowService");
+const { flagLateCancellation } = require("../services/appointmentPolicy");
+const { publishQueueUpdate } = require("../services/waitingRoomService");
+const { offerFreedSlot } = require("../services/waitlistService");
+
+const populateParticipants = [
+  { path: "patient", select: "firstName lastName email phone" },
+  { path: "doctor", select: "firstName lastName email specialization" },
+];
+
+// Send a scheduling problem from the service as a JSON error
+const schedulingErrorResponse = (res, { status, ...problem }) =>
+  res.status(status).json({ success: false, ...problem });
+
+// "every 2 weeks" / "every month" style summary for emails
+const describeRecurrence = ({ frequency, interval = 1 }) => {
+  const unit = { daily: "day", weekly: "week", monthly: "month" }[frequency];
+  return interval === 1 ? `every ${unit}` : `every ${interval} ${unit}s`;
+};
+
+// Upcoming occurrences a series-wide edit or cancel may touch, earliest first
+const findUpcomingOccurrences = (seriesId) =>
+  Appointment.find({
+    series: seriesId,
+    status: { $in: RESCHEDULABLE_STATUSES },
+    startAt: { $gte: new Date() },
+  }).sort({ startAt: 1 });
+
+// Patient and doctor on the series, plus admins, may view or cancel it
+const isParticipant = (user, series) =>
+  user.role === "admin" ||
+  (user.role === "patient" && series.patient._id.toString() === user.id) ||
+  (user.role === "doctor" && series.doctor._id.toString() === user.id);
+
+const buildSeriesEmailDetails = (series, occurrences, title, message) => ({
+  title,
+  message,
+  patientName: `${series.patient.firstName} ${series.patient.lastName}`,
+  doctorName: `Dr. ${series.doctor.firstName} ${series.doctor.lastName}`,
+  date: occurrences.length
+    ? `${occurrences[0].schedule.displayDate} – ${
+        occurrences[occurrences.length - 1].schedule.displayDate
+      } (${describeRecurrence(series.recurrence)})`
+    : describeRecurrence(series.recurrence),
+  time: occurrences.length
+    ? occurrences[0].schedule.displayTime
+    : series.appointmentTime,
+  reason: series.reason,
+});
+
+/**
+ * @desc    Create a recurring appointment series
+ * @route   POST /api/appointments/series
+ * @access  Private (Patient, Admin)
+ */
+const createSeries = async (req, res, next) => {
+  try {
+    const {
+      doctorId,
+      startDate,
+      appointmentTime,
+      duration,
+      reason,
+      visitType,
+      recurrence,
+      skipConflicts,
+    } = req.body;
+
+    if (!doctorId || !startDate || !appointmentTime || !reason || !recurrence) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Doctor, start date, time, reason, and recurrence are required",
+      });
+    }
+
+    if (!["daily", "weekly", "monthly"].includes(recurrence.frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: "Recurrence frequency must be daily, weekly or monthly",
+      });
+    }
+
+    if (!recurrence.endDate && !recurrence.count) {
+      return res.status(400).json({
+        success: false,
+        message: "Recurrence needs an end date or an occurrence count",
+      });
+    }
+
+    const interval =
+      recurrence.interval == null ? 1 : Number(recurrence.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+      return res.status(400).json({
+        success: false,
+        message: "Recurrence interval must be a whole number from 1 to 12",
+      });
+    }
+
+    const count =
+      recurrence.count == null ? undefined : Number(recurrence.count);
+    if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: "Occurrence count must be a whole number of at least 1",
+      });
+    }
+
+    if (
+      isNaN(new Date(startDate)) ||
+      (recurrence.endDate && isNaN(new Date(recurrence.endDate)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Start and end dates must be valid dates",
+      });
+    }
+
+    if (
+      recurrence.endDate &&
+      getDayBounds(recurrence.endDate).start < getDayBounds(startDate).start
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Recurrence end date cannot be before the start date",
+      });
+    }
+
+    const doctor = await User.findById(doctorId);
+    if (!doctor || doctor.role !== "doctor" || !doctor.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found",
+      });
+    }
+
+    let patientId = req.user.id;
+    if (req.user.role === "admin" && req.body.patientId) {
+      const patient = await User.findById(req.body.patientId);
+      if (!patient || patient.role !== "patient") {
+        return res.status(404).json({
+          success: false,
+          message: "Patient not found",
+        });
+      }
+      patientId = req.body.patientId;
+    }
+
+    // Same no-show rules as single bookings, applied to every occurrence
+    let status = "scheduled";
+    if (req.user.role === "patient") {
+      const decision = await checkNoShowPolicy(patientId);
+      if (decision.problem) {
+        return schedulingErrorResponse(res, decision.problem);
+      }
+      status = decision.status;
+    }
+
+    const rule = {
+      frequency: recurrence.frequency,
+      interval,
+      endDate: recurrence.endDate,
+      count,
+    };
+    const length = duration === undefined ? 30 : Number(duration);
+    const dates = expandRecurrence(startDate, rule);
+
+    // Conflict-check every occurrence before writing anything
+    const bookable = [];
+    const conflicts = [];
+    for (const date of dates) {
+      const problem = await checkSlot({
+        doctorId,
+        date,
+        time: appointmentTime,
+        duration: length,
+      });
+      if (problem?.status === 400) {
+        return schedulingErrorResponse(res, problem);
+      }
+      if (problem) {
+        conflicts.push({
+          date: date.toISOString().slice(0, 10),
+          code: problem.code,
+          message: problem.message,
+        });
+      } else {
+        bookable.push(date);
+      }
+    }
+
+    if (bookable.length === 0 || (conflicts.length && !skipConflicts)) {
+      return res.status(409).json({
+        success: false,
+        code: "SERIES_CONFLICT",
+        message: `${conflicts.length} of ${dates.length} occurrences conflict with the doctor's schedule`,
+        conflicts,
+      });
+    }
+
+    const series = await AppointmentSeries.create({
+      patient: patientId,
+      doctor: doctorId,
+      startDate,
+      appointmentTime,
+      duration: length,
+      reason,
+      recurrence: rule,
+      createdBy: req.user.id,
+    });
+
+    let appointments;
+    try {
+      appointments = await Appointment.insertMany(
+        bookable.map((date) => ({
+          patient: patientId,
+          doctor: doctorId,
+          appointmentDate: date,
+          appointmentTime,
+          duration: length,
+          reason,
+          visitType,
+          status,
+          series: series._id,
+        })),
+      );
+    } catch (error) {
+      // Roll back a half-written series if a concurrent booking won a slot
+      await Appointment.deleteMany({ series: series._id });
+      await series.deleteOne();
+      if (error.code === 11000) {
+        return schedulingErrorResponse(res, duplicateSlotProblem());
+      }
+      throw error;
+    }
+    await scheduleRemindersSafely(appointments);
+
+    await series.populate(populateParticipants);
+
+    await createAuditLog(
+      req.user.id,
+      "CREATE_APPOINTMENT_SERIES",
+      "AppointmentSeries",
+      series._id,
+      {
+        recurrence: rule,
+        occurrences: appointments.length,
+        skipped: conflicts.map((c) => c.date),
+      },
+      req,
+    );
+
+    const appointmentDetails = buildSeriesEmailDetails(
+      series,
+      appointments,
+      "Recurring Appointments Scheduled",
+      `${appointments.length} appointments have been scheduled ${describeRecurrence(rule)}.`,
+    );
+
+    const first = await Appointment.findById(appointments[0]._id).populate(
+      populateParticipants,
+    );
+    const io = req.app.get("io");
+    await dispatchNotification(io, {
+      event: SERVER_EVENTS.APPOINTMENT_CREATED,
+      payload: first,
+      recipients: [doctorId],
+      actorId: req.user.id,
+      email: {
+        subject: "New Recurring Appointments",
+        details: appointmentDetails,
+      },
+    });
+    await dispatchNotification(io, {
+      event: SERVER_EVENTS.APPOINTMENT_UPDATED,
+      type: "appointment_booked",
+      payload: first,
+      recipients: [patientId],
+      actorId: req.user.id,
+      email: {
+        subject: "Recurring Appointments Scheduled",
+        details: appointmentDetails,
+      },
+    });
+
+    logger.info(
+      `Appointment series created: ${series._id} (${appointments.length} occurrences)`,
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Appointment series created successfully",
+      data: { series, appointments, skipped: conflicts },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a series with all of its occurrences
+ * @route   GET /api/appointments/series/:seriesId
+ * @access  Private
+ */
+const getSeries = async (req, res, next) => {
+  try {
+    const series = await AppointmentSeries.findById(
+      req.params.seriesId,
+    ).populate(populateParticipants);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: "Appointment series not found",
+      });
+    }
+
+    if (!isParticipant(req.user, series)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const appointments = await Appointment.find({ series: series._id }).sort({
+      appointmentDate: 1,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { series, appointments },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change time, duration, reason or notes of every upcoming occurrence
+ * @route   PUT /api/appointments/series/:seriesId
+ * @access  Private (Admin, Doctor)
+ */
+const updateSeries = async (req, res, next) => {
+  try {
+    const { appointmentTime, duration, reason, notes } = req.body;
+
+    const series = await AppointmentSeries.findById(req.params.seriesId);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: "Appointment series not found",
+      });
+    }
+
+    if (
+      req.user.role === "doctor" &&
+      series.doctor.toString() !== req.user.id
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (series.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Appointment series is cancelled",
+      });
+    }
+
+    const occurrences = await findUpcomingOccurrences(series._id);
+    const length = duration === undefined ? undefined : Number(duration);
+
+    // Every moved occurrence must still fit; all-or-nothing
+    if (appointmentTime || length !== undefined) {
+      const conflicts = [];
+      for (const occurrence of occurrences) {
+        const problem = await checkSlot({
+          doctorId: series.doctor,
+          date: occurrence.appointmentDate,
+          time: appointmentTime || occurrence.appointmentTime,
+          duration: length === undefined ? occurrence.duration : length,
+          excludeId: occurrence._id,
+        });
+        if (problem?.status === 400) {
+          return schedulingErrorResponse(res, problem);
+        }
+        if (problem) {
+          conflicts.push({
+            appointmentId: occurrence._id,
+            date: occurrence.appointmentDate.toISOString().slice(0, 10),
+            code: problem.code,
+            message: problem.message,
+          });
+        }
+      }
+
+      if (conflicts.length) {
+        return res.status(409).json({
+          success: false,
+          code: "SERIES_CONFLICT",
+          message: `${conflicts.length} of ${occurrences.length} upcoming occurrences conflict with the doctor's schedule`,
+          conflicts,
+        });
+      }
+    }
+
+    const changes = {};
+    const update = {};
+    if (appointmentTime) {
+      changes.appointmentTime = {
+        old: series.appointmentTime,
+        new: appointmentTime,
+      };
+      series.appointmentTime = update.appointmentTime = appointmentTime;
+    }
+    if (length !== undefined) {
+      changes.duration = { old: series.duration, new: length };
+      series.duration = update.duration = length;
+    }
+    if (reason) {
+      changes.reason = { old: series.reason, new: reason };
+      series.reason = update.reason = reason;
+    }
+    if (notes) {
+      changes.notes = { new: notes };
+      update.notes = notes;
+    }
+
+    await series.save();
+    const previousStarts = occurrences.map((occurrence) => occurrence.startAt);
+    for (const occurrence of occurrences) {
+      occurrence.set(update);
+      await occurrence.save();
+    }
+    if (update.appointmentTime) {
+      await scheduleRemindersSafely(occurrences);
+    }
+
+    await series.populate(populateParticipants);
+
+    await createAuditLog(
+      req.user.id,
+      "UPDATE_APPOINTMENT_SERIES",
+      "AppointmentSeries",
+      series._id,
+      { ...changes, occurrences: occurrences.length },
+      req,
+    );
+
+    if (occurrences.length) {
+      await occurrences[0].populate(populateParticipants);
+      // The patient is emailed when the time or length changed
+      await dispatchNotification(req.app.get("io"), {
+        event: SERVER_EVENTS.APPOINTMENT_UPDATED,
+        payload: occurrences[0],
+        recipients: [series.patient, series.doctor],
+        actorId: req.user.id,
+        email: (user) =>
+          user.role === "patient" &&
+          (appointmentTime || length !== undefined) && {
+            subject: "Recurring Appointments Updated",
+            details: buildSeriesEmailDetails(
+              series,
+              occurrences,
+              "Recurring Appointments Updated",
+              `${occurrences.length} upcoming appointments in your series have been updated.`,
+            ),
+          },
+      });
+    }
+
+    await publishQueueUpdate(req.app.get("io"), series.doctor, [
+      ...previousStarts,
+      ...occurrences.map((occurrence) => occurrence.startAt),
+    ]);
+
+    logger.info(`Appointment series updated: ${series._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Appointment series updated successfully",
+      data: { series, appointments: occurrences },
+    });
+  } catch (error) {
+    // Lost a race with a concurrent booking for the exact same slot
+    if (error.code === 11000) {
+      return schedulingErrorResponse(res, duplicateSlotProblem());
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel every upcoming occurrence of a series
+ * @route   DELETE /api/appointments/series/:seriesId
+ * @access  Private
+ */
+const cancelSeries = async (req, res, next) => {
+  try {
+    const { cancelReason } = req.body;
+
+    const series = await AppointmentSeries.findById(
+      req.params.seriesId,
+    ).populate(populateParticipants);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: "Appointment series not found",
+      });
+    }
+
+    if (!isParticipant(req.user, series)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (series.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Appointment series is already cancelled",
+      });
+    }
+
+    const occurrences = await findUpcomingOccurrences(series._id);
+    const cancelledAt = new Date();
+    // Occurrences the patient cancelled inside the notice window
+    const lateCancellations = [];
+
+    for (const occurrence of occurrences) {
+      applyTransition(occurrence, "cancelled", {
+        userId: req.user.id,
+        role: req.user.role,
+        reason: cancelReason,
+        at: cancelledAt,
+      });
+      occurrence.cancelReason = cancelReason;
+      occurrence.cancelledBy = req.user.id;
+      const violation = flagLateCancellation(occurrence, req.user);
+      if (violation) lateCancellations.push({ occurrence, violation });
+      await occurrence.save();
+    }
+
+    series.status = "cancelled";
+    series.cancelReason = cancelReason;
+    series.cancelledBy = req.user.id;
+    series.cancelledAt = cancelledAt;
+    await series.save();
+
+    await createAuditLog(
+      req.user.id,
+      "CANCEL_APPOINTMENT_SERIES",
+      "AppointmentSeries",
+      series._id,
+      { cancelReason, occurrences: occurrences.length },
+      req,
+    );
+    for (const { occurrence, violation } of lateCancellations) {
+      await createAuditLog(
+        req.user.id,
+        "APPOINTMENT_POLICY_VIOLATION",
+        "Appointment",
+        occurrence._id,
+        violation,
+        req,
+      );
+    }
+
+    if (occurrences.length) {
+      const first = await Appointment.findById(occurrences[0]._id).populate(
+        populateParticipants,
+      );
+      await dispatchNotification(req.app.get("io"), {
+        event: SERVER_EVENTS.APPOINTMENT_CANCELLED,
+        payload: first,
+        recipients: [series.patient, series.doctor],
+        actorId: req.user.id,
+        email: {
+          subject: "Recurring Appointments Cancelled",
+          details: {
+            ...buildSeriesEmailDetails(
+              series,
+              occurrences,
+              "Recurring Appointments Cancelled",
+              `${occurrences.length} upcoming appointments in your series have been cancelled. ${cancelReason ? `Reason: ${cancelReason}` : ""}`,
+            ),
+            status: "cancelled",
+          },
+        },
+      });
+    }
+
+    await publishQueueUpdate(
+      req.app.get("io"),
+      series.doctor,
+      occurrences.map((occurrence) => occurrence.startAt),
+    );
+
+    // Each freed occurrence goes to the waitlist like a single cancellation
+    for (const occurrence of occurrences) {
+      await offerFreedSlot(occurrence, { io: req.app.get("io") });
+    }
+
+    logger.info(
+      `Appointment series cancelled: ${series._id} (${occurrences.length} occurrences)`,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Appointment series cancelled successfully",
+      data: { series, cancelledCount: occurrences.length },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createSeries,
+  getSeries,
+  updateSeries,
+  cancelSeries,
+};
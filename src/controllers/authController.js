@@ -1,25 +1,189 @@
 /**
  * authController.js — Authentication & user management
  *
- * Handles registration, login (sets httpOnly JWT cookie), profile
- * retrieval and updates, and logout (clears the cookie).  Every
- * action is audit-logged for compliance.
+ * Handles registration, login, profile retrieval and updates, and
+ * logout.  Signing in starts a session (services/sessionService) and
+ * sets two httpOnly cookies: the short-lived access token ("token")
+ * and the refresh token ("refreshToken", only sent to /api/auth), which
+ * `refresh` trades for a new pair.  Users can list their sessions and
+ * sign out one device or all of them, change their password, or reset
+ * a forgotten one through an emailed link (services/passwordService).
+ * New accounts are sent a link to verify their email address, which
+ * they can ask to have resent and admins can skip
+ * (services/emailVerificationService).  Staff can add a second sign-in
+ * step with an authenticator app, which admins can require per role;
+ * a password then yields a challenge to finish with a code instead of
+ * a session (services/twoFactorService).  Each account limits its own
+ * failed sign-ins with growing delays and a temporary lock, which
+ * admins can lift (services/accountLockoutService).  Every action is
+ * audit-logged for compliance.
  */
 
 const User = require("../models/user");
-const { generateToken } = require("../utils/jwt");
 const logger = require("../utils/logger");
 const { createAuditLog } = require("../utils/auditLogger");
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+} = require("../utils/email");
+const {
+  clientOf,
+  startSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  disconnectSessions,
+} = require("../services/sessionService");
+const {
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+} = require("../services/passwordService");
+const {
+  issueVerification,
+  resendVerification,
+  verifyEmail,
+  overrideVerification,
+} = require("../services/emailVerificationService");
+const {
+  createLoginChallenge,
+  resolveLoginChallenge,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  getTwoFactorStatus,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../services/twoFactorService");
+const {
+  claimLoginAttempt,
+  releaseLoginAttempt,
+  buildLockoutNotice,
+  clearLoginAttempts,
+  unlockAccount,
+} = require("../services/accountLockoutService");
+
+// The refresh token is only needed by the auth endpoints
+const REFRESH_COOKIE_PATH = "/api/auth";
 
 // Helper function to create secure cookie options
 const getCookieOptions = () => ({
   httpOnly: true,
   secure: process.env.NODE_ENV === "production",
   sameSite: "strict",
-  maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
   path: "/",
 });
 
+// Set both cookies; each lasts as long as its token
+const setSessionCookies = (
+  res,
+  { session, accessToken, accessTokenExpiresAt, refreshToken },
+) => {
+  res.cookie("token", accessToken, {
+    ...getCookieOptions(),
+    expires: accessTokenExpiresAt,
+  });
+  res.cookie("refreshToken", refreshToken, {
+    ...getCookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    expires: session.expiresAt,
+  });
+};
+
+const clearSessionCookies = (res) => {
+  res.clearCookie("token", getCookieOptions());
+  res.clearCookie("refreshToken", {
+    ...getCookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+  });
+};
+
+const sendProblem = (res, { status, ...problem }) =>
+  res.status(status).json({ success: false, ...problem });
+
+// Refuse a sign-in attempt while the account is locked or throttled
+const refuseAttempt = (res, problem) => {
+  res.set("Retry-After", String(problem.retryAfter));
+  return sendProblem(res, problem);
+};
+
+// Audit a failed sign-in, and tell the owner if it locked the account
+const recordLoginFailure = async (req, { user, locked }, reason) => {
+  const { failedLoginAttempts } = user;
+  await createAuditLog(
+    user._id,
+    "LOGIN_FAILED",
+    "Auth",
+    user._id,
+    { reason, failedLoginAttempts },
+    req,
+  );
+  if (!locked) return;
+
+  await createAuditLog(
+    user._id,
+    "ACCOUNT_LOCKED",
+    "User",
+    user._id,
+    { lockedUntil: user.lockedUntil, failedLoginAttempts },
+    req,
+  );
+  logger.warn(
+    `Account locked after ${failedLoginAttempts} failed sign-ins: ${user.email}`,
+  );
+  sendAccountLockedEmail(user.email, buildLockoutNotice(user));
+};
+
+// Finish signing in: start a session and answer with the user
+const completeLogin = async (
+  req,
+  res,
+  user,
+  { twoFactor, message = "Login successful", data = {} } = {},
+) => {
+  await User.updateOne({ _id: user._id }, { $set: { lastLogin: new Date() } });
+  await clearLoginAttempts(user._id);
+
+  // Start a session and set its tokens in HTTP-only cookies
+  setSessionCookies(res, await startSession(user, clientOf(req)));
+
+  // Create audit log
+  await createAuditLog(
+    user._id,
+    "LOGIN",
+    "Auth",
+    user._id,
+    twoFactor ? { twoFactor } : null,
+    req,
+  );
+
+  logger.info(`User logged in: ${user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        phone: user.phone,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        ...(user.role === "doctor" && {
+          specialization: user.specialization,
+          licenseNumber: user.licenseNumber,
+        }),
+      },
+      ...data,
+    },
+  });
+};
+
 /**
  * @desc    Register a new user
  * @route   POST /api/auth/register
@@ -82,15 +246,23 @@ const register = async (req, res, next) => {
 
     const user = await User.create(userData);
 
-    // Auto-login: set a JWT cookie so the user is authenticated right away
-    const token = generateToken(user._id, user.role);
-    res.cookie("token", token, getCookieOptions());
+    // Auto-login: start a session so the user is authenticated right away
+    setSessionCookies(res, await startSession(user, clientOf(req)));
+
+    // Ask the user to confirm their address; the email isn't awaited, so
+    // a slow mail server doesn't hold up sign-up
+    const verification = await issueVerification(user);
+    sendVerificationEmail(user.email, {
+      name: user.firstName,
+      ...verification,
+    });
 
     logger.info(`New user registered: ${user.email} with role: ${user.role}`);
 
     res.status(201).json({
       success: true,
-      message: "User registered successfully. Please login to continue.",
+      message:
+        "User registered successfully. Please check your email for a link to verify your address.",
       data: {
         user: {
           id: user._id,
@@ -99,6 +271,7 @@ const register = async (req, res, next) => {
           email: user.email,
           role: user.role,
           phone: user.phone,
+          emailVerified: user.emailVerified,
         },
       },
     });
@@ -142,54 +315,154 @@ const login = async (req, res, next) => {
       });
     }
 
+    // Refused while locked, or too soon after a failure
+    const attempt = await claimLoginAttempt(user._id);
+    if (attempt.problem) return refuseAttempt(res, attempt.problem);
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
+      await recordLoginFailure(req, attempt, "password");
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Two-factor sign-in: no session until the second step is done
+    const challenge = await createLoginChallenge(user);
+    if (challenge) {
+      await releaseLoginAttempt(user._id);
+      return res.status(200).json({
+        success: true,
+        message: challenge.setupRequired
+          ? "Two-factor authentication is required for your account. Set it up to continue."
+          : "Enter the code from your authenticator app",
+        data: { twoFactorRequired: true, ...challenge },
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Set token in HTTP-only cookie
-    res.cookie("token", token, getCookieOptions());
+/**
+ * @desc    Finish signing in with an authenticator or recovery code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public (login challenge)
+ */
+const loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = await resolveLoginChallenge(challengeToken);
+    if (challenge.problem) return sendProblem(res, challenge.problem);
 
-    // Create audit log
-    await createAuditLog(user._id, "LOGIN", "Auth", user._id, null, req);
+    const { user } = challenge;
+    const attempt = await claimLoginAttempt(user._id);
+    if (attempt.problem) return refuseAttempt(res, attempt.problem);
 
-    logger.info(`User logged in: ${user.email}`);
+    const verified = await verifySecondFactor(
+      user._id,
+      { code, recoveryCode },
+      { failureStatus: 401 },
+    );
+    if (verified.problem) {
+      logger.warn(`Two-factor code rejected at login: ${user.email}`);
+      await recordLoginFailure(req, attempt, "two_factor");
+      return sendProblem(res, verified.problem);
+    }
 
-    res.status(200).json({
-      success: true,
-      message: "Login successful",
-      data: {
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          role: user.role,
-          phone: user.phone,
-          ...(user.role === "doctor" && {
-            specialization: user.specialization,
-            licenseNumber: user.licenseNumber,
-          }),
-        },
-      },
+    const { method, recoveryCodesRemaining } = verified;
+    await completeLogin(req, res, user, {
+      twoFactor: method,
+      data: method === "recovery_code" ? { recoveryCodesRemaining } : undefined,
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    Start the two-factor setup a sign-in requires
+ * @route   POST /api/auth/login/2fa/setup
+ * @access  Public (setup challenge)
+ */
+const loginTwoFactorSetup = async (req, res, next) => {
+  try {
+    const challenge = await resolveLoginChallenge(req.body.challengeToken, {
+      setup: true,
+    });
+    if (challenge.problem) return sendProblem(res, challenge.problem);
+
+    await startTwoFactorSetup(req, res, challenge.user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Finish the two-factor setup a sign-in requires, and sign in
+ * @route   POST /api/auth/login/2fa/enable
+ * @access  Public (setup challenge)
+ */
+const loginTwoFactorEnable = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const challenge = await resolveLoginChallenge(challengeToken, {
+      setup: true,
+    });
+    if (challenge.problem) return sendProblem(res, challenge.problem);
+
+    const result = await confirmEnrollment(challenge.user._id, code);
+    if (result.problem) return sendProblem(res, result.problem);
+
+    const { user, recoveryCodes } = result;
+    await createAuditLog(
+      user._id,
+      "ENABLE_TWO_FACTOR",
+      "User",
+      user._id,
+      null,
+      req,
+    );
+    logger.info(`Two-factor authentication enabled: ${user.email}`);
+
+    await completeLogin(req, res, user, {
+      twoFactor: "totp",
+      message: "Two-factor authentication is on. Save your recovery codes.",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Answer with a new authenticator secret and its QR code
+const startTwoFactorSetup = async (req, res, user) => {
+  const result = await beginEnrollment(user._id);
+  if (result.problem) return sendProblem(res, result.problem);
+
+  await createAuditLog(
+    user._id,
+    "START_TWO_FACTOR_SETUP",
+    "User",
+    user._id,
+    null,
+    req,
+  );
+
+  const { secret, otpauthUrl, qrCode } = result;
+  res.status(200).json({
+    success: true,
+    message:
+      "Scan the QR code with your authenticator app, then enter the code it shows",
+    data: { secret, otpauthUrl, qrCode },
+  });
+};
+
 /**
  * @desc    Get current user profile
  * @route   GET /api/auth/me
@@ -253,19 +526,544 @@ const updateProfile = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user (clear cookie)
+ * @desc    Change password (signs out the user's other sessions)
+ * @route   PUT /api/auth/password
+ * @access  Private
+ */
+const updatePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const result = await changePassword(
+      req.user.id,
+      { currentPassword, newPassword },
+      { sessionId: req.sessionId },
+    );
+    if (result.problem) return sendProblem(res, result.problem);
+
+    disconnectSessions(req.app.get("io"), result.revokedSessionIds);
+
+    await createAuditLog(
+      req.user.id,
+      "CHANGE_PASSWORD",
+      "User",
+      req.user._id,
+      { sessionsRevoked: result.revokedSessionIds.length },
+      req,
+    );
+
+    logger.info(`Password changed: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Password changed. Your other devices have been signed out.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const reset = await requestPasswordReset(req.body.email);
+
+    if (reset) {
+      const { user, url, expiresInMinutes } = reset;
+      // Not awaited, so the response time doesn't reveal the account
+      sendPasswordResetEmail(user.email, {
+        name: user.firstName,
+        url,
+        expiresInMinutes,
+      });
+      await createAuditLog(
+        user._id,
+        "REQUEST_PASSWORD_RESET",
+        "User",
+        user._id,
+        null,
+        req,
+      );
+      logger.info(`Password reset requested: ${user.email}`);
+    }
+
+    // The same answer whether or not the account exists
+    res.status(200).json({
+      success: true,
+      message:
+        "If an account exists for that email, a password reset link is on its way.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set a new password with an emailed reset link
+ * @route   POST /api/auth/reset-password
+ * @access  Public (reset token)
+ */
+const resetForgottenPassword = async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+    const result = await resetPassword(token, newPassword);
+    if (result.problem) return sendProblem(res, result.problem);
+
+    const { user, revokedSessionIds } = result;
+    disconnectSessions(req.app.get("io"), revokedSessionIds);
+
+    await createAuditLog(
+      user._id,
+      "RESET_PASSWORD",
+      "User",
+      user._id,
+      { sessionsRevoked: revokedSessionIds.length },
+      req,
+    );
+
+    logger.info(`Password reset: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset. Please login with your new password.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify the user's email address with an emailed link
+ * @route   POST /api/auth/verify-email
+ * @access  Public (verification token)
+ */
+const verifyEmailAddress = async (req, res, next) => {
+  try {
+    const result = await verifyEmail(req.body.token);
+    if (result.problem) return sendProblem(res, result.problem);
+
+    const { user, alreadyVerified } = result;
+    if (!alreadyVerified) {
+      await createAuditLog(
+        user._id,
+        "VERIFY_EMAIL",
+        "User",
+        user._id,
+        null,
+        req,
+      );
+      logger.info(`Email verified: ${user.email}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: alreadyVerified
+        ? "Your email address is already verified"
+        : "Email address verified",
+      data: { emailVerified: true },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a new email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const result = await resendVerification(req.user.id);
+    if (result.problem) {
+      if (result.problem.retryAfter) {
+        res.set("Retry-After", String(result.problem.retryAfter));
+      }
+      return sendProblem(res, result.problem);
+    }
+
+    const { user, url, expiresInHours } = result;
+    sendVerificationEmail(user.email, {
+      name: user.firstName,
+      url,
+      expiresInHours,
+    });
+
+    await createAuditLog(
+      user._id,
+      "RESEND_EMAIL_VERIFICATION",
+      "User",
+      user._id,
+      null,
+      req,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `A new verification link has been sent to ${user.email}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a user's email address verified without a link
+ * @route   POST /api/auth/users/:id/verify-email
+ * @access  Private (Admin only)
+ */
+const overrideEmailVerification = async (req, res, next) => {
+  try {
+    const result = await overrideVerification(req.params.id);
+    if (result.problem) return sendProblem(res, result.problem);
+
+    const { user, alreadyVerified } = result;
+    if (!alreadyVerified) {
+      await createAuditLog(
+        req.user.id,
+        "VERIFY_EMAIL",
+        "User",
+        user._id,
+        { emailVerified: { old: false, new: true }, override: true },
+        req,
+      );
+      logger.info(`Email of ${user.email} verified by admin ${req.user.email}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: alreadyVerified
+        ? "This email address is already verified"
+        : "Email address marked as verified",
+      data: {
+        userId: user._id,
+        emailVerified: true,
+        emailVerifiedAt: user.emailVerifiedAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unlock an account locked after failed sign-ins
+ * @route   POST /api/auth/users/:id/unlock
+ * @access  Private (Admin only)
+ */
+const unlockUserAccount = async (req, res, next) => {
+  try {
+    const result = await unlockAccount(req.params.id);
+    if (result.problem) return sendProblem(res, result.problem);
+
+    const { user, wasLocked } = result;
+    if (wasLocked) {
+      await createAuditLog(
+        req.user.id,
+        "UNLOCK_ACCOUNT",
+        "User",
+        user._id,
+        { lockedUntil: { old: user.lockedUntil, new: null } },
+        req,
+      );
+      logger.info(`Account ${user.email} unlocked by admin ${req.user.email}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: wasLocked ? "Account unlocked" : "This account is not locked",
+      data: { userId: user._id, lockedUntil: null },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the user's two-factor sign-in status
+ * @route   GET /api/auth/2fa
+ * @access  Private (Doctor, Admin)
+ */
+const getTwoFactor = async (req, res, next) => {
+  try {
+    const twoFactor = await getTwoFactorStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { twoFactor },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start setting up two-factor sign-in
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (Doctor, Admin)
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    await startTwoFactorSetup(req, res, req.user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Turn two-factor sign-in on with a code from the new secret
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private (Doctor, Admin)
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const result = await confirmEnrollment(req.user.id, req.body.code);
+    if (result.problem) return sendProblem(res, result.problem);
+
+    await createAuditLog(
+      req.user.id,
+      "ENABLE_TWO_FACTOR",
+      "User",
+      req.user._id,
+      null,
+      req,
+    );
+
+    logger.info(`Two-factor authentication enabled: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication is on. Save your recovery codes.",
+      data: { recoveryCodes: result.recoveryCodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Turn two-factor sign-in off (password and a code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private (Doctor, Admin)
+ */
+const disableTwoFactorAuth = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const result = await disableTwoFactor(req.user.id, {
+      password,
+      code,
+      recoveryCode,
+    });
+    if (result.problem) return sendProblem(res, result.problem);
+
+    await createAuditLog(
+      req.user.id,
+      "DISABLE_TWO_FACTOR",
+      "User",
+      req.user._id,
+      null,
+      req,
+    );
+
+    logger.info(`Two-factor authentication disabled: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication is off",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace the two-factor recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private (Doctor, Admin)
+ */
+const regenerateTwoFactorRecoveryCodes = async (req, res, next) => {
+  try {
+    const result = await regenerateRecoveryCodes(req.user.id, {
+      code: req.body.code,
+    });
+    if (result.problem) return sendProblem(res, result.problem);
+
+    await createAuditLog(
+      req.user.id,
+      "REGENERATE_RECOVERY_CODES",
+      "User",
+      req.user._id,
+      null,
+      req,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "New recovery codes created. The old ones no longer work.",
+      data: { recoveryCodes: result.recoveryCodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Trade the refresh token for a new access and refresh token
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token cookie)
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.cookies;
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: "No refresh token provided. Please login again.",
+        code: "NO_REFRESH_TOKEN",
+      });
+    }
+
+    const result = await refreshSession(refreshToken, clientOf(req));
+    if (result.revoked) {
+      const { revoked } = result;
+      disconnectSessions(req.app.get("io"), [revoked.id]);
+      await createAuditLog(
+        revoked.user,
+        "REFRESH_TOKEN_REUSE",
+        "Session",
+        revoked._id,
+        null,
+        req,
+      );
+      logger.warn(
+        `Refresh token reuse: session ${revoked.id} of user ${revoked.user} revoked`,
+      );
+    }
+    if (result.problem) {
+      // A concurrent refresh already set fresh cookies; keep them
+      if (result.problem.code !== "REFRESH_SUPERSEDED") {
+        clearSessionCookies(res);
+      }
+      return sendProblem(res, result.problem);
+    }
+
+    setSessionCookies(res, result);
+
+    res.status(200).json({
+      success: true,
+      message: "Session refreshed",
+      data: { expiresAt: result.accessTokenExpiresAt },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the user's signed-in devices
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.id, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: { sessions },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sign one of the user's devices out
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const deleteSession = async (req, res, next) => {
+  try {
+    const { session, problem } = await revokeSession(
+      req.user.id,
+      req.params.id,
+      "revoked",
+    );
+    if (problem) return sendProblem(res, problem);
+
+    disconnectSessions(req.app.get("io"), [session.id]);
+    if (session.id === req.sessionId) clearSessionCookies(res);
+
+    await createAuditLog(
+      req.user.id,
+      "REVOKE_SESSION",
+      "Session",
+      session._id,
+      null,
+      req,
+    );
+
+    logger.info(`Session ${session.id} revoked by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Session signed out",
+      data: { current: session.id === req.sessionId },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sign the user out on every device, this one included
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAll = async (req, res, next) => {
+  try {
+    const sessionIds = await revokeAllSessions(req.user.id, "logout_all");
+    disconnectSessions(req.app.get("io"), sessionIds);
+    clearSessionCookies(res);
+
+    await createAuditLog(
+      req.user.id,
+      "LOGOUT_ALL",
+      "Auth",
+      req.user.id,
+      { sessions: sessionIds.length },
+      req,
+    );
+
+    logger.info(
+      `User logged out of ${sessionIds.length} session(s): ${req.user.email}`,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out of all devices",
+      data: { count: sessionIds.length },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout user (end this session and clear its cookies)
  * @route   POST /api/auth/logout
  * @access  Private
  */
 const logout = async (req, res, next) => {
   try {
-    // Clear the JWT cookie
-    res.clearCookie("token", {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      path: "/",
-    });
+    // End this session and clear its cookies
+    await revokeSession(req.user.id, req.sessionId, "logout");
+    disconnectSessions(req.app.get("io"), [req.sessionId]);
+    clearSessionCookies(res);
 
     // Create audit log
     await createAuditLog(req.user.id, "LOGOUT", "Auth", req.user.id, null, req);
@@ -284,7 +1082,26 @@ const logout = async (req, res, next) => {
 module.exports = {
   register,
   login,
+  loginTwoFactor,
+  loginTwoFactorSetup,
+  loginTwoFactorEnable,
   getMe,
   updateProfile,
+  updatePassword,
+  forgotPassword,
+  resetForgottenPassword,
+  verifyEmailAddress,
+  resendVerificationEmail,
+  overrideEmailVerification,
+  unlockUserAccount,
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorRecoveryCodes,
+  refresh,
+  getSessions,
+  deleteSession,
+  logoutAll,
   logout,
 };
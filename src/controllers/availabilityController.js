@@ -0,0 +1,257 @@
+/**
+ * availabilityController.js — Doctor working hours & exceptions
+ *
+ * Reads and manages the weekly availability template and the
+ * date-specific exceptions (leave, holidays, custom hours) that
+ * createAppointment / updateAppointment enforce.  Doctors manage
+ * their own schedule; admins can manage anyone's.  A doctor's first
+ * saved schedule starts from the default Monday–Friday hours.
+ */
+
+const DoctorAvailability = require("../models/doctorAvailability");
+const User = require("../models/user");
+const logger = require("../utils/logger");
+const { createAuditLog } = require("../utils/auditLogger");
+const { buildDefaultAvailability } = require("../services/schedulingService");
+
+// Only the doctor themselves or an admin may change a schedule
+const canManage = (user, doctorId) =>
+  user.role === "admin" || (user.role === "doctor" && user.id === doctorId);
+
+// Load the target user and make sure it is a doctor
+const findDoctor = async (doctorId) => {
+  const doctor = await User.findById(doctorId);
+  return doctor && doctor.role === "doctor" ? doctor : null;
+};
+
+/**
+ * @desc    Get a doctor's availability
+ * @route   GET /api/doctors/:id/availability
+ * @access  Private
+ */
+const getAvailability = async (req, res, next) => {
+  try {
+    const doctor = await findDoctor(req.params.id);
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found",
+      });
+    }
+
+    const availability = await DoctorAvailability.findOne({
+      doctor: doctor._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { availability },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create or replace a doctor's weekly schedule
+ * @route   PUT /api/doctors/:id/availability
+ * @access  Private (Admin, Doctor - own schedule)
+ */
+const updateAvailability = async (req, res, next) => {
+  try {
+    const { weeklySchedule, slotDuration } = req.body;
+
+    if (!canManage(req.user, req.params.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const doctor = await findDoctor(req.params.id);
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found",
+      });
+    }
+
+    if (weeklySchedule !== undefined && !Array.isArray(weeklySchedule)) {
+      return res.status(400).json({
+        success: false,
+        message: "weeklySchedule must be an array",
+      });
+    }
+
+    let availability = await DoctorAvailability.findOne({
+      doctor: doctor._id,
+    });
+    if (!availability) {
+      availability = buildDefaultAvailability(doctor._id);
+    }
+
+    const changes = {};
+    if (weeklySchedule !== undefined) {
+      changes.weeklySchedule = {
+        old: availability.weeklySchedule,
+        new: weeklySchedule,
+      };
+      availability.weeklySchedule = weeklySchedule;
+    }
+    if (slotDuration !== undefined) {
+      changes.slotDuration = {
+        old: availability.slotDuration,
+        new: slotDuration,
+      };
+      availability.slotDuration = slotDuration;
+    }
+    availability.updatedBy = req.user.id;
+
+    await availability.save();
+
+    await createAuditLog(
+      req.user.id,
+      "UPDATE_AVAILABILITY",
+      "DoctorAvailability",
+      availability._id,
+      changes,
+      req,
+    );
+
+    logger.info(`Availability updated for doctor: ${doctor._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Availability updated successfully",
+      data: { availability },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a date-specific exception (leave, holiday, custom hours)
+ * @route   POST /api/doctors/:id/availability/exceptions
+ * @access  Private (Admin, Doctor - own schedule)
+ */
+const addException = async (req, res, next) => {
+  try {
+    const { date, type, startTime, endTime, reason } = req.body;
+
+    if (!canManage(req.user, req.params.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (!date || !type) {
+      return res.status(400).json({
+        success: false,
+        message: "Date and type are required",
+      });
+    }
+
+    const doctor = await findDoctor(req.params.id);
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found",
+      });
+    }
+
+    let availability = await DoctorAvailability.findOne({
+      doctor: doctor._id,
+    });
+    if (!availability) {
+      availability = buildDefaultAvailability(doctor._id);
+    }
+
+    availability.exceptions.push({ date, type, startTime, endTime, reason });
+    availability.updatedBy = req.user.id;
+    await availability.save();
+
+    const exception =
+      availability.exceptions[availability.exceptions.length - 1];
+
+    await createAuditLog(
+      req.user.id,
+      "UPDATE_AVAILABILITY",
+      "DoctorAvailability",
+      availability._id,
+      { action: "add_exception", exception },
+      req,
+    );
+
+    logger.info(
+      `Availability exception (${type}) added for doctor: ${doctor._id}`,
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Exception added successfully",
+      data: { availability },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a date-specific exception
+ * @route   DELETE /api/doctors/:id/availability/exceptions/:exceptionId
+ * @access  Private (Admin, Doctor - own schedule)
+ */
+const removeException = async (req, res, next) => {
+  try {
+    if (!canManage(req.user, req.params.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const availability = await DoctorAvailability.findOne({
+      doctor: req.params.id,
+    });
+    const exception = availability?.exceptions.id(req.params.exceptionId);
+
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        message: "Exception not found",
+      });
+    }
+
+    exception.deleteOne();
+    availability.updatedBy = req.user.id;
+    await availability.save();
+
+    await createAuditLog(
+      req.user.id,
+      "UPDATE_AVAILABILITY",
+      "DoctorAvailability",
+      availability._id,
+      { action: "remove_exception", exceptionId: req.params.exceptionId },
+      req,
+    );
+
+    logger.info(`Availability exception removed for doctor: ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Exception removed successfully",
+      data: { availability },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAvailability,
+  updateAvailability,
+  addException,
+  removeException,
+};
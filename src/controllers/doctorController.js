@@ -0,0 +1,152 @@
+/**
+ * doctorController.js — Searchable doctor directory
+ *
+ * Lists doctors with name / specialization search and pagination so
+ * the booking UI can offer a picker instead of asking for raw IDs.
+ * Only public profile fields are ever returned.
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/user");
+
+// Fields safe to expose to any authenticated user
+const DOCTOR_PUBLIC_FIELDS =
+  "firstName lastName specialization isActive createdAt";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Escape user input before embedding it in a RegExp
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * @desc    List / search doctors
+ * @route   GET /api/doctors
+ * @access  Private
+ */
+const getDoctors = async (req, res, next) => {
+  try {
+    const { search, specialization, isActive } = req.query;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE,
+    );
+
+    const query = { role: "doctor" };
+
+    // Only admins may browse inactive doctors
+    if (req.user.role === "admin" && isActive !== undefined) {
+      if (isActive !== "all") query.isActive = isActive === "true";
+    } else {
+      query.isActive = true;
+    }
+
+    if (specialization) {
+      query.specialization = new RegExp(
+        `^${escapeRegex(specialization)}$`,
+        "i",
+      );
+    }
+
+    // Every search term must match a name or the specialization
+    if (search && search.trim()) {
+      query.$and = search
+        .trim()
+        .split(/\s+/)
+        .map((term) => {
+          const pattern = new RegExp(escapeRegex(term), "i");
+          return {
+            $or: [
+              { firstName: pattern },
+              { lastName: pattern },
+              { specialization: pattern },
+            ],
+          };
+        });
+    }
+
+    const [doctors, total] = await Promise.all([
+      User.find(query)
+        .select(DOCTOR_PUBLIC_FIELDS)
+        .sort({ lastName: 1, firstName: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: doctors.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: { doctors },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List distinct specializations of active doctors
+ * @route   GET /api/doctors/specializations
+ * @access  Private
+ */
+const getSpecializations = async (req, res, next) => {
+  try {
+    const specializations = await User.distinct("specialization", {
+      role: "doctor",
+      isActive: true,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { specializations: specializations.filter(Boolean).sort() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a doctor's public profile
+ * @route   GET /api/doctors/:id
+ * @access  Private
+ */
+const getDoctorById = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found",
+      });
+    }
+
+    const doctor = await User.findOne({
+      _id: req.params.id,
+      role: "doctor",
+    }).select(DOCTOR_PUBLIC_FIELDS);
+
+    if (!doctor || (!doctor.isActive && req.user.role !== "admin")) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { doctor },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDoctors,
+  getSpecializations,
+  getDoctorById,
+};
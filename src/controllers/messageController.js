@@ -0,0 +1,310 @@
+/**
+ * messageController.js — Patient–doctor message threads
+ *
+ * REST side of secure messaging: the inbox, opening a conversation,
+ * paged history, sending, and read receipts.  New messages and read
+ * receipts are also pushed to both participants' `user_<id>` rooms so
+ * open chats and unread badges update live, and the recipient is notified
+ * as they prefer (notificationDispatcher); typing indicators go over
+ * the socket only (config/socket.js).  Reading a thread's history and
+ * sending a message are audited.  Access rules live in messagingService.
+ */
+
+const mongoose = require("mongoose");
+const MessageThread = require("../models/messageThread");
+const Message = require("../models/message");
+const logger = require("../utils/logger");
+const { SERVER_EVENTS, emitEvent } = require("../utils/socketEvents");
+const { createAuditLog } = require("../utils/auditLogger");
+const {
+  getOtherParticipant,
+  getThreadForUser,
+  openThread,
+  sendMessage,
+  markThreadRead,
+  getUnreadCounts,
+  getContacts,
+} = require("../services/messagingService");
+const { dispatchNotification } = require("../services/notificationDispatcher");
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+const PARTICIPANT_FIELDS = "firstName lastName role specialization";
+
+const sendProblem = (res, { status, ...problem }) =>
+  res.status(status).json({ success: false, ...problem });
+
+// Push an event to both people in a thread
+const emitToThread = (req, thread, event, data) => {
+  const io = req.app.get("io");
+  if (!io) return;
+  emitEvent(io.to(`user_${thread.patient}`), event, data);
+  emitEvent(io.to(`user_${thread.doctor}`), event, data);
+};
+
+/**
+ * @desc    List the user's conversations with unread counts
+ * @route   GET /api/messages/threads
+ * @access  Private (Patient, Doctor)
+ */
+const getThreads = async (req, res, next) => {
+  try {
+    const [threads, unread] = await Promise.all([
+      MessageThread.find({
+        $or: [{ patient: req.user.id }, { doctor: req.user.id }],
+      })
+        .populate("patient", PARTICIPANT_FIELDS)
+        .populate("doctor", PARTICIPANT_FIELDS)
+        .sort({ lastMessageAt: -1, createdAt: -1 }),
+      getUnreadCounts(req.user.id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: threads.length,
+      data: {
+        threads: threads.map((thread) => ({
+          ...thread.toObject(),
+          unreadCount: unread.threads[thread._id.toString()] || 0,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Open (or return) the conversation with a doctor or patient
+ * @route   POST /api/messages/threads
+ * @access  Private (Patient, Doctor)
+ */
+const createThread = async (req, res, next) => {
+  try {
+    const { participantId } = req.body;
+
+    const { thread, created, problem } = await openThread(
+      req.user,
+      participantId,
+    );
+    if (problem) return sendProblem(res, problem);
+
+    if (created) {
+      await createAuditLog(
+        req.user.id,
+        "START_MESSAGE_THREAD",
+        "MessageThread",
+        thread._id,
+        { patient: thread.patient, doctor: thread.doctor },
+        req,
+      );
+      logger.info(`Message thread opened: ${thread._id}`);
+    }
+
+    await thread.populate([
+      { path: "patient", select: PARTICIPANT_FIELDS },
+      { path: "doctor", select: PARTICIPANT_FIELDS },
+    ]);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? "Conversation started" : "Conversation found",
+      data: { thread },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List who the user can start a conversation with
+ * @route   GET /api/messages/contacts
+ * @access  Private (Patient, Doctor)
+ */
+const getMessageContacts = async (req, res, next) => {
+  try {
+    const contacts = await getContacts(req.user);
+
+    res.status(200).json({
+      success: true,
+      count: contacts.length,
+      data: { contacts },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the user's unread message counts
+ * @route   GET /api/messages/unread
+ * @access  Private (Patient, Doctor)
+ */
+const getUnreadCount = async (req, res, next) => {
+  try {
+    const unread = await getUnreadCounts(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: unread,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a page of a conversation's messages, newest page first
+ * @route   GET /api/messages/threads/:id/messages
+ * @access  Private (the thread's patient or doctor)
+ */
+const getMessages = async (req, res, next) => {
+  try {
+    const { before } = req.query;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE,
+    );
+
+    if (before && !mongoose.isValidObjectId(before)) {
+      return res.status(400).json({
+        success: false,
+        message: "before must be a message id",
+      });
+    }
+
+    const { thread, problem } = await getThreadForUser(
+      req.params.id,
+      req.user.id,
+    );
+    if (problem) return sendProblem(res, problem);
+
+    // Page by message id rather than page number, so messages that
+    // arrive while scrolling back don't shift the pages
+    const query = { thread: thread._id };
+    if (before) query._id = { $lt: before };
+
+    const page = await Message.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit).reverse();
+
+    await createAuditLog(
+      req.user.id,
+      "VIEW_MESSAGE_THREAD",
+      "MessageThread",
+      thread._id,
+      { count: messages.length, before },
+      req,
+    );
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      hasMore,
+      data: { messages },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a message in a conversation
+ * @route   POST /api/messages/threads/:id/messages
+ * @access  Private (the thread's patient or doctor)
+ */
+const postMessage = async (req, res, next) => {
+  try {
+    const { body } = req.body;
+
+    if (typeof body !== "string" || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Message cannot be empty",
+      });
+    }
+
+    const { thread, problem } = await getThreadForUser(
+      req.params.id,
+      req.user.id,
+    );
+    if (problem) return sendProblem(res, problem);
+
+    const message = await sendMessage(thread, req.user.id, body);
+
+    // Message bodies stay out of the audit trail
+    await createAuditLog(
+      req.user.id,
+      "SEND_MESSAGE",
+      "Message",
+      message._id,
+      { thread: thread._id, recipient: message.recipient },
+      req,
+    );
+
+    // The recipient is also notified, without the text
+    await dispatchNotification(req.app.get("io"), {
+      event: SERVER_EVENTS.NEW_MESSAGE,
+      payload: { threadId: thread._id, message },
+      recipients: [thread.patient, thread.doctor],
+      actorId: req.user.id,
+    });
+
+    logger.info(`Message sent in thread ${thread._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent",
+      data: { message },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a conversation as read (read receipt)
+ * @route   POST /api/messages/threads/:id/read
+ * @access  Private (the thread's patient or doctor)
+ */
+const markRead = async (req, res, next) => {
+  try {
+    const { thread, problem } = await getThreadForUser(
+      req.params.id,
+      req.user.id,
+    );
+    if (problem) return sendProblem(res, problem);
+
+    const { count, readAt } = await markThreadRead(thread, req.user.id);
+
+    // The sender sees the receipt; the reader's other tabs drop the badge
+    if (count > 0) {
+      emitToThread(req, thread, SERVER_EVENTS.MESSAGES_READ, {
+        threadId: thread._id,
+        readerId: req.user.id,
+        senderId: getOtherParticipant(thread, req.user.id),
+        count,
+        readAt,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { count, readAt },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getThreads,
+  createThread,
+  getMessageContacts,
+  getUnreadCount,
+  getMessages,
+  postMessage,
+  markRead,
+};
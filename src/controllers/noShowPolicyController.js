@@ -0,0 +1,117 @@
+/**
+ * noShowPolicyController.js — Admin settings for missed appointments
+ *
+ * Admins read and change the clinic's no-show policy (grace period,
+ * threshold and what happens at the threshold) and can clear a
+ * patient's no-show count, e.g. after talking to them.  The sweeper
+ * and booking checks that apply the policy live in noShowService.
+ */
+
+const NoShowPolicy = require("../models/noShowPolicy");
+const User = require("../models/user");
+const logger = require("../utils/logger");
+const { createAuditLog } = require("../utils/auditLogger");
+
+const EDITABLE_FIELDS = ["action", "threshold", "graceMinutes"];
+
+/**
+ * @desc    Get the no-show policy
+ * @route   GET /api/no-show-policy
+ * @access  Private (Admin)
+ */
+const getNoShowPolicy = async (req, res, next) => {
+  try {
+    const policy = await NoShowPolicy.getCurrent();
+
+    res.status(200).json({
+      success: true,
+      data: { policy },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the no-show policy
+ * @route   PUT /api/no-show-policy
+ * @access  Private (Admin)
+ */
+const updateNoShowPolicy = async (req, res, next) => {
+  try {
+    const policy = await NoShowPolicy.getCurrent();
+
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      changes[field] = { old: policy[field], new: req.body[field] };
+      policy[field] = req.body[field];
+    }
+    policy.updatedBy = req.user.id;
+    await policy.save();
+
+    await createAuditLog(
+      req.user.id,
+      "UPDATE_NO_SHOW_POLICY",
+      "NoShowPolicy",
+      policy._id,
+      changes,
+      req,
+    );
+
+    logger.info(`No-show policy updated by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "No-show policy updated successfully",
+      data: { policy },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Clear a patient's no-show count
+ * @route   DELETE /api/no-show-policy/patients/:patientId
+ * @access  Private (Admin)
+ */
+const resetNoShowCount = async (req, res, next) => {
+  try {
+    const patient = await User.findById(req.params.patientId);
+
+    if (!patient || patient.role !== "patient") {
+      return res.status(404).json({
+        success: false,
+        message: "Patient not found",
+      });
+    }
+
+    const previous = patient.noShowCount;
+    patient.noShowCount = 0;
+    await patient.save();
+
+    await createAuditLog(
+      req.user.id,
+      "RESET_NO_SHOW_COUNT",
+      "User",
+      patient._id,
+      { noShowCount: { old: previous, new: 0 } },
+      req,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "No-show count cleared",
+      data: { patientId: patient._id, noShowCount: 0 },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNoShowPolicy,
+  updateNoShowPolicy,
+  resetNoShowCount,
+};
@@ -0,0 +1,186 @@
+/**
+ * notificationController.js — The user's notification inbox and settings
+ *
+ * Lists the notifications stored by notificationService and marks them
+ * read, one at a time or all at once.  After a change the user's other
+ * tabs and devices get `notifications_read` with the new unread count,
+ * so every bell stays in step.  Users also choose here which types of
+ * notification reach them on which channel, and their quiet hours.
+ */
+
+const Notification = require("../models/notification");
+const logger = require("../utils/logger");
+const { SERVER_EVENTS, emitEvent } = require("../utils/socketEvents");
+const { createAuditLog } = require("../utils/auditLogger");
+const { NOTIFICATION_TYPES } = require("../config/notifications");
+const {
+  countUnread,
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require("../services/notificationService");
+const {
+  getPreferences,
+  updatePreferences,
+} = require("../services/notificationPreferences");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const sendProblem = (res, { status, ...problem }) =>
+  res.status(status).json({ success: false, ...problem });
+
+// Tell the user's other sessions the unread count changed
+const emitReadState = (req, data) => {
+  const io = req.app.get("io");
+  if (!io) return;
+  emitEvent(
+    io.to(`user_${req.user.id}`),
+    SERVER_EVENTS.NOTIFICATIONS_READ,
+    data,
+  );
+};
+
+/**
+ * @desc    List the user's notifications, newest first
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE,
+    );
+
+    const query = { user: req.user.id };
+    if (req.query.unread === "true") query.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query),
+      countUnread(req.user.id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: { notifications, unreadCount },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a notification read
+ * @route   POST /api/notifications/:id/read
+ * @access  Private (the notification's owner)
+ */
+const markRead = async (req, res, next) => {
+  try {
+    const { notification, problem } = await markNotificationRead(
+      req.user.id,
+      req.params.id,
+    );
+    if (problem) return sendProblem(res, problem);
+
+    const unreadCount = await countUnread(req.user.id);
+    emitReadState(req, { notificationId: notification._id, unreadCount });
+
+    res.status(200).json({
+      success: true,
+      data: { notification, unreadCount },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark all of the user's notifications read
+ * @route   POST /api/notifications/read-all
+ * @access  Private
+ */
+const markAllRead = async (req, res, next) => {
+  try {
+    const { count, readAt } = await markAllNotificationsRead(req.user.id);
+
+    emitReadState(req, { unreadCount: 0 });
+
+    res.status(200).json({
+      success: true,
+      message: `${count} notification${count === 1 ? "" : "s"} marked read`,
+      data: { count, readAt, unreadCount: 0 },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the user's notification preferences
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+const getNotificationPreferences = async (req, res, next) => {
+  try {
+    const preferences = await getPreferences(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { preferences, types: NOTIFICATION_TYPES },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change the user's notification preferences
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const { channels, quietHours } = req.body;
+    const { preferences, problem } = await updatePreferences(req.user.id, {
+      channels,
+      quietHours,
+    });
+    if (problem) return sendProblem(res, problem);
+
+    await createAuditLog(
+      req.user.id,
+      "UPDATE_NOTIFICATION_PREFERENCES",
+      "NotificationPreference",
+      preferences._id,
+      { channels, quietHours },
+      req,
+    );
+
+    logger.info(`Notification preferences updated by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Notification preferences updated successfully",
+      data: { preferences, types: NOTIFICATION_TYPES },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markRead,
+  markAllRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+};
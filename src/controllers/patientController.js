@@ -29,14 +29,20 @@ const getPatientSummary = async (req, res, next) => {
     }
 
     let summary = await PatientSummary.findOne({ patient: patientId })
-      .populate("patient", "firstName lastName email phone")
+      .populate(
+        "patient",
+        "firstName lastName email phone emailVerified lockedUntil",
+      )
       .populate("medications.prescribedBy", "firstName lastName specialization")
       .populate("lastUpdatedBy", "firstName lastName");
 
     // Create summary if it doesn't exist
     if (!summary) {
       summary = await PatientSummary.create({ patient: patientId });
-      await summary.populate("patient", "firstName lastName email phone");
+      await summary.populate(
+        "patient",
+        "firstName lastName email phone emailVerified",
+      );
     }
 
     res.status(200).json({
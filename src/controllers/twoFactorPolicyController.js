@@ -0,0 +1,99 @@
+/**
+ * twoFactorPolicyController.js — Admin settings for two-factor sign-in
+ *
+ * Admins choose which staff roles must sign in with an authenticator
+ * app.  Members of a newly required role who haven't set one up are
+ * signed out, and set it up as part of their next sign-in
+ * (services/twoFactorService).
+ */
+
+const TwoFactorPolicy = require("../models/twoFactorPolicy");
+const logger = require("../utils/logger");
+const { createAuditLog } = require("../utils/auditLogger");
+const { disconnectSessions } = require("../services/sessionService");
+const { signOutUnenrolled } = require("../services/twoFactorService");
+
+/**
+ * @desc    Get the two-factor policy
+ * @route   GET /api/two-factor-policy
+ * @access  Private (Admin)
+ */
+const getTwoFactorPolicy = async (req, res, next) => {
+  try {
+    const policy = await TwoFactorPolicy.getCurrent();
+
+    res.status(200).json({
+      success: true,
+      data: { policy },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the two-factor policy
+ * @route   PUT /api/two-factor-policy
+ * @access  Private (Admin)
+ */
+const updateTwoFactorPolicy = async (req, res, next) => {
+  try {
+    const { requiredRoles } = req.body;
+    if (!Array.isArray(requiredRoles)) {
+      return res.status(400).json({
+        success: false,
+        message: "requiredRoles must be a list of roles",
+      });
+    }
+
+    const roles = [...new Set(requiredRoles)];
+    // Otherwise the admin would sign themselves out
+    if (roles.includes("admin") && !req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Set up two-factor authentication on your own account before requiring it for admins",
+        code: "TWO_FACTOR_NOT_ENABLED",
+      });
+    }
+
+    const policy = await TwoFactorPolicy.getCurrent();
+    const previous = [...policy.requiredRoles];
+    policy.requiredRoles = roles;
+    policy.updatedBy = req.user.id;
+    await policy.save();
+
+    const added = roles.filter((role) => !previous.includes(role));
+    const sessionIds = await signOutUnenrolled(added);
+    disconnectSessions(req.app.get("io"), sessionIds);
+
+    await createAuditLog(
+      req.user.id,
+      "UPDATE_TWO_FACTOR_POLICY",
+      "TwoFactorPolicy",
+      policy._id,
+      {
+        requiredRoles: { old: previous, new: roles },
+        sessionsRevoked: sessionIds.length,
+      },
+      req,
+    );
+
+    logger.info(
+      `Two-factor policy updated by ${req.user.id}: required for ${roles.join(", ") || "no roles"}`,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor policy updated successfully",
+      data: { policy },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+};
@@ -0,0 +1,65 @@
+/**
+ * waitingRoomController.js — A doctor's live queue for the day
+ *
+ * Serves the queue built by waitingRoomService so the Waiting Room view
+ * can render it on load; later changes arrive as `queue_update` socket
+ * events.  The front desk (admins) may watch any doctor, doctors only
+ * their own queue.
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/user");
+const { getDoctorQueue } = require("../services/waitingRoomService");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @desc    Get a doctor's waiting-room queue
+ * @route   GET /api/waiting-room/:doctorId
+ * @access  Private (Admin, or the doctor)
+ */
+const getWaitingRoom = async (req, res, next) => {
+  try {
+    const { doctorId } = req.params;
+    const { date } = req.query;
+
+    if (req.user.role === "doctor" && doctorId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (date && (!DATE_PATTERN.test(date) || isNaN(new Date(date)))) {
+      return res.status(400).json({
+        success: false,
+        message: "date must be a YYYY-MM-DD day",
+      });
+    }
+
+    const doctor = mongoose.isValidObjectId(doctorId)
+      ? await User.findOne({ _id: doctorId, role: "doctor" }).select(
+          "firstName lastName specialization",
+        )
+      : null;
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found",
+      });
+    }
+
+    const queue = await getDoctorQueue(doctor._id, { date });
+
+    res.status(200).json({
+      success: true,
+      data: { doctor, queue },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getWaitingRoom,
+};
@@ -0,0 +1,362 @@
+/**
+ * waitlistController.js — Join / leave the waitlist and answer offers
+ *
+ * Patients register interest in a doctor over a range of days.  The
+ * offers themselves are made by waitlistService when appointments are
+ * cancelled; this controller lets the patient accept (which books the
+ * held slot) or decline them.
+ */
+
+const User = require("../models/user");
+const WaitlistEntry = require("../models/waitlistEntry");
+const logger = require("../utils/logger");
+const { SERVER_EVENTS } = require("../utils/socketEvents");
+const { createAuditLog } = require("../utils/auditLogger");
+const { dispatchNotification } = require("../services/notificationDispatcher");
+const { getDayBounds } = require("../services/schedulingService");
+const {
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist: removeFromWaitlist,
+} = require("../services/waitlistService");
+const { scheduleRemindersSafely } = require("../services/reminderService");
+const { createAppointmentLinks } = require("../services/appointmentLinks");
+const { checkNoShowPolicy } = require("../services/noShowService");
+
+const MAX_WAITLIST_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_STATUSES = ["waiting", "offered"];
+
+// Send a problem object from a service as a JSON error
+const sendProblem = (res, { status, ...problem }) =>
+  res.status(status).json({ success: false, ...problem });
+
+/**
+ * @desc    Join the waitlist for a doctor and date range
+ * @route   POST /api/waitlist
+ * @access  Private (Patient, Admin)
+ */
+const joinWaitlist = async (req, res, next) => {
+  try {
+    const { doctorId, startDate, endDate, reason } = req.body;
+
+    if (!doctorId || !startDate || !endDate || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Doctor, start date, end date and reason are required",
+      });
+    }
+
+    if (isNaN(new Date(startDate)) || isNaN(new Date(endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: "Start and end dates must be valid dates",
+      });
+    }
+
+    const from = getDayBounds(startDate).start;
+    const to = getDayBounds(endDate).start;
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        message: "End date cannot be before start date",
+      });
+    }
+    if (to < getDayBounds(new Date()).start) {
+      return res.status(400).json({
+        success: false,
+        message: "End date cannot be in the past",
+      });
+    }
+    if ((to - from) / DAY_MS >= MAX_WAITLIST_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `The waitlist range cannot exceed ${MAX_WAITLIST_DAYS} days`,
+      });
+    }
+
+    const doctor = await User.findById(doctorId);
+    if (!doctor || doctor.role !== "doctor" || !doctor.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found",
+      });
+    }
+
+    let patientId = req.user.id;
+    if (req.user.role === "admin" && req.body.patientId) {
+      const patient = await User.findById(req.body.patientId);
+      if (!patient || patient.role !== "patient") {
+        return res.status(404).json({
+          success: false,
+          message: "Patient not found",
+        });
+      }
+      patientId = req.body.patientId;
+    }
+
+    if (req.user.role === "patient") {
+      const { problem } = await checkNoShowPolicy(patientId);
+      if (problem) {
+        return sendProblem(res, problem);
+      }
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      patient: patientId,
+      doctor: doctorId,
+      status: { $in: ACTIVE_STATUSES },
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        code: "ALREADY_WAITLISTED",
+        message: "Already on this doctor's waitlist",
+        data: { entry: existing },
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      patient: patientId,
+      doctor: doctorId,
+      startDate: from,
+      endDate: to,
+      reason,
+    });
+
+    await entry.populate([
+      { path: "patient", select: "firstName lastName email" },
+      { path: "doctor", select: "firstName lastName specialization" },
+    ]);
+
+    await createAuditLog(
+      req.user.id,
+      "JOIN_WAITLIST",
+      "WaitlistEntry",
+      entry._id,
+      { doctor: doctorId, startDate: from, endDate: to },
+      req,
+    );
+
+    logger.info(`Waitlist entry created: ${entry._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Added to the waitlist",
+      data: { entry },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List waitlist entries (own for patients and doctors)
+ * @route   GET /api/waitlist
+ * @access  Private
+ */
+const getWaitlist = async (req, res, next) => {
+  try {
+    const { status, doctorId } = req.query;
+
+    const query = {
+      status: status ? String(status) : { $in: ACTIVE_STATUSES },
+    };
+    if (req.user.role === "patient") {
+      query.patient = req.user.id;
+    } else if (req.user.role === "doctor") {
+      query.doctor = req.user.id;
+    } else if (doctorId) {
+      query.doctor = doctorId;
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .populate("patient", "firstName lastName email")
+      .populate("doctor", "firstName lastName specialization")
+      .populate("currentOffer")
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: { entries },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Leave the waitlist (releases any slot held for the entry)
+ * @route   DELETE /api/waitlist/:id
+ * @access  Private (Patient - own entry, Admin)
+ */
+const leaveWaitlist = async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Waitlist entry not found",
+      });
+    }
+
+    if (req.user.role !== "admin" && entry.patient.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (!ACTIVE_STATUSES.includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Waitlist entry is already ${entry.status}`,
+      });
+    }
+
+    await removeFromWaitlist(entry, { io: req.app.get("io") });
+
+    await createAuditLog(
+      req.user.id,
+      "LEAVE_WAITLIST",
+      "WaitlistEntry",
+      entry._id,
+      { status: "cancelled" },
+      req,
+    );
+
+    logger.info(`Waitlist entry cancelled: ${entry._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Removed from the waitlist",
+      data: { entry },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept a waitlist offer and book the held slot
+ * @route   POST /api/waitlist/offers/:offerId/accept
+ * @access  Private (Patient - own offer)
+ */
+const acceptWaitlistOffer = async (req, res, next) => {
+  try {
+    const io = req.app.get("io");
+    const { problem, offer, appointment } = await acceptOffer(
+      req.params.offerId,
+      req.user.id,
+      { io },
+    );
+    if (problem) {
+      return sendProblem(res, problem);
+    }
+    await scheduleRemindersSafely(appointment);
+
+    await appointment.populate([
+      { path: "patient", select: "firstName lastName email phone" },
+      { path: "doctor", select: "firstName lastName email specialization" },
+    ]);
+
+    await createAuditLog(
+      req.user.id,
+      "ACCEPT_WAITLIST_OFFER",
+      "WaitlistOffer",
+      offer._id,
+      { appointment: appointment._id },
+      req,
+    );
+
+    const appointmentDetails = {
+      title: "New Appointment Scheduled",
+      message: "A waitlist offer was accepted and the appointment is booked.",
+      patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
+      doctorName: `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`,
+      date: appointment.schedule.displayDate,
+      time: appointment.schedule.displayTime,
+      reason: appointment.reason,
+      status: appointment.status,
+    };
+
+    await dispatchNotification(io, {
+      event: SERVER_EVENTS.APPOINTMENT_CREATED,
+      payload: appointment,
+      recipients: [appointment.doctor],
+      actorId: req.user.id,
+      email: { subject: "New Appointment", details: appointmentDetails },
+    });
+    await dispatchNotification(io, {
+      event: SERVER_EVENTS.APPOINTMENT_UPDATED,
+      type: "appointment_booked",
+      payload: appointment,
+      recipients: [appointment.patient],
+      actorId: req.user.id,
+      email: {
+        subject: "Appointment Scheduled",
+        details: {
+          ...appointmentDetails,
+          actions: await createAppointmentLinks(appointment),
+        },
+      },
+    });
+
+    logger.info(
+      `Waitlist offer ${offer._id} accepted: appointment ${appointment._id}`,
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Offer accepted and appointment booked",
+      data: { offer, appointment },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Decline a waitlist offer; the slot moves to the next patient
+ * @route   POST /api/waitlist/offers/:offerId/decline
+ * @access  Private (Patient - own offer)
+ */
+const declineWaitlistOffer = async (req, res, next) => {
+  try {
+    const { problem, offer } = await declineOffer(
+      req.params.offerId,
+      req.user.id,
+      { io: req.app.get("io") },
+    );
+    if (problem) {
+      return sendProblem(res, problem);
+    }
+
+    await createAuditLog(
+      req.user.id,
+      "DECLINE_WAITLIST_OFFER",
+      "WaitlistOffer",
+      offer._id,
+      { status: "declined" },
+      req,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Offer declined",
+      data: { offer },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getWaitlist,
+  leaveWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+};
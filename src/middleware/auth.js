@@ -1,14 +1,23 @@
 /**
  * auth.js — Express middleware for authentication & authorisation
  *
- * `authenticate` reads the JWT from the httpOnly "token" cookie,
- * verifies it, loads the user from MongoDB and attaches it to
- * `req.user`.  `authorize(...roles)` is a factory that returns a
- * middleware restricting access to the given roles.
+ * `authenticate` reads the access token from the httpOnly "token"
+ * cookie, verifies it, checks that the session it names is still
+ * signed in (services/sessionService), loads the user from MongoDB and
+ * attaches it to `req.user` (and the session id to `req.sessionId`).
+ * `authorize(...roles)` is a factory that returns a middleware
+ * restricting access to the given roles.  `requireVerifiedEmail` turns
+ * away users who haven't verified their email address yet, for booking
+ * routes.
  */
 
 const { verifyToken } = require("../utils/jwt");
 const User = require("../models/user");
+const {
+  clientOf,
+  getActiveSession,
+  touchSession,
+} = require("../services/sessionService");
 const logger = require("../utils/logger");
 
 const authenticate = async (req, res, next) => {
@@ -44,8 +53,26 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Get user from database
-    const user = await User.findById(decoded.id).select("-password");
+    // Get the session and user from database
+    const [session, user] = await Promise.all([
+      getActiveSession(decoded.sid, decoded.id),
+      User.findById(decoded.id).select("-password"),
+    ]);
+
+    if (!session) {
+      // Clear cookie if the session was signed out or has expired
+      res.clearCookie("token", {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "strict",
+        path: "/",
+      });
+      return res.status(401).json({
+        success: false,
+        message: "This session has been signed out. Please login again.",
+        code: "SESSION_REVOKED",
+      });
+    }
 
     if (!user) {
       // Clear cookie if user not found
@@ -70,8 +97,11 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    await touchSession(session, clientOf(req));
+
+    // Attach user and session to request
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     logger.error("Authentication error:", error.message);
@@ -98,7 +128,21 @@ const authorize = (...roles) => {
   };
 };
 
+// Require a verified email address (after authenticate)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message:
+        "Please verify your email address before booking. Check your inbox for the verification link.",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+  next();
+};
+
 module.exports = {
   authenticate,
   authorize,
+  requireVerifiedEmail,
 };
@@ -1,10 +1,12 @@
 /**
  * rateLimiter.js — Request throttling via express-rate-limit
  *
- * Two presets:
+ * Three presets:
  *   • apiLimiter  — generous limit (1 000 req / 15 min) for all endpoints
  *   • authLimiter — stricter limit (50 req / 15 min) for login / register,
  *     skipping successful requests so legitimate users aren’t blocked
+ *   • emailLimiter — 5 req / 15 min for requests that send email (e.g.
+ *     forgot-password), counting every request since they always succeed
  */
 
 const rateLimit = require("express-rate-limit");
@@ -34,7 +36,20 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: true,
 });
 
+// Limiter for requests that email someone, so they can't be used to flood an inbox
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many email requests, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 module.exports = {
   apiLimiter,
   authLimiter,
+  emailLimiter,
 };
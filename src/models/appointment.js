@@ -1,6 +1,20 @@
 /**
  * Appointment model — scheduled visits between a patient and doctor
  *
+ * `appointmentDate` (calendar day at UTC midnight) and `appointmentTime`
+ * ("HH:mm") are the clinic's wall clock as entered; `startAt` / `endAt`
+ * are the real UTC instants, derived from them in the clinic timezone
+ * on every save.  Overlap checks and analytics use the instants; the
+ * `schedule` virtual renders them back in clinic time.  Status changes
+ * follow services/appointmentLifecycle and are kept in `statusHistory`;
+ * patient reschedules and policy breaches (services/appointmentPolicy)
+ * are kept in `rescheduleHistory` and `policyViolations`.  `reminders`
+ * tracks delivery of each reminder sent by services/reminderService.
+ * Bookings by patients over the no-show limit may start out as
+ * "pending-approval" (services/noShowService).  `visitType` is
+ * "in-person" or "video"; video visits meet in a per-appointment socket
+ * room (services/videoVisitService).
+ *
  * A compound partial-unique index on (doctor, date, time) prevents
  * double-booking as long as the appointment isn't cancelled or
  * no-show.  Additional indexes on patient and status speed up
@@ -8,6 +22,111 @@
  */
 
 const mongoose = require("mongoose");
+const { getClinicTimezone } = require("../config/clinic");
+const {
+  normalizeTime,
+  timeToMinutes,
+  toDateKey,
+  zonedTimeToUtc,
+  utcToZonedParts,
+  formatZonedDate,
+  formatZonedTime,
+  minutesToTime,
+} = require("../utils/time");
+
+// One entry per status change, oldest first
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: {
+      type: String,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    role: String,
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+// Where the appointment was before each reschedule
+const rescheduleSchema = new mongoose.Schema(
+  {
+    fromDate: Date,
+    fromTime: String,
+    fromStartAt: Date,
+    toStartAt: Date,
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    role: String,
+    rescheduledAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+// A patient change that broke the clinic's appointment policy
+const policyViolationSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["MIN_NOTICE", "MAX_RESCHEDULES", "LATE_CANCELLATION"],
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    role: String,
+    detail: String,
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+// One entry per reminder, for the start time it was scheduled against
+const reminderSchema = new mongoose.Schema(
+  {
+    offsetMinutes: {
+      type: Number,
+      required: true,
+    },
+    startAt: {
+      type: Date,
+      required: true,
+    },
+    sendAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "sent", "failed", "skipped"],
+      default: "scheduled",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    sentAt: Date,
+    lastError: String,
+  },
+  { _id: false },
+);
 
 const appointmentSchema = new mongoose.Schema(
   {
@@ -34,11 +153,20 @@ const appointmentSchema = new mongoose.Schema(
       default: 30, // duration in minutes
       required: true,
     },
+    // UTC instants derived from the fields above (see pre-validate hook)
+    startAt: {
+      type: Date,
+    },
+    endAt: {
+      type: Date,
+    },
     status: {
       type: String,
       enum: [
+        "pending-approval",
         "scheduled",
         "confirmed",
+        "checked-in",
         "in-progress",
         "completed",
         "cancelled",
@@ -50,6 +178,11 @@ const appointmentSchema = new mongoose.Schema(
       type: String,
       required: [true, "Reason for appointment is required"],
     },
+    visitType: {
+      type: String,
+      enum: ["in-person", "video"],
+      default: "in-person",
+    },
     notes: {
       type: String,
     },
@@ -63,16 +196,133 @@ const appointmentSchema = new mongoose.Schema(
     cancelledAt: {
       type: Date,
     },
+    // Lifecycle timestamps, stamped by services/appointmentLifecycle
+    approvedAt: {
+      type: Date,
+    },
+    confirmedAt: {
+      type: Date,
+    },
+    checkedInAt: {
+      type: Date,
+    },
+    startedAt: {
+      type: Date,
+    },
+    // Minutes between check-in and the start of the visit
+    waitMinutes: {
+      type: Number,
+    },
+    completedAt: {
+      type: Date,
+    },
+    noShowAt: {
+      type: Date,
+    },
+    statusHistory: [statusChangeSchema],
+    rescheduleCount: {
+      type: Number,
+      default: 0,
+    },
+    rescheduleHistory: [rescheduleSchema],
+    // Cancelled by the patient inside the policy's notice window
+    lateCancellation: {
+      type: Boolean,
+      default: false,
+    },
+    policyViolations: [policyViolationSchema],
+    reminders: [reminderSchema],
+    // Set when the appointment is one occurrence of a recurring series
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AppointmentSeries",
+    },
   },
   {
     timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   },
 );
 
+/**
+ * Compute the UTC start / end instants for a calendar day, wall-clock
+ * time and duration in the clinic timezone.  Shared with the migration
+ * so existing documents are converted exactly like new ones.
+ */
+const computeInstants = (
+  appointmentDate,
+  appointmentTime,
+  duration,
+  timeZone = getClinicTimezone(),
+) => {
+  const startAt = zonedTimeToUtc(
+    appointmentDate,
+    timeToMinutes(appointmentTime),
+    timeZone,
+  );
+  return {
+    startAt,
+    endAt: new Date(startAt.getTime() + duration * 60 * 1000),
+  };
+};
+
+// Normalise date / time and keep startAt / endAt in step with them
+appointmentSchema.pre("validate", function (next) {
+  if (!this.appointmentDate || !this.appointmentTime) return next();
+
+  const time = normalizeTime(this.appointmentTime);
+  if (!time) {
+    this.invalidate(
+      "appointmentTime",
+      "Appointment time must look like 14:30 or 2:30 PM",
+    );
+    return next();
+  }
+
+  if (
+    this.isNew ||
+    !this.startAt ||
+    this.isModified("appointmentDate") ||
+    this.isModified("appointmentTime") ||
+    this.isModified("duration")
+  ) {
+    this.appointmentDate = new Date(
+      `${toDateKey(this.appointmentDate)}T00:00:00.000Z`,
+    );
+    this.appointmentTime = time;
+    Object.assign(
+      this,
+      computeInstants(this.appointmentDate, time, this.duration),
+    );
+  }
+  next();
+});
+
+// Start and end rendered in the clinic timezone, for clients and emails
+appointmentSchema.virtual("schedule").get(function () {
+  if (!this.startAt || !this.endAt) return undefined;
+  const timeZone = getClinicTimezone();
+  const start = utcToZonedParts(this.startAt, timeZone);
+  const end = utcToZonedParts(this.endAt, timeZone);
+  return {
+    timezone: timeZone,
+    date: start.dateKey,
+    startTime: minutesToTime(start.minutes),
+    endTime: minutesToTime(end.minutes),
+    displayDate: formatZonedDate(this.startAt, timeZone),
+    displayTime: formatZonedTime(this.startAt, timeZone),
+  };
+});
+
 // Index for efficient queries
 appointmentSchema.index({ patient: 1, appointmentDate: 1 });
 appointmentSchema.index({ doctor: 1, appointmentDate: 1 });
 appointmentSchema.index({ status: 1 });
+appointmentSchema.index({ series: 1, appointmentDate: 1 });
+appointmentSchema.index({ doctor: 1, startAt: 1, endAt: 1 });
+appointmentSchema.index({ startAt: 1 });
 
 // Prevent double booking
 appointmentSchema.index(
@@ -85,6 +335,8 @@ appointmentSchema.index(
   },
 );
 
+appointmentSchema.statics.computeInstants = computeInstants;
+
 const Appointment = mongoose.model("Appointment", appointmentSchema);
 
 module.exports = Appointment;
@@ -0,0 +1,56 @@
+/**
+ * AppointmentLink model — a single-use confirm / cancel email link
+ *
+ * The link itself is a signed token carrying this document's id (see
+ * services/appointmentLinks); the document makes it single-use
+ * (`usedAt`) and ties it to the appointment time it was sent for, so
+ * a link from before a reschedule stops working.  Documents are
+ * removed by a TTL index a week after they expire.
+ */
+
+const mongoose = require("mongoose");
+
+const LINK_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const appointmentLinkSchema = new mongoose.Schema(
+  {
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["confirm", "cancel"],
+      required: true,
+    },
+    // The appointment start the link was issued for
+    startAt: {
+      type: Date,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+appointmentLinkSchema.index({ appointment: 1, action: 1 });
+appointmentLinkSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: LINK_RETENTION_SECONDS },
+);
+
+const AppointmentLink = mongoose.model(
+  "AppointmentLink",
+  appointmentLinkSchema,
+);
+
+module.exports = AppointmentLink;
@@ -0,0 +1,120 @@
+/**
+ * AppointmentSeries model — a recurring booking for chronic care
+ *
+ * Stores the recurrence rule (daily / weekly / monthly every N
+ * units, ending on a date or after a number of visits) plus the
+ * shared booking details.  Each visit is a normal Appointment that
+ * points back here via its `series` field, so single occurrences
+ * can still be edited or cancelled on their own.
+ */
+
+const mongoose = require("mongoose");
+const { normalizeTime } = require("../utils/time");
+
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "monthly"],
+      required: [true, "Recurrence frequency is required"],
+    },
+    interval: {
+      type: Number,
+      default: 1, // every N days / weeks / months
+      min: [1, "Interval must be at least 1"],
+      max: [12, "Interval cannot exceed 12"],
+    },
+    endDate: {
+      type: Date,
+    },
+    count: {
+      type: Number,
+      min: [1, "Occurrence count must be at least 1"],
+    },
+  },
+  { _id: false },
+);
+
+const appointmentSeriesSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Patient is required"],
+    },
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Doctor is required"],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    appointmentTime: {
+      type: String,
+      required: [true, "Appointment time is required"],
+    },
+    duration: {
+      type: Number,
+      default: 30, // duration in minutes
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: [true, "Reason for appointment is required"],
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    cancelReason: {
+      type: String,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Store the time in the same canonical "HH:mm" form as its appointments
+appointmentSeriesSchema.pre("validate", function (next) {
+  if (!this.appointmentTime) return next();
+  const time = normalizeTime(this.appointmentTime);
+  if (time) {
+    this.appointmentTime = time;
+  } else {
+    this.invalidate(
+      "appointmentTime",
+      "Appointment time must look like 14:30 or 2:30 PM",
+    );
+  }
+  next();
+});
+
+appointmentSeriesSchema.index({ patient: 1, status: 1 });
+appointmentSeriesSchema.index({ doctor: 1, status: 1 });
+
+const AppointmentSeries = mongoose.model(
+  "AppointmentSeries",
+  appointmentSeriesSchema,
+);
+
+module.exports = AppointmentSeries;
@@ -22,21 +22,71 @@ const auditLogSchema = new mongoose.Schema(
         "CREATE_APPOINTMENT",
         "UPDATE_APPOINTMENT",
         "CANCEL_APPOINTMENT",
+        "CHECK_IN_APPOINTMENT",
+        "UPDATE_APPOINTMENT_STATUS",
+        "RESCHEDULE_APPOINTMENT",
+        "APPOINTMENT_POLICY_VIOLATION",
+        "CREATE_APPOINTMENT_SERIES",
+        "UPDATE_APPOINTMENT_SERIES",
+        "CANCEL_APPOINTMENT_SERIES",
         "CREATE_PATIENT_SUMMARY",
         "UPDATE_PATIENT_SUMMARY",
         "CREATE_VISIT_REPORT",
         "UPDATE_VISIT_REPORT",
         "LOGIN",
+        "LOGIN_FAILED",
+        "ACCOUNT_LOCKED",
+        "UNLOCK_ACCOUNT",
         "LOGOUT",
+        "LOGOUT_ALL",
+        "REVOKE_SESSION",
+        "REFRESH_TOKEN_REUSE",
+        "CHANGE_PASSWORD",
+        "REQUEST_PASSWORD_RESET",
+        "RESET_PASSWORD",
+        "RESEND_EMAIL_VERIFICATION",
+        "VERIFY_EMAIL",
+        "START_TWO_FACTOR_SETUP",
+        "ENABLE_TWO_FACTOR",
+        "DISABLE_TWO_FACTOR",
+        "REGENERATE_RECOVERY_CODES",
+        "UPDATE_TWO_FACTOR_POLICY",
         "CREATE_USER",
         "UPDATE_USER",
         "DELETE_USER",
+        "UPDATE_AVAILABILITY",
+        "JOIN_WAITLIST",
+        "LEAVE_WAITLIST",
+        "ACCEPT_WAITLIST_OFFER",
+        "DECLINE_WAITLIST_OFFER",
+        "UPDATE_NO_SHOW_POLICY",
+        "RESET_NO_SHOW_COUNT",
+        "START_MESSAGE_THREAD",
+        "VIEW_MESSAGE_THREAD",
+        "SEND_MESSAGE",
+        "UPDATE_NOTIFICATION_PREFERENCES",
       ],
     },
     resourceType: {
       type: String,
       required: true,
-      enum: ["Appointment", "PatientSummary", "VisitReport", "User", "Auth"],
+      enum: [
+        "Appointment",
+        "AppointmentSeries",
+        "PatientSummary",
+        "VisitReport",
+        "User",
+        "Auth",
+        "Session",
+        "DoctorAvailability",
+        "WaitlistEntry",
+        "WaitlistOffer",
+        "NoShowPolicy",
+        "TwoFactorPolicy",
+        "MessageThread",
+        "Message",
+        "NotificationPreference",
+      ],
     },
     resourceId: {
       type: mongoose.Schema.Types.ObjectId,
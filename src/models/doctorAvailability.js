@@ -0,0 +1,221 @@
+/**
+ * DoctorAvailability model — weekly working hours per doctor
+ *
+ * One document per doctor (unique index on `doctor`).  The weekly
+ * template lists working days with start / end times and breaks;
+ * date-specific exceptions override it for leave, holidays or
+ * one-off custom hours.  All times are 24-hour "HH:mm" strings.
+ */
+
+const mongoose = require("mongoose");
+const {
+  HHMM_PATTERN,
+  timeToMinutes,
+  toDateKey,
+} = require("../utils/time");
+
+const timeField = (label, required = true) => ({
+  type: String,
+  required: required ? [true, `${label} is required`] : false,
+  match: [HHMM_PATTERN, `${label} must be in HH:mm (24-hour) format`],
+});
+
+const breakSchema = new mongoose.Schema(
+  {
+    startTime: timeField("Break start time"),
+    endTime: timeField("Break end time"),
+    label: String,
+  },
+  { _id: false },
+);
+
+const workingDaySchema = new mongoose.Schema(
+  {
+    dayOfWeek: {
+      type: Number,
+      required: [true, "Day of week is required"],
+      min: 0, // Sunday
+      max: 6, // Saturday
+    },
+    startTime: timeField("Start time"),
+    endTime: timeField("End time"),
+    breaks: [breakSchema],
+  },
+  { _id: false },
+);
+
+const exceptionSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, "Exception date is required"],
+  },
+  type: {
+    type: String,
+    enum: ["leave", "holiday", "custom-hours"],
+    required: true,
+  },
+  // For leave / holiday: optional partial-day block (whole day if omitted).
+  // For custom-hours: replaces the weekly hours for that date.
+  startTime: timeField("Exception start time", false),
+  endTime: timeField("Exception end time", false),
+  reason: String,
+});
+
+const doctorAvailabilitySchema = new mongoose.Schema(
+  {
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    weeklySchedule: [workingDaySchema],
+    slotDuration: {
+      type: Number,
+      default: 30, // minutes
+      min: [5, "Slot duration must be at least 5 minutes"],
+      max: [240, "Slot duration cannot exceed 240 minutes"],
+    },
+    exceptions: [exceptionSchema],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Reject inverted ranges, duplicate days and breaks outside working hours
+doctorAvailabilitySchema.pre("validate", function (next) {
+  const seenDays = new Set();
+
+  for (const day of this.weeklySchedule) {
+    if (!day.startTime || !day.endTime) continue; // reported by field validators
+    if (seenDays.has(day.dayOfWeek)) {
+      this.invalidate(
+        "weeklySchedule",
+        `Day ${day.dayOfWeek} is listed more than once`,
+      );
+    }
+    seenDays.add(day.dayOfWeek);
+
+    const dayStart = timeToMinutes(day.startTime);
+    const dayEnd = timeToMinutes(day.endTime);
+    if (dayStart >= dayEnd) {
+      this.invalidate(
+        "weeklySchedule",
+        `End time must be after start time on day ${day.dayOfWeek}`,
+      );
+    }
+
+    for (const b of day.breaks) {
+      if (!b.startTime || !b.endTime) continue;
+      const breakStart = timeToMinutes(b.startTime);
+      const breakEnd = timeToMinutes(b.endTime);
+      if (breakStart >= breakEnd || breakStart < dayStart || breakEnd > dayEnd) {
+        this.invalidate(
+          "weeklySchedule",
+          `Break ${b.startTime}-${b.endTime} must fall within working hours on day ${day.dayOfWeek}`,
+        );
+      }
+    }
+  }
+
+  for (const ex of this.exceptions) {
+    const hasRange = ex.startTime && ex.endTime;
+    if (ex.type === "custom-hours" && !hasRange) {
+      this.invalidate(
+        "exceptions",
+        "Custom-hours exceptions require a start and end time",
+      );
+    }
+    if (
+      hasRange &&
+      timeToMinutes(ex.startTime) >= timeToMinutes(ex.endTime)
+    ) {
+      this.invalidate(
+        "exceptions",
+        "Exception end time must be after start time",
+      );
+    }
+  }
+
+  next();
+});
+
+// Remove [block.start, block.end) from a list of open windows
+const subtractRange = (windows, block) =>
+  windows.flatMap((w) => {
+    if (block.end <= w.start || block.start >= w.end) return [w];
+    const pieces = [];
+    if (block.start > w.start) pieces.push({ start: w.start, end: block.start });
+    if (block.end < w.end) pieces.push({ start: block.end, end: w.end });
+    return pieces;
+  });
+
+/**
+ * Open working windows for a calendar date, in minutes since midnight.
+ * Applies the weekly template, its breaks and any exceptions on that date.
+ */
+doctorAvailabilitySchema.methods.getWorkingWindows = function (date) {
+  const dateKey = toDateKey(date);
+  const dayOfWeek = new Date(date).getUTCDay();
+  const exceptions = this.exceptions.filter(
+    (ex) => toDateKey(ex.date) === dateKey,
+  );
+
+  const customHours = exceptions.find((ex) => ex.type === "custom-hours");
+  let windows = [];
+
+  if (customHours) {
+    windows = [
+      {
+        start: timeToMinutes(customHours.startTime),
+        end: timeToMinutes(customHours.endTime),
+      },
+    ];
+  } else {
+    const day = this.weeklySchedule.find((d) => d.dayOfWeek === dayOfWeek);
+    if (!day) return [];
+    windows = [
+      { start: timeToMinutes(day.startTime), end: timeToMinutes(day.endTime) },
+    ];
+    for (const b of day.breaks) {
+      windows = subtractRange(windows, {
+        start: timeToMinutes(b.startTime),
+        end: timeToMinutes(b.endTime),
+      });
+    }
+  }
+
+  for (const ex of exceptions) {
+    if (ex.type === "custom-hours") continue;
+    if (!ex.startTime || !ex.endTime) return []; // whole day off
+    windows = subtractRange(windows, {
+      start: timeToMinutes(ex.startTime),
+      end: timeToMinutes(ex.endTime),
+    });
+  }
+
+  return windows;
+};
+
+// True when [startMinutes, endMinutes) fits entirely in one open window
+doctorAvailabilitySchema.methods.isAvailable = function (
+  date,
+  startMinutes,
+  endMinutes,
+) {
+  return this.getWorkingWindows(date).some(
+    (w) => startMinutes >= w.start && endMinutes <= w.end,
+  );
+};
+
+const DoctorAvailability = mongoose.model(
+  "DoctorAvailability",
+  doctorAvailabilitySchema,
+);
+
+module.exports = DoctorAvailability;
@@ -0,0 +1,69 @@
+/**
+ * Job model — a unit of background work run by services/jobQueue
+ *
+ * A job becomes due at `runAt`.  Runners claim it by atomically moving
+ * it to "running" and stamping `lockedBy` / `lockedUntil`; a job whose
+ * lock lapses (its runner died mid-run) is claimed again by the next
+ * runner.  Failed runs go back to "pending" with a later `runAt` until
+ * `maxAttempts` is used up.  `uniqueKey`, when set, makes scheduling
+ * idempotent: several instances scheduling the same work create one job.
+ */
+
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "Job type is required"],
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    runAt: {
+      type: Date,
+      required: [true, "Run time is required"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed", "cancelled"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    uniqueKey: {
+      type: String,
+    },
+    lockedBy: {
+      type: String,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  },
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+
+const Job = mongoose.model("Job", jobSchema);
+
+module.exports = Job;
@@ -0,0 +1,49 @@
+/**
+ * Message model — a single message in a patient–doctor thread
+ *
+ * `recipient` is stored alongside `sender` so unread counts are a
+ * single indexed query per user.  `readAt` stays unset until the
+ * recipient opens the thread; setting it is the read receipt pushed
+ * back to the sender.
+ */
+
+const mongoose = require("mongoose");
+
+const messageSchema = new mongoose.Schema(
+  {
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MessageThread",
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    body: {
+      type: String,
+      required: [true, "Message cannot be empty"],
+      trim: true,
+      maxlength: [2000, "Message cannot be longer than 2000 characters"],
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+messageSchema.index({ thread: 1, _id: -1 });
+messageSchema.index({ recipient: 1, readAt: 1, thread: 1 });
+
+const Message = mongoose.model("Message", messageSchema);
+
+module.exports = Message;
@@ -0,0 +1,42 @@
+/**
+ * MessageThread model — one conversation between a patient and a doctor
+ *
+ * There is at most one thread per patient–doctor pair (unique index),
+ * opened once the patient has booked with that doctor.  The last
+ * message's time and a short preview are kept on the thread so the
+ * inbox can list conversations without reading every message.
+ */
+
+const mongoose = require("mongoose");
+
+const messageThreadSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lastMessageAt: {
+      type: Date,
+    },
+    lastMessagePreview: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+messageThreadSchema.index({ patient: 1, doctor: 1 }, { unique: true });
+messageThreadSchema.index({ doctor: 1, lastMessageAt: -1 });
+messageThreadSchema.index({ patient: 1, lastMessageAt: -1 });
+
+const MessageThread = mongoose.model("MessageThread", messageThreadSchema);
+
+module.exports = MessageThread;
@@ -0,0 +1,63 @@
+/**
+ * NoShowPolicy model — the clinic's rules for patients who miss visits
+ *
+ * A single document (key "default") edited by admins.  Appointments
+ * still scheduled or confirmed `graceMinutes` after their start are
+ * marked no-show by the sweeper in services/noShowService.  Once a
+ * patient's `noShowCount` reaches `threshold`, `action` decides what
+ * happens to their next booking: nothing, a refusal ("block"), or a
+ * booking held as pending-approval until an admin approves it.
+ */
+
+const mongoose = require("mongoose");
+
+const noShowPolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    action: {
+      type: String,
+      enum: ["none", "block", "require_approval"],
+      default: "none",
+    },
+    threshold: {
+      type: Number,
+      default: 3,
+      min: [1, "Threshold must be at least 1"],
+    },
+    graceMinutes: {
+      type: Number,
+      default: 15,
+      min: [0, "Grace period cannot be negative"],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// The clinic's policy, created with the defaults on first use
+noShowPolicySchema.statics.getCurrent = async function () {
+  try {
+    return await this.findOneAndUpdate(
+      { key: "default" },
+      { $setOnInsert: { key: "default" } },
+      { upsert: true, new: true, setDefaultsOnInsert: true },
+    );
+  } catch (error) {
+    // Two first uses raced to create it
+    if (error.code !== 11000) throw error;
+    return this.findOne({ key: "default" });
+  }
+};
+
+const NoShowPolicy = mongoose.model("NoShowPolicy", noShowPolicySchema);
+
+module.exports = NoShowPolicy;
@@ -0,0 +1,55 @@
+/**
+ * Notification model — a user's inbox of things that happened to them
+ *
+ * Every notifying socket event (new bookings, appointment changes,
+ * waitlist offers, new messages) is also stored here, so a user who was
+ * offline when it fired still finds it in the bell.  `type` is the
+ * socket event's name from the shared catalog; `readAt` is empty until
+ * the user reads it.
+ */
+
+const mongoose = require("mongoose");
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Client route to open, e.g. "/appointments"
+    link: {
+      type: String,
+    },
+    // Ids of what the notification is about, e.g. { appointment }
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+module.exports = Notification;
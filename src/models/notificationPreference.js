@@ -0,0 +1,78 @@
+/**
+ * NotificationPreference model — how each user wants to be told things
+ *
+ * One document per user, created on their first change; users without
+ * one get the defaults (email and in-app on, SMS off).  `channels` holds
+ * a switch for each type and channel in config/notifications.
+ *
+ * During quiet hours (wall-clock times in the user's `timezone`, or the
+ * clinic's) email and SMS are held until the quiet hours end; in-app
+ * notifications still go into the inbox.
+ */
+
+const mongoose = require("mongoose");
+const { HHMM_PATTERN } = require("../utils/time");
+const { isValidTimezone } = require("../config/clinic");
+const {
+  CHANNEL_DEFAULTS,
+  NOTIFICATION_TYPES,
+} = require("../config/notifications");
+
+// { appointment_booked: { email: { type: Boolean, default: true }, ... } }
+const channelFields = Object.fromEntries(
+  Object.entries(NOTIFICATION_TYPES).map(([type, { channels }]) => [
+    type,
+    Object.fromEntries(
+      channels.map((channel) => [
+        channel,
+        { type: Boolean, default: CHANNEL_DEFAULTS[channel] },
+      ]),
+    ),
+  ]),
+);
+
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    channels: channelFields,
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      start: {
+        type: String,
+        default: "22:00",
+        match: [HHMM_PATTERN, "Quiet hours must be in HH:mm (24-hour) format"],
+      },
+      end: {
+        type: String,
+        default: "07:00",
+        match: [HHMM_PATTERN, "Quiet hours must be in HH:mm (24-hour) format"],
+      },
+      // IANA zone; the clinic's when unset
+      timezone: {
+        type: String,
+        validate: {
+          validator: isValidTimezone,
+          message: "Unknown timezone",
+        },
+      },
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const NotificationPreference = mongoose.model(
+  "NotificationPreference",
+  notificationPreferenceSchema,
+);
+
+module.exports = NotificationPreference;
@@ -0,0 +1,51 @@
+/**
+ * PasswordResetToken model — a single-use "forgot password" link
+ *
+ * The token in the emailed link is never stored, only its SHA-256
+ * hash, so a leaked database cannot be used to reset passwords.
+ * `usedAt` makes the link single-use; asking for a new link removes
+ * the user's unused ones.  Documents are removed by a TTL index a day
+ * after they expire.
+ */
+
+const mongoose = require("mongoose");
+
+const TOKEN_RETENTION_SECONDS = 24 * 60 * 60;
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+passwordResetTokenSchema.index({ user: 1, usedAt: 1 });
+passwordResetTokenSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: TOKEN_RETENTION_SECONDS },
+);
+
+const PasswordResetToken = mongoose.model(
+  "PasswordResetToken",
+  passwordResetTokenSchema,
+);
+
+module.exports = PasswordResetToken;
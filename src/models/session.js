@@ -0,0 +1,81 @@
+/**
+ * Session model — one signed-in device
+ *
+ * Created at login / registration and named in every access token
+ * (`sid`), so revoking a session here locks that device out as soon as
+ * its next request or socket handshake is checked.  The refresh token
+ * itself is never stored, only a SHA-256 hash of its secret half; each
+ * refresh replaces it and keeps the old hash in `previousTokenHashes`,
+ * so a replayed token can be recognised as stolen (services/sessionService).
+ *
+ * `expiresAt` slides forward on every refresh.  Expired and revoked
+ * sessions are removed by a TTL index a week after they expire.
+ */
+
+const mongoose = require("mongoose");
+
+const SESSION_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hashes of the refresh tokens this one replaced, newest last
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+    },
+    userAgent: {
+      type: String,
+    },
+    ipAddress: {
+      type: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "revoked",
+        "logout_all",
+        "reuse_detected",
+        "password_changed",
+        "two_factor_required",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: SESSION_RETENTION_SECONDS },
+);
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
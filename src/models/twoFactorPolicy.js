@@ -0,0 +1,62 @@
+/**
+ * TwoFactorPolicy model — which staff roles must use two-factor sign-in
+ *
+ * A single document (key "default") edited by admins.  Members of a
+ * role in `requiredRoles` who haven't set up an authenticator app are
+ * asked to do so as part of signing in (services/twoFactorService),
+ * and cannot turn two-factor authentication off.
+ */
+
+const mongoose = require("mongoose");
+
+const twoFactorPolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    requiredRoles: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: ["admin", "doctor"],
+            message:
+              "Two-factor authentication can only be required for staff roles",
+          },
+        },
+      ],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// The clinic's policy, created with the defaults on first use
+twoFactorPolicySchema.statics.getCurrent = async function () {
+  try {
+    return await this.findOneAndUpdate(
+      { key: "default" },
+      { $setOnInsert: { key: "default" } },
+      { upsert: true, new: true, setDefaultsOnInsert: true },
+    );
+  } catch (error) {
+    // Two first uses raced to create it
+    if (error.code !== 11000) throw error;
+    return this.findOne({ key: "default" });
+  }
+};
+
+const TwoFactorPolicy = mongoose.model(
+  "TwoFactorPolicy",
+  twoFactorPolicySchema,
+);
+
+module.exports = TwoFactorPolicy;
@@ -5,6 +5,19 @@
  * The `toJSON` method strips the password so it never leaks in
  * API responses.  Doctor-specific fields (`specialization`,
  * `licenseNumber`) are conditionally required.
+ *
+ * New accounts start with `emailVerified` false until the user follows
+ * the emailed link (services/emailVerificationService); until then they
+ * cannot book appointments.
+ *
+ * Staff can add two-factor sign-in with an authenticator app
+ * (services/twoFactorService).  Its secret (encrypted) and the hashes
+ * of the recovery codes are never selected by default, and `toJSON`
+ * strips them too.
+ *
+ * Failed sign-ins are counted per account (services/accountLockoutService)
+ * so guessing a password from many addresses is slowed down and, after
+ * too many failures, stopped for a while.
  */
 
 const mongoose = require("mongoose");
@@ -88,12 +101,72 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // When the last verification link was sent, to throttle resends
+    verificationEmailSentAt: {
+      type: Date,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+    },
+    // Encrypted authenticator secret, and one being set up
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // The last time step a code was accepted for, so codes work once
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
+    // Sign-in attempts since the last success, by accountLockoutService
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // The next attempt is refused before this (the progressive delay)
+    nextLoginAttemptAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    // Missed appointments, counted by services/noShowService
+    noShowCount: {
+      type: Number,
+      default: 0,
+    },
+    lastNoShowAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
   },
 );
 
+// Index for the doctor directory
+userSchema.index({ role: 1, isActive: 1, lastName: 1 });
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -111,6 +184,10 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastStep;
   return user;
 };
 
@@ -0,0 +1,62 @@
+/**
+ * WaitlistEntry model — a patient waiting for an earlier slot
+ *
+ * The patient asks to be seen by a doctor on any day between
+ * `startDate` and `endDate` (calendar days at UTC midnight, both
+ * inclusive).  When an appointment in that range is cancelled the
+ * oldest waiting entry is offered the slot (see WaitlistOffer);
+ * `currentOffer` points at the hold while it is pending.
+ */
+
+const mongoose = require("mongoose");
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Patient is required"],
+    },
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Doctor is required"],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+    reason: {
+      type: String,
+      required: [true, "Reason for appointment is required"],
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "cancelled"],
+      default: "waiting",
+    },
+    currentOffer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WaitlistOffer",
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Next-in-line lookup: oldest waiting entry for a doctor and day
+waitlistEntrySchema.index({ doctor: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ patient: 1, status: 1 });
+
+const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
@@ -0,0 +1,85 @@
+/**
+ * WaitlistOffer model — a time-limited hold on a freed slot
+ *
+ * While `status` is "pending" and `expiresAt` is in the future the
+ * slot is held for one waitlisted patient: the scheduling service
+ * treats it as booked for everyone else.  Each slot (doctor +
+ * `startAt`) is offered to a given entry at most once, so an expired
+ * or declined offer moves on to the next patient in line.
+ */
+
+const mongoose = require("mongoose");
+
+const waitlistOfferSchema = new mongoose.Schema(
+  {
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WaitlistEntry",
+      required: true,
+    },
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Same wall-clock + instant pair as Appointment
+    appointmentDate: {
+      type: Date,
+      required: true,
+    },
+    appointmentTime: {
+      type: String,
+      required: true,
+    },
+    duration: {
+      type: Number,
+      required: true,
+    },
+    startAt: {
+      type: Date,
+      required: true,
+    },
+    endAt: {
+      type: Date,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "expired", "withdrawn"],
+      default: "pending",
+    },
+    respondedAt: {
+      type: Date,
+    },
+    // The cancelled appointment that freed the slot
+    sourceAppointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+    // The appointment booked when the offer was accepted
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+waitlistOfferSchema.index({ doctor: 1, status: 1, startAt: 1, endAt: 1 });
+waitlistOfferSchema.index({ status: 1, expiresAt: 1 });
+waitlistOfferSchema.index({ doctor: 1, startAt: 1, entry: 1 });
+
+const WaitlistOffer = mongoose.model("WaitlistOffer", waitlistOfferSchema);
+
+module.exports = WaitlistOffer;
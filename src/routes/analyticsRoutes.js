@@ -58,6 +58,8 @@ analyticsRouter.get(
  *     responses:
  *       200:
  *         description: Analytics retrieved successfully
+ *       400:
+ *         description: Invalid start or end date
  *       403:
  *         description: Access denied
  */
@@ -90,6 +92,8 @@ analyticsRouter.get(
  *     responses:
  *       200:
  *         description: Analytics retrieved successfully
+ *       400:
+ *         description: Invalid start or end date
  *       403:
  *         description: Access denied
  */
@@ -127,6 +131,8 @@ analyticsRouter.get(
  *     responses:
  *       200:
  *         description: Performance metrics retrieved successfully
+ *       400:
+ *         description: Invalid start or end date
  *       403:
  *         description: Access denied
  */
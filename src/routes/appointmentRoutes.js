@@ -2,11 +2,24 @@ const express = require("express");
 const {
   createAppointment,
   getAppointments,
+  getAvailableSlots,
   getAppointmentById,
   updateAppointment,
-  cancelAppointment
+  rescheduleAppointment,
+  updateAppointmentStatus,
+  checkInAppointment,
+  getVideoVisit,
+  cancelAppointment,
+  getAppointmentLink,
+  useAppointmentLink
 } = require("../controllers/appointmentController");
-const { authenticate, authorize } = require("../middleware/auth");
+const {
+  createSeries,
+  getSeries,
+  updateSeries,
+  cancelSeries
+} = require("../controllers/appointmentSeriesController");
+const { authenticate, authorize, requireVerifiedEmail } = require("../middleware/auth");
 
 const appointmentRouter = express.Router();
 
@@ -43,15 +56,20 @@ const appointmentRouter = express.Router();
  *                 type: string
  *               patientId:
  *                 type: string
+ *               visitType:
+ *                 type: string
+ *                 enum: [in-person, video]
  *     responses:
  *       201:
  *         description: Appointment created successfully
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: Email address not verified
  *       409:
  *         description: Time slot already booked
  */
-appointmentRouter.post("/", authenticate, authorize("patient", "admin"), createAppointment);
+appointmentRouter.post("/", authenticate, authorize("patient", "admin"), requireVerifiedEmail, createAppointment);
 
 /**
  * @swagger
@@ -90,6 +108,243 @@ appointmentRouter.post("/", authenticate, authorize("patient", "admin"), createA
  */
 appointmentRouter.get("/", authenticate, getAppointments);
 
+/**
+ * @swagger
+ * /api/appointments/available-slots:
+ *   get:
+ *     summary: Get bookable start times for a doctor
+ *     tags: [Appointments]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         description: Defaults to startDate; range is limited to 31 days
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: duration
+ *         description: Appointment length in minutes (defaults to the doctor's slot length)
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: excludeAppointmentId
+ *         description: Treat this appointment's time as free (for rescheduling)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Open slots grouped by date
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Doctor not found
+ */
+appointmentRouter.get("/available-slots", authenticate, getAvailableSlots);
+
+/**
+ * @swagger
+ * /api/appointments/series:
+ *   post:
+ *     summary: Book a recurring series of appointments
+ *     tags: [Appointments]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctorId
+ *               - startDate
+ *               - appointmentTime
+ *               - reason
+ *               - recurrence
+ *             properties:
+ *               doctorId:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               appointmentTime:
+ *                 type: string
+ *               duration:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *               patientId:
+ *                 type: string
+ *               visitType:
+ *                 type: string
+ *                 enum: [in-person, video]
+ *               recurrence:
+ *                 type: object
+ *                 properties:
+ *                   frequency:
+ *                     type: string
+ *                     enum: [daily, weekly, monthly]
+ *                   interval:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 12
+ *                   endDate:
+ *                     type: string
+ *                     format: date
+ *                     description: On or after startDate
+ *                   count:
+ *                     type: integer
+ *                     minimum: 1
+ *               skipConflicts:
+ *                 type: boolean
+ *                 description: Book only the free dates instead of failing on any conflict
+ *     responses:
+ *       201:
+ *         description: Series created with its occurrences
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Email address not verified
+ *       409:
+ *         description: One or more occurrences conflict with the doctor's schedule
+ */
+appointmentRouter.post("/series", authenticate, authorize("patient", "admin"), requireVerifiedEmail, createSeries);
+
+/**
+ * @swagger
+ * /api/appointments/series/{seriesId}:
+ *   get:
+ *     summary: Get a recurring series and its occurrences
+ *     tags: [Appointments]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *       404:
+ *         description: Series not found
+ *   put:
+ *     summary: Update every upcoming occurrence of a series
+ *     tags: [Appointments]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               appointmentTime:
+ *                 type: string
+ *               duration:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Series updated successfully
+ *       409:
+ *         description: An upcoming occurrence would conflict at the new time
+ *   delete:
+ *     summary: Cancel every upcoming occurrence of a series
+ *     tags: [Appointments]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cancelReason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Series cancelled successfully
+ */
+appointmentRouter.get("/series/:seriesId", authenticate, getSeries);
+appointmentRouter.put("/series/:seriesId", authenticate, authorize("admin", "doctor"), updateSeries);
+appointmentRouter.delete("/series/:seriesId", authenticate, cancelSeries);
+
+/**
+ * @swagger
+ * /api/appointments/links/{token}:
+ *   get:
+ *     summary: Show the appointment behind an emailed confirm / cancel link
+ *     description: No login needed; the signed link identifies the patient.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The link's action and appointment
+ *       400:
+ *         description: Invalid link
+ *       409:
+ *         description: Link already used
+ *       410:
+ *         description: Link expired or the appointment has changed
+ *   post:
+ *     summary: Confirm or cancel an appointment from an emailed link
+ *     description: Each link works once.  The doctor is notified.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment confirmed or cancelled
+ *       409:
+ *         description: Link already used
+ *       410:
+ *         description: Link expired or the appointment has changed
+ *       422:
+ *         description: The appointment can no longer be confirmed or cancelled
+ */
+appointmentRouter.get("/links/:token", getAppointmentLink);
+appointmentRouter.post("/links/:token", useAppointmentLink);
+
 /**
  * @swagger
  * /api/appointments/{id}:
@@ -138,16 +393,177 @@ appointmentRouter.get("/:id", authenticate, getAppointmentById);
  *                 format: date
  *               appointmentTime:
  *                 type: string
+ *               duration:
+ *                 type: number
  *               status:
  *                 type: string
  *               notes:
  *                 type: string
+ *               visitType:
+ *                 type: string
+ *                 enum: [in-person, video]
  *     responses:
  *       200:
  *         description: Appointment updated successfully
+ *       409:
+ *         description: New time conflicts with another appointment or is outside working hours
+ *       422:
+ *         description: Status transition not allowed, or appointment can no longer be rescheduled
  */
 appointmentRouter.put("/:id", authenticate, authorize("admin", "doctor"), updateAppointment);
 
+/**
+ * @swagger
+ * /api/appointments/{id}/reschedule:
+ *   post:
+ *     summary: Patient moves their own appointment
+ *     description: |
+ *       Governed by the clinic appointment policy: the current and new
+ *       times must both be at least RESCHEDULE_MIN_NOTICE_HOURS away and
+ *       an appointment may be moved at most RESCHEDULE_MAX_COUNT times.
+ *       Refused attempts are recorded in policyViolations.
+ *     tags: [Appointments]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - appointmentDate
+ *               - appointmentTime
+ *             properties:
+ *               appointmentDate:
+ *                 type: string
+ *                 format: date
+ *               appointmentTime:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment rescheduled; the doctor is notified
+ *       409:
+ *         description: New time conflicts with another appointment or is outside working hours
+ *       422:
+ *         description: Policy violation (RESCHEDULE_NOTICE_TOO_SHORT, RESCHEDULE_LIMIT_REACHED) or appointment no longer reschedulable
+ */
+appointmentRouter.post("/:id/reschedule", authenticate, authorize("patient"), rescheduleAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/status:
+ *   patch:
+ *     summary: Move an appointment through its lifecycle
+ *     description: |
+ *       scheduled → confirmed → checked-in → in-progress → completed;
+ *       cancelled and no-show are terminal.  Patients may confirm, check
+ *       in to or cancel their own appointments; every other move is for
+ *       doctors and admins.  Admins approve pending-approval bookings by
+ *       moving them to scheduled.
+ *     tags: [Appointments]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [scheduled, confirmed, checked-in, in-progress, completed, cancelled, no-show]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status updated and recorded in statusHistory
+ *       403:
+ *         description: Role may not make this transition
+ *       422:
+ *         description: Transition not allowed from the current status
+ */
+appointmentRouter.patch("/:id/status", authenticate, updateAppointmentStatus);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/check-in:
+ *   post:
+ *     summary: Check a patient in on arrival
+ *     description: |
+ *       Records the arrival time and puts the patient in the doctor's
+ *       waiting-room queue.  Front desk (admins) and the doctor can check
+ *       patients in on the day of the appointment; patients can check
+ *       themselves in from CHECK_IN_OPENS_MINUTES before the start until
+ *       the appointment's end.
+ *     tags: [Appointments]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Patient checked in
+ *       403:
+ *         description: Not this user's appointment
+ *       404:
+ *         description: Appointment not found
+ *       422:
+ *         description: Not checkable in now (CHECK_IN_NOT_OPEN, CHECK_IN_CLOSED, CHECK_IN_NOT_TODAY, INVALID_STATUS_TRANSITION)
+ */
+appointmentRouter.post("/:id/check-in", authenticate, checkInAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/video:
+ *   get:
+ *     summary: Join details for a video visit
+ *     description: |
+ *       Returns the visit's socket room and the ICE servers for
+ *       RTCPeerConnection.  Join the room with the `join_room` socket
+ *       event, then exchange `webrtc_offer`, `webrtc_answer` and
+ *       `webrtc_ice_candidate` messages (each carrying `room`).  Only
+ *       the appointment's patient and doctor may join.
+ *     tags: [Appointments]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Room name, ICE servers and the appointment
+ *       403:
+ *         description: Not the appointment's patient or doctor
+ *       404:
+ *         description: Appointment not found
+ *       422:
+ *         description: Not a video visit, or the visit is over (NOT_VIDEO_VISIT, VISIT_NOT_ACTIVE)
+ */
+appointmentRouter.get("/:id/video", authenticate, getVideoVisit);
+
 /**
  * @swagger
  * /api/appointments/{id}:
@@ -173,6 +589,8 @@ appointmentRouter.put("/:id", authenticate, authorize("admin", "doctor"), update
  *     responses:
  *       200:
  *         description: Appointment cancelled successfully
+ *       422:
+ *         description: Appointment is already completed, in progress or a no-show
  */
 appointmentRouter.delete("/:id", authenticate, cancelAppointment);
 
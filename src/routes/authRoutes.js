@@ -1,7 +1,7 @@
 const express = require("express");
-const { register, login, getMe, updateProfile, logout } = require("../controllers/authController");
-const { authenticate } = require("../middleware/auth");
-const { authLimiter } = require("../middleware/rateLimiter");
+const { register, login, loginTwoFactor, loginTwoFactorSetup, loginTwoFactorEnable, getMe, updateProfile, updatePassword, forgotPassword, resetForgottenPassword, verifyEmailAddress, resendVerificationEmail, overrideEmailVerification, unlockUserAccount, getTwoFactor, setupTwoFactor, enableTwoFactor, disableTwoFactorAuth, regenerateTwoFactorRecoveryCodes, refresh, getSessions, deleteSession, logoutAll, logout } = require("../controllers/authController");
+const { authenticate, authorize } = require("../middleware/auth");
+const { authLimiter, emailLimiter } = require("../middleware/rateLimiter");
 
 const authRouter = express.Router();
 
@@ -43,7 +43,7 @@ const authRouter = express.Router();
  *                 type: string
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered and signed in; a verification link is emailed
  *       400:
  *         description: Bad request
  */
@@ -71,12 +71,110 @@ authRouter.post("/register", authLimiter, register);
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: |
+ *           Login successful, or — for accounts with two-factor sign-in —
+ *           `twoFactorRequired` with a `challengeToken` to finish at
+ *           /api/auth/login/2fa (or, with `setupRequired`, to set it up
+ *           at /api/auth/login/2fa/setup first)
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account locked after too many failed sign-ins (ACCOUNT_LOCKED, with Retry-After)
+ *       429:
+ *         description: Too soon after a failed sign-in (LOGIN_THROTTLED, with Retry-After)
  */
 authRouter.post("/login", authLimiter, login);
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Finish signing in with an authenticator code or a recovery code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Wrong code, or the challenge has expired
+ *       423:
+ *         description: Account locked after too many failed sign-ins (ACCOUNT_LOCKED, with Retry-After)
+ *       429:
+ *         description: Too soon after a failed attempt (LOGIN_THROTTLED, with Retry-After)
+ */
+authRouter.post("/login/2fa", authLimiter, loginTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/login/2fa/setup:
+ *   post:
+ *     summary: Start the two-factor setup a sign-in requires
+ *     description: Returns a new secret with its otpauth:// URI and a QR code.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and QR code
+ *       401:
+ *         description: The challenge has expired
+ */
+authRouter.post("/login/2fa/setup", authLimiter, loginTwoFactorSetup);
+
+/**
+ * @swagger
+ * /api/auth/login/2fa/enable:
+ *   post:
+ *     summary: Finish the two-factor setup a sign-in requires, and sign in
+ *     description: Returns the recovery codes, once.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor sign-in on and login successful
+ *       400:
+ *         description: Wrong code
+ *       401:
+ *         description: The challenge has expired
+ */
+authRouter.post("/login/2fa/enable", authLimiter, loginTwoFactorEnable);
+
 /**
  * @swagger
  * /api/auth/me:
@@ -124,11 +222,388 @@ authRouter.get("/me", authenticate, getMe);
  */
 authRouter.put("/profile", authenticate, updateProfile);
 
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change the current user's password
+ *     description: Requires the current password.  Signs out the user's other sessions.
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Current password incorrect, or new password too weak or unchanged
+ *       401:
+ *         description: Unauthorized
+ */
+authRouter.put("/password", authenticate, updatePassword);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a single-use password reset link
+ *     description: Answers the same whether or not an account exists for the email.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Link sent if the account exists
+ *       429:
+ *         description: Too many requests
+ */
+authRouter.post("/forgot-password", emailLimiter, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset link token
+ *     description: The token works once and expires.  Signs the user out everywhere.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid, used or expired token, or password too weak
+ */
+authRouter.post("/reset-password", authLimiter, resetForgottenPassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with an emailed link token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified (or already was)
+ *       400:
+ *         description: Invalid token
+ *       410:
+ *         description: Link expired
+ */
+authRouter.post("/verify-email", authLimiter, verifyEmailAddress);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Email a new verification link to the signed-in user
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Link sent
+ *       400:
+ *         description: Email already verified
+ *       429:
+ *         description: A link was sent too recently (see Retry-After)
+ */
+authRouter.post("/resend-verification", authenticate, emailLimiter, resendVerificationEmail);
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/verify-email:
+ *   post:
+ *     summary: Mark a user's email address verified without a link
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email marked as verified
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: User not found
+ */
+authRouter.post("/users/:id/verify-email", authenticate, authorize("admin"), overrideEmailVerification);
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after too many failed sign-ins
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked, and its failed sign-ins forgotten
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: User not found
+ */
+authRouter.post("/users/:id/unlock", authenticate, authorize("admin"), unlockUserAccount);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get the user's two-factor sign-in status
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether it is on and required, and the recovery codes left
+ */
+authRouter.get("/2fa", authenticate, authorize("doctor", "admin"), getTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start setting up two-factor sign-in
+ *     description: Returns a new secret with its otpauth:// URI and a QR code.
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and QR code
+ *       409:
+ *         description: Already on
+ */
+authRouter.post("/2fa/setup", authenticate, authorize("doctor", "admin"), setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Turn two-factor sign-in on with a code from the new secret
+ *     description: Returns the recovery codes, once.
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor sign-in on
+ *       400:
+ *         description: Wrong code, or setup not started
+ */
+authRouter.post("/2fa/enable", authenticate, authorize("doctor", "admin"), authLimiter, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor sign-in off
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor sign-in off
+ *       400:
+ *         description: Wrong password or code
+ *       403:
+ *         description: Required for the user's role
+ */
+authRouter.post("/2fa/disable", authenticate, authorize("doctor", "admin"), authLimiter, disableTwoFactorAuth);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the two-factor recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Wrong code
+ */
+authRouter.post("/2fa/recovery-codes", authenticate, authorize("doctor", "admin"), authLimiter, regenerateTwoFactorRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Trade the refresh token cookie for a new access and refresh token
+ *     description: >
+ *       Each refresh token works once.  Presenting one that was already
+ *       replaced signs its session out (REFRESH_TOKEN_REUSED), except
+ *       within half a minute of the replacement (REFRESH_SUPERSEDED),
+ *       which is a concurrent refresh from another tab.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: New cookies set
+ *       401:
+ *         description: Missing, invalid, expired, revoked or reused refresh token
+ *       403:
+ *         description: Account deactivated
+ */
+authRouter.post("/refresh", authLimiter, refresh);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the signed-in devices of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, with the device, IP and when each was last used
+ *       401:
+ *         description: Unauthorized
+ */
+authRouter.get("/sessions", authenticate, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign one of the current user's devices out
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked and its sockets disconnected
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No such active session
+ */
+authRouter.delete("/sessions/:id", authenticate, deleteSession);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices, this one included
+ *     tags: [Authentication]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Every session revoked and cookies cleared
+ *       401:
+ *         description: Unauthorized
+ */
+authRouter.post("/logout-all", authenticate, logoutAll);
+
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: Logout user and clear cookie
+ *     summary: Logout user, ending this session and clearing its cookies
  *     tags: [Authentication]
  *     security:
  *       - cookieAuth: []
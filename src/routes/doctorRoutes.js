@@ -0,0 +1,262 @@
+/**
+ * doctorRoutes.js — Routes for the doctor directory
+ */
+
+const express = require("express");
+const {
+  getDoctors,
+  getSpecializations,
+  getDoctorById,
+} = require("../controllers/doctorController");
+const {
+  getAvailability,
+  updateAvailability,
+  addException,
+  removeException,
+} = require("../controllers/availabilityController");
+const { authenticate, authorize } = require("../middleware/auth");
+
+const doctorRouter = express.Router();
+
+/**
+ * @swagger
+ * /api/doctors:
+ *   get:
+ *     summary: List and search doctors
+ *     tags: [Doctors]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         description: Matched against first name, last name and specialization
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: specialization
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         description: Admin only — "true", "false" or "all"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Doctors retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+doctorRouter.get("/", authenticate, getDoctors);
+
+/**
+ * @swagger
+ * /api/doctors/specializations:
+ *   get:
+ *     summary: List specializations offered by active doctors
+ *     tags: [Doctors]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Specializations retrieved successfully
+ */
+doctorRouter.get("/specializations", authenticate, getSpecializations);
+
+/**
+ * @swagger
+ * /api/doctors/{id}:
+ *   get:
+ *     summary: Get a doctor's public profile
+ *     tags: [Doctors]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Doctor retrieved successfully
+ *       404:
+ *         description: Doctor not found
+ */
+doctorRouter.get("/:id", authenticate, getDoctorById);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/availability:
+ *   get:
+ *     summary: Get a doctor's weekly schedule and exceptions
+ *     tags: [Doctors]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Availability retrieved (null if no schedule is configured)
+ *       404:
+ *         description: Doctor not found
+ */
+doctorRouter.get("/:id/availability", authenticate, getAvailability);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/availability:
+ *   put:
+ *     summary: Create or replace a doctor's weekly schedule
+ *     tags: [Doctors]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               slotDuration:
+ *                 type: number
+ *               weeklySchedule:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     dayOfWeek:
+ *                       type: number
+ *                       description: 0 (Sunday) to 6 (Saturday)
+ *                     startTime:
+ *                       type: string
+ *                       example: "09:00"
+ *                     endTime:
+ *                       type: string
+ *                       example: "17:00"
+ *                     breaks:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           startTime:
+ *                             type: string
+ *                           endTime:
+ *                             type: string
+ *     responses:
+ *       200:
+ *         description: Availability updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ */
+doctorRouter.put(
+  "/:id/availability",
+  authenticate,
+  authorize("admin", "doctor"),
+  updateAvailability,
+);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/availability/exceptions:
+ *   post:
+ *     summary: Add leave, a holiday or custom hours for a date
+ *     tags: [Doctors]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - type
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               type:
+ *                 type: string
+ *                 enum: [leave, holiday, custom-hours]
+ *               startTime:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Exception added successfully
+ *       403:
+ *         description: Access denied
+ */
+doctorRouter.post(
+  "/:id/availability/exceptions",
+  authenticate,
+  authorize("admin", "doctor"),
+  addException,
+);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/availability/exceptions/{exceptionId}:
+ *   delete:
+ *     summary: Remove a date-specific exception
+ *     tags: [Doctors]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exception removed successfully
+ *       404:
+ *         description: Exception not found
+ */
+doctorRouter.delete(
+  "/:id/availability/exceptions/:exceptionId",
+  authenticate,
+  authorize("admin", "doctor"),
+  removeException,
+);
+
+module.exports = doctorRouter;
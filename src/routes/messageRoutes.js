@@ -0,0 +1,195 @@
+/**
+ * messageRoutes.js — Routes for patient–doctor messaging
+ */
+
+const express = require("express");
+const {
+  getThreads,
+  createThread,
+  getMessageContacts,
+  getUnreadCount,
+  getMessages,
+  postMessage,
+  markRead
+} = require("../controllers/messageController");
+const { authenticate, authorize } = require("../middleware/auth");
+
+const messageRouter = express.Router();
+
+/**
+ * @swagger
+ * /api/messages/threads:
+ *   get:
+ *     summary: List the user's conversations
+ *     description: Newest activity first, each with the other participant and an `unreadCount`.
+ *     tags: [Messages]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Conversations retrieved successfully
+ *       403:
+ *         description: Admins have no inbox
+ *   post:
+ *     summary: Open (or return) the conversation with a doctor or patient
+ *     description: |
+ *       Patients pass a doctor's id, doctors a patient's.  A new
+ *       conversation needs at least one appointment between the two.
+ *     tags: [Messages]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - participantId
+ *             properties:
+ *               participantId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Existing conversation returned
+ *       201:
+ *         description: Conversation started
+ *       403:
+ *         description: No appointment between the two (NO_CARE_RELATIONSHIP)
+ *       404:
+ *         description: Doctor or patient not found
+ */
+messageRouter.get("/threads", authenticate, authorize("patient", "doctor"), getThreads);
+messageRouter.post("/threads", authenticate, authorize("patient", "doctor"), createThread);
+
+/**
+ * @swagger
+ * /api/messages/contacts:
+ *   get:
+ *     summary: List who the user can message
+ *     description: A patient's doctors, or a doctor's patients, from their appointments.
+ *     tags: [Messages]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Contacts retrieved successfully
+ */
+messageRouter.get("/contacts", authenticate, authorize("patient", "doctor"), getMessageContacts);
+
+/**
+ * @swagger
+ * /api/messages/unread:
+ *   get:
+ *     summary: Get unread message counts
+ *     description: Returns `total` and a `threads` map of thread id to unread count.
+ *     tags: [Messages]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread counts retrieved successfully
+ */
+messageRouter.get("/unread", authenticate, authorize("patient", "doctor"), getUnreadCount);
+
+/**
+ * @swagger
+ * /api/messages/threads/{id}/messages:
+ *   get:
+ *     summary: Get a page of a conversation's messages
+ *     description: |
+ *       Returns up to `limit` messages in chronological order, ending
+ *       just before the `before` message (or at the latest message).
+ *       `hasMore` tells whether older messages remain.  Viewing a
+ *       conversation is recorded in the audit log.
+ *     tags: [Messages]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Id of the oldest message already loaded
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Messages retrieved successfully
+ *       400:
+ *         description: Invalid cursor
+ *       403:
+ *         description: Not part of this conversation
+ *       404:
+ *         description: Conversation not found
+ *   post:
+ *     summary: Send a message
+ *     description: Delivered live to both participants as a `new_message` socket event.
+ *     tags: [Messages]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *       400:
+ *         description: Empty or too long
+ *       403:
+ *         description: Not part of this conversation
+ *       404:
+ *         description: Conversation not found
+ */
+messageRouter.get("/threads/:id/messages", authenticate, authorize("patient", "doctor"), getMessages);
+messageRouter.post("/threads/:id/messages", authenticate, authorize("patient", "doctor"), postMessage);
+
+/**
+ * @swagger
+ * /api/messages/threads/{id}/read:
+ *   post:
+ *     summary: Mark a conversation as read
+ *     description: The sender is told through a `messages_read` socket event.
+ *     tags: [Messages]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation marked as read
+ *       403:
+ *         description: Not part of this conversation
+ *       404:
+ *         description: Conversation not found
+ */
+messageRouter.post("/threads/:id/read", authenticate, authorize("patient", "doctor"), markRead);
+
+module.exports = messageRouter;
@@ -0,0 +1,83 @@
+/**
+ * noShowPolicyRoutes.js — Routes for the clinic's no-show policy
+ */
+
+const express = require("express");
+const {
+  getNoShowPolicy,
+  updateNoShowPolicy,
+  resetNoShowCount,
+} = require("../controllers/noShowPolicyController");
+const { authenticate, authorize } = require("../middleware/auth");
+
+const noShowPolicyRouter = express.Router();
+
+/**
+ * @swagger
+ * /api/no-show-policy:
+ *   get:
+ *     summary: Get the no-show policy
+ *     tags: [No-show Policy]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Policy retrieved successfully
+ *   put:
+ *     summary: Update the no-show policy
+ *     description: |
+ *       Appointments still scheduled or confirmed `graceMinutes` after
+ *       their start are marked no-show.  Once a patient has `threshold`
+ *       no-shows, `action` blocks their bookings or holds them for
+ *       admin approval.
+ *     tags: [No-show Policy]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [none, block, require_approval]
+ *               threshold:
+ *                 type: integer
+ *                 minimum: 1
+ *               graceMinutes:
+ *                 type: integer
+ *                 minimum: 0
+ *     responses:
+ *       200:
+ *         description: Policy updated successfully
+ *       400:
+ *         description: Validation error
+ */
+noShowPolicyRouter.get("/", authenticate, authorize("admin"), getNoShowPolicy);
+noShowPolicyRouter.put("/", authenticate, authorize("admin"), updateNoShowPolicy);
+
+/**
+ * @swagger
+ * /api/no-show-policy/patients/{patientId}:
+ *   delete:
+ *     summary: Clear a patient's no-show count
+ *     tags: [No-show Policy]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: No-show count cleared
+ *       404:
+ *         description: Patient not found
+ */
+noShowPolicyRouter.delete("/patients/:patientId", authenticate, authorize("admin"), resetNoShowCount);
+
+module.exports = noShowPolicyRouter;
@@ -0,0 +1,153 @@
+/**
+ * notificationRoutes.js — Routes for the notification inbox
+ */
+
+const express = require("express");
+const {
+  getNotifications,
+  markRead,
+  markAllRead,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require("../controllers/notificationController");
+const { authenticate } = require("../middleware/auth");
+
+const notificationRouter = express.Router();
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List the user's notifications
+ *     description: |
+ *       Newest first.  Every response also carries the user's total
+ *       `unreadCount`.  Notifications are stored for booking changes,
+ *       waitlist offers and new messages, so users who were offline
+ *       still see them.
+ *     tags: [Notifications]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ */
+notificationRouter.get("/", authenticate, getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get the user's notification preferences
+ *     description: |
+ *       Returns the user's `preferences` (a switch per notification type
+ *       and channel, plus quiet hours) and the notification `types` with
+ *       their labels and the channels each can be sent on.  Users who
+ *       never changed anything get the defaults: email and in-app on,
+ *       SMS off, no quiet hours.
+ *     tags: [Notifications]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences retrieved successfully
+ *   put:
+ *     summary: Change the user's notification preferences
+ *     description: |
+ *       Only the switches and quiet-hours fields given are changed.
+ *       During quiet hours email and SMS are held until they end;
+ *       in-app notifications still arrive.
+ *     tags: [Notifications]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channels:
+ *                 type: object
+ *                 description: "{ <type>: { email?, inApp?, sms? } }"
+ *                 example:
+ *                   appointment_updated:
+ *                     email: false
+ *                     sms: true
+ *               quietHours:
+ *                 type: object
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   start:
+ *                     type: string
+ *                     example: "22:00"
+ *                   end:
+ *                     type: string
+ *                     example: "07:00"
+ *                   timezone:
+ *                     type: string
+ *                     nullable: true
+ *                     description: IANA zone; null uses the clinic's
+ *     responses:
+ *       200:
+ *         description: Preferences updated successfully
+ *       400:
+ *         description: Unknown type, a channel the type cannot use, or an invalid value
+ */
+notificationRouter.get("/preferences", authenticate, getNotificationPreferences);
+notificationRouter.put("/preferences", authenticate, updateNotificationPreferences);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications read
+ *     tags: [Notifications]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked read
+ */
+notificationRouter.post("/read-all", authenticate, markAllRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification read
+ *     tags: [Notifications]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked read
+ *       404:
+ *         description: Notification not found (or not the user's)
+ */
+notificationRouter.post("/:id/read", authenticate, markRead);
+
+module.exports = notificationRouter;
@@ -0,0 +1,58 @@
+/**
+ * twoFactorPolicyRoutes.js — Routes for the clinic's two-factor policy
+ */
+
+const express = require("express");
+const {
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+} = require("../controllers/twoFactorPolicyController");
+const { authenticate, authorize } = require("../middleware/auth");
+
+const twoFactorPolicyRouter = express.Router();
+
+/**
+ * @swagger
+ * /api/two-factor-policy:
+ *   get:
+ *     summary: Get the two-factor policy
+ *     tags: [Two-factor Policy]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Policy retrieved successfully
+ *   put:
+ *     summary: Choose which staff roles must use two-factor sign-in
+ *     description: |
+ *       Members of a newly required role who haven't set up an
+ *       authenticator app are signed out, and set it up when they next
+ *       sign in.  Requiring it for admins needs the calling admin to
+ *       have it on already.
+ *     tags: [Two-factor Policy]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requiredRoles
+ *             properties:
+ *               requiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [admin, doctor]
+ *     responses:
+ *       200:
+ *         description: Policy updated successfully
+ *       400:
+ *         description: Validation error, or the admin hasn't set up two-factor sign-in
+ */
+twoFactorPolicyRouter.get("/", authenticate, authorize("admin"), getTwoFactorPolicy);
+twoFactorPolicyRouter.put("/", authenticate, authorize("admin"), updateTwoFactorPolicy);
+
+module.exports = twoFactorPolicyRouter;
@@ -0,0 +1,48 @@
+/**
+ * waitingRoomRoutes.js — Routes for the live waiting-room queue
+ */
+
+const express = require("express");
+const { getWaitingRoom } = require("../controllers/waitingRoomController");
+const { authenticate, authorize } = require("../middleware/auth");
+
+const waitingRoomRouter = express.Router();
+
+/**
+ * @swagger
+ * /api/waiting-room/{doctorId}:
+ *   get:
+ *     summary: Get a doctor's waiting-room queue for a day
+ *     description: |
+ *       Lists who is with the doctor, who is waiting (with position and
+ *       minutes waited so far), who is still expected, and how many
+ *       visits are done.  Changes to today's queue are pushed as
+ *       `queue_update` socket events to the `queue_<doctorId>` room.
+ *     tags: [Waiting Room]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         description: Clinic day (YYYY-MM-DD); defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Queue retrieved successfully
+ *       400:
+ *         description: Invalid date
+ *       403:
+ *         description: Not this doctor's queue
+ *       404:
+ *         description: Doctor not found
+ */
+waitingRoomRouter.get("/:doctorId", authenticate, authorize("admin", "doctor"), getWaitingRoom);
+
+module.exports = waitingRoomRouter;
@@ -0,0 +1,150 @@
+/**
+ * waitlistRoutes.js — Routes for the appointment waitlist
+ */
+
+const express = require("express");
+const {
+  joinWaitlist,
+  getWaitlist,
+  leaveWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+} = require("../controllers/waitlistController");
+const { authenticate, authorize, requireVerifiedEmail } = require("../middleware/auth");
+
+const waitlistRouter = express.Router();
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   post:
+ *     summary: Join a doctor's waitlist for a range of days
+ *     description: |
+ *       When an appointment with the doctor in that range is cancelled,
+ *       the oldest waiting patient is offered the slot and it is held
+ *       for them for WAITLIST_OFFER_MINUTES.
+ *     tags: [Waitlist]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctorId
+ *               - startDate
+ *               - endDate
+ *               - reason
+ *             properties:
+ *               doctorId:
+ *                 type: string
+ *               patientId:
+ *                 type: string
+ *                 description: Admin only
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Added to the waitlist
+ *       403:
+ *         description: Email address not verified
+ *       409:
+ *         description: Already on this doctor's waitlist
+ *   get:
+ *     summary: List active waitlist entries with their current offers
+ *     tags: [Waitlist]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, booked, cancelled]
+ *       - in: query
+ *         name: doctorId
+ *         description: Admin only
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Waitlist entries retrieved successfully
+ */
+waitlistRouter.post("/", authenticate, authorize("patient", "admin"), requireVerifiedEmail, joinWaitlist);
+waitlistRouter.get("/", authenticate, getWaitlist);
+
+/**
+ * @swagger
+ * /api/waitlist/{id}:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     tags: [Waitlist]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed; any held slot moves to the next patient
+ *       404:
+ *         description: Waitlist entry not found
+ */
+waitlistRouter.delete("/:id", authenticate, leaveWaitlist);
+
+/**
+ * @swagger
+ * /api/waitlist/offers/{offerId}/accept:
+ *   post:
+ *     summary: Accept a waitlist offer and book the held slot
+ *     tags: [Waitlist]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Appointment booked
+ *       409:
+ *         description: Offer already answered or withdrawn
+ *       410:
+ *         description: Offer expired; the slot has moved on
+ */
+waitlistRouter.post("/offers/:offerId/accept", authenticate, authorize("patient"), requireVerifiedEmail, acceptWaitlistOffer);
+
+/**
+ * @swagger
+ * /api/waitlist/offers/{offerId}/decline:
+ *   post:
+ *     summary: Decline a waitlist offer
+ *     tags: [Waitlist]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer declined; the slot moves to the next patient
+ */
+waitlistRouter.post("/offers/:offerId/decline", authenticate, authorize("patient"), declineWaitlistOffer);
+
+module.exports = waitlistRouter;
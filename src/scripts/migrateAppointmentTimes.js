@@ -0,0 +1,128 @@
+/**
+ * migrateAppointmentTimes.js — Backfill UTC instants on appointments
+ *
+ * Older appointments only have a calendar date plus a free-form time
+ * string ("14:30" or "2:30 PM").  This script normalises the date to
+ * UTC midnight and the time to "HH:mm", then derives `startAt` /
+ * `endAt` in the clinic timezone exactly as new appointments are.
+ *
+ *   npm run migrate:appointment-times               # only documents without startAt
+ *   npm run migrate:appointment-times -- --recompute  # every document (after changing CLINIC_TIMEZONE)
+ *
+ * Safe to re-run: documents that are already converted are skipped
+ * unless --recompute is given.
+ */
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/database");
+const Appointment = require("../models/appointment");
+const AppointmentSeries = require("../models/appointmentSeries");
+const logger = require("../utils/logger");
+const { getClinicTimezone } = require("../config/clinic");
+const { normalizeTime, toDateKey } = require("../utils/time");
+
+const BATCH_SIZE = 500;
+
+// Send one batch; duplicates left behind by loose legacy data are reported, not fatal
+const flush = async (model, ops, summary) => {
+  if (!ops.length) return;
+  try {
+    const result = await model.bulkWrite(ops.splice(0), { ordered: false });
+    summary.updated += result.modifiedCount;
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    summary.updated += error.result?.modifiedCount ?? 0;
+    for (const writeError of error.writeErrors) {
+      summary.failed.push({
+        id: writeError.err?.op?.q?._id ?? writeError.index,
+        error: writeError.errmsg,
+      });
+    }
+  }
+};
+
+/**
+ * Convert appointments (and series times) to the new storage format.
+ *
+ * @param {{ recompute?: boolean, timeZone?: string }} [options]
+ * @returns {Promise<{ timeZone: string, scanned: number, updated: number, skipped: Array, failed: Array }>}
+ */
+const migrateAppointmentTimes = async ({
+  recompute = false,
+  timeZone = getClinicTimezone(),
+} = {}) => {
+  const summary = { timeZone, scanned: 0, updated: 0, skipped: [], failed: [] };
+  const filter = recompute ? {} : { startAt: { $exists: false } };
+  const ops = [];
+
+  const cursor = Appointment.find(filter).lean().cursor();
+  for await (const doc of cursor) {
+    summary.scanned += 1;
+
+    const appointmentTime = normalizeTime(doc.appointmentTime);
+    if (!appointmentTime || !doc.appointmentDate) {
+      summary.skipped.push({
+        id: doc._id,
+        reason: `Unparseable date/time: ${doc.appointmentDate} ${doc.appointmentTime}`,
+      });
+      continue;
+    }
+
+    const appointmentDate = new Date(
+      `${toDateKey(doc.appointmentDate)}T00:00:00.000Z`,
+    );
+    const { startAt, endAt } = Appointment.computeInstants(
+      appointmentDate,
+      appointmentTime,
+      doc.duration || 30,
+      timeZone,
+    );
+
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { appointmentDate, appointmentTime, startAt, endAt } },
+      },
+    });
+    if (ops.length >= BATCH_SIZE) await flush(Appointment, ops, summary);
+  }
+  await flush(Appointment, ops, summary);
+
+  // Series only carry the shared time string
+  const seriesList = await AppointmentSeries.find({}).lean();
+  const seriesOps = seriesList
+    .map((series) => ({ series, time: normalizeTime(series.appointmentTime) }))
+    .filter(({ series, time }) => time && time !== series.appointmentTime)
+    .map(({ series, time }) => ({
+      updateOne: {
+        filter: { _id: series._id },
+        update: { $set: { appointmentTime: time } },
+      },
+    }));
+  if (seriesOps.length) await AppointmentSeries.bulkWrite(seriesOps);
+
+  return summary;
+};
+
+if (require.main === module) {
+  (async () => {
+    await connectDB();
+    const recompute = process.argv.includes("--recompute");
+    const summary = await migrateAppointmentTimes({ recompute });
+
+    logger.info(
+      `Appointment time migration (${summary.timeZone}): scanned ${summary.scanned}, updated ${summary.updated}, skipped ${summary.skipped.length}, failed ${summary.failed.length}`,
+    );
+    [...summary.skipped, ...summary.failed].forEach((entry) =>
+      logger.warn(`Appointment ${entry.id}: ${entry.reason || entry.error}`),
+    );
+
+    await mongoose.connection.close();
+    process.exit(summary.failed.length ? 1 : 0);
+  })().catch((error) => {
+    logger.error("Appointment time migration failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrateAppointmentTimes };
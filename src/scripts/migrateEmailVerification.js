@@ -0,0 +1,53 @@
+/**
+ * migrateEmailVerification.js — Treat existing accounts as verified
+ *
+ * Email verification is required before booking, but accounts created
+ * before it existed never had a link to follow.  This script marks
+ * every user without an `emailVerified` field as verified (dated at
+ * their sign-up), so only new registrations have to verify.
+ *
+ *   npm run migrate:email-verification
+ *
+ * Safe to re-run: users that already have the field are left alone.
+ */
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/database");
+const User = require("../models/user");
+const logger = require("../utils/logger");
+
+/**
+ * Mark users from before email verification as verified.
+ *
+ * @returns {Promise<{ updated: number }>}
+ */
+const migrateEmailVerification = async () => {
+  const result = await User.updateMany({ emailVerified: { $exists: false } }, [
+    {
+      $set: {
+        emailVerified: true,
+        emailVerifiedAt: { $ifNull: ["$createdAt", "$$NOW"] },
+      },
+    },
+  ]);
+  return { updated: result.modifiedCount };
+};
+
+if (require.main === module) {
+  (async () => {
+    await connectDB();
+    const summary = await migrateEmailVerification();
+
+    logger.info(
+      `Email verification migration: marked ${summary.updated} existing user(s) verified`,
+    );
+
+    await mongoose.connection.close();
+    process.exit(0);
+  })().catch((error) => {
+    logger.error("Email verification migration failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrateEmailVerification };
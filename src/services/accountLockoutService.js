@@ -0,0 +1,217 @@
+/**
+ * accountLockoutService.js — Limiting password guessing per account
+ *
+ * authLimiter counts requests per IP address, so guesses spread over
+ * many addresses aren't limited by it.  Each account therefore counts
+ * its own sign-in attempts: a password or two-factor code is only
+ * checked once an attempt has been claimed, and the claim counts as a
+ * failure until the sign-in succeeds.
+ *
+ * After DELAY_FREE_ATTEMPTS failures each further attempt has to wait
+ * twice as long as the one before (1 s, 2 s, 4 s, … up to
+ * MAX_DELAY_SECONDS).  The failure that reaches LOGIN_LOCKOUT_THRESHOLD
+ * (default 10) locks the account for LOGIN_LOCKOUT_MINUTES (default
+ * 15).  Signing in, resetting the password or an admin unlocking the
+ * account starts the count again, as does a lock running out.
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/user");
+
+const DELAY_FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 30;
+const MINUTE_MS = 60 * 1000;
+
+// Read on every call so tests and scripts can change them via env
+const getLockoutThreshold = () => {
+  const attempts = Number(process.env.LOGIN_LOCKOUT_THRESHOLD);
+  return attempts > 0 ? attempts : 10;
+};
+
+const getLockoutMinutes = () => {
+  const minutes = Number(process.env.LOGIN_LOCKOUT_MINUTES);
+  return minutes > 0 ? minutes : 15;
+};
+
+const getClientUrl = () =>
+  (process.env.CLIENT_URL || "http://localhost:3000").split(",")[0].trim();
+
+const secondsUntil = (date, now) =>
+  Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+
+const lockedProblem = (lockedUntil, now) => {
+  const minutes = Math.ceil(secondsUntil(lockedUntil, now) / 60);
+  return {
+    problem: {
+      status: 423,
+      code: "ACCOUNT_LOCKED",
+      message: `Too many failed sign-in attempts. Your account is locked for ${minutes} more minute${minutes === 1 ? "" : "s"}, or until you reset your password.`,
+      lockedUntil,
+      retryAfter: secondsUntil(lockedUntil, now),
+    },
+  };
+};
+
+// How long the attempt after this one has to wait, doubling with each
+// failure (a pipeline expression over the updated count)
+const DELAY_SECONDS = {
+  $min: [
+    {
+      $pow: [2, { $subtract: ["$failedLoginAttempts", DELAY_FREE_ATTEMPTS] }],
+    },
+    MAX_DELAY_SECONDS,
+  ],
+};
+
+const throttledProblem = (retryAfter) => ({
+  problem: {
+    status: 429,
+    code: "LOGIN_THROTTLED",
+    message: `Too many failed sign-in attempts. Please wait ${retryAfter} seconds before trying again.`,
+    retryAfter,
+  },
+});
+
+/**
+ * Claim a sign-in attempt for the account, before its password or
+ * code is checked.  Refused while the account is locked or the delay
+ * after the last failure hasn't passed.  The claim is one update, so
+ * simultaneous guesses can't all slip through together.
+ *
+ * @returns {Promise<{ user, locked } | { problem }>} `locked` when a
+ *   failure of this attempt locks the account
+ */
+const claimLoginAttempt = async (userId, { now = new Date() } = {}) => {
+  const threshold = getLockoutThreshold();
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      $and: [
+        { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+        {
+          $or: [
+            { nextLoginAttemptAt: null },
+            { nextLoginAttemptAt: { $lte: now } },
+          ],
+        },
+      ],
+    },
+    [
+      {
+        $set: {
+          // A lock that has run out starts the count again
+          failedLoginAttempts: {
+            $cond: [
+              { $gt: ["$lockedUntil", null] },
+              1,
+              { $add: [{ $ifNull: ["$failedLoginAttempts", 0] }, 1] },
+            ],
+          },
+        },
+      },
+      {
+        $set: {
+          lockedUntil: {
+            $cond: [
+              { $gte: ["$failedLoginAttempts", threshold] },
+              new Date(now.getTime() + getLockoutMinutes() * MINUTE_MS),
+              null,
+            ],
+          },
+          nextLoginAttemptAt: {
+            $cond: [
+              { $gte: ["$failedLoginAttempts", DELAY_FREE_ATTEMPTS] },
+              { $add: [now, { $multiply: [DELAY_SECONDS, 1000] }] },
+              null,
+            ],
+          },
+        },
+      },
+    ],
+    { new: true },
+  );
+  if (user) return { user, locked: Boolean(user.lockedUntil) };
+
+  const current = await User.findById(userId);
+  if (current.lockedUntil > now) return lockedProblem(current.lockedUntil, now);
+  return throttledProblem(
+    current.nextLoginAttemptAt > now
+      ? secondsUntil(current.nextLoginAttemptAt, now)
+      : 1,
+  );
+};
+
+/**
+ * Give back an attempt whose password was right but which still needs
+ * a two-factor code, so the code can be entered straight away.  The
+ * code is an attempt of its own, so someone who knows the password is
+ * still limited in how many codes they can try.
+ */
+const releaseLoginAttempt = (userId) =>
+  User.updateOne({ _id: userId }, [
+    {
+      $set: {
+        failedLoginAttempts: {
+          $max: [{ $subtract: ["$failedLoginAttempts", 1] }, 0],
+        },
+        lockedUntil: null,
+        nextLoginAttemptAt: null,
+      },
+    },
+  ]);
+
+/**
+ * What to tell the owner of an account that was just locked: how long
+ * for, and where to reset the password if it wasn't them.
+ *
+ * @returns {{ name, minutes, resetUrl }}
+ */
+const buildLockoutNotice = (user) => ({
+  name: user.firstName,
+  minutes: getLockoutMinutes(),
+  resetUrl: `${getClientUrl()}/forgot-password`,
+});
+
+// Start the count again after a successful sign-in
+const clearLoginAttempts = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { failedLoginAttempts: 0 },
+      $unset: { lockedUntil: 1, nextLoginAttemptAt: 1 },
+    },
+  );
+
+/**
+ * Unlock an account on an admin's say-so.
+ *
+ * @returns {Promise<{ user, wasLocked } | { problem }>}
+ */
+const unlockAccount = async (userId, { now = new Date() } = {}) => {
+  const user = mongoose.isValidObjectId(userId)
+    ? await User.findById(userId)
+    : null;
+  if (!user) {
+    return {
+      problem: {
+        status: 404,
+        code: "USER_NOT_FOUND",
+        message: "User not found",
+      },
+    };
+  }
+
+  const wasLocked = user.lockedUntil > now;
+  await clearLoginAttempts(user._id);
+  return { user, wasLocked };
+};
+
+module.exports = {
+  DELAY_FREE_ATTEMPTS,
+  MAX_DELAY_SECONDS,
+  claimLoginAttempt,
+  releaseLoginAttempt,
+  buildLockoutNotice,
+  clearLoginAttempts,
+  unlockAccount,
+};
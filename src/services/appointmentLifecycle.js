@@ -0,0 +1,134 @@
+/**
+ * appointmentLifecycle.js — Appointment status state machine
+ *
+ *   [pending-approval →] scheduled → confirmed → checked-in → in-progress → completed
+ *
+ * Bookings held for admin approval (see noShowService) start as
+ * pending-approval.  Check-in is optional: staff may start a visit
+ * straight from confirmed.  `cancelled` and `no-show` are terminal and
+ * can be reached from scheduled or confirmed.  Each allowed transition
+ * lists the roles that may perform it; ownership (a doctor's own
+ * patients, a patient's own bookings) is checked by the controllers.
+ * Every applied transition stamps its timestamp field and appends to
+ * `statusHistory`.
+ */
+
+const STAFF = ["admin", "doctor"];
+const EVERYONE = ["admin", "doctor", "patient"];
+
+// from → { to: roles allowed to make that move }
+const STATUS_TRANSITIONS = {
+  "pending-approval": { scheduled: ["admin"], cancelled: EVERYONE },
+  scheduled: {
+    confirmed: EVERYONE,
+    "checked-in": EVERYONE,
+    cancelled: EVERYONE,
+    "no-show": STAFF,
+  },
+  confirmed: {
+    "checked-in": EVERYONE,
+    "in-progress": STAFF,
+    cancelled: EVERYONE,
+    "no-show": STAFF,
+  },
+  "checked-in": { "in-progress": STAFF, cancelled: STAFF },
+  "in-progress": { completed: STAFF },
+  completed: {},
+  cancelled: {},
+  "no-show": {},
+};
+
+// Field stamped when an appointment enters each status
+const STATUS_TIMESTAMPS = {
+  scheduled: "approvedAt",
+  confirmed: "confirmedAt",
+  "checked-in": "checkedInAt",
+  "in-progress": "startedAt",
+  completed: "completedAt",
+  cancelled: "cancelledAt",
+  "no-show": "noShowAt",
+};
+
+// Statuses an appointment can still be moved to another time from
+const RESCHEDULABLE_STATUSES = ["pending-approval", "scheduled", "confirmed"];
+
+// Statuses reachable from `status` by a user with `role`
+const getAllowedTransitions = (status, role) =>
+  Object.entries(STATUS_TRANSITIONS[status] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([next]) => next);
+
+/**
+ * Check a status change without applying it.
+ *
+ * Returns null when allowed, otherwise a problem object
+ * `{ status, code, message, allowedTransitions }` — 422 for a move the
+ * lifecycle does not permit, 403 for one this role may not make.
+ */
+const checkTransition = (from, to, role) => {
+  if (!(STATUS_TRANSITIONS[from] || {})[to]) {
+    return {
+      status: 422,
+      code: "INVALID_STATUS_TRANSITION",
+      message: `Cannot change appointment status from ${from} to ${to}`,
+      allowedTransitions: getAllowedTransitions(from, role),
+    };
+  }
+
+  if (!STATUS_TRANSITIONS[from][to].includes(role)) {
+    return {
+      status: 403,
+      code: "STATUS_TRANSITION_FORBIDDEN",
+      message: `A ${role} cannot change appointment status from ${from} to ${to}`,
+      allowedTransitions: getAllowedTransitions(from, role),
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Move `appointment` to status `to` in memory (caller saves).
+ *
+ * @param {import("mongoose").Document} appointment
+ * @param {string} to
+ * @param {{ userId: string, role: string, reason?: string, at?: Date }} actor
+ * @returns {object|null} problem object from checkTransition, or null on success
+ */
+const applyTransition = (
+  appointment,
+  to,
+  { userId, role, reason, at = new Date() },
+) => {
+  const from = appointment.status;
+  const problem = checkTransition(from, to, role);
+  if (problem) return problem;
+
+  appointment.status = to;
+  appointment[STATUS_TIMESTAMPS[to]] = at;
+  if (to === "in-progress") {
+    // A patient taken straight in arrived when the visit started
+    if (!appointment.checkedInAt) appointment.checkedInAt = at;
+    appointment.waitMinutes = Math.round(
+      (at - appointment.checkedInAt) / 60000,
+    );
+  }
+  appointment.statusHistory.push({
+    from,
+    to,
+    changedBy: userId,
+    role,
+    reason,
+    changedAt: at,
+  });
+  return null;
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  STATUS_TIMESTAMPS,
+  RESCHEDULABLE_STATUSES,
+  getAllowedTransitions,
+  checkTransition,
+  applyTransition,
+};
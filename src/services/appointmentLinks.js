@@ -0,0 +1,174 @@
+/**
+ * appointmentLinks.js — Signed confirm / cancel links for patient emails
+ *
+ * Each link is a JWT (signed with APPOINTMENT_LINK_SECRET, falling back
+ * to JWT_SECRET) naming an AppointmentLink document, which makes the
+ * link single-use and ties it to the appointment time it was sent for.
+ * Links expire when the appointment starts.  They point at the
+ * client's /appointment-link page, which shows the appointment and
+ * posts the action back, so mail scanners that prefetch URLs never
+ * confirm or cancel anything.
+ */
+
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Appointment = require("../models/appointment");
+const AppointmentLink = require("../models/appointmentLink");
+const logger = require("../utils/logger");
+
+const LINK_PURPOSE = "appointment_link";
+
+// Link action → the status it moves the appointment to
+const LINK_ACTIONS = {
+  confirm: "confirmed",
+  cancel: "cancelled",
+};
+
+// Which links an email may carry for each status
+const ACTIONS_BY_STATUS = {
+  scheduled: ["confirm", "cancel"],
+  confirmed: ["cancel"],
+};
+
+const ACTION_LABELS = {
+  confirm: "Confirm appointment",
+  cancel: "Cancel appointment",
+};
+
+const getLinkSecret = () =>
+  process.env.APPOINTMENT_LINK_SECRET || process.env.JWT_SECRET;
+
+const getClientUrl = () =>
+  (process.env.CLIENT_URL || "http://localhost:3000").split(",")[0].trim();
+
+const linkProblem = (status, code, message) => ({ status, code, message });
+
+/**
+ * Issue confirm / cancel links for an appointment's patient.
+ *
+ * Returns `[{ action, label, url }]` for the email template; empty when
+ * the appointment is past or no longer confirmable or cancellable.
+ * Never throws, so a failure only costs the email its buttons.
+ */
+const createAppointmentLinks = async (
+  appointment,
+  { now = new Date() } = {},
+) => {
+  const actions = ACTIONS_BY_STATUS[appointment.status] || [];
+  if (!actions.length || !appointment.startAt || appointment.startAt <= now) {
+    return [];
+  }
+
+  try {
+    const links = [];
+    for (const action of actions) {
+      const link = await AppointmentLink.create({
+        appointment: appointment._id,
+        action,
+        startAt: appointment.startAt,
+        expiresAt: appointment.startAt,
+      });
+      const token = jwt.sign(
+        {
+          purpose: LINK_PURPOSE,
+          action,
+          sub: appointment._id.toString(),
+          jti: link._id.toString(),
+          exp: Math.floor(appointment.startAt.getTime() / 1000),
+        },
+        getLinkSecret(),
+      );
+      links.push({
+        action,
+        label: ACTION_LABELS[action],
+        url: `${getClientUrl()}/appointment-link?token=${encodeURIComponent(token)}`,
+      });
+    }
+    return links;
+  } catch (error) {
+    logger.error(
+      `Creating links for appointment ${appointment._id} failed:`,
+      error.message,
+    );
+    return [];
+  }
+};
+
+/**
+ * Check a link token and load the link and its appointment (with the
+ * patient and doctor populated).
+ *
+ * @returns {Promise<{ link, appointment } | { problem }>}
+ */
+const resolveAppointmentLink = async (token, { now = new Date() } = {}) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, getLinkSecret(), {
+      clockTimestamp: Math.floor(now.getTime() / 1000),
+    });
+  } catch (error) {
+    return {
+      problem:
+        error.name === "TokenExpiredError"
+          ? linkProblem(410, "LINK_EXPIRED", "This link has expired")
+          : linkProblem(400, "INVALID_LINK", "This link is not valid"),
+    };
+  }
+
+  const link =
+    claims.purpose === LINK_PURPOSE && mongoose.isValidObjectId(claims.jti)
+      ? await AppointmentLink.findById(claims.jti)
+      : null;
+  if (
+    !link ||
+    link.appointment.toString() !== claims.sub ||
+    link.action !== claims.action
+  ) {
+    return {
+      problem: linkProblem(400, "INVALID_LINK", "This link is not valid"),
+    };
+  }
+  if (link.usedAt) {
+    return {
+      problem: linkProblem(409, "LINK_USED", "This link has already been used"),
+    };
+  }
+
+  const appointment = await Appointment.findById(link.appointment).populate([
+    { path: "patient", select: "firstName lastName email" },
+    { path: "doctor", select: "firstName lastName email specialization" },
+  ]);
+  if (!appointment) {
+    return {
+      problem: linkProblem(404, "NOT_FOUND", "Appointment not found"),
+    };
+  }
+  // Links from before a reschedule are stale
+  if (link.startAt.getTime() !== appointment.startAt.getTime()) {
+    return {
+      problem: linkProblem(
+        410,
+        "LINK_EXPIRED",
+        "The appointment has changed since this link was sent",
+      ),
+    };
+  }
+  return { link, appointment };
+};
+
+/**
+ * Mark a link used.  Resolves null if another request used it first.
+ */
+const claimAppointmentLink = (link, { now = new Date() } = {}) =>
+  AppointmentLink.findOneAndUpdate(
+    { _id: link._id, usedAt: null },
+    { usedAt: now },
+    { new: true },
+  );
+
+module.exports = {
+  LINK_ACTIONS,
+  createAppointmentLinks,
+  resolveAppointmentLink,
+  claimAppointmentLink,
+};
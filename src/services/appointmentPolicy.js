@@ -0,0 +1,108 @@
+/**
+ * appointmentPolicy.js — Clinic rules for patient self-service changes
+ *
+ * A patient may move their own appointment while it is still at least
+ * `minNoticeHours` away, to a time at least as far out, and no more
+ * than `maxReschedules` times.  Cancelling inside the notice window is
+ * allowed but marks the appointment as a late cancellation.  Breaches
+ * are recorded on the appointment's `policyViolations`; the controller
+ * also writes them to the audit log.
+ */
+
+const { getAppointmentPolicy } = require("../config/clinic");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursUntil = (instant, now) =>
+  (new Date(instant).getTime() - now.getTime()) / HOUR_MS;
+
+/**
+ * Check a patient's request to move `appointment` to `newStartAt`.
+ *
+ * Returns null when allowed, otherwise a problem object
+ * `{ status, code, message, violation, policy }`.
+ */
+const checkReschedulePolicy = (
+  appointment,
+  newStartAt,
+  { now = new Date(), policy = getAppointmentPolicy() } = {},
+) => {
+  const problem = (code, violation, message) => ({
+    status: 422,
+    code,
+    message,
+    violation,
+    policy,
+  });
+
+  if ((appointment.rescheduleCount || 0) >= policy.maxReschedules) {
+    return problem(
+      "RESCHEDULE_LIMIT_REACHED",
+      "MAX_RESCHEDULES",
+      `This appointment has already been rescheduled ${appointment.rescheduleCount} times; the limit is ${policy.maxReschedules}`,
+    );
+  }
+
+  if (hoursUntil(appointment.startAt, now) < policy.minNoticeHours) {
+    return problem(
+      "RESCHEDULE_NOTICE_TOO_SHORT",
+      "MIN_NOTICE",
+      `Appointments can only be rescheduled at least ${policy.minNoticeHours} hours in advance`,
+    );
+  }
+
+  if (hoursUntil(newStartAt, now) < policy.minNoticeHours) {
+    return problem(
+      "RESCHEDULE_NOTICE_TOO_SHORT",
+      "MIN_NOTICE",
+      `The new time must be at least ${policy.minNoticeHours} hours from now`,
+    );
+  }
+
+  return null;
+};
+
+// True when cancelling now falls inside the notice window and the clinic flags it
+const isLateCancellation = (
+  appointment,
+  { now = new Date(), policy = getAppointmentPolicy() } = {},
+) =>
+  policy.flagLateCancellations &&
+  hoursUntil(appointment.startAt, now) < policy.minNoticeHours;
+
+/**
+ * Append a breach to `appointment.policyViolations` (caller saves).
+ *
+ * @param {import("mongoose").Document} appointment
+ * @param {"MIN_NOTICE"|"MAX_RESCHEDULES"|"LATE_CANCELLATION"} type
+ * @param {{ userId: string, role: string, detail?: string, at?: Date }} actor
+ * @returns {object} the recorded entry
+ */
+const recordViolation = (
+  appointment,
+  type,
+  { userId, role, detail, at = new Date() },
+) => {
+  const violation = { type, user: userId, role, detail, occurredAt: at };
+  appointment.policyViolations.push(violation);
+  return violation;
+};
+
+// Mark a patient's cancellation inside the notice window (caller saves
+// and audits the returned violation)
+const flagLateCancellation = (appointment, user) => {
+  if (user.role !== "patient" || !isLateCancellation(appointment)) return null;
+  appointment.lateCancellation = true;
+  return recordViolation(appointment, "LATE_CANCELLATION", {
+    userId: user.id,
+    role: user.role,
+    detail: `Cancelled an appointment starting ${appointment.startAt.toISOString()}`,
+  });
+};
+
+module.exports = {
+  checkReschedulePolicy,
+  isLateCancellation,
+  recordViolation,
+  flagLateCancellation,
+};
@@ -0,0 +1,193 @@
+/**
+ * emailVerificationService.js — Confirming that users own their email
+ *
+ * Registration emails a link to the client's /verify-email page.  Its
+ * token is a JWT (signed with EMAIL_VERIFICATION_SECRET, falling back
+ * to JWT_SECRET) naming the user and the address it was sent to, and
+ * expires after EMAIL_VERIFICATION_HOURS (default 24).  Following a
+ * link twice is harmless, so links are not single-use.
+ *
+ * Users can ask for a new link once every RESEND_COOLDOWN_SECONDS;
+ * admins can mark an account verified without one.
+ */
+
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../models/user");
+
+const VERIFICATION_PURPOSE = "email_verification";
+const RESEND_COOLDOWN_SECONDS = 60;
+
+// Read on every call so tests and scripts can change it via env
+const getVerificationHours = () => {
+  const hours = Number(process.env.EMAIL_VERIFICATION_HOURS);
+  return hours > 0 ? hours : 24;
+};
+
+const getVerificationSecret = () =>
+  process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET;
+
+const getClientUrl = () =>
+  (process.env.CLIENT_URL || "http://localhost:3000").split(",")[0].trim();
+
+const verificationProblem = (status, code, message) => ({
+  problem: { status, code, message },
+});
+
+// Sign a link for the user's current address
+const buildVerificationLink = (user, now) => {
+  const expiresInHours = getVerificationHours();
+  const token = jwt.sign(
+    {
+      purpose: VERIFICATION_PURPOSE,
+      sub: user._id.toString(),
+      email: user.email,
+      iat: Math.floor(now.getTime() / 1000),
+    },
+    getVerificationSecret(),
+    { expiresIn: `${expiresInHours}h` },
+  );
+  const url = `${getClientUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  return { url, expiresInHours };
+};
+
+/**
+ * Issue a verification link for a newly registered user and note when
+ * it was sent.
+ *
+ * @returns {Promise<{ url, expiresInHours }>}
+ */
+const issueVerification = async (user, { now = new Date() } = {}) => {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { verificationEmailSentAt: now } },
+  );
+  return buildVerificationLink(user, now);
+};
+
+/**
+ * Issue a new link for a signed-in user who hasn't verified yet, at
+ * most once every RESEND_COOLDOWN_SECONDS.
+ *
+ * @returns {Promise<{ user, url, expiresInHours } | { problem }>}
+ */
+const resendVerification = async (userId, { now = new Date() } = {}) => {
+  const cooldownStart = new Date(
+    now.getTime() - RESEND_COOLDOWN_SECONDS * 1000,
+  );
+
+  // Claiming the send atomically keeps simultaneous resends to one email
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      emailVerified: { $ne: true },
+      $or: [
+        { verificationEmailSentAt: null },
+        { verificationEmailSentAt: { $lte: cooldownStart } },
+      ],
+    },
+    { $set: { verificationEmailSentAt: now } },
+    { new: true },
+  );
+  if (user) return { user, ...buildVerificationLink(user, now) };
+
+  const current = await User.findById(userId);
+  if (current.emailVerified) {
+    return verificationProblem(
+      400,
+      "ALREADY_VERIFIED",
+      "Your email address is already verified",
+    );
+  }
+  const retryAfter = Math.ceil(
+    (current.verificationEmailSentAt.getTime() +
+      RESEND_COOLDOWN_SECONDS * 1000 -
+      now.getTime()) /
+      1000,
+  );
+  return {
+    problem: {
+      status: 429,
+      code: "VERIFICATION_THROTTLED",
+      message: `A verification email was just sent. Please wait ${retryAfter} seconds before asking for another.`,
+      retryAfter,
+    },
+  };
+};
+
+// Set the flag; resolves the user, or null if they were already verified
+const markVerified = (userId, now) =>
+  User.findOneAndUpdate(
+    { _id: userId, emailVerified: { $ne: true } },
+    { $set: { emailVerified: true, emailVerifiedAt: now } },
+    { new: true },
+  );
+
+/**
+ * Verify the email address a link was sent to.  A link for an address
+ * the user no longer has is refused.
+ *
+ * @returns {Promise<{ user, alreadyVerified } | { problem }>}
+ */
+const verifyEmail = async (token, { now = new Date() } = {}) => {
+  const invalidLink = verificationProblem(
+    400,
+    "INVALID_VERIFICATION_TOKEN",
+    "This verification link is not valid",
+  );
+  if (typeof token !== "string" || !token) return invalidLink;
+
+  let claims;
+  try {
+    claims = jwt.verify(token, getVerificationSecret(), {
+      clockTimestamp: Math.floor(now.getTime() / 1000),
+    });
+  } catch (error) {
+    return error.name === "TokenExpiredError"
+      ? verificationProblem(
+          410,
+          "VERIFICATION_LINK_EXPIRED",
+          "This verification link has expired. Please request a new one.",
+        )
+      : invalidLink;
+  }
+
+  const user =
+    claims.purpose === VERIFICATION_PURPOSE &&
+    mongoose.isValidObjectId(claims.sub)
+      ? await User.findById(claims.sub)
+      : null;
+  if (!user || !user.isActive || user.email !== claims.email) {
+    return invalidLink;
+  }
+  if (user.emailVerified) return { user, alreadyVerified: true };
+
+  const verified = await markVerified(user._id, now);
+  return { user: verified || user, alreadyVerified: !verified };
+};
+
+/**
+ * Mark an account verified on an admin's say-so.
+ *
+ * @returns {Promise<{ user, alreadyVerified } | { problem }>}
+ */
+const overrideVerification = async (userId, { now = new Date() } = {}) => {
+  const user = mongoose.isValidObjectId(userId)
+    ? await User.findById(userId)
+    : null;
+  if (!user) {
+    return verificationProblem(404, "USER_NOT_FOUND", "User not found");
+  }
+  if (user.emailVerified) return { user, alreadyVerified: true };
+
+  const verified = await markVerified(user._id, now);
+  return { user: verified || user, alreadyVerified: !verified };
+};
+
+module.exports = {
+  RESEND_COOLDOWN_SECONDS,
+  issueVerification,
+  resendVerification,
+  verifyEmail,
+  overrideVerification,
+};
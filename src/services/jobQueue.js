@@ -0,0 +1,221 @@
+/**
+ * jobQueue.js — MongoDB-backed background jobs
+ *
+ * Work is stored as Job documents, so it survives restarts and can be
+ * shared by any number of app instances.  A runner polls for due jobs
+ * and claims each one with a single conditional update; only the
+ * runner that wins the claim executes the handler.  A runner that dies
+ * mid-job leaves a lock that lapses after `lockMs`, at which point the
+ * job is claimed again.  Handlers that throw are retried with
+ * exponential backoff until the job's `maxAttempts` is used up.
+ *
+ * Time comes from an injectable clock so tests can step through the
+ * schedule without waiting.
+ */
+
+const crypto = require("crypto");
+const os = require("os");
+const Job = require("../models/job");
+const logger = require("../utils/logger");
+
+const DEFAULT_LOCK_MS = 5 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 30 * 1000;
+const DEFAULT_BATCH_SIZE = 50;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+const systemClock = { now: () => new Date() };
+
+// 1 min, 2 min, 4 min ... capped at an hour
+const defaultRetryDelay = (attempts) =>
+  Math.min(60 * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Schedule a job.  With a `uniqueKey` the call is idempotent: an
+ * existing job with that key is returned as is, except that a
+ * cancelled one is re-armed for the new `runAt`.
+ *
+ * @returns {Promise<Job>}
+ */
+const scheduleJob = async ({
+  type,
+  payload = {},
+  runAt,
+  uniqueKey,
+  maxAttempts,
+}) => {
+  const fields = { type, payload, runAt };
+  if (maxAttempts) fields.maxAttempts = maxAttempts;
+
+  if (!uniqueKey) return Job.create(fields);
+
+  const rearmed = await Job.findOneAndUpdate(
+    { uniqueKey, status: "cancelled" },
+    {
+      $set: { ...fields, status: "pending", attempts: 0 },
+      $unset: { lastError: 1, lockedBy: 1, lockedUntil: 1 },
+    },
+    { new: true },
+  );
+  if (rearmed) return rearmed;
+
+  try {
+    return await Job.findOneAndUpdate(
+      { uniqueKey },
+      { $setOnInsert: { ...fields, uniqueKey } },
+      { upsert: true, new: true, setDefaultsOnInsert: true },
+    );
+  } catch (error) {
+    // Another instance inserted the same key between our find and insert
+    if (error.code !== 11000) throw error;
+    return Job.findOne({ uniqueKey });
+  }
+};
+
+/**
+ * Cancel pending jobs matching `filter` (running jobs finish normally).
+ *
+ * @returns {Promise<number>} jobs cancelled
+ */
+const cancelJobs = async (filter) => {
+  const result = await Job.updateMany(
+    { ...filter, status: "pending" },
+    { status: "cancelled" },
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Create a runner for the given handlers.
+ *
+ * `handlers` maps a job type to `async (job, context) => {}`, where
+ * context is `{ now, attempt, isFinalAttempt }`.  A handler signals
+ * failure by throwing.
+ */
+const createJobRunner = ({
+  handlers,
+  clock = systemClock,
+  workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`,
+  lockMs = DEFAULT_LOCK_MS,
+  batchSize = DEFAULT_BATCH_SIZE,
+  retryDelay = defaultRetryDelay,
+} = {}) => {
+  let timer = null;
+  let running = null;
+
+  // Take the next due job, or one whose runner's lock has lapsed
+  const claimNext = (now) =>
+    Job.findOneAndUpdate(
+      {
+        type: { $in: Object.keys(handlers) },
+        $or: [
+          { status: "pending", runAt: { $lte: now } },
+          { status: "running", lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "running",
+          lockedBy: workerId,
+          lockedUntil: new Date(now.getTime() + lockMs),
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true },
+    );
+
+  // Only the runner still holding the lock may record the outcome
+  const finish = (job, update) =>
+    Job.updateOne(
+      { _id: job._id, status: "running", lockedBy: workerId },
+      { ...update, $unset: { lockedBy: 1, lockedUntil: 1 } },
+    );
+
+  const runJob = async (job, now) => {
+    const isFinalAttempt = job.attempts >= job.maxAttempts;
+    try {
+      if (job.attempts > job.maxAttempts) {
+        throw new Error("Attempts exhausted");
+      }
+      await handlers[job.type](job, {
+        now,
+        attempt: job.attempts,
+        isFinalAttempt,
+      });
+      await finish(job, {
+        $set: { status: "completed", completedAt: clock.now() },
+      });
+      return "completed";
+    } catch (error) {
+      if (isFinalAttempt) {
+        logger.error(
+          `Job ${job._id} (${job.type}) failed after ${job.attempts} attempt(s): ${error.message}`,
+        );
+        await finish(job, {
+          $set: { status: "failed", lastError: error.message },
+        });
+        return "failed";
+      }
+      logger.warn(
+        `Job ${job._id} (${job.type}) attempt ${job.attempts} failed: ${error.message}`,
+      );
+      await finish(job, {
+        $set: {
+          status: "pending",
+          lastError: error.message,
+          runAt: new Date(clock.now().getTime() + retryDelay(job.attempts)),
+        },
+      });
+      return "retry";
+    }
+  };
+
+  /**
+   * Run every job that is due now, up to `batchSize`.
+   *
+   * @returns {Promise<{ completed: number, failed: number, retried: number }>}
+   */
+  const runDue = async () => {
+    const summary = { completed: 0, failed: 0, retried: 0 };
+    for (let i = 0; i < batchSize; i += 1) {
+      const now = clock.now();
+      const job = await claimNext(now);
+      if (!job) break;
+
+      const outcome = await runJob(job, now);
+      if (outcome === "completed") summary.completed += 1;
+      else if (outcome === "failed") summary.failed += 1;
+      else summary.retried += 1;
+    }
+    return summary;
+  };
+
+  // Poll on an interval; the timer does not keep the process alive and
+  // a slow batch is never overlapped by the next tick
+  const start = (intervalMs = DEFAULT_POLL_INTERVAL_MS) => {
+    if (timer) return timer;
+    timer = setInterval(() => {
+      if (running) return;
+      running = runDue()
+        .catch((error) => logger.error("Job runner failed:", error.message))
+        .finally(() => {
+          running = null;
+        });
+    }, intervalMs);
+    timer.unref();
+    return timer;
+  };
+
+  const stop = async () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+    if (running) await running;
+  };
+
+  return { workerId, runDue, start, stop };
+};
+
+module.exports = {
+  scheduleJob,
+  cancelJobs,
+  createJobRunner,
+};
@@ -0,0 +1,181 @@
+/**
+ * messagingService.js — Who may message whom, and unread bookkeeping
+ *
+ * Patients message their doctors: a thread can only be opened between
+ * a patient and a doctor who share at least one appointment, and only
+ * those two can read or write it; not even admins see the messages.
+ * Controllers and the socket `typing` handler both go through
+ * getThreadForUser so REST and real-time use the same rules.
+ */
+
+const mongoose = require("mongoose");
+const Appointment = require("../models/appointment");
+const MessageThread = require("../models/messageThread");
+const Message = require("../models/message");
+const User = require("../models/user");
+
+const PREVIEW_LENGTH = 120;
+const CONTACT_FIELDS = "firstName lastName role specialization";
+
+const messagingProblem = (status, code, message) => ({
+  status,
+  code,
+  message,
+});
+
+// The thread's other participant, as an id string
+const getOtherParticipant = (thread, userId) =>
+  thread.patient.toString() === String(userId)
+    ? thread.doctor.toString()
+    : thread.patient.toString();
+
+const toPreview = (body) =>
+  body.length > PREVIEW_LENGTH ? `${body.slice(0, PREVIEW_LENGTH - 1)}…` : body;
+
+/**
+ * Load a thread the user takes part in.
+ *
+ * @returns {Promise<{ thread } | { problem }>}
+ */
+const getThreadForUser = async (threadId, userId) => {
+  const thread = mongoose.isValidObjectId(threadId)
+    ? await MessageThread.findById(threadId)
+    : null;
+  if (!thread) {
+    return {
+      problem: messagingProblem(404, "NOT_FOUND", "Conversation not found"),
+    };
+  }
+  const participants = [thread.patient.toString(), thread.doctor.toString()];
+  if (!participants.includes(String(userId))) {
+    return {
+      problem: messagingProblem(
+        403,
+        "THREAD_ACCESS_DENIED",
+        "You are not part of this conversation",
+      ),
+    };
+  }
+  return { thread };
+};
+
+/**
+ * Find or open the thread between a patient or doctor and the person
+ * they want to message.
+ *
+ * @returns {Promise<{ thread, created } | { problem }>}
+ */
+const openThread = async (user, participantId) => {
+  const otherRole = user.role === "patient" ? "doctor" : "patient";
+  const other = mongoose.isValidObjectId(participantId)
+    ? await User.findOne({ _id: participantId, role: otherRole })
+    : null;
+  if (!other) {
+    return {
+      problem: messagingProblem(
+        404,
+        "NOT_FOUND",
+        `${otherRole === "doctor" ? "Doctor" : "Patient"} not found`,
+      ),
+    };
+  }
+
+  const pair =
+    user.role === "patient"
+      ? { patient: user.id, doctor: other._id }
+      : { patient: other._id, doctor: user.id };
+
+  const existing = await MessageThread.findOne(pair);
+  if (existing) return { thread: existing, created: false };
+
+  const hasBooked = await Appointment.exists(pair);
+  if (!hasBooked) {
+    return {
+      problem: messagingProblem(
+        403,
+        "NO_CARE_RELATIONSHIP",
+        "Messaging is only available between a patient and their doctors",
+      ),
+    };
+  }
+
+  try {
+    const thread = await MessageThread.create(pair);
+    return { thread, created: true };
+  } catch (error) {
+    // Both sides opened the thread at once; use the one that won
+    if (error.code !== 11000) throw error;
+    return { thread: await MessageThread.findOne(pair), created: false };
+  }
+};
+
+// Store a message and move the thread's last-message summary forward
+const sendMessage = async (thread, senderId, body) => {
+  const message = await Message.create({
+    thread: thread._id,
+    sender: senderId,
+    recipient: getOtherParticipant(thread, senderId),
+    body,
+  });
+  thread.lastMessageAt = message.createdAt;
+  thread.lastMessagePreview = toPreview(message.body);
+  await thread.save();
+  return message;
+};
+
+/**
+ * Mark everything the user has received in a thread as read.
+ *
+ * @returns {Promise<{ count: number, readAt: Date }>}
+ */
+const markThreadRead = async (thread, userId, readAt = new Date()) => {
+  const { modifiedCount } = await Message.updateMany(
+    { thread: thread._id, recipient: userId, readAt: null },
+    { $set: { readAt } },
+  );
+  return { count: modifiedCount, readAt };
+};
+
+/**
+ * Unread messages for a user, in total and per thread.
+ *
+ * @returns {Promise<{ total: number, threads: Object<string, number> }>}
+ */
+const getUnreadCounts = async (userId) => {
+  const rows = await Message.aggregate([
+    {
+      $match: {
+        recipient: new mongoose.Types.ObjectId(String(userId)),
+        readAt: null,
+      },
+    },
+    { $group: { _id: "$thread", count: { $sum: 1 } } },
+  ]);
+  const threads = Object.fromEntries(
+    rows.map((row) => [row._id.toString(), row.count]),
+  );
+  const total = rows.reduce((sum, row) => sum + row.count, 0);
+  return { total, threads };
+};
+
+// The doctors a patient has booked with, or the patients a doctor has seen
+const getContacts = async (user) => {
+  const [field, filter] =
+    user.role === "patient"
+      ? ["doctor", { patient: user.id }]
+      : ["patient", { doctor: user.id }];
+  const ids = await Appointment.distinct(field, filter);
+  return User.find({ _id: { $in: ids } })
+    .select(CONTACT_FIELDS)
+    .sort({ lastName: 1, firstName: 1 });
+};
+
+module.exports = {
+  getOtherParticipant,
+  getThreadForUser,
+  openThread,
+  sendMessage,
+  markThreadRead,
+  getUnreadCounts,
+  getContacts,
+};
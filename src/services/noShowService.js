@@ -0,0 +1,134 @@
+/**
+ * noShowService.js — Mark missed appointments and apply the no-show policy
+ *
+ * The sweeper marks appointments that are still scheduled or confirmed
+ * (nobody checked the patient in) once the policy's grace period after
+ * their start has passed.  Every no-show, automatic or marked by staff,
+ * bumps the patient's `noShowCount`; once that reaches the policy
+ * threshold, new bookings by the patient are refused or held for admin
+ * approval.
+ *
+ * Appointments are claimed with a conditional update on their status,
+ * so several sweeper instances never mark or count the same one twice.
+ */
+
+const Appointment = require("../models/appointment");
+const NoShowPolicy = require("../models/noShowPolicy");
+const User = require("../models/user");
+const logger = require("../utils/logger");
+const { SERVER_EVENTS } = require("../utils/socketEvents");
+const { dispatchNotification } = require("./notificationDispatcher");
+const { publishQueueUpdate } = require("./waitingRoomService");
+
+const DEFAULT_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const SWEEPABLE_STATUSES = ["scheduled", "confirmed"];
+
+// Count a missed appointment against the patient
+const recordNoShow = (patientId, at = new Date()) =>
+  User.updateOne(
+    { _id: patientId },
+    { $inc: { noShowCount: 1 }, $set: { lastNoShowAt: at } },
+  );
+
+/**
+ * Decide how a patient's new booking is treated under the policy.
+ *
+ * @returns {Promise<{ status: string } | { problem: object }>} the
+ *   status to create the appointment with, or a 403 problem when the
+ *   patient is blocked
+ */
+const checkNoShowPolicy = async (patientId) => {
+  const policy = await NoShowPolicy.getCurrent();
+  if (policy.action === "none") return { status: "scheduled" };
+
+  const patient = await User.findById(patientId).select("noShowCount");
+  if (!patient || patient.noShowCount < policy.threshold) {
+    return { status: "scheduled" };
+  }
+
+  if (policy.action === "block") {
+    return {
+      problem: {
+        status: 403,
+        code: "NO_SHOW_LIMIT_REACHED",
+        message: `Online booking is blocked after ${policy.threshold} missed appointments. Please contact the clinic.`,
+        noShowCount: patient.noShowCount,
+        threshold: policy.threshold,
+      },
+    };
+  }
+  return { status: "pending-approval" };
+};
+
+/**
+ * Mark every appointment past its grace period as no-show.
+ *
+ * @returns {Promise<number>} appointments marked by this call
+ */
+const markNoShows = async ({ io, now = new Date() } = {}) => {
+  const policy = await NoShowPolicy.getCurrent();
+  const cutoff = new Date(now.getTime() - policy.graceMinutes * 60 * 1000);
+  const reason = `Not checked in within ${policy.graceMinutes} minutes of the start time`;
+
+  const due = await Appointment.find({
+    status: { $in: SWEEPABLE_STATUSES },
+    startAt: { $lte: cutoff },
+  }).select("_id status");
+
+  let marked = 0;
+  const doctors = new Map();
+  for (const { _id, status } of due) {
+    const appointment = await Appointment.findOneAndUpdate(
+      { _id, status },
+      {
+        $set: { status: "no-show", noShowAt: now },
+        $push: {
+          statusHistory: {
+            from: status,
+            to: "no-show",
+            role: "system",
+            reason,
+            changedAt: now,
+          },
+        },
+      },
+      { new: true },
+    );
+    if (!appointment) continue; // changed since we looked
+
+    await recordNoShow(appointment.patient, now);
+    marked += 1;
+    doctors.set(appointment.doctor.toString(), appointment.startAt);
+
+    await dispatchNotification(io, {
+      event: SERVER_EVENTS.APPOINTMENT_UPDATED,
+      payload: appointment,
+      recipients: [appointment.patient, appointment.doctor],
+    });
+  }
+
+  for (const [doctorId, startAt] of doctors) {
+    await publishQueueUpdate(io, doctorId, [startAt], { now });
+  }
+
+  if (marked) logger.info(`Marked ${marked} appointment(s) as no-show`);
+  return marked;
+};
+
+// Periodically mark no-shows; the timer does not keep the process alive
+const startNoShowSweeper = (io, intervalMs = DEFAULT_SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    markNoShows({ io }).catch((error) =>
+      logger.error("No-show sweep failed:", error.message),
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  recordNoShow,
+  checkNoShowPolicy,
+  markNoShows,
+  startNoShowSweeper,
+};
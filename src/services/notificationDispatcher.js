@@ -0,0 +1,202 @@
+/**
+ * notificationDispatcher.js — Decides who hears about what, and how
+ *
+ * Controllers and background jobs describe what happened (the catalog
+ * event and payload, who is affected, who did it, and the email to send)
+ * and `dispatchNotification` routes it.  For each recipient it:
+ *
+ *   - pushes the event to their `user_<id>` room, always, so their open
+ *     pages refresh;
+ *   - stores an inbox notification (the in-app channel);
+ *   - sends them the email, when the caller supplied one for them;
+ *   - texts them the inbox title and message (the SMS channel).
+ *
+ * Each channel follows the recipient's preferences for the notification
+ * type (notificationPreferences).  The user who made the change gets no
+ * inbox entry or text; whether they get an email, such as a booking
+ * confirmation, is up to the caller.  Delivery never fails the request.
+ *
+ * Email and SMS that fall in the recipient's quiet hours are queued as
+ * `notification_delivery` jobs for when the quiet hours end, and dropped
+ * instead if the notice expires before then (a waitlist hold).
+ */
+
+const User = require("../models/user");
+const logger = require("../utils/logger");
+const { SERVER_EVENTS, emitEvent } = require("../utils/socketEvents");
+const {
+  sendAppointmentEmail,
+  deliverAppointmentEmail,
+} = require("../utils/email");
+const { sendSms, deliverSms } = require("../utils/sms");
+const { scheduleJob, createJobRunner } = require("./jobQueue");
+const {
+  describeNotification,
+  storeNotification,
+} = require("./notificationService");
+const {
+  getPreferences,
+  getPreferencesFor,
+  wantsChannel,
+  getQuietHoursEnd,
+} = require("./notificationPreferences");
+
+const DELIVERY_JOB = "notification_delivery";
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+
+// Preference type of each notifying event, unless the caller says otherwise
+const TYPE_BY_EVENT = {
+  [SERVER_EVENTS.APPOINTMENT_CREATED]: "appointment_booked",
+  [SERVER_EVENTS.APPOINTMENT_UPDATED]: "appointment_updated",
+  [SERVER_EVENTS.APPOINTMENT_CANCELLED]: "appointment_cancelled",
+  [SERVER_EVENTS.WAITLIST_OFFER]: "waitlist_offer",
+  [SERVER_EVENTS.NEW_MESSAGE]: "new_message",
+};
+
+const idOf = (ref) => String(ref?._id || ref);
+
+// "ClinicHub: Appointment cancelled. Your appointment with ..."
+const smsText = ({ title, message }) => `ClinicHub: ${title}. ${message}`;
+
+// Send now, or hold until the recipient's quiet hours are over
+const deliver = async (channel, user, preferences, content, notice) => {
+  const heldUntil = getQuietHoursEnd(preferences, notice.now);
+  if (!heldUntil) {
+    return channel === "email"
+      ? sendAppointmentEmail(user.email, content.subject, content.details)
+      : sendSms(user.phone, content.text);
+  }
+  if (notice.expiresAt && heldUntil >= notice.expiresAt) return;
+
+  await scheduleJob({
+    type: DELIVERY_JOB,
+    payload: {
+      userId: user.id,
+      type: notice.type,
+      channel,
+      expiresAt: notice.expiresAt,
+      ...content,
+    },
+    runAt: heldUntil,
+  });
+};
+
+/**
+ * Tell the recipients about an event on the channels they chose.
+ *
+ * @param {object|undefined} io  Socket.IO server; may be missing in jobs
+ * @param {object} notice
+ * @param {string} notice.event  catalog event name (SERVER_EVENTS)
+ * @param {object} notice.payload  the event's payload
+ * @param {Array} notice.recipients  users, as ids or documents
+ * @param {string} [notice.actorId]  who caused it; gets no inbox entry or text
+ * @param {string} [notice.type]  preference type; defaults from the event
+ * @param {object|function} [notice.email]  `{ subject, details }` for
+ *   every recipient, or `(user) => ({ subject, details }) | null`
+ * @param {Date} [notice.expiresAt]  don't deliver held email / SMS after this
+ * @param {Date} [notice.now]
+ */
+const dispatchNotification = async (
+  io,
+  {
+    event,
+    payload,
+    recipients,
+    actorId,
+    type = TYPE_BY_EVENT[event],
+    email,
+    expiresAt,
+    now = new Date(),
+  },
+) => {
+  const userIds = [...new Set(recipients.map(idOf))];
+  if (io) {
+    for (const userId of userIds) {
+      emitEvent(io.to(`user_${userId}`), event, payload);
+    }
+  }
+
+  try {
+    const [users, preferences] = await Promise.all([
+      User.find({ _id: { $in: userIds } }).select(
+        "firstName lastName email phone role",
+      ),
+      getPreferencesFor(userIds),
+    ]);
+    const notice = { type, expiresAt, now };
+
+    for (const user of users) {
+      const userPreferences = preferences.get(user.id);
+      const isActor = user.id === String(actorId);
+
+      if (!isActor && wantsChannel(userPreferences, type, "inApp")) {
+        await storeNotification(io, user.id, event, payload);
+      }
+
+      const mail = typeof email === "function" ? await email(user) : email;
+      if (mail && wantsChannel(userPreferences, type, "email")) {
+        await deliver("email", user, userPreferences, mail, notice);
+      }
+
+      const description =
+        !isActor &&
+        wantsChannel(userPreferences, type, "sms") &&
+        describeNotification(event, payload, user.id);
+      if (description && user.phone) {
+        await deliver(
+          "sms",
+          user,
+          userPreferences,
+          { text: smsText(description) },
+          notice,
+        );
+      }
+    }
+  } catch (error) {
+    logger.error(`Dispatching ${event} notifications failed:`, error.message);
+  }
+};
+
+/**
+ * Job handler that sends an email or SMS held during quiet hours.  The
+ * user's current preferences are checked again, in case they switched
+ * the channel off in the meantime; a send failure retries the job.
+ */
+const deliverHeldNotification = async (job, { now }) => {
+  const { userId, type, channel, expiresAt, subject, details, text } =
+    job.payload;
+  if (expiresAt && new Date(expiresAt) <= now) return;
+
+  const [user, preferences] = await Promise.all([
+    User.findById(userId).select("email phone"),
+    getPreferences(userId),
+  ]);
+  if (!user || !wantsChannel(preferences, type, channel)) return;
+
+  if (channel === "email") {
+    await deliverAppointmentEmail(user.email, subject, details);
+  } else {
+    await deliverSms(user.phone, text);
+  }
+};
+
+// Runner for held deliveries, for the app and for tests
+const createDeliveryRunner = (options = {}) =>
+  createJobRunner({
+    ...options,
+    handlers: { [DELIVERY_JOB]: deliverHeldNotification },
+  });
+
+// Poll for held email / SMS whose quiet hours are over
+const startDeliveryWorker = (intervalMs = DEFAULT_POLL_INTERVAL_MS) => {
+  const runner = createDeliveryRunner();
+  runner.start(intervalMs);
+  return runner;
+};
+
+module.exports = {
+  DELIVERY_JOB,
+  dispatchNotification,
+  createDeliveryRunner,
+  startDeliveryWorker,
+};
@@ -0,0 +1,142 @@
+/**
+ * notificationPreferences.js — Reading and changing users' preferences
+ *
+ * Users without a stored NotificationPreference get an unsaved one with
+ * the defaults, so callers never have to handle "no preferences".
+ * Updates are applied as a single upsert, so two first saves cannot
+ * race.  `getQuietHoursEnd` is what the dispatcher uses to hold email
+ * and SMS overnight.
+ */
+
+const NotificationPreference = require("../models/notificationPreference");
+const { NOTIFICATION_TYPES } = require("../config/notifications");
+const { getClinicTimezone } = require("../config/clinic");
+const {
+  addDays,
+  timeToMinutes,
+  utcToZonedParts,
+  zonedTimeToUtc,
+} = require("../utils/time");
+
+const QUIET_HOURS_FIELDS = ["enabled", "start", "end", "timezone"];
+
+const invalid = (message) => ({
+  problem: { status: 400, code: "INVALID_PREFERENCES", message },
+});
+
+/**
+ * A user's preferences, or the defaults when they never changed any.
+ */
+const getPreferences = async (userId) =>
+  (await NotificationPreference.findOne({ user: userId })) ||
+  new NotificationPreference({ user: userId });
+
+/**
+ * Preferences for several users at once.
+ *
+ * @returns {Promise<Map<string, NotificationPreference>>} keyed by user id
+ */
+const getPreferencesFor = async (userIds) => {
+  const stored = await NotificationPreference.find({ user: { $in: userIds } });
+  const byUser = new Map(stored.map((prefs) => [prefs.user.toString(), prefs]));
+  for (const userId of userIds.map(String)) {
+    if (!byUser.has(userId)) {
+      byUser.set(userId, new NotificationPreference({ user: userId }));
+    }
+  }
+  return byUser;
+};
+
+/**
+ * Change some of a user's switches and / or quiet hours.  Only the
+ * fields given are touched; `quietHours.timezone: null` goes back to the
+ * clinic's zone.
+ *
+ * @param {{ channels?: object, quietHours?: object }} changes
+ * @returns {Promise<{ preferences } | { problem }>}
+ */
+const updatePreferences = async (userId, { channels, quietHours } = {}) => {
+  const $set = {};
+  const $unset = {};
+
+  for (const [type, switches] of Object.entries(channels || {})) {
+    const definition = NOTIFICATION_TYPES[type];
+    if (!definition) return invalid(`Unknown notification type "${type}"`);
+
+    for (const [channel, enabled] of Object.entries(switches || {})) {
+      if (!definition.channels.includes(channel)) {
+        return invalid(`${definition.label} cannot be sent by ${channel}`);
+      }
+      if (typeof enabled !== "boolean") {
+        return invalid(`channels.${type}.${channel} must be true or false`);
+      }
+      $set[`channels.${type}.${channel}`] = enabled;
+    }
+  }
+
+  for (const field of QUIET_HOURS_FIELDS) {
+    const value = quietHours?.[field];
+    if (value === undefined) continue;
+    if (field === "timezone" && !value) {
+      $unset["quietHours.timezone"] = 1;
+    } else {
+      $set[`quietHours.${field}`] = value;
+    }
+  }
+
+  const update = { $set, $setOnInsert: { user: userId } };
+  if (Object.keys($unset).length) update.$unset = $unset;
+
+  const preferences = await NotificationPreference.findOneAndUpdate(
+    { user: userId },
+    update,
+    {
+      upsert: true,
+      new: true,
+      runValidators: true,
+      setDefaultsOnInsert: true,
+    },
+  );
+  return { preferences };
+};
+
+// Whether the user wants this type of notification on this channel
+const wantsChannel = (preferences, type, channel) =>
+  preferences.channels?.[type]?.[channel] === true;
+
+/**
+ * When the user's quiet hours end, if `now` falls inside them; null
+ * otherwise.  Quiet hours may run past midnight ("22:00"–"07:00").
+ *
+ * @returns {Date|null}
+ */
+const getQuietHoursEnd = (preferences, now = new Date()) => {
+  const { enabled, start, end, timezone } = preferences.quietHours || {};
+  if (!enabled || start === end) return null;
+
+  const timeZone = timezone || getClinicTimezone();
+  const { dateKey, minutes } = utcToZonedParts(now, timeZone);
+  const startMinutes = timeToMinutes(start);
+  const endMinutes = timeToMinutes(end);
+
+  if (startMinutes < endMinutes) {
+    if (minutes < startMinutes || minutes >= endMinutes) return null;
+    return zonedTimeToUtc(dateKey, endMinutes, timeZone);
+  }
+  // Overnight: quiet from the start until the end time the next morning
+  if (minutes >= startMinutes) {
+    return zonedTimeToUtc(addDays(dateKey, 1), endMinutes, timeZone);
+  }
+  if (minutes < endMinutes) {
+    return zonedTimeToUtc(dateKey, endMinutes, timeZone);
+  }
+  return null;
+};
+
+module.exports = {
+  getPreferences,
+  getPreferencesFor,
+  updatePreferences,
+  wantsChannel,
+  getQuietHoursEnd,
+};
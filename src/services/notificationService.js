@@ -0,0 +1,216 @@
+/**
+ * notificationService.js — The in-app notification inbox
+ *
+ * Stores a Notification (title, message and a link for the bell) for
+ * the events in DESCRIBE and pushes it to the user's room.  Deciding who
+ * gets one is the dispatcher's job (notificationDispatcher); the same
+ * title and message are also used as the text of SMS notifications.
+ *
+ * Sockets are fire-and-forget, so when a user (re)connects their unread
+ * notifications are replayed (`replayUnread`).  Message text never goes
+ * into a notification.
+ */
+
+const mongoose = require("mongoose");
+const Notification = require("../models/notification");
+const logger = require("../utils/logger");
+const { SERVER_EVENTS, emitEvent } = require("../utils/socketEvents");
+const { getClinicTimezone } = require("../config/clinic");
+const { formatZonedDate, formatZonedTime } = require("../utils/time");
+
+// Unread notifications sent to a socket when it connects
+const REPLAY_LIMIT = 50;
+
+const STATUS_LABELS = {
+  "pending-approval": "awaiting approval",
+  scheduled: "scheduled",
+  confirmed: "confirmed",
+  "checked-in": "checked in",
+  "in-progress": "in progress",
+  completed: "completed",
+  cancelled: "cancelled",
+  "no-show": "marked as a no-show",
+};
+
+const idOf = (ref) => String(ref?._id || ref);
+
+// "Dr. Jane Smith" / "John Doe", or "" when the person isn't populated
+const nameOf = (person, role) => {
+  if (!person?.firstName) return "";
+  const name = `${person.firstName} ${person.lastName}`;
+  return role === "doctor" ? `Dr. ${name}` : name;
+};
+
+const when = (startAt) => {
+  if (!startAt) return "";
+  const timeZone = getClinicTimezone();
+  return `${formatZonedDate(startAt, timeZone)} at ${formatZonedTime(startAt, timeZone)}`;
+};
+
+// " with Dr. Smith on Mon, 1 Jul 2030 at 10:00" for the recipient
+const appointmentContext = (appointment, userId) => {
+  const otherRole =
+    idOf(appointment.patient) === String(userId) ? "doctor" : "patient";
+  const other = nameOf(appointment[otherRole], otherRole);
+  const at = when(appointment.startAt);
+  return `${other ? ` with ${other}` : ""}${at ? ` on ${at}` : ""}`;
+};
+
+// Inbox text for each notifying event: (payload, recipient) => fields
+const DESCRIBE = {
+  [SERVER_EVENTS.APPOINTMENT_CREATED]: (appointment) => {
+    const patient = nameOf(appointment.patient, "patient") || "A patient";
+    const at = when(appointment.startAt);
+    return {
+      title: "New appointment",
+      message: `${patient} booked an appointment${at ? ` on ${at}` : ""}`,
+      link: "/appointments",
+      data: { appointment: idOf(appointment) },
+    };
+  },
+  [SERVER_EVENTS.APPOINTMENT_UPDATED]: (appointment, userId) => ({
+    title: "Appointment updated",
+    message: `Your appointment${appointmentContext(appointment, userId)} is ${
+      STATUS_LABELS[appointment.status] || appointment.status
+    }`,
+    link: "/appointments",
+    data: { appointment: idOf(appointment) },
+  }),
+  [SERVER_EVENTS.APPOINTMENT_CANCELLED]: (appointment, userId) => ({
+    title: "Appointment cancelled",
+    message: `Your appointment${appointmentContext(appointment, userId)} was cancelled`,
+    link: "/appointments",
+    data: { appointment: idOf(appointment) },
+  }),
+  [SERVER_EVENTS.WAITLIST_OFFER]: (offer) => {
+    const doctor = nameOf(offer.doctor, "doctor");
+    const timeZone = getClinicTimezone();
+    return {
+      title: "A slot opened up",
+      message: `A slot${doctor ? ` with ${doctor}` : ""} on ${when(
+        offer.startAt,
+      )} is held for you until ${formatZonedTime(offer.expiresAt, timeZone)}`,
+      link: "/waitlist",
+      data: { offer: idOf(offer) },
+    };
+  },
+  [SERVER_EVENTS.NEW_MESSAGE]: ({ threadId }) => ({
+    title: "New message",
+    message: "You have a new message",
+    link: "/messages",
+    data: { thread: idOf(threadId) },
+  }),
+};
+
+// Inbox text for an event, or null for events that are never stored
+const describeNotification = (event, payload, userId) =>
+  DESCRIBE[event] ? DESCRIBE[event](payload, userId) : null;
+
+/**
+ * Store a notification in the user's inbox and push it to their room
+ * as `notification`.  Storing is best effort — a failure is logged and
+ * null returned, so the caller's request still succeeds.
+ *
+ * @param {object|undefined} io  Socket.IO server; may be missing in jobs
+ * @param {string} userId
+ * @param {string} event  catalog event name (SERVER_EVENTS)
+ * @param {object} payload
+ * @returns {Promise<object|null>} the stored notification
+ */
+const storeNotification = async (io, userId, event, payload) => {
+  const description = describeNotification(event, payload, userId);
+  if (!description) return null;
+
+  let notification;
+  try {
+    notification = await Notification.create({
+      user: userId,
+      type: event,
+      ...description,
+    });
+  } catch (error) {
+    logger.error(
+      `Failed to store ${event} notification for user ${userId}:`,
+      error.message,
+    );
+    return null;
+  }
+
+  if (io) {
+    emitEvent(
+      io.to(`user_${userId}`),
+      SERVER_EVENTS.NOTIFICATION,
+      notification,
+    );
+  }
+  return notification;
+};
+
+const countUnread = (userId) =>
+  Notification.countDocuments({ user: userId, readAt: null });
+
+/**
+ * Send a (re)connecting socket the user's unread notifications, newest
+ * first, with the total unread count.
+ */
+const replayUnread = async (socket) => {
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find({ user: socket.userId, readAt: null })
+      .sort({ createdAt: -1 })
+      .limit(REPLAY_LIMIT),
+    countUnread(socket.userId),
+  ]);
+  emitEvent(socket, SERVER_EVENTS.NOTIFICATION_REPLAY, {
+    notifications,
+    unreadCount,
+  });
+};
+
+/**
+ * Mark one of the user's notifications read.
+ *
+ * @returns {Promise<{ notification } | { problem }>}
+ */
+const markNotificationRead = async (userId, notificationId) => {
+  const notification = mongoose.isValidObjectId(notificationId)
+    ? await Notification.findOne({ _id: notificationId, user: userId })
+    : null;
+  if (!notification) {
+    return {
+      problem: {
+        status: 404,
+        code: "NOT_FOUND",
+        message: "Notification not found",
+      },
+    };
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  return { notification };
+};
+
+/**
+ * Mark all of the user's notifications read.
+ *
+ * @returns {Promise<{ count: number, readAt: Date }>}
+ */
+const markAllNotificationsRead = async (userId) => {
+  const readAt = new Date();
+  const { modifiedCount } = await Notification.updateMany(
+    { user: userId, readAt: null },
+    { $set: { readAt } },
+  );
+  return { count: modifiedCount, readAt };
+};
+
+module.exports = {
+  describeNotification,
+  storeNotification,
+  countUnread,
+  replayUnread,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
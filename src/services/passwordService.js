@@ -0,0 +1,169 @@
+/**
+ * passwordService.js — Changing and resetting passwords
+ *
+ * Signed-in users change their password by giving the current one.
+ * Users who forgot it ask for a link to the client's /reset-password
+ * page.  Its token is random, emailed and stored only as a SHA-256
+ * hash (PasswordResetToken); it works once and expires after
+ * PASSWORD_RESET_MINUTES (default 60).  Asking again replaces any
+ * unused link.
+ *
+ * Both leave the rest of the account signed out: a change keeps only
+ * the session that made it, a reset signs out every session.  A reset
+ * also lifts a sign-in lock (services/accountLockoutService), since
+ * following the link shows the user owns the account.
+ */
+
+const crypto = require("crypto");
+const User = require("../models/user");
+const PasswordResetToken = require("../models/passwordResetToken");
+const { revokeAllSessions } = require("./sessionService");
+const { clearLoginAttempts } = require("./accountLockoutService");
+
+const MINUTE_MS = 60 * 1000;
+
+// Read on every call so tests and scripts can change it via env
+const getResetMinutes = () => {
+  const minutes = Number(process.env.PASSWORD_RESET_MINUTES);
+  return minutes > 0 ? minutes : 60;
+};
+
+const getClientUrl = () =>
+  (process.env.CLIENT_URL || "http://localhost:3000").split(",")[0].trim();
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const passwordProblem = (status, code, message) => ({
+  problem: { status, code, message },
+});
+
+/**
+ * Change a signed-in user's password.
+ *
+ * Weak passwords fail the User model's validation (a ValidationError).
+ *
+ * @returns {Promise<{ user, revokedSessionIds } | { problem }>}
+ */
+const changePassword = async (
+  userId,
+  { currentPassword, newPassword },
+  { sessionId } = {},
+) => {
+  if (!currentPassword || !newPassword) {
+    return passwordProblem(
+      400,
+      "PASSWORD_REQUIRED",
+      "Please provide your current and new password",
+    );
+  }
+
+  const user = await User.findById(userId).select("+password");
+  if (!(await user.comparePassword(currentPassword))) {
+    return passwordProblem(
+      400,
+      "INCORRECT_PASSWORD",
+      "Current password is incorrect",
+    );
+  }
+  if (currentPassword === newPassword) {
+    return passwordProblem(
+      400,
+      "SAME_PASSWORD",
+      "New password must be different from the current one",
+    );
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  const revokedSessionIds = await revokeAllSessions(
+    user._id,
+    "password_changed",
+    { exceptSessionId: sessionId },
+  );
+  return { user, revokedSessionIds };
+};
+
+/**
+ * Issue a reset link for the account with this email, if there is an
+ * active one.  Returns null otherwise, which the caller must not reveal.
+ *
+ * @returns {Promise<{ user, url, expiresInMinutes } | null>}
+ */
+const requestPasswordReset = async (email, { now = new Date() } = {}) => {
+  if (typeof email !== "string" || !email.trim()) return null;
+
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+  if (!user || !user.isActive) return null;
+
+  await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresInMinutes = getResetMinutes();
+  await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + expiresInMinutes * MINUTE_MS),
+  });
+
+  const url = `${getClientUrl()}/reset-password?token=${token}`;
+  return { user, url, expiresInMinutes };
+};
+
+/**
+ * Set a new password with a reset link token, and sign the user out
+ * everywhere.  The token is only used up once the new password passes
+ * validation, so a rejected password can be retried with the same link.
+ *
+ * @returns {Promise<{ user, revokedSessionIds } | { problem }>}
+ */
+const resetPassword = async (token, newPassword, { now = new Date() } = {}) => {
+  const invalidLink = passwordProblem(
+    400,
+    "INVALID_RESET_TOKEN",
+    "This reset link is invalid or has expired. Please request a new one.",
+  );
+  if (typeof token !== "string" || !token) return invalidLink;
+  if (!newPassword) {
+    return passwordProblem(
+      400,
+      "PASSWORD_REQUIRED",
+      "Please provide a new password",
+    );
+  }
+
+  const tokenHash = hashToken(token);
+  const resetToken = await PasswordResetToken.findOne({
+    tokenHash,
+    usedAt: null,
+    expiresAt: { $gt: now },
+  });
+  const user =
+    resetToken && (await User.findById(resetToken.user).select("+password"));
+  if (!user || !user.isActive) return invalidLink;
+
+  user.password = newPassword;
+  await user.validate();
+
+  // Only one of two simultaneous resets may use the link
+  const claimed = await PasswordResetToken.findOneAndUpdate(
+    { _id: resetToken._id, usedAt: null },
+    { $set: { usedAt: now } },
+  );
+  if (!claimed) return invalidLink;
+
+  await user.save();
+  await clearLoginAttempts(user._id);
+  const revokedSessionIds = await revokeAllSessions(
+    user._id,
+    "password_changed",
+  );
+  return { user, revokedSessionIds };
+};
+
+module.exports = {
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+};
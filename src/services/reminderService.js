@@ -0,0 +1,301 @@
+/**
+ * reminderService.js — Email patients ahead of their appointments
+ *
+ * Each booking gets one `appointment_reminder` job per REMINDER_OFFSETS
+ * entry (24h and 2h before by default) and a matching entry in the
+ * appointment's `reminders` array that records whether it was sent,
+ * skipped or failed.  Jobs are keyed by appointment, offset and start
+ * time, so scheduling is idempotent and moving an appointment simply
+ * supersedes the reminders for its old time.
+ *
+ * The handler re-reads the appointment before sending: reminders for
+ * appointments that were cancelled, completed or moved since are
+ * skipped rather than sent, as are reminders for patients who turned
+ * reminder emails off (notificationPreferences).  Reminders are timed
+ * off the appointment, so quiet hours do not hold them.
+ */
+
+const Appointment = require("../models/appointment");
+const logger = require("../utils/logger");
+const { deliverAppointmentEmail } = require("../utils/email");
+const { getReminderOffsets } = require("../config/clinic");
+const { scheduleJob, cancelJobs, createJobRunner } = require("./jobQueue");
+const { createAppointmentLinks } = require("./appointmentLinks");
+const { getPreferences, wantsChannel } = require("./notificationPreferences");
+
+const REMINDER_JOB = "appointment_reminder";
+const REMINDABLE_STATUSES = ["scheduled", "confirmed"];
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+
+const reminderKey = (appointmentId, offsetMinutes, startAt) =>
+  `reminder:${appointmentId}:${offsetMinutes}:${startAt.toISOString()}`;
+
+// "24 hours", "90 minutes", "2 days"
+const describeOffset = (minutes) => {
+  const plural = (n, unit) => `${n} ${unit}${n === 1 ? "" : "s"}`;
+  if (minutes > 1440 && minutes % 1440 === 0) {
+    return plural(minutes / 1440, "day");
+  }
+  if (minutes % 60 === 0) return plural(minutes / 60, "hour");
+  return plural(minutes, "minute");
+};
+
+// Update the reminder entry matching a job, whatever else changed since
+const updateReminder = (appointmentId, { offsetMinutes, startAt }, update) =>
+  Appointment.updateOne({ _id: appointmentId }, update, {
+    arrayFilters: [
+      { "r.offsetMinutes": offsetMinutes, "r.startAt": new Date(startAt) },
+    ],
+  });
+
+/**
+ * Schedule the reminders for an appointment's current start time.
+ *
+ * Safe to call after any save: existing reminders for the same time are
+ * left alone, reminders for an earlier start time are skipped and their
+ * jobs cancelled, and offsets whose send time has already passed are
+ * not scheduled at all.  Moving back to a time whose reminders were
+ * skipped re-arms their jobs and marks them scheduled again.
+ *
+ * @returns {Promise<number>} reminders newly scheduled or re-armed
+ */
+const scheduleAppointmentReminders = async (
+  appointment,
+  { now = new Date(), offsets = getReminderOffsets() } = {},
+) => {
+  const { _id: appointmentId, startAt } = appointment;
+  if (!startAt) return 0;
+
+  // Supersede reminders for a time the appointment has moved away from
+  await cancelJobs({
+    type: REMINDER_JOB,
+    "payload.appointmentId": appointmentId.toString(),
+    "payload.startAt": { $ne: startAt.toISOString() },
+  });
+  await Appointment.updateOne(
+    { _id: appointmentId },
+    { $set: { "reminders.$[r].status": "skipped" } },
+    {
+      arrayFilters: [
+        { "r.status": "scheduled", "r.startAt": { $ne: startAt } },
+      ],
+    },
+  );
+
+  if (!REMINDABLE_STATUSES.includes(appointment.status)) return 0;
+
+  const current = await Appointment.findById(appointmentId).select("reminders");
+  if (!current) return 0;
+  const existing = new Map(
+    current.reminders
+      .filter((reminder) => reminder.startAt.getTime() === startAt.getTime())
+      .map((reminder) => [reminder.offsetMinutes, reminder]),
+  );
+
+  const added = [];
+  let rearmed = 0;
+  for (const offsetMinutes of offsets) {
+    const sendAt = new Date(startAt.getTime() - offsetMinutes * 60 * 1000);
+    if (sendAt <= now) continue;
+
+    const job = await scheduleJob({
+      type: REMINDER_JOB,
+      payload: {
+        appointmentId: appointmentId.toString(),
+        offsetMinutes,
+        startAt: startAt.toISOString(),
+      },
+      runAt: sendAt,
+      uniqueKey: reminderKey(appointmentId, offsetMinutes, startAt),
+    });
+    const reminder = existing.get(offsetMinutes);
+    if (!reminder) {
+      added.push({ offsetMinutes, startAt, sendAt });
+    } else if (reminder.status === "skipped" && job.status === "pending") {
+      // Skipped when the appointment moved away, and now back on
+      await updateReminder(
+        appointmentId,
+        { offsetMinutes, startAt },
+        {
+          $set: { "reminders.$[r].status": "scheduled" },
+          $unset: { "reminders.$[r].lastError": 1 },
+        },
+      );
+      rearmed += 1;
+    }
+  }
+
+  if (added.length) {
+    await Appointment.updateOne(
+      { _id: appointmentId },
+      { $push: { reminders: { $each: added } } },
+    );
+  }
+  return added.length + rearmed;
+};
+
+// Schedule reminders without ever failing the request that triggered it
+const scheduleRemindersSafely = async (appointments) => {
+  for (const appointment of [].concat(appointments)) {
+    try {
+      await scheduleAppointmentReminders(appointment);
+    } catch (error) {
+      logger.error(
+        `Scheduling reminders for appointment ${appointment._id} failed:`,
+        error.message,
+      );
+    }
+  }
+};
+
+/**
+ * Schedule reminders for every upcoming appointment.  Run at startup so
+ * appointments booked before reminders existed (or while the reminder
+ * configuration was different) are covered; already scheduled
+ * reminders are untouched.
+ *
+ * @returns {Promise<number>} reminders newly scheduled
+ */
+const scheduleUpcomingReminders = async ({ now = new Date() } = {}) => {
+  const cursor = Appointment.find({
+    status: { $in: REMINDABLE_STATUSES },
+    startAt: { $gt: now },
+  })
+    .select("startAt status")
+    .cursor();
+
+  let scheduled = 0;
+  for await (const appointment of cursor) {
+    scheduled += await scheduleAppointmentReminders(appointment, { now });
+  }
+  if (scheduled) logger.info(`Scheduled ${scheduled} appointment reminder(s)`);
+  return scheduled;
+};
+
+// Email transport used outside tests
+const emailTransport = {
+  send: ({ to, subject, details }) =>
+    deliverAppointmentEmail(to, subject, details),
+};
+
+/**
+ * Build the job handler that delivers one reminder.
+ *
+ * `transport.send({ to, subject, details, appointment, offsetMinutes })`
+ * resolves `false` when it deliberately didn't send (e.g. email isn't
+ * configured) and rejects on failure, which retries the job.
+ */
+const createReminderHandler = ({ transport = emailTransport } = {}) => {
+  return async (job, { now, isFinalAttempt }) => {
+    const { appointmentId, offsetMinutes, startAt } = job.payload;
+    const appointment = await Appointment.findById(appointmentId)
+      .populate("patient", "firstName lastName email")
+      .populate("doctor", "firstName lastName");
+    if (!appointment) return;
+
+    const reminder = appointment.reminders.find(
+      (entry) =>
+        entry.offsetMinutes === offsetMinutes &&
+        entry.startAt.toISOString() === startAt,
+    );
+    if (reminder && reminder.status !== "scheduled") return;
+
+    const skip = (reason) =>
+      updateReminder(appointmentId, job.payload, {
+        $set: {
+          "reminders.$[r].status": "skipped",
+          "reminders.$[r].lastError": reason,
+        },
+      });
+
+    if (!REMINDABLE_STATUSES.includes(appointment.status)) {
+      return skip(`Appointment is ${appointment.status}`);
+    }
+    if (appointment.startAt.toISOString() !== startAt) {
+      return skip("Appointment was moved");
+    }
+    if (appointment.startAt <= now) {
+      return skip("Appointment has already started");
+    }
+    const preferences = await getPreferences(appointment.patient._id);
+    if (!wantsChannel(preferences, "appointment_reminder", "email")) {
+      return skip("Patient turned off reminder emails");
+    }
+
+    let delivered;
+    try {
+      delivered = await transport.send({
+        to: appointment.patient.email,
+        subject: "Appointment Reminder",
+        details: {
+          title: "Upcoming Appointment",
+          message: `This is a reminder that your appointment is in ${describeOffset(offsetMinutes)}.`,
+          patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
+          doctorName: `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`,
+          date: appointment.schedule.displayDate,
+          time: appointment.schedule.displayTime,
+          reason: appointment.reason,
+          status: appointment.status,
+          actions: await createAppointmentLinks(appointment, { now }),
+        },
+        appointment,
+        offsetMinutes,
+      });
+    } catch (error) {
+      await updateReminder(appointmentId, job.payload, {
+        $set: {
+          "reminders.$[r].lastError": error.message,
+          ...(isFinalAttempt && { "reminders.$[r].status": "failed" }),
+        },
+        $inc: { "reminders.$[r].attempts": 1 },
+      });
+      throw error;
+    }
+
+    if (delivered === false) {
+      return updateReminder(appointmentId, job.payload, {
+        $set: {
+          "reminders.$[r].status": "skipped",
+          "reminders.$[r].lastError": "No transport configured",
+        },
+        $inc: { "reminders.$[r].attempts": 1 },
+      });
+    }
+
+    await updateReminder(appointmentId, job.payload, {
+      $set: { "reminders.$[r].status": "sent", "reminders.$[r].sentAt": now },
+      $unset: { "reminders.$[r].lastError": 1 },
+      $inc: { "reminders.$[r].attempts": 1 },
+    });
+    logger.info(
+      `Reminder (${describeOffset(offsetMinutes)}) sent for appointment ${appointmentId}`,
+    );
+  };
+};
+
+// Runner with just the reminder handler, for the app and for tests
+const createReminderRunner = ({ transport, ...options } = {}) =>
+  createJobRunner({
+    ...options,
+    handlers: { [REMINDER_JOB]: createReminderHandler({ transport }) },
+  });
+
+// Backfill upcoming reminders, then poll for due ones
+const startReminderWorker = (intervalMs = DEFAULT_POLL_INTERVAL_MS) => {
+  const runner = createReminderRunner();
+  scheduleUpcomingReminders().catch((error) =>
+    logger.error("Scheduling upcoming reminders failed:", error.message),
+  );
+  runner.start(intervalMs);
+  return runner;
+};
+
+module.exports = {
+  REMINDER_JOB,
+  scheduleAppointmentReminders,
+  scheduleRemindersSafely,
+  scheduleUpcomingReminders,
+  createReminderHandler,
+  createReminderRunner,
+  startReminderWorker,
+};
@@ -0,0 +1,119 @@
+/**
+ * roomAccess.js — Who may join which Socket.IO room
+ *
+ * Every room a client asks to join must match one of the room types
+ * below, and the socket's user must pass that type's rule:
+ *
+ *   user_<userId>           only that user
+ *   role_<role>             users with that role
+ *   queue_<doctorId>        a doctor's waiting-room queue: that doctor
+ *                           and admins
+ *   appointment_<id>        the appointment's patient and doctor, and
+ *                           admins
+ *   visit_<appointmentId>   a video visit: its patient and doctor only
+ *                           (videoVisitService)
+ *
+ * Anything else is refused, so a new kind of room has to be added
+ * here before clients can subscribe to it.
+ */
+
+const mongoose = require("mongoose");
+const Appointment = require("../models/appointment");
+const { checkVisitAccess } = require("./videoVisitService");
+
+const ROLES = ["admin", "doctor", "patient"];
+
+const roomProblem = (status, code, message) => ({ status, code, message });
+
+const denied = (message) => ({
+  problem: roomProblem(403, "ROOM_ACCESS_DENIED", message),
+});
+
+const ROOM_TYPES = [
+  {
+    type: "user",
+    pattern: /^user_(.+)$/,
+    authorize: async (user, userId) =>
+      userId === String(user.id)
+        ? {}
+        : denied("You can only join your own user room"),
+  },
+  {
+    type: "role",
+    pattern: /^role_(.+)$/,
+    authorize: async (user, role) =>
+      ROLES.includes(role) && role === user.role
+        ? {}
+        : denied("You can only join your own role's room"),
+  },
+  {
+    type: "doctor-queue",
+    pattern: /^queue_(.+)$/,
+    authorize: async (user, doctorId) =>
+      user.role === "admin" ||
+      (user.role === "doctor" && doctorId === String(user.id))
+        ? {}
+        : denied("Only the doctor and admins can follow this queue"),
+  },
+  {
+    type: "appointment",
+    pattern: /^appointment_(.+)$/,
+    authorize: async (user, appointmentId) => {
+      const appointment = mongoose.isValidObjectId(appointmentId)
+        ? await Appointment.findById(appointmentId).select("patient doctor")
+        : null;
+      if (!appointment) {
+        return {
+          problem: roomProblem(404, "NOT_FOUND", "Appointment not found"),
+        };
+      }
+      const participants = [
+        appointment.patient.toString(),
+        appointment.doctor.toString(),
+      ];
+      return user.role === "admin" || participants.includes(String(user.id))
+        ? {}
+        : denied("You are not part of this appointment");
+    },
+  },
+  {
+    type: "visit",
+    pattern: /^visit_(.+)$/,
+    authorize: async (user, appointmentId) => {
+      const { problem } = await checkVisitAccess(appointmentId, user.id);
+      return problem ? { problem } : {};
+    },
+  },
+];
+
+/**
+ * Decide whether a user may join a room.
+ *
+ * @param {string} room
+ * @param {{ id: string, role: string }} user
+ * @returns {Promise<{ type: string } | { type?: string, problem: object }>}
+ */
+const authorizeRoomJoin = async (room, user) => {
+  if (typeof room !== "string") {
+    return {
+      problem: roomProblem(400, "UNKNOWN_ROOM", "Room name must be a string"),
+    };
+  }
+  for (const { type, pattern, authorize } of ROOM_TYPES) {
+    const match = pattern.exec(room);
+    if (!match) continue;
+    const { problem } = await authorize(user, match[1]);
+    return problem ? { type, problem } : { type };
+  }
+  return { problem: roomProblem(403, "UNKNOWN_ROOM", `Unknown room: ${room}`) };
+};
+
+const getRoleRoom = (role) => `role_${role}`;
+
+const getQueueRoom = (doctorId) => `queue_${doctorId}`;
+
+module.exports = {
+  authorizeRoomJoin,
+  getRoleRoom,
+  getQueueRoom,
+};
@@ -0,0 +1,343 @@
+/**
+ * schedulingService.js — Overlap detection & open-slot search
+ *
+ * Central place for "can this doctor see someone at this time?".
+ * Combines the doctor's availability template with their existing
+ * non-cancelled appointments (duration-aware) so booking,
+ * rescheduling and the slot finder always agree.  Working hours are
+ * clinic wall-clock times; overlaps are compared as UTC instants
+ * (`startAt` / `endAt`) so DST changes cannot hide a clash.  Pending
+ * waitlist offers hold their slot, so they count as booked too.
+ */
+
+const Appointment = require("../models/appointment");
+const DoctorAvailability = require("../models/doctorAvailability");
+const WaitlistOffer = require("../models/waitlistOffer");
+const { getClinicTimezone } = require("../config/clinic");
+const {
+  timeToMinutes,
+  minutesToTime,
+  toDateKey,
+  zonedTimeToUtc,
+  getZonedDayBounds,
+} = require("../utils/time");
+
+// Statuses that no longer occupy the doctor's time
+const INACTIVE_STATUSES = ["cancelled", "no-show"];
+
+// Hours offered by doctors with no configured schedule
+const DEFAULT_SCHEDULE = {
+  workingDays: [1, 2, 3, 4, 5], // Monday – Friday
+  startTime: "09:00",
+  endTime: "17:00",
+  slotDuration: 30,
+};
+
+/**
+ * A new (unsaved) DoctorAvailability holding DEFAULT_SCHEDULE.  Also
+ * where a doctor's first saved schedule starts, so adding a leave day
+ * or changing the slot length keeps the default working hours.
+ */
+const buildDefaultAvailability = (doctorId) =>
+  new DoctorAvailability({
+    doctor: doctorId,
+    weeklySchedule: DEFAULT_SCHEDULE.workingDays.map((dayOfWeek) => ({
+      dayOfWeek,
+      startTime: DEFAULT_SCHEDULE.startTime,
+      endTime: DEFAULT_SCHEDULE.endTime,
+    })),
+    slotDuration: DEFAULT_SCHEDULE.slotDuration,
+  });
+
+const MIN_DURATION = 5; // minutes
+const MAX_DURATION = 480;
+const MAX_SLOT_SEARCH_DAYS = 31;
+const MAX_SERIES_OCCURRENCES = 52;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The doctor's working schedule, or DEFAULT_SCHEDULE when they haven't
+ * configured one.  Booking checks and the slot finder both read hours
+ * through here, so a time offered as a slot can also be booked.
+ *
+ * @returns {Promise<DoctorAvailability>}
+ */
+const getDoctorSchedule = async (doctorId) =>
+  (await DoctorAvailability.findOne({ doctor: doctorId })) ||
+  buildDefaultAvailability(doctorId);
+
+// Two half-open ranges [aStart, aEnd) and [bStart, bEnd) overlap
+const rangesOverlap = (aStart, aEnd, bStart, bEnd) =>
+  aStart < bEnd && bStart < aEnd;
+
+// UTC midnight → next UTC midnight for the calendar day of `date`
+const getDayBounds = (date) => {
+  const start = new Date(`${toDateKey(date)}T00:00:00.000Z`);
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+};
+
+// Non-cancelled appointments for a doctor that overlap [from, to)
+const findBookedAppointments = (doctorId, from, to, excludeId) => {
+  const query = {
+    doctor: doctorId,
+    startAt: { $lt: to },
+    endAt: { $gt: from },
+    status: { $nin: INACTIVE_STATUSES },
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Appointment.find(query);
+};
+
+// Unexpired waitlist holds for a doctor that overlap [from, to)
+const findActiveHolds = (doctorId, from, to, now = new Date()) =>
+  WaitlistOffer.find({
+    doctor: doctorId,
+    status: "pending",
+    expiresAt: { $gt: now },
+    startAt: { $lt: to },
+    endAt: { $gt: from },
+  });
+
+/**
+ * Return the first existing appointment that overlaps the requested
+ * time, or null.  `excludeId` skips the appointment being rescheduled
+ * so it cannot conflict with itself.
+ */
+const findConflict = async (
+  doctorId,
+  date,
+  startMinutes,
+  duration,
+  { excludeId } = {},
+) => {
+  const { startAt, endAt } = Appointment.computeInstants(
+    date,
+    minutesToTime(startMinutes),
+    duration,
+  );
+  const [conflict] = await findBookedAppointments(
+    doctorId,
+    startAt,
+    endAt,
+    excludeId,
+  )
+    .sort({ startAt: 1 })
+    .limit(1);
+  return conflict || null;
+};
+
+// The whole booking has to fit in one of the doctor's working windows
+const isWithinDoctorHours = async (doctorId, date, startMinutes, duration) => {
+  const schedule = await getDoctorSchedule(doctorId);
+  return schedule.isAvailable(date, startMinutes, startMinutes + duration);
+};
+
+/**
+ * Validate a proposed booking for create and reschedule alike.
+ *
+ * Returns null when the slot is free, otherwise a problem object
+ * `{ status, code, message, conflict? }` that controllers send as-is
+ * so every caller produces the same error payload.
+ */
+const checkSlot = async ({ doctorId, date, time, duration, excludeId }) => {
+  if (!date || isNaN(new Date(date))) {
+    return {
+      status: 400,
+      code: "INVALID_DATE",
+      message: "Appointment date is not a valid date",
+    };
+  }
+
+  const startMinutes = timeToMinutes(String(time));
+  if (Number.isNaN(startMinutes) || startMinutes < 0 || startMinutes >= 1440) {
+    return {
+      status: 400,
+      code: "INVALID_TIME",
+      message: "Appointment time must look like 14:30 or 2:30 PM",
+    };
+  }
+
+  if (
+    !Number.isInteger(duration) ||
+    duration < MIN_DURATION ||
+    duration > MAX_DURATION
+  ) {
+    return {
+      status: 400,
+      code: "INVALID_DURATION",
+      message: `Duration must be a whole number of minutes between ${MIN_DURATION} and ${MAX_DURATION}`,
+    };
+  }
+
+  if (!(await isWithinDoctorHours(doctorId, date, startMinutes, duration))) {
+    return {
+      status: 409,
+      code: "DOCTOR_UNAVAILABLE",
+      message: "The doctor is not available at the requested date and time",
+    };
+  }
+
+  const conflict = await findConflict(doctorId, date, startMinutes, duration, {
+    excludeId,
+  });
+  if (conflict) {
+    return {
+      status: 409,
+      code: "SLOT_CONFLICT",
+      message: `This time slot conflicts with an existing appointment (${conflict.appointmentTime} - ${conflict.duration} minutes)`,
+      conflict: {
+        appointmentId: conflict._id,
+        appointmentTime: conflict.appointmentTime,
+        duration: conflict.duration,
+      },
+    };
+  }
+
+  const { startAt, endAt } = Appointment.computeInstants(
+    date,
+    minutesToTime(startMinutes),
+    duration,
+  );
+  const [hold] = await findActiveHolds(doctorId, startAt, endAt);
+  if (hold) {
+    return {
+      status: 409,
+      code: "SLOT_HELD",
+      message: "This time slot is being held for a waitlisted patient",
+      heldUntil: hold.expiresAt,
+    };
+  }
+
+  return null;
+};
+
+// Problem object for a lost race on the (doctor, date, time) unique index
+const duplicateSlotProblem = () => ({
+  status: 409,
+  code: "SLOT_CONFLICT",
+  message: "This time slot conflicts with an existing appointment",
+});
+
+/**
+ * Expand a recurrence rule into occurrence dates (UTC midnights).
+ *
+ * Monthly rules keep the start day-of-month, clamped to the last day
+ * of shorter months (a series starting on the 31st lands on the 30th
+ * in April).  Expansion stops at `endDate`, after `count` visits, or
+ * at MAX_SERIES_OCCURRENCES, whichever comes first.
+ */
+const expandRecurrence = (
+  startDate,
+  { frequency, interval = 1, endDate, count },
+) => {
+  const start = getDayBounds(startDate).start;
+  const until = endDate ? getDayBounds(endDate).start : null;
+  const limit = Math.min(
+    count || MAX_SERIES_OCCURRENCES,
+    MAX_SERIES_OCCURRENCES,
+  );
+  const dates = [];
+
+  for (let i = 0; dates.length < limit; i++) {
+    let date;
+    if (frequency === "monthly") {
+      const year = start.getUTCFullYear();
+      const month = start.getUTCMonth() + i * interval;
+      const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      date = new Date(
+        Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)),
+      );
+    } else {
+      const stepDays = frequency === "weekly" ? 7 * interval : interval;
+      date = new Date(start.getTime() + i * stepDays * DAY_MS);
+    }
+
+    if (until && date > until) break;
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * List bookable start times for a doctor, grouped by date.
+ *
+ * Candidate starts step through each working window by the doctor's
+ * slot length; a candidate survives if `duration` minutes from it fit
+ * in the window, overlap no booked appointment and are not in the past.
+ *
+ * @returns {Promise<{ slotDuration: number, days: Array<{ date: string, slots: string[] }> }>}
+ */
+const getAvailableSlots = async ({
+  doctorId,
+  startDate,
+  endDate,
+  duration,
+  excludeId,
+  now = new Date(),
+}) => {
+  const schedule = await getDoctorSchedule(doctorId);
+  const { slotDuration } = schedule;
+  const length = duration || slotDuration;
+
+  const timeZone = getClinicTimezone();
+  const rangeStart = getDayBounds(startDate).start;
+  const rangeEnd = getDayBounds(endDate || startDate).end;
+  const lastDay = new Date(rangeEnd.getTime() - DAY_MS);
+
+  const from = getZonedDayBounds(rangeStart, timeZone).start;
+  const to = getZonedDayBounds(lastDay, timeZone).end;
+  const booked = [
+    ...(await findBookedAppointments(doctorId, from, to, excludeId)),
+    ...(await findActiveHolds(doctorId, from, to, now)),
+  ];
+
+  const days = [];
+  for (let t = rangeStart.getTime(); t < rangeEnd.getTime(); t += DAY_MS) {
+    const day = new Date(t);
+    const dateKey = toDateKey(day);
+    const slots = [];
+
+    for (const window of schedule.getWorkingWindows(day)) {
+      for (
+        let start = window.start;
+        start + length <= window.end;
+        start += slotDuration
+      ) {
+        // Windows are clinic wall-clock times; compare as real instants
+        const startsAt = zonedTimeToUtc(dateKey, start, timeZone);
+        const endsAt = new Date(startsAt.getTime() + length * 60 * 1000);
+        if (startsAt <= now) continue;
+        if (
+          booked.some((b) =>
+            rangesOverlap(startsAt, endsAt, b.startAt, b.endAt),
+          )
+        ) {
+          continue;
+        }
+        slots.push(minutesToTime(start));
+      }
+    }
+
+    days.push({ date: dateKey, slots });
+  }
+
+  return { slotDuration, days };
+};
+
+module.exports = {
+  INACTIVE_STATUSES,
+  DEFAULT_SCHEDULE,
+  buildDefaultAvailability,
+  MAX_SLOT_SEARCH_DAYS,
+  MAX_SERIES_OCCURRENCES,
+  rangesOverlap,
+  getDayBounds,
+  findConflict,
+  findActiveHolds,
+  isWithinDoctorHours,
+  checkSlot,
+  duplicateSlotProblem,
+  expandRecurrence,
+  getAvailableSlots,
+};
@@ -0,0 +1,364 @@
+/**
+ * sessionService.js — Signed-in devices, refresh-token rotation and revocation
+ *
+ * Signing in starts a Session and hands the client two tokens:
+ *
+ *   - a short-lived access token (utils/jwt) naming the session, sent on
+ *     every request and socket handshake;
+ *   - an opaque refresh token, `<sessionId>.<secret>`, that can be traded
+ *     once for a new pair.  REFRESH_TOKEN_DAYS (default 7) is how long a
+ *     session may sit unused before it expires.
+ *
+ * Every refresh replaces the secret.  Presenting one that was already
+ * replaced means two parties hold the same token — one of them stole it
+ * — so the whole session is revoked.  The one exception is the token
+ * replaced in the last half minute, which is what a second tab sends
+ * when it refreshes at the same moment as the first; it is answered
+ * with REFRESH_SUPERSEDED and nothing is revoked.
+ *
+ * `authenticate` and the socket handshake call `getActiveSession`, so a
+ * revoked session stops working at once rather than when its access
+ * token runs out; `disconnectSessions` drops its open sockets too.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/session");
+const User = require("../models/user");
+const { generateToken } = require("../utils/jwt");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A replaced token this fresh is a concurrent refresh, not a replay
+const REUSE_GRACE_MS = 30 * 1000;
+
+// Replaced hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+// `lastSeenAt` is written at most this often by ordinary requests
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Read on every call so tests and scripts can change it via env
+const getRefreshTokenDays = () => {
+  const days = Number(process.env.REFRESH_TOKEN_DAYS);
+  return days > 0 ? days : 7;
+};
+
+const refreshExpiry = (now) =>
+  new Date(now.getTime() + getRefreshTokenDays() * DAY_MS);
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(32).toString("base64url");
+
+const sessionProblem = (status, code, message) => ({
+  problem: { status, code, message },
+});
+
+// The device a request came from, as recorded on its session
+const clientOf = (req) => ({
+  userAgent: req.get("user-agent"),
+  ipAddress: req.ip,
+});
+
+// `lastSeenAt`, plus where the device was seen from when known
+const seenFields = (now, { userAgent, ipAddress } = {}) => ({
+  lastSeenAt: now,
+  ...(userAgent && { userAgent }),
+  ...(ipAddress && { ipAddress }),
+});
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Safari", /Safari\//],
+];
+
+const SYSTEMS = [
+  ["iOS", /iPhone|iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+/**
+ * A short label for a user agent, e.g. "Chrome on Windows".
+ */
+const describeDevice = (userAgent = "") => {
+  const match = (list) => list.find(([, pattern]) => pattern.test(userAgent));
+  const [browser] = match(BROWSERS) || [];
+  const [system] = match(SYSTEMS) || [];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || "Unknown device";
+};
+
+// A new access token for the session, and when it runs out
+const issueAccessToken = (user, session) => {
+  const accessToken = generateToken(user._id, user.role, session._id);
+  const { exp } = jwt.decode(accessToken);
+  return { accessToken, accessTokenExpiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Start a session for a user who just signed in.
+ *
+ * @param {object} user  needs `_id` and `role`
+ * @param {{ userAgent?: string, ipAddress?: string }} [client]
+ * @returns {Promise<{ session, accessToken, accessTokenExpiresAt, refreshToken }>}
+ */
+const startSession = async (user, client = {}, { now = new Date() } = {}) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    expiresAt: refreshExpiry(now),
+    ...seenFields(now, client),
+  });
+  return {
+    session,
+    ...issueAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+  };
+};
+
+/**
+ * Trade a refresh token for a new access and refresh token.
+ *
+ * A replayed refresh token revokes its session; the result then also
+ * carries `revoked` (the session) so the caller can audit it and drop
+ * its sockets.
+ *
+ * @returns {Promise<{ session, user, accessToken, accessTokenExpiresAt,
+ *   refreshToken } | { problem, revoked? }>}
+ */
+const refreshSession = async (
+  refreshToken,
+  client = {},
+  { now = new Date() } = {},
+) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    return sessionProblem(
+      401,
+      "INVALID_REFRESH_TOKEN",
+      "Invalid refresh token",
+    );
+  }
+
+  const session = await Session.findById(sessionId).select(
+    "+previousTokenHashes",
+  );
+  if (!session || session.expiresAt <= now) {
+    return sessionProblem(
+      401,
+      "INVALID_REFRESH_TOKEN",
+      "Your session has expired. Please login again.",
+    );
+  }
+  if (session.revokedAt) {
+    return sessionProblem(
+      401,
+      "SESSION_REVOKED",
+      "This session was signed out. Please login again.",
+    );
+  }
+
+  const hash = hashSecret(secret);
+  if (hash !== session.tokenHash) {
+    const replaced = session.previousTokenHashes;
+    if (!replaced.includes(hash)) {
+      return sessionProblem(
+        401,
+        "INVALID_REFRESH_TOKEN",
+        "Invalid refresh token",
+      );
+    }
+    if (
+      replaced[replaced.length - 1] === hash &&
+      now - session.rotatedAt < REUSE_GRACE_MS
+    ) {
+      return sessionProblem(
+        401,
+        "REFRESH_SUPERSEDED",
+        "This session was just refreshed by another request",
+      );
+    }
+
+    session.revokedAt = now;
+    session.revokedReason = "reuse_detected";
+    await session.save();
+    return {
+      ...sessionProblem(
+        401,
+        "REFRESH_TOKEN_REUSED",
+        "This session was signed out for your security. Please login again.",
+      ),
+      revoked: session,
+    };
+  }
+
+  const user = await User.findById(session.user).select("role isActive");
+  if (!user) {
+    return sessionProblem(
+      401,
+      "USER_NOT_FOUND",
+      "User not found. Please login again.",
+    );
+  }
+  if (!user.isActive) {
+    return sessionProblem(
+      403,
+      "ACCOUNT_DEACTIVATED",
+      "Your account has been deactivated. Please contact support.",
+    );
+  }
+
+  // Only one of two simultaneous refreshes may rotate the token
+  const nextSecret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashSecret(nextSecret),
+        rotatedAt: now,
+        expiresAt: refreshExpiry(now),
+        ...seenFields(now, client),
+      },
+      $push: {
+        previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS },
+      },
+    },
+    { new: true },
+  );
+  if (!rotated) {
+    return sessionProblem(
+      401,
+      "REFRESH_SUPERSEDED",
+      "This session was just refreshed by another request",
+    );
+  }
+
+  return {
+    session: rotated,
+    user,
+    ...issueAccessToken(user, rotated),
+    refreshToken: `${rotated._id}.${nextSecret}`,
+  };
+};
+
+/**
+ * The user's session if it is still signed in, else null.  Used on
+ * every authenticated request and socket handshake.
+ */
+const getActiveSession = async (sessionId, userId, now = new Date()) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  }).select("lastSeenAt");
+};
+
+// Record that the session was used, at most once a minute
+const touchSession = async (session, client = {}, now = new Date()) => {
+  if (now - session.lastSeenAt < LAST_SEEN_INTERVAL_MS) return;
+  await Session.updateOne(
+    { _id: session._id },
+    { $set: seenFields(now, client) },
+  );
+};
+
+/**
+ * The user's signed-in devices, most recently used first.
+ */
+const listSessions = async (userId, currentSessionId, now = new Date()) => {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  }).sort({ lastSeenAt: -1 });
+
+  return sessions.map((session) => ({
+    id: session._id,
+    device: describeDevice(session.userAgent),
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    current: String(session._id) === String(currentSessionId),
+  }));
+};
+
+/**
+ * Sign one of the user's sessions out.
+ *
+ * @param {string} reason  "logout" or "revoked"
+ * @returns {Promise<{ session } | { problem }>}
+ */
+const revokeSession = async (
+  userId,
+  sessionId,
+  reason,
+  { now = new Date() } = {},
+) => {
+  const session =
+    mongoose.isValidObjectId(sessionId) &&
+    (await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: reason } },
+      { new: true },
+    ));
+  if (!session) {
+    return sessionProblem(404, "SESSION_NOT_FOUND", "Session not found");
+  }
+  return { session };
+};
+
+/**
+ * Sign the user out everywhere, or everywhere but `exceptSessionId`.
+ *
+ * @returns {Promise<string[]>} ids of the sessions signed out
+ */
+const revokeAllSessions = async (
+  userId,
+  reason,
+  { exceptSessionId, now = new Date() } = {},
+) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const sessions = await Session.find(filter).select("_id");
+  const sessionIds = sessions.map((session) => String(session._id));
+  await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: reason } },
+  );
+  return sessionIds;
+};
+
+// Close the open sockets of signed-out sessions, on every instance
+const disconnectSessions = (io, sessionIds) => {
+  if (!io) return;
+  for (const sessionId of sessionIds) {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+};
+
+module.exports = {
+  clientOf,
+  describeDevice,
+  startSession,
+  refreshSession,
+  getActiveSession,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  disconnectSessions,
+};
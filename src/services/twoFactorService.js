@@ -0,0 +1,448 @@
+/**
+ * twoFactorService.js — Two-factor sign-in with an authenticator app
+ *
+ * Doctors and admins can add a second step to signing in: a 6-digit
+ * code from an authenticator app (utils/totp), or one of ten single-use
+ * recovery codes for when the phone is lost.  Setting up shows a QR
+ * code for a new secret, which only takes effect once the user enters
+ * a code from it.  Secrets are stored encrypted with AES-256-GCM under
+ * TWO_FACTOR_ENCRYPTION_KEY (falling back to JWT_SECRET); recovery
+ * codes only as SHA-256 hashes.  Each code is accepted once.
+ *
+ * Signing in with a password alone then yields a short-lived challenge
+ * token instead of a session.  Members of a role the TwoFactorPolicy
+ * requires it for who haven't set it up get a "setup" challenge, which
+ * only lets them enrol before they are signed in.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const QRCode = require("qrcode");
+const User = require("../models/user");
+const TwoFactorPolicy = require("../models/twoFactorPolicy");
+const { revokeAllSessions } = require("./sessionService");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl,
+} = require("../utils/totp");
+
+const ISSUER = "ClinicHub";
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_MINUTES = 5;
+const LOGIN_CHALLENGE = "two_factor_login";
+const SETUP_CHALLENGE = "two_factor_setup";
+
+const SECRET_FIELDS =
+  "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastStep";
+
+const twoFactorProblem = (status, code, message) => ({
+  problem: { status, code, message },
+});
+
+// ── Secrets at rest ─────────────────────────────────────────────────
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, data] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv,
+  );
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+    "utf8",
+  );
+};
+
+// ── Recovery codes ──────────────────────────────────────────────────
+// Case, spaces and the dash don't matter when typing one in
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// Ten codes like "3f9a1-c04be"; returns the plain codes and their hashes
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// ── Policy ──────────────────────────────────────────────────────────
+const isTwoFactorRequired = async (role) => {
+  const policy = await TwoFactorPolicy.getCurrent();
+  return policy.requiredRoles.includes(role);
+};
+
+/**
+ * Sign out the members of these roles who haven't set up two-factor
+ * sign-in, so they enrol when they next sign in.  Resolves the ids of
+ * the sessions revoked.
+ */
+const signOutUnenrolled = async (roles) => {
+  if (!roles.length) return [];
+  const users = await User.find({
+    role: { $in: roles },
+    twoFactorEnabled: { $ne: true },
+  }).select("_id");
+
+  const sessionIds = [];
+  for (const user of users) {
+    sessionIds.push(
+      ...(await revokeAllSessions(user._id, "two_factor_required")),
+    );
+  }
+  return sessionIds;
+};
+
+// ── Login challenges ────────────────────────────────────────────────
+/**
+ * After a correct password: the challenge the user must pass before a
+ * session is started, or null when the password is enough.
+ *
+ * @returns {Promise<{ challengeToken, setupRequired } | null>}
+ */
+const createLoginChallenge = async (user) => {
+  let purpose = null;
+  if (user.twoFactorEnabled) purpose = LOGIN_CHALLENGE;
+  else if (await isTwoFactorRequired(user.role)) purpose = SETUP_CHALLENGE;
+  if (!purpose) return null;
+
+  const challengeToken = jwt.sign(
+    { purpose, sub: user._id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: `${CHALLENGE_MINUTES}m` },
+  );
+  return { challengeToken, setupRequired: purpose === SETUP_CHALLENGE };
+};
+
+/**
+ * Check a challenge token and load its user.  `setup` selects the kind
+ * of challenge expected.
+ *
+ * @returns {Promise<{ user } | { problem }>}
+ */
+const resolveLoginChallenge = async (token, { setup = false } = {}) => {
+  const expired = twoFactorProblem(
+    401,
+    "INVALID_TWO_FACTOR_CHALLENGE",
+    "Your sign-in has expired. Please enter your password again.",
+  );
+  let claims;
+  try {
+    claims = jwt.verify(String(token || ""), process.env.JWT_SECRET);
+  } catch (error) {
+    return expired;
+  }
+
+  const purpose = setup ? SETUP_CHALLENGE : LOGIN_CHALLENGE;
+  const user =
+    claims.purpose === purpose && mongoose.isValidObjectId(claims.sub)
+      ? await User.findById(claims.sub)
+      : null;
+  // Setup challenges are for users without two-factor sign-in, and
+  // login challenges for users with it
+  const changed = setup ? user?.twoFactorEnabled : !user?.twoFactorEnabled;
+  if (!user || !user.isActive || changed) return expired;
+  return { user };
+};
+
+// ── Enrolment ───────────────────────────────────────────────────────
+/**
+ * Start setting up two-factor sign-in: a new secret, its otpauth://
+ * URI and a QR code (data URL) of it.  Replaces any unfinished setup.
+ *
+ * @returns {Promise<{ user, secret, otpauthUrl, qrCode } | { problem }>}
+ */
+const beginEnrollment = async (userId) => {
+  const user = await User.findById(userId);
+  if (user.twoFactorEnabled) {
+    return twoFactorProblem(
+      409,
+      "TWO_FACTOR_ALREADY_ENABLED",
+      "Two-factor authentication is already on",
+    );
+  }
+
+  const secret = generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorPendingSecret: encryptSecret(secret) } },
+  );
+
+  const otpauthUrl = buildOtpauthUrl({
+    secret,
+    accountName: user.email,
+    issuer: ISSUER,
+  });
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { user, secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Finish setting up with a code from the new secret.  Resolves the
+ * recovery codes, which are shown once and never again.
+ *
+ * @returns {Promise<{ user, recoveryCodes } | { problem }>}
+ */
+const confirmEnrollment = async (userId, code, { now = new Date() } = {}) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (user.twoFactorEnabled) {
+    return twoFactorProblem(
+      409,
+      "TWO_FACTOR_ALREADY_ENABLED",
+      "Two-factor authentication is already on",
+    );
+  }
+  if (!user.twoFactorPendingSecret) {
+    return twoFactorProblem(
+      400,
+      "TWO_FACTOR_SETUP_NOT_STARTED",
+      "Start two-factor setup first",
+    );
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactorPendingSecret), code, {
+    now,
+  });
+  if (step === null) {
+    return twoFactorProblem(
+      400,
+      "INVALID_TWO_FACTOR_CODE",
+      "That code is not valid. Check your authenticator app and try again.",
+    );
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  // Only the secret that was checked may be turned on
+  const enabled = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      twoFactorEnabled: { $ne: true },
+      twoFactorPendingSecret: user.twoFactorPendingSecret,
+    },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: now,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorRecoveryCodes: hashes,
+        twoFactorLastStep: step,
+      },
+      $unset: { twoFactorPendingSecret: "" },
+    },
+    { new: true },
+  );
+  if (!enabled) {
+    return twoFactorProblem(
+      409,
+      "TWO_FACTOR_SETUP_CHANGED",
+      "Two-factor setup changed in the meantime. Please start again.",
+    );
+  }
+  return { user: enabled, recoveryCodes: codes };
+};
+
+// ── Checking a second factor ────────────────────────────────────────
+/**
+ * Check an authenticator `code` or a `recoveryCode` for a user with
+ * two-factor sign-in on, using it up.  A wrong one fails with
+ * `failureStatus` (401 while signing in, 400 elsewhere).
+ *
+ * @returns {Promise<{ method, recoveryCodesRemaining? } | { problem }>}
+ */
+const verifySecondFactor = async (
+  userId,
+  { code, recoveryCode },
+  { now = new Date(), failureStatus = 400 } = {},
+) => {
+  const invalid = twoFactorProblem(
+    failureStatus,
+    "INVALID_TWO_FACTOR_CODE",
+    recoveryCode
+      ? "That recovery code is not valid or has already been used"
+      : "That code is not valid. Check your authenticator app and try again.",
+  );
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const user = await User.findOneAndUpdate(
+      { _id: userId, twoFactorEnabled: true, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } },
+      { new: true },
+    ).select("+twoFactorRecoveryCodes");
+    if (!user) return invalid;
+    return {
+      method: "recovery_code",
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+    };
+  }
+
+  if (!code) {
+    return twoFactorProblem(
+      400,
+      "TWO_FACTOR_CODE_REQUIRED",
+      "Please enter the code from your authenticator app or a recovery code",
+    );
+  }
+
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user.twoFactorEnabled) return invalid;
+  const step = verifyCode(decryptSecret(user.twoFactorSecret), code, { now });
+  if (step === null) return invalid;
+
+  // Each code works once, even within its 30 seconds
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [
+        { twoFactorLastStep: { $exists: false } },
+        { twoFactorLastStep: { $lt: step } },
+      ],
+    },
+    { $set: { twoFactorLastStep: step } },
+  );
+  if (!claimed) return invalid;
+  return { method: "totp" };
+};
+
+// ── Managing ────────────────────────────────────────────────────────
+/**
+ * Whether two-factor sign-in is on for a user, and required.
+ *
+ * @returns {Promise<{ enabled, enabledAt, required, recoveryCodesRemaining }>}
+ */
+const getTwoFactorStatus = async (userId) => {
+  const user = await User.findById(userId).select("+twoFactorRecoveryCodes");
+  return {
+    enabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt || null,
+    required: await isTwoFactorRequired(user.role),
+    recoveryCodesRemaining: user.twoFactorEnabled
+      ? user.twoFactorRecoveryCodes.length
+      : 0,
+  };
+};
+
+/**
+ * Turn two-factor sign-in off, given the password and a code.  Not
+ * allowed for roles the policy requires it for.
+ *
+ * @returns {Promise<{ user } | { problem }>}
+ */
+const disableTwoFactor = async (
+  userId,
+  { password, code, recoveryCode },
+  { now = new Date() } = {},
+) => {
+  const user = await User.findById(userId).select("+password");
+  if (!user.twoFactorEnabled) {
+    return twoFactorProblem(
+      400,
+      "TWO_FACTOR_NOT_ENABLED",
+      "Two-factor authentication is not on",
+    );
+  }
+  if (await isTwoFactorRequired(user.role)) {
+    return twoFactorProblem(
+      403,
+      "TWO_FACTOR_REQUIRED",
+      "Two-factor authentication is required for your role and cannot be turned off",
+    );
+  }
+  if (!password || !(await user.comparePassword(password))) {
+    return twoFactorProblem(
+      400,
+      "INCORRECT_PASSWORD",
+      "Current password is incorrect",
+    );
+  }
+
+  const verified = await verifySecondFactor(
+    user._id,
+    { code, recoveryCode },
+    { now },
+  );
+  if (verified.problem) return verified;
+
+  const disabled = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $set: { twoFactorEnabled: false },
+      $unset: {
+        twoFactorEnabledAt: "",
+        twoFactorSecret: "",
+        twoFactorPendingSecret: "",
+        twoFactorRecoveryCodes: "",
+        twoFactorLastStep: "",
+      },
+    },
+    { new: true },
+  );
+  return { user: disabled };
+};
+
+/**
+ * Replace the recovery codes, given an authenticator code.  The old
+ * codes stop working.
+ *
+ * @returns {Promise<{ recoveryCodes } | { problem }>}
+ */
+const regenerateRecoveryCodes = async (
+  userId,
+  { code },
+  { now = new Date() } = {},
+) => {
+  const user = await User.findById(userId);
+  if (!user.twoFactorEnabled) {
+    return twoFactorProblem(
+      400,
+      "TWO_FACTOR_NOT_ENABLED",
+      "Two-factor authentication is not on",
+    );
+  }
+
+  const verified = await verifySecondFactor(user._id, { code }, { now });
+  if (verified.problem) return verified;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorRecoveryCodes: hashes } },
+  );
+  return { recoveryCodes: codes };
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  signOutUnenrolled,
+  createLoginChallenge,
+  resolveLoginChallenge,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  getTwoFactorStatus,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,100 @@
+/**
+ * videoVisitService.js — Rooms and access rules for video visits
+ *
+ * Each video appointment has a socket room `visit_<appointmentId>`.
+ * Only the appointment's patient and doctor may join it, and only while
+ * the visit can still happen (not cancelled, completed or a no-show).
+ * Once both are in, socket.js relays their WebRTC offer / answer / ICE
+ * messages to each other; the media itself flows peer to peer.
+ *
+ * WEBRTC_ICE_SERVERS lists the STUN / TURN URLs handed to browsers
+ * (comma-separated, default Google's public STUN server).
+ */
+
+const mongoose = require("mongoose");
+const Appointment = require("../models/appointment");
+
+const VISIT_ROOM_PREFIX = "visit_";
+const DEFAULT_ICE_SERVERS = "stun:stun.l.google.com:19302";
+const JOINABLE_STATUSES = [
+  "scheduled",
+  "confirmed",
+  "checked-in",
+  "in-progress",
+];
+
+const visitProblem = (status, code, message) => ({ status, code, message });
+
+const getVisitRoom = (appointmentId) => `${VISIT_ROOM_PREFIX}${appointmentId}`;
+
+// The appointment id in a visit room name, or null for any other room
+const parseVisitRoom = (room) => {
+  if (typeof room !== "string" || !room.startsWith(VISIT_ROOM_PREFIX)) {
+    return null;
+  }
+  return room.slice(VISIT_ROOM_PREFIX.length);
+};
+
+// RTCPeerConnection `iceServers`, read on every call like clinic settings
+const getIceServers = () =>
+  (process.env.WEBRTC_ICE_SERVERS || DEFAULT_ICE_SERVERS)
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean)
+    .map((urls) => ({ urls }));
+
+/**
+ * Check whether a user may join an appointment's video room.
+ *
+ * @returns {Promise<{ appointment } | { problem }>}
+ */
+const checkVisitAccess = async (appointmentId, userId) => {
+  const appointment = mongoose.isValidObjectId(appointmentId)
+    ? await Appointment.findById(appointmentId)
+    : null;
+  if (!appointment) {
+    return {
+      problem: visitProblem(404, "NOT_FOUND", "Appointment not found"),
+    };
+  }
+
+  const participants = [
+    appointment.patient.toString(),
+    appointment.doctor.toString(),
+  ];
+  if (!participants.includes(String(userId))) {
+    return {
+      problem: visitProblem(
+        403,
+        "VISIT_ACCESS_DENIED",
+        "Only the patient and doctor can join this visit",
+      ),
+    };
+  }
+  if (appointment.visitType !== "video") {
+    return {
+      problem: visitProblem(
+        422,
+        "NOT_VIDEO_VISIT",
+        "This appointment is an in-person visit",
+      ),
+    };
+  }
+  if (!JOINABLE_STATUSES.includes(appointment.status)) {
+    return {
+      problem: visitProblem(
+        422,
+        "VISIT_NOT_ACTIVE",
+        `A ${appointment.status} visit cannot be joined`,
+      ),
+    };
+  }
+  return { appointment };
+};
+
+module.exports = {
+  getVisitRoom,
+  parseVisitRoom,
+  getIceServers,
+  checkVisitAccess,
+};
@@ -0,0 +1,175 @@
+/**
+ * waitingRoomService.js — Check-in rules and each doctor's daily queue
+ *
+ * Patients are checked in by the front desk (admins), their doctor, or
+ * themselves from CHECK_IN_OPENS_MINUTES before the start until the
+ * appointment's end.  The queue is one doctor's appointments for a
+ * clinic day: who is with the doctor, who is waiting (ordered by
+ * appointment time, then arrival), who is still expected and how many
+ * visits are done.  Whenever a status change touches today's queue it
+ * is pushed as `queue_update` to the doctor's `queue_<doctorId>` room,
+ * which the doctor and admins join while watching that queue.
+ */
+
+const Appointment = require("../models/appointment");
+const {
+  getClinicTimezone,
+  getCheckInOpensMinutes,
+} = require("../config/clinic");
+const {
+  getZonedDayBounds,
+  toDateKey,
+  utcToZonedParts,
+} = require("../utils/time");
+const logger = require("../utils/logger");
+const { SERVER_EVENTS, emitEvent } = require("../utils/socketEvents");
+const { getQueueRoom } = require("./roomAccess");
+
+const MINUTE_MS = 60 * 1000;
+const UPCOMING_STATUSES = ["scheduled", "confirmed"];
+const QUEUE_STATUSES = [
+  ...UPCOMING_STATUSES,
+  "checked-in",
+  "in-progress",
+  "completed",
+  "no-show",
+];
+
+const checkInProblem = (code, message) => ({ status: 422, code, message });
+
+// Calendar day of an instant in the clinic timezone
+const clinicDay = (instant) =>
+  utcToZonedParts(instant, getClinicTimezone()).dateKey;
+
+/**
+ * Check whether `role` may check the appointment in at `now`.
+ *
+ * @returns {object|null} a 422 problem, or null when allowed
+ */
+const getCheckInProblem = (appointment, role, now = new Date()) => {
+  if (role !== "patient") {
+    return clinicDay(appointment.startAt) === clinicDay(now)
+      ? null
+      : checkInProblem(
+          "CHECK_IN_NOT_TODAY",
+          "Patients can only be checked in on the day of their appointment",
+        );
+  }
+
+  const opensMinutes = getCheckInOpensMinutes();
+  if (now < appointment.startAt.getTime() - opensMinutes * MINUTE_MS) {
+    return checkInProblem(
+      "CHECK_IN_NOT_OPEN",
+      `Check-in opens ${opensMinutes} minutes before your appointment`,
+    );
+  }
+  if (now >= appointment.endAt) {
+    return checkInProblem(
+      "CHECK_IN_CLOSED",
+      "Your appointment time has passed; please see the front desk",
+    );
+  }
+  return null;
+};
+
+// What the queue shows about one appointment
+const toQueueEntry = (appointment, now) => ({
+  _id: appointment._id,
+  patient: appointment.patient,
+  status: appointment.status,
+  reason: appointment.reason,
+  duration: appointment.duration,
+  startAt: appointment.startAt,
+  schedule: appointment.schedule,
+  checkedInAt: appointment.checkedInAt,
+  startedAt: appointment.startedAt,
+  waitMinutes:
+    appointment.status === "checked-in"
+      ? Math.max(0, Math.round((now - appointment.checkedInAt) / MINUTE_MS))
+      : appointment.waitMinutes,
+});
+
+/**
+ * Build a doctor's queue for calendar day `date` ("YYYY-MM-DD"), by
+ * default the clinic's today.
+ *
+ * @returns {Promise<object>} `{ doctorId, date, inProgress, waiting,
+ *   upcoming, completed, noShows, averageWaitMinutes }`
+ */
+const getDoctorQueue = async (doctorId, { date, now = new Date() } = {}) => {
+  const dateKey = date ? toDateKey(date) : clinicDay(now);
+  const { start, end } = getZonedDayBounds(dateKey, getClinicTimezone());
+
+  const appointments = await Appointment.find({
+    doctor: doctorId,
+    startAt: { $gte: start, $lt: end },
+    status: { $in: QUEUE_STATUSES },
+  })
+    .populate("patient", "firstName lastName")
+    .sort({ startAt: 1, checkedInAt: 1 });
+
+  const byStatus = (status) =>
+    appointments.filter((appointment) => appointment.status === status);
+
+  const waits = appointments
+    .map((appointment) => appointment.waitMinutes)
+    .filter((minutes) => typeof minutes === "number");
+
+  return {
+    doctorId: doctorId.toString(),
+    date: dateKey,
+    inProgress: byStatus("in-progress").map((a) => toQueueEntry(a, now)),
+    waiting: byStatus("checked-in").map((a, index) => ({
+      ...toQueueEntry(a, now),
+      position: index + 1,
+    })),
+    upcoming: appointments
+      .filter((appointment) => UPCOMING_STATUSES.includes(appointment.status))
+      .map((a) => toQueueEntry(a, now)),
+    completed: byStatus("completed").length,
+    noShows: byStatus("no-show").length,
+    averageWaitMinutes: waits.length
+      ? Math.round(
+          waits.reduce((sum, minutes) => sum + minutes, 0) / waits.length,
+        )
+      : null,
+  };
+};
+
+/**
+ * Push a doctor's queue to its `queue_<doctorId>` room, when any of
+ * `instants` (the appointment's old and new start) falls on today.
+ * Never throws; a failed push only delays the next refresh.
+ */
+const publishQueueUpdate = async (
+  io,
+  doctorId,
+  instants,
+  { now = new Date() } = {},
+) => {
+  if (!io) return;
+  const today = clinicDay(now);
+  if (!instants.some((instant) => instant && clinicDay(instant) === today)) {
+    return;
+  }
+
+  try {
+    const queue = await getDoctorQueue(doctorId._id || doctorId, { now });
+    emitEvent(
+      io.to(getQueueRoom(queue.doctorId)),
+      SERVER_EVENTS.QUEUE_UPDATED,
+      queue,
+    );
+  } catch (error) {
+    logger.error(
+      `Publishing the queue for doctor ${doctorId} failed:`,
+      error.message,
+    );
+  }
+};
+
+module.exports = {
+  getCheckInProblem,
+  getDoctorQueue,
+  publishQueueUpdate,
+};
@@ -0,0 +1,364 @@
+/**
+ * waitlistService.js — Offer freed slots to waitlisted patients
+ *
+ * When an appointment is cancelled its slot is offered to the oldest
+ * waiting entry for that doctor whose date range covers the day.  The
+ * offer holds the slot for WAITLIST_OFFER_MINUTES; the patient hears
+ * about it through notificationDispatcher, in-app and by email or SMS
+ * as they prefer.  Declined
+ * and expired offers put the entry back in line and move the slot on
+ * to the next patient, so each slot cascades down the list until
+ * someone takes it or nobody eligible is left.
+ *
+ * Entries and offers are claimed with conditional updates, so two
+ * cancellations (or two sweeper instances) never offer the same entry
+ * twice or expire the same offer twice.
+ */
+
+const Appointment = require("../models/appointment");
+const WaitlistEntry = require("../models/waitlistEntry");
+const WaitlistOffer = require("../models/waitlistOffer");
+const logger = require("../utils/logger");
+const { SERVER_EVENTS } = require("../utils/socketEvents");
+const { dispatchNotification } = require("./notificationDispatcher");
+const {
+  getClinicTimezone,
+  getWaitlistOfferMinutes,
+} = require("../config/clinic");
+const { formatZonedDate, formatZonedTime } = require("../utils/time");
+const {
+  checkSlot,
+  duplicateSlotProblem,
+  getDayBounds,
+} = require("./schedulingService");
+const { checkNoShowPolicy } = require("./noShowService");
+
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// The slot fields an offer shares with the appointment that freed it
+const slotOf = ({
+  doctor,
+  appointmentDate,
+  appointmentTime,
+  duration,
+  startAt,
+  endAt,
+}) => ({
+  doctor: doctor._id || doctor,
+  appointmentDate,
+  appointmentTime,
+  duration,
+  startAt,
+  endAt,
+});
+
+// Tell the patient about a new hold by socket and email
+const notifyOffer = async (offer, io) => {
+  await offer.populate([
+    { path: "patient", select: "firstName lastName email" },
+    { path: "doctor", select: "firstName lastName specialization" },
+  ]);
+
+  const timeZone = getClinicTimezone();
+  await dispatchNotification(io, {
+    event: SERVER_EVENTS.WAITLIST_OFFER,
+    payload: offer,
+    recipients: [offer.patient],
+    // Held email / SMS are useless once the hold has lapsed
+    expiresAt: offer.expiresAt,
+    email: {
+      subject: "Appointment Slot Available",
+      details: {
+        title: "A Slot Opened Up",
+        message: `An earlier appointment is available. It is held for you until ${formatZonedTime(offer.expiresAt, timeZone)}; accept it from your waitlist before then.`,
+        patientName: `${offer.patient.firstName} ${offer.patient.lastName}`,
+        doctorName: `Dr. ${offer.doctor.firstName} ${offer.doctor.lastName}`,
+        date: formatZonedDate(offer.startAt, timeZone),
+        time: formatZonedTime(offer.startAt, timeZone),
+        reason: "Waitlist offer",
+      },
+    },
+  });
+};
+
+/**
+ * Hold `slot` for the next eligible waitlisted patient.
+ *
+ * Skips entries that were already offered this slot and, when given,
+ * the patient who just gave it up.  Returns the new offer or null when
+ * nobody is eligible or the slot is no longer free.
+ */
+const offerSlot = async (
+  slot,
+  { io, now = new Date(), excludePatient } = {},
+) => {
+  if (slot.startAt <= now) return null;
+
+  const alreadyOffered = await WaitlistOffer.distinct("entry", {
+    doctor: slot.doctor,
+    startAt: slot.startAt,
+  });
+  const day = getDayBounds(slot.appointmentDate).start;
+  const query = {
+    doctor: slot.doctor,
+    status: "waiting",
+    startDate: { $lte: day },
+    endDate: { $gte: day },
+    _id: { $nin: alreadyOffered },
+  };
+  if (excludePatient) query.patient = { $ne: excludePatient };
+
+  const candidates = await WaitlistEntry.find(query).sort({ createdAt: 1 });
+  if (!candidates.length) return null;
+
+  const slotProblem = await checkSlot({
+    doctorId: slot.doctor,
+    date: slot.appointmentDate,
+    time: slot.appointmentTime,
+    duration: slot.duration,
+  });
+  if (slotProblem) return null;
+
+  for (const candidate of candidates) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: candidate._id, status: "waiting" },
+      { status: "offered" },
+      { new: true },
+    );
+    if (!entry) continue; // claimed by a concurrent offer
+
+    const offer = await WaitlistOffer.create({
+      ...slot,
+      entry: entry._id,
+      patient: entry.patient,
+      expiresAt: new Date(now.getTime() + getWaitlistOfferMinutes() * 60000),
+    });
+    entry.currentOffer = offer._id;
+    await entry.save();
+
+    logger.info(
+      `Waitlist offer ${offer._id}: slot ${slot.startAt.toISOString()} held for patient ${entry.patient}`,
+    );
+    await notifyOffer(offer, io);
+    return offer;
+  }
+
+  return null;
+};
+
+// Offer a just-cancelled appointment's slot; never fails the caller
+const offerFreedSlot = async (appointment, { io } = {}) => {
+  try {
+    return await offerSlot(
+      { ...slotOf(appointment), sourceAppointment: appointment._id },
+      { io, excludePatient: appointment.patient._id || appointment.patient },
+    );
+  } catch (error) {
+    logger.error(
+      `Waitlist offer for appointment ${appointment._id} failed:`,
+      error.message,
+    );
+    return null;
+  }
+};
+
+// Close a pending offer as `status`, put its entry back in line and
+// pass the slot on.  Returns the closed offer, or null if it was no
+// longer pending.
+const closeOffer = async (offerId, status, { io, now = new Date() } = {}) => {
+  const offer = await WaitlistOffer.findOneAndUpdate(
+    { _id: offerId, status: "pending" },
+    { status, respondedAt: now },
+    { new: true },
+  );
+  if (!offer) return null;
+
+  await WaitlistEntry.updateOne(
+    { _id: offer.entry, status: "offered", currentOffer: offer._id },
+    { status: "waiting", $unset: { currentOffer: 1 } },
+  );
+  await offerSlot(
+    { ...slotOf(offer), sourceAppointment: offer.sourceAppointment },
+    { io, now },
+  );
+  return offer;
+};
+
+/**
+ * Expire every pending offer past its deadline and cascade each slot.
+ *
+ * @returns {Promise<number>} offers expired by this call
+ */
+const expireOffers = async ({ io, now = new Date() } = {}) => {
+  const due = await WaitlistOffer.find({
+    status: "pending",
+    expiresAt: { $lte: now },
+  }).select("_id");
+
+  let expired = 0;
+  for (const { _id } of due) {
+    if (await closeOffer(_id, "expired", { io, now })) expired += 1;
+  }
+  if (expired) logger.info(`Expired ${expired} waitlist offer(s)`);
+  return expired;
+};
+
+// Load an offer the patient is answering, expiring it on the spot if
+// its time is up.  Returns { offer } or { problem }.
+const findOpenOffer = async (offerId, userId, { io, now }) => {
+  const offer = await WaitlistOffer.findById(offerId);
+  if (!offer) {
+    return {
+      problem: {
+        status: 404,
+        code: "OFFER_NOT_FOUND",
+        message: "Offer not found",
+      },
+    };
+  }
+  if (offer.patient.toString() !== userId) {
+    return {
+      problem: { status: 403, code: "ACCESS_DENIED", message: "Access denied" },
+    };
+  }
+  if (offer.status === "pending" && offer.expiresAt <= now) {
+    await closeOffer(offer._id, "expired", { io, now });
+    return {
+      problem: {
+        status: 410,
+        code: "OFFER_EXPIRED",
+        message: "This offer has expired",
+      },
+    };
+  }
+  if (offer.status !== "pending") {
+    return {
+      problem: {
+        status: 409,
+        code: "OFFER_NOT_PENDING",
+        message: `This offer was already ${offer.status}`,
+      },
+    };
+  }
+  return { offer };
+};
+
+/**
+ * Book the held slot for the patient the offer belongs to.
+ *
+ * @returns {Promise<{ offer, appointment } | { problem }>}
+ */
+const acceptOffer = async (offerId, userId, { io, now = new Date() } = {}) => {
+  const { offer: open, problem } = await findOpenOffer(offerId, userId, {
+    io,
+    now,
+  });
+  if (problem) return { problem };
+
+  // The patient may have passed the no-show limit since joining
+  const decision = await checkNoShowPolicy(open.patient);
+  if (decision.problem) return { problem: decision.problem };
+
+  const offer = await WaitlistOffer.findOneAndUpdate(
+    { _id: open._id, status: "pending", expiresAt: { $gt: now } },
+    { status: "accepted", respondedAt: now },
+    { new: true },
+  );
+  if (!offer) {
+    return {
+      problem: {
+        status: 409,
+        code: "OFFER_NOT_PENDING",
+        message: "This offer is no longer available",
+      },
+    };
+  }
+
+  const entry = await WaitlistEntry.findById(offer.entry);
+  let appointment;
+  try {
+    appointment = await Appointment.create({
+      patient: offer.patient,
+      doctor: offer.doctor,
+      appointmentDate: offer.appointmentDate,
+      appointmentTime: offer.appointmentTime,
+      duration: offer.duration,
+      reason: entry.reason,
+      status: decision.status,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Someone booked around the hold; give the entry its place back
+    offer.status = "withdrawn";
+    await offer.save();
+    entry.status = "waiting";
+    entry.currentOffer = undefined;
+    await entry.save();
+    return { problem: duplicateSlotProblem() };
+  }
+
+  offer.appointment = appointment._id;
+  await offer.save();
+  entry.status = "booked";
+  entry.appointment = appointment._id;
+  entry.currentOffer = undefined;
+  await entry.save();
+
+  return { offer, appointment };
+};
+
+/**
+ * Turn an offer down; the entry stays on the waitlist.
+ *
+ * @returns {Promise<{ offer } | { problem }>}
+ */
+const declineOffer = async (offerId, userId, { io, now = new Date() } = {}) => {
+  const { offer: open, problem } = await findOpenOffer(offerId, userId, {
+    io,
+    now,
+  });
+  if (problem) return { problem };
+
+  const offer = await closeOffer(open._id, "declined", { io, now });
+  if (!offer) {
+    return {
+      problem: {
+        status: 409,
+        code: "OFFER_NOT_PENDING",
+        message: "This offer is no longer available",
+      },
+    };
+  }
+  return { offer };
+};
+
+// Take an entry off the waitlist, releasing any slot held for it
+const leaveWaitlist = async (entry, { io, now = new Date() } = {}) => {
+  const offerId = entry.currentOffer;
+  entry.status = "cancelled";
+  entry.currentOffer = undefined;
+  await entry.save();
+  if (offerId) await closeOffer(offerId, "withdrawn", { io, now });
+  return entry;
+};
+
+// Periodically expire stale offers; the timer does not keep the process alive
+const startOfferSweeper = (io, intervalMs = DEFAULT_SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    expireOffers({ io }).catch((error) =>
+      logger.error("Waitlist offer sweep failed:", error.message),
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  offerSlot,
+  offerFreedSlot,
+  expireOffers,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist,
+  startOfferSweeper,
+};
@@ -4,6 +4,18 @@
  * If SMTP credentials are not configured the helper silently skips
  * sending so the app still works during local development.  The
  * HTML template is kept inline for simplicity.
+ *
+ * `sendAppointmentEmail` never throws, for request handlers that must
+ * not fail on a mail outage; `deliverAppointmentEmail` lets the error
+ * through so background jobs can retry.  `details.actions` adds link
+ * buttons (the patient's confirm / cancel links) under the details.
+ *
+ * `sendPasswordResetEmail` sends the "forgot password" link, and also
+ * never throws, so the response cannot tell whether an account exists.
+ * `sendVerificationEmail` sends the link that confirms a new account's
+ * address; it never throws either, so registration can't fail on it.
+ * `sendAccountLockedEmail` tells users their account was locked after
+ * too many failed sign-ins, and never throws either.
  */
 
 const nodemailer = require("nodemailer");
@@ -22,29 +34,79 @@ const createTransporter = () => {
   });
 };
 
+// Send an email; resolves false when email isn't configured and
+// rejects if the SMTP server refuses it
+const deliverEmail = async (to, subject, html) => {
+  if (!process.env.SMTP_USER || !process.env.SMTP_PASSWORD) {
+    logger.warn(
+      "Email credentials not configured. Skipping email notification.",
+    );
+    return false;
+  }
+
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to,
+    subject,
+    html,
+  };
+
+  await transporter.sendMail(mailOptions);
+  logger.info(`Email sent successfully to ${to}`);
+  return true;
+};
+
+// Send appointment email, letting failures through
+const deliverAppointmentEmail = (to, subject, appointmentDetails) =>
+  deliverEmail(to, subject, generateAppointmentEmailHTML(appointmentDetails));
+
 // Send appointment notification email
 const sendAppointmentEmail = async (to, subject, appointmentDetails) => {
   try {
-    if (!process.env.SMTP_USER || !process.env.SMTP_PASSWORD) {
-      logger.warn(
-        "Email credentials not configured. Skipping email notification.",
-      );
-      return;
-    }
+    await deliverAppointmentEmail(to, subject, appointmentDetails);
+  } catch (error) {
+    logger.error("Error sending email:", error.message);
+  }
+};
 
-    const transporter = createTransporter();
+// Send a password reset link
+const sendPasswordResetEmail = async (to, details) => {
+  try {
+    await deliverEmail(
+      to,
+      "Reset your ClinicHub password",
+      generatePasswordResetEmailHTML(details),
+    );
+  } catch (error) {
+    logger.error("Error sending password reset email:", error.message);
+  }
+};
 
-    const mailOptions = {
-      from: process.env.EMAIL_FROM,
+// Send an email address verification link
+const sendVerificationEmail = async (to, details) => {
+  try {
+    await deliverEmail(
       to,
-      subject,
-      html: generateAppointmentEmailHTML(appointmentDetails),
-    };
+      "Verify your ClinicHub email address",
+      generateVerificationEmailHTML(details),
+    );
+  } catch (error) {
+    logger.error("Error sending verification email:", error.message);
+  }
+};
 
-    await transporter.sendMail(mailOptions);
-    logger.info(`Email sent successfully to ${to}`);
+// Tell a user their account was locked after failed sign-ins
+const sendAccountLockedEmail = async (to, details) => {
+  try {
+    await deliverEmail(
+      to,
+      "Your ClinicHub account has been locked",
+      generateAccountLockedEmailHTML(details),
+    );
   } catch (error) {
-    logger.error("Error sending email:", error.message);
+    logger.error("Error sending account locked email:", error.message);
   }
 };
 
@@ -61,6 +123,9 @@ const generateAppointmentEmailHTML = (details) => {
         .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
         .detail { margin: 10px 0; }
         .label { font-weight: bold; }
+        .actions { margin-top: 20px; text-align: center; }
+        .button { display: inline-block; margin: 0 6px; padding: 10px 18px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 4px; }
+        .button-secondary { background-color: #9e9e9e; }
         .footer { margin-top: 20px; padding: 10px; text-align: center; font-size: 12px; color: #666; }
       </style>
     </head>
@@ -88,6 +153,122 @@ const generateAppointmentEmailHTML = (details) => {
             <span class="label">Reason:</span> ${details.reason}
           </div>
           ${details.status ? `<div class="detail"><span class="label">Status:</span> ${details.status}</div>` : ""}
+          ${details.actions?.length ? `<div class="actions">${details.actions.map((action, index) => `<a class="button${index ? " button-secondary" : ""}" href="${action.url}">${action.label}</a>`).join("")}</div>` : ""}
+        </div>
+        <div class="footer">
+          <p>This is an automated message from ClinicHub. Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+// Generate HTML for the password reset email
+const generatePasswordResetEmailHTML = ({ name, url, expiresInMinutes }) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+        .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
+        .actions { margin: 20px 0; text-align: center; }
+        .button { display: inline-block; padding: 10px 18px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 4px; }
+        .footer { margin-top: 20px; padding: 10px; text-align: center; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>ClinicHub Password Reset</h1>
+        </div>
+        <div class="content">
+          <p>Hello ${name},</p>
+          <p>We received a request to reset the password for your ClinicHub account. Use the button below to choose a new one.</p>
+          <div class="actions">
+            <a class="button" href="${url}">Reset password</a>
+          </div>
+          <p>The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for it, you can ignore this email; your password stays the same.</p>
+        </div>
+        <div class="footer">
+          <p>This is an automated message from ClinicHub. Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+// Generate HTML for the email verification email
+const generateVerificationEmailHTML = ({ name, url, expiresInHours }) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+        .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
+        .actions { margin: 20px 0; text-align: center; }
+        .button { display: inline-block; padding: 10px 18px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 4px; }
+        .footer { margin-top: 20px; padding: 10px; text-align: center; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Welcome to ClinicHub</h1>
+        </div>
+        <div class="content">
+          <p>Hello ${name},</p>
+          <p>Please confirm that this is your email address so you can start booking appointments.</p>
+          <div class="actions">
+            <a class="button" href="${url}">Verify email address</a>
+          </div>
+          <p>The link expires in ${expiresInHours} hours; you can ask for a new one from your account. If you didn't create a ClinicHub account, you can ignore this email.</p>
+        </div>
+        <div class="footer">
+          <p>This is an automated message from ClinicHub. Please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+// Generate HTML for the account locked notice
+const generateAccountLockedEmailHTML = ({ name, minutes, resetUrl }) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+        .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
+        .actions { margin: 20px 0; text-align: center; }
+        .button { display: inline-block; padding: 10px 18px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 4px; }
+        .footer { margin-top: 20px; padding: 10px; text-align: center; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Account Locked</h1>
+        </div>
+        <div class="content">
+          <p>Hello ${name},</p>
+          <p>There were too many failed attempts to sign in to your ClinicHub account, so it has been locked for ${minutes} minutes.</p>
+          <p>If this wasn't you, someone may be trying to guess your password. Resetting it unlocks your account straight away.</p>
+          <div class="actions">
+            <a class="button" href="${resetUrl}">Reset password</a>
+          </div>
+          <p>If you need help sooner, please contact the clinic.</p>
         </div>
         <div class="footer">
           <p>This is an automated message from ClinicHub. Please do not reply to this email.</p>
@@ -100,4 +281,8 @@ const generateAppointmentEmailHTML = (details) => {
 
 module.exports = {
   sendAppointmentEmail,
+  deliverAppointmentEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
 };
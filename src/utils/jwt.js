@@ -1,16 +1,21 @@
 /**
  * jwt.js — Token generation & verification helpers
  *
- * Tokens carry `{ id, role }` and are signed with the secret from
- * the JWT_SECRET env-var.  Expiry is controlled by JWT_EXPIRE.
+ * Access tokens carry `{ id, role, sid }` — `sid` names the Session
+ * they were issued for, so revoking the session revokes them — and are
+ * signed with the secret from the JWT_SECRET env-var.  They are
+ * short-lived: ACCESS_TOKEN_EXPIRE (default "15m"), after which the
+ * client trades its refresh token for a new one.
  */
 
 const jwt = require("jsonwebtoken");
 
-const generateToken = (userId, role) => {
-  return jwt.sign({ id: userId, role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
-  });
+const generateToken = (userId, role, sessionId) => {
+  return jwt.sign(
+    { id: userId, role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || "15m" },
+  );
 };
 
 const verifyToken = (token) => {
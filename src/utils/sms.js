@@ -0,0 +1,67 @@
+/**
+ * sms.js — Outbound text messages via Twilio's REST API
+ *
+ * Like the email helper, sending is skipped with a warning when the
+ * Twilio credentials are not configured.  Stored phone numbers are ten
+ * digits without a country code, so SMS_COUNTRY_CODE (default "+1") is
+ * prepended.
+ *
+ * `sendSms` never throws; `deliverSms` lets the error through so
+ * background jobs can retry.
+ */
+
+const logger = require("./logger");
+
+const TWILIO_API = "https://api.twilio.com/2010-04-01";
+
+// "+15551234567" for a stored "5551234567"
+const toE164 = (phone) =>
+  `${process.env.SMS_COUNTRY_CODE || "+1"}${String(phone).replace(/\D/g, "")}`;
+
+// Send a text; resolves false when SMS isn't configured and rejects if
+// Twilio refuses it
+const deliverSms = async (to, text) => {
+  const {
+    TWILIO_ACCOUNT_SID: accountSid,
+    TWILIO_AUTH_TOKEN: authToken,
+    SMS_FROM: from,
+  } = process.env;
+  if (!accountSid || !authToken || !from) {
+    logger.warn("SMS credentials not configured. Skipping SMS notification.");
+    return false;
+  }
+
+  const response = await fetch(
+    `${TWILIO_API}/Accounts/${accountSid}/Messages.json`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}`,
+      },
+      body: new URLSearchParams({ To: toE164(to), From: from, Body: text }),
+    },
+  );
+  if (!response.ok) {
+    const { message } = await response.json().catch(() => ({}));
+    throw new Error(
+      `SMS refused (${response.status}): ${message || "no detail"}`,
+    );
+  }
+
+  logger.info(`SMS sent successfully to ${toE164(to)}`);
+  return true;
+};
+
+// Send a text message, logging instead of throwing on failure
+const sendSms = async (to, text) => {
+  try {
+    await deliverSms(to, text);
+  } catch (error) {
+    logger.error("Error sending SMS:", error.message);
+  }
+};
+
+module.exports = {
+  sendSms,
+  deliverSms,
+};
@@ -0,0 +1,120 @@
+/**
+ * socketEvents.js — Server side of the shared Socket.IO event catalog
+ *
+ * Event names and payload schemas live in shared/socketEvents.json,
+ * which the React client reads too, so both ends agree on what each
+ * event is called and what it carries.  Everything the server sends
+ * goes through `emitEvent`, which serialises the payload the way
+ * Socket.IO would, checks it against the catalog and refuses (and
+ * logs) anything that does not match.  Incoming client events are
+ * checked with `validateClientEvent` before their handlers run.
+ */
+
+const catalog = require("../../shared/socketEvents.json");
+const logger = require("./logger");
+
+// { APPOINTMENT_UPDATED: "appointment_update", ... }
+const toNames = (section) =>
+  Object.fromEntries(
+    Object.entries(section).map(([key, { name }]) => [key, name]),
+  );
+
+const SERVER_EVENTS = Object.freeze(toNames(catalog.server));
+const CLIENT_EVENTS = Object.freeze(toNames(catalog.client));
+
+// Wire name -> payload schema
+const toSchemas = (section) =>
+  new Map(Object.values(section).map(({ name, payload }) => [name, payload]));
+
+const serverSchemas = toSchemas(catalog.server);
+const clientSchemas = toSchemas(catalog.client);
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+/**
+ * Check a value against a catalog schema.
+ *
+ * @returns {string[]} problems found, empty when the value matches
+ */
+const validate = (schema, value, path = "payload") => {
+  if (schema.$ref) {
+    return validate(catalog.definitions[schema.$ref], value, path);
+  }
+
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.includes(typeOf(value))) {
+    return [`${path} should be ${types.join(" or ")}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} should be one of ${schema.enum.join(", ")}`];
+  }
+
+  const errors = [];
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(property, value[key], `${path}.${key}`));
+      }
+    }
+  }
+  if (typeOf(value) === "array" && schema.items) {
+    value.forEach((item, index) =>
+      errors.push(...validate(schema.items, item, `${path}[${index}]`)),
+    );
+  }
+  return errors;
+};
+
+// What the client will receive: documents, ObjectIds and Dates as JSON
+const toWire = (payload) =>
+  payload === undefined ? undefined : JSON.parse(JSON.stringify(payload));
+
+const validateEvent = (schemas, name, payload) => {
+  const schema = schemas.get(name);
+  if (!schema) return [`${name} is not in the event catalog`];
+  return validate(schema, payload);
+};
+
+/**
+ * Emit a catalog event to a Socket.IO target (`io`, `io.to(room)`,
+ * `socket` or `socket.to(room)`).
+ *
+ * @returns {boolean} whether the event was sent
+ */
+const emitEvent = (target, name, payload) => {
+  const wire = toWire(payload);
+  const errors = validateEvent(serverSchemas, name, wire);
+  if (errors.length) {
+    logger.error(`Refusing to emit ${name}: ${errors.join("; ")}`);
+    return false;
+  }
+  target.emit(name, wire);
+  return true;
+};
+
+/**
+ * Check a payload received from a client.
+ *
+ * @returns {string[]} problems found, empty when the payload matches
+ */
+const validateClientEvent = (name, payload) =>
+  validateEvent(clientSchemas, name, payload);
+
+// Same check emitEvent applies, for tests and callers that build payloads
+const validateServerEvent = (name, payload) =>
+  validateEvent(serverSchemas, name, toWire(payload));
+
+module.exports = {
+  SERVER_EVENTS,
+  CLIENT_EVENTS,
+  emitEvent,
+  validateClientEvent,
+  validateServerEvent,
+};
@@ -0,0 +1,173 @@
+/**
+ * time.js — Helpers for clock-time strings, calendar dates and zones
+ *
+ * Appointment times are entered as clinic wall-clock strings ("14:30",
+ * or the legacy "2:30 PM") and normalised to 24-hour "HH:mm"; schedules
+ * use strict "HH:mm".  Calendar days are stored at UTC midnight.  The
+ * zone helpers convert between a calendar day + wall-clock time in an
+ * IANA zone and the UTC instant it denotes, using only Intl so no
+ * timezone database has to be bundled.
+ */
+
+const HHMM_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CLOCK_TIME_PATTERN = /^(\d{1,2}):([0-5]\d)(?:\s*([AaPp][Mm]))?$/;
+
+const MINUTE_MS = 60 * 1000;
+
+// Convert a time string to minutes since midnight, or NaN if invalid.
+// Accepts 24-hour ("14:30") or 12-hour ("2:30 PM") formats.
+const timeToMinutes = (timeStr) => {
+  const match = CLOCK_TIME_PATTERN.exec(String(timeStr).trim());
+  if (!match) return NaN;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const period = match[3]?.toUpperCase();
+
+  if (period) {
+    // 12-hour format
+    if (hours < 1 || hours > 12) return NaN;
+    if (period === "PM" && hours !== 12) hours += 12;
+    if (period === "AM" && hours === 12) hours = 0;
+  } else if (hours > 23) {
+    return NaN;
+  }
+  return hours * 60 + minutes;
+};
+
+// Convert minutes since midnight back to a 24-hour "HH:mm" string
+const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+};
+
+// Canonical "HH:mm" form of a time string, or null if it cannot be parsed
+const normalizeTime = (timeStr) => {
+  const minutes = timeToMinutes(timeStr);
+  return Number.isNaN(minutes) ? null : minutesToTime(minutes);
+};
+
+// Strict 24-hour "HH:mm" check used for schedule definitions
+const isValidTime = (timeStr) =>
+  typeof timeStr === "string" && HHMM_PATTERN.test(timeStr);
+
+// Calendar day of a date as "YYYY-MM-DD" (dates are stored at UTC midnight)
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// "YYYY-MM-DD" of the calendar day `days` after `dateKey`
+const addDays = (dateKey, days) =>
+  toDateKey(
+    new Date(`${dateKey}T00:00:00.000Z`).getTime() + days * 1440 * MINUTE_MS,
+  );
+
+/**
+ * Offset of `timeZone` from UTC at `instant`, in minutes
+ * (e.g. -240 for New York in summer, 330 for Kolkata).
+ */
+const getTimezoneOffset = (instant, timeZone) => {
+  const date = new Date(instant);
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)]),
+  );
+  const wallClockAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClockAsUtc - wholeSeconds) / MINUTE_MS);
+};
+
+/**
+ * UTC instant for a wall-clock time on a calendar day in `timeZone`.
+ *
+ * The offset is re-read at the first guess so days with a DST change
+ * resolve correctly; a time skipped by spring-forward lands on the
+ * equivalent instant after the jump.
+ */
+const zonedTimeToUtc = (date, minutes, timeZone) => {
+  const [year, month, day] = toDateKey(date).split("-").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  const guessOffset = getTimezoneOffset(wallClock, timeZone);
+  const guess = wallClock - guessOffset * MINUTE_MS;
+  const actualOffset = getTimezoneOffset(guess, timeZone);
+  if (actualOffset === guessOffset) return new Date(guess);
+
+  // The offset changed in between; use it unless the time falls in a gap,
+  // where the pre-jump (smaller) offset pushes it past the transition
+  const corrected = wallClock - actualOffset * MINUTE_MS;
+  if (getTimezoneOffset(corrected, timeZone) === actualOffset) {
+    return new Date(corrected);
+  }
+  return new Date(wallClock - Math.min(guessOffset, actualOffset) * MINUTE_MS);
+};
+
+// Calendar day and minutes since midnight of an instant in `timeZone`
+const utcToZonedParts = (instant, timeZone) => {
+  const time = new Date(instant).getTime();
+  const local = new Date(time + getTimezoneOffset(time, timeZone) * MINUTE_MS);
+  return {
+    dateKey: toDateKey(local),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes(),
+  };
+};
+
+// First and last instant (exclusive) of a calendar day in `timeZone`
+const getZonedDayBounds = (date, timeZone) => {
+  const dateKey = toDateKey(date);
+  return {
+    start: zonedTimeToUtc(dateKey, 0, timeZone),
+    end: zonedTimeToUtc(addDays(dateKey, 1), 0, timeZone),
+  };
+};
+
+// "Mon, Oct 19, 2026" for an instant, as seen in `timeZone`
+const formatZonedDate = (instant, timeZone) =>
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  }).format(new Date(instant));
+
+// "2:30 PM EDT" for an instant, as seen in `timeZone`
+const formatZonedTime = (instant, timeZone) =>
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).format(new Date(instant));
+
+module.exports = {
+  HHMM_PATTERN,
+  timeToMinutes,
+  minutesToTime,
+  normalizeTime,
+  isValidTime,
+  toDateKey,
+  addDays,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  utcToZonedParts,
+  getZonedDayBounds,
+  formatZonedDate,
+  formatZonedTime,
+};